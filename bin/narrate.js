@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+// Writes a narrative from the command line with the same pipeline as POST /api/narrative, calling
+// Mapbox and the LLM providers directly. Reads .env.local like the server.
+import { parseArgs } from 'util'
+import { config } from 'dotenv'
+import { readNarrativeRequest, narrate } from '../server/pipeline.js'
+import { getLanguage } from '../src/lib/languages.js'
+
+config({ path: '.env.local', quiet: true })
+
+const USAGE = `Usage: narrate [options] <from> <to>
+
+Places are addresses, "lat,lng" or map links.
+
+Options:
+  --via <place>          A stop on the way (repeat for more)
+  --parking <place>      Self-parking spot to route to instead of the destination
+  --walk                 Add the walk from the parking spot to the destination
+  --mode <mode>          driving (default), driving-traffic, walking or cycling
+  --avoid <list>         Comma-separated: toll, motorway, ferry
+  --lang <id>            Narrative language: en (default), es, pt, fr, ja
+  --template <id>        Prompt template id
+  --units <units>        imperial (default) or metric
+  --step-distances       Give a distance for each step
+  --depart <time>        Depart at a local time, e.g. 2025-06-01T17:30 (driving)
+  --arrive <time>        Arrive by a local time (driving)
+  --return               Add the way back
+  --landmarks            Mention landmarks near key turns
+  --plain                Use the rule-based writer instead of an LLM
+  --anywhere             Look addresses up worldwide, not only in the US
+  --refresh              Skip cached lookups and narratives (see CACHE_DISK)
+  --json                 Print the full result as JSON
+  -h, --help             Show this help`
+
+const OPTIONS = {
+  via: { type: 'string', multiple: true },
+  parking: { type: 'string' },
+  walk: { type: 'boolean' },
+  mode: { type: 'string' },
+  avoid: { type: 'string' },
+  lang: { type: 'string' },
+  template: { type: 'string' },
+  units: { type: 'string' },
+  'step-distances': { type: 'boolean' },
+  depart: { type: 'string' },
+  arrive: { type: 'string' },
+  return: { type: 'boolean' },
+  landmarks: { type: 'boolean' },
+  plain: { type: 'boolean' },
+  anywhere: { type: 'boolean' },
+  refresh: { type: 'boolean' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+}
+
+function fail(message, code = 1) {
+  console.error(`narrate: ${message}`)
+  process.exit(code)
+}
+
+function readArgs(argv) {
+  try {
+    return parseArgs({ args: argv, options: OPTIONS, allowPositionals: true })
+  } catch (err) {
+    return fail(`${err.message}\n\n${USAGE}`, 2)
+  }
+}
+
+function formatText(result) {
+  const labels = getLanguage(result.language)
+  const lines = [result.narrative, '']
+  if (result.links.google) lines.push(`${labels.googleLink}: ${result.links.google}`)
+  if (result.links.apple) lines.push(`${labels.appleLink}: ${result.links.apple}`)
+  return lines.join('\n')
+}
+
+async function main() {
+  const { values, positionals } = readArgs(process.argv.slice(2))
+  if (values.help) {
+    console.log(USAGE)
+    return
+  }
+  if (positionals.length !== 2) fail(`expected a starting point and a destination\n\n${USAGE}`, 2)
+
+  let request
+  try {
+    request = readNarrativeRequest({
+      origin: positionals[0],
+      destination: positionals[1],
+      stops: values.via || [],
+      selfParking: values.parking,
+      walkFromParking: values.walk,
+      travelMode: values.mode,
+      avoid: values.avoid?.split(',').map((a) => a.trim()).filter(Boolean),
+      language: values.lang,
+      template: values.template,
+      units: values.units,
+      stepDistances: values['step-distances'],
+      departAt: values.depart,
+      arriveBy: values.arrive,
+      returnTrip: values.return,
+      landmarks: values.landmarks,
+      plain: values.plain,
+      refresh: values.refresh,
+      country: values.anywhere ? '' : 'US',
+    })
+  } catch (err) {
+    fail(err.message, 2)
+  }
+
+  const result = await narrate(request)
+  if (values.json) {
+    console.log(JSON.stringify(result, null, 2))
+    return
+  }
+  for (const warning of result.warnings) console.error(`Warning: ${warning}`)
+  if (result.fallback) console.error(`Warning: written by the rule-based writer (${result.fallbackReason})`)
+  console.log(formatText(result))
+}
+
+main().catch((err) => fail(err.message || 'Failed to write the narrative'))
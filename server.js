@@ -1,78 +1,403 @@
 import express from 'express'
-import { createServer as createViteServer } from 'vite'
-import OpenAI from 'openai'
 import { config } from 'dotenv'
 import { fileURLToPath } from 'url'
 import { dirname, join } from 'path'
+import { geocode, suggest, route, isCoordinatePair, PROFILES } from './server/mapbox.js'
+import { sendError } from './server/http.js'
+import { isSupportedLanguage } from './src/lib/languages.js'
+import { generateNarrative, streamNarrative } from './server/prose/generate.js'
+import { rewriteSpan } from './server/prose/span.js'
+import { tripTiming, isLocalTime } from './server/timing.js'
+import { findLandmarks } from './server/landmarks/index.js'
+import { createOriginsRouter } from './server/origins.js'
+import { createNarrativesRouter } from './server/narratives.js'
+import { createTemplatesRouter } from './server/templates.js'
+import { createSharesRouter, sharePage } from './server/shares.js'
+import { readExportInput, buildExport, exportFilename } from './server/export/index.js'
+import { authenticate, createAuthRouter } from './server/auth.js'
+import { rateLimit, generationLimits, lookupLimits, checkProseSize } from './server/limits.js'
+import { requireQuota, usageRecorder, createUsageRouter } from './server/usage.js'
+import { readNarrativeRequest, narrate } from './server/pipeline.js'
+import { createCacheRouter } from './server/cache.js'
 
 config({ path: '.env.local' })
 
 const __dirname = dirname(fileURLToPath(import.meta.url))
-const app = express()
-app.use(express.json())
+const MAX_SPAN_TEXT = 10000
+const MAX_LANDMARKS = 50
 
-const isProd = process.env.NODE_ENV === 'production'
+// Cached lookups are skipped with ?refresh=1 on GET routes, or "refresh": true in a POST body
+function wantsRefresh(req) {
+  return req.query.refresh === '1' || req.query.refresh === 'true' || req.body?.refresh === true
+}
+
+// Landmark hints from /api/landmarks: [{ maneuver, name, category? }]
+function validateLandmarks(landmarks) {
+  return (
+    Array.isArray(landmarks) &&
+    landmarks.length <= MAX_LANDMARKS &&
+    landmarks.every(
+      (l) =>
+        Number.isInteger(l?.maneuver) &&
+        l.maneuver >= 0 &&
+        typeof l.name === 'string' &&
+        l.name.length <= 120 &&
+        (l.category === undefined || typeof l.category === 'string'),
+    )
+  )
+}
+
+function validateProseRequest({ maneuvers, legs, language, template, units, stepDistances, landmarks }) {
+  if (!maneuvers || !Array.isArray(maneuvers) || maneuvers.length === 0) {
+    return 'Maneuvers are required'
+  }
+  if (maneuvers.some((m) => typeof m !== 'string')) {
+    return 'Maneuvers must be strings'
+  }
+  if (legs !== undefined && !Array.isArray(legs)) {
+    return 'legs must be a list'
+  }
+  if (Array.isArray(legs) && legs.some((leg) => !Array.isArray(leg?.maneuvers) || leg.maneuvers.length === 0)) {
+    return 'Each leg needs at least one maneuver'
+  }
+  if (language !== undefined && !isSupportedLanguage(language)) {
+    return `Unsupported language "${language}"`
+  }
+  if (template !== undefined && typeof template !== 'string') {
+    return 'template must be a template id'
+  }
+  if (units !== undefined && units !== 'imperial' && units !== 'metric') {
+    return 'units must be "imperial" or "metric"'
+  }
+  if (stepDistances !== undefined && typeof stepDistances !== 'boolean') {
+    return 'stepDistances must be true or false'
+  }
+  if (landmarks !== undefined && !validateLandmarks(landmarks)) {
+    return `landmarks must be a list of up to ${MAX_LANDMARKS} { maneuver, name, category }`
+  }
+  return null
+}
 
-async function createServer() {
-  app.post('/api/generate-prose', async (req, res) => {
+// The span of /api/generate-prose/span: maneuver indexes into the flat maneuver list, and the text around it
+function validateSpanRequest({ maneuvers, legs, start, end, text, before, after }) {
+  const count = Array.isArray(legs) && legs.length > 0 ? legs.flatMap((leg) => leg.maneuvers).length : maneuvers.length
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start || end >= count) {
+    return 'start and end must be maneuver indexes with start <= end'
+  }
+  if (typeof text !== 'string' || [before, after].some((s) => s !== undefined && typeof s !== 'string')) {
+    return 'text, before and after must be strings'
+  }
+  if ([text, before, after].some((s) => s && s.length > MAX_SPAN_TEXT)) {
+    return `text, before and after can be up to ${MAX_SPAN_TEXT} characters each`
+  }
+  return null
+}
+
+// A new app with every route mounted; the tests (test/support/app.js) listen on it themselves.
+// The built client in dist/ is served in production; otherwise Vite serves it, unless `vite` is
+// false (the tests only need the API).
+export async function createServer({ vite: withVite = process.env.NODE_ENV !== 'production' } = {}) {
+  const app = express()
+  // Behind a reverse proxy, TRUST_PROXY (e.g. 1, or "loopback") makes req.ip the client's address
+  const trustProxy = process.env.TRUST_PROXY
+  if (trustProxy) app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy)
+  app.use(express.json({ limit: process.env.MAX_BODY_SIZE || '1mb' }))
+
+  // Everything under /api past this point needs a session or API key when auth is configured
+  app.use('/api/auth', createAuthRouter())
+  app.use('/api', authenticate)
+
+  // Routes that spend LLM tokens or paid lookups: per-minute limits, and the monthly token quota
+  const limitGeneration = rateLimit({ name: 'generation' }, generationLimits)
+  const limitLookups = rateLimit({ name: 'lookups' }, lookupLimits)
+  const guardGeneration = [limitGeneration, requireQuota]
+
+  app.get('/api/geocode', limitLookups, async (req, res) => {
     try {
-      const { maneuvers } = req.body
-      const apiKey = process.env.OPENAI_API_KEY
+      const q = String(req.query.q || '').trim()
+      if (!q) return res.status(400).json({ error: 'Query is required' })
+      const place = await geocode(q, { country: req.query.country || undefined, refresh: wantsRefresh(req) })
+      if (!place) return res.status(404).json({ error: `No match found for "${q}"` })
+      res.json(place)
+    } catch (err) {
+      console.error('Geocode error:', err)
+      sendError(res, err, 'Failed to geocode address')
+    }
+  })
 
-      if (!apiKey) {
-        return res.status(500).json({ error: 'OPENAI_API_KEY is not configured' })
+  app.get('/api/suggest', limitLookups, async (req, res) => {
+    try {
+      const q = String(req.query.q || '').trim()
+      if (q.length < 3) return res.json({ suggestions: [] })
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 5, 1), 10)
+      const suggestions = await suggest(q, { country: req.query.country || undefined, limit, refresh: wantsRefresh(req) })
+      res.json({ suggestions })
+    } catch (err) {
+      console.error('Suggest error:', err)
+      sendError(res, err, 'Failed to load suggestions')
+    }
+  })
+
+  app.post('/api/route', limitLookups, async (req, res) => {
+    try {
+      const { coordinates, profile = 'driving', exclude = [], alternatives = false, language } = req.body
+      if (!Object.hasOwn(PROFILES, profile)) {
+        return res.status(400).json({ error: `Unknown travel mode "${profile}"` })
+      }
+      if (!Array.isArray(coordinates) || coordinates.length < 2 || !coordinates.every(isCoordinatePair)) {
+        return res.status(400).json({ error: 'At least two [lng, lat] coordinates are required' })
+      }
+      if (coordinates.length > PROFILES[profile].maxPoints) {
+        return res.status(400).json({ error: `A ${profile} route can have at most ${PROFILES[profile].maxPoints} points` })
+      }
+      if (!Array.isArray(exclude) || exclude.some((e) => typeof e !== 'string')) {
+        return res.status(400).json({ error: 'exclude must be a list such as ["toll", "ferry"]' })
       }
+      if (language !== undefined && !isSupportedLanguage(language)) {
+        return res.status(400).json({ error: `Unsupported language "${language}"` })
+      }
+      const result = await route(coordinates, {
+        profile,
+        exclude,
+        alternatives: alternatives === true,
+        language,
+        refresh: wantsRefresh(req),
+      })
+      if (!result) return res.status(404).json({ error: 'No route found between these locations.' })
+      res.json(result)
+    } catch (err) {
+      console.error('Route error:', err)
+      sendError(res, err, 'Failed to fetch route')
+    }
+  })
 
-      if (!maneuvers || !Array.isArray(maneuvers) || maneuvers.length === 0) {
-        return res.status(400).json({ error: 'Maneuvers are required' })
+  // Recommended departure for an arrive-by time, or the arrival for a depart-at time, with traffic.
+  // Times are local "YYYY-MM-DDThh:mm" at the origin; walkSeconds allows for a walk after parking.
+  app.post('/api/route/timing', limitLookups, async (req, res) => {
+    try {
+      const { coordinates, exclude = [], departAt, arriveBy, walkSeconds = 0 } = req.body
+      if (!Array.isArray(coordinates) || coordinates.length < 2 || !coordinates.every(isCoordinatePair)) {
+        return res.status(400).json({ error: 'At least two [lng, lat] coordinates are required' })
       }
+      if (coordinates.length > PROFILES.driving.maxPoints) {
+        return res.status(400).json({ error: `A driving route can have at most ${PROFILES.driving.maxPoints} points` })
+      }
+      if (!Array.isArray(exclude) || exclude.some((e) => typeof e !== 'string')) {
+        return res.status(400).json({ error: 'exclude must be a list such as ["toll", "ferry"]' })
+      }
+      if (!departAt === !arriveBy || ![departAt, arriveBy].filter(Boolean).every(isLocalTime)) {
+        return res.status(400).json({ error: 'Give either departAt or arriveBy as a local time like 2025-06-01T17:30' })
+      }
+      if (typeof walkSeconds !== 'number' || !(walkSeconds >= 0)) {
+        return res.status(400).json({ error: 'walkSeconds must be a number of seconds' })
+      }
+      res.json(await tripTiming(coordinates, { exclude, departAt, arriveBy, walkSeconds }))
+    } catch (err) {
+      console.error('Timing error:', err)
+      sendError(res, err, 'Failed to work out the trip timing')
+    }
+  })
 
-      const openai = new OpenAI({ apiKey })
-      const maneuversText = maneuvers.join('\n')
-
-      const completion = await openai.chat.completions.create({
-        model: 'gpt-4o-mini',
-        messages: [
-          {
-            role: 'system',
-            content: `Provide a concise, factual, and professional narrative of these directions. Avoid flowery language or conversational filler. Focus only on the sequence of roads and maneuvers. Write as a single flowing paragraph of prose. Do not use numbered lists, bullet points, or line breaks between steps.`,
-          },
-          {
-            role: 'user',
-            content: `Convert these turn-by-turn directions into friendly prose:\n\n${maneuversText}`,
-          },
-        ],
-        temperature: 0.7,
-      })
+  // Points of interest near the route's turns, for the narrative to mention. legs are the prose legs
+  // with their steps, as sent to /api/generate-prose.
+  app.post('/api/landmarks', limitLookups, async (req, res) => {
+    try {
+      const { legs, language } = req.body
+      if (!Array.isArray(legs) || legs.length === 0 || legs.some((leg) => !Array.isArray(leg?.steps))) {
+        return res.status(400).json({ error: 'legs with their steps are required' })
+      }
+      if (language !== undefined && !isSupportedLanguage(language)) {
+        return res.status(400).json({ error: `Unsupported language "${language}"` })
+      }
+      res.json({ landmarks: await findLandmarks(legs, { language }) })
+    } catch (err) {
+      console.error('Landmarks error:', err)
+      sendError(res, err, 'Failed to look up landmarks')
+    }
+  })
+
+  // Narrative as a downloadable document: docx, rtf, html or pdf
+  app.post('/api/export/:format', async (req, res) => {
+    try {
+      const doc = readExportInput(req.body || {})
+      const { contentType, data } = await buildExport(req.params.format, doc)
+      res.set('Content-Type', contentType)
+      res.set('Content-Disposition', `attachment; filename="${exportFilename(doc.title, req.params.format)}"`)
+      res.send(data)
+    } catch (err) {
+      console.error('Export error:', err)
+      sendError(res, err, 'Failed to build the document')
+    }
+  })
+
+  app.use('/api/origins', createOriginsRouter())
+  app.use('/api/narratives', createNarrativesRouter())
+  // Rendering a preview is free; only generating from it is limited
+  app.post('/api/templates/preview', (req, res, next) => next(req.body?.generate ? undefined : 'route'), guardGeneration)
+  app.use('/api/templates', createTemplatesRouter())
+  app.use('/api/shares', createSharesRouter())
+  app.use('/api/usage', createUsageRouter())
+  app.use('/api/cache', createCacheRouter())
+
+  // Short link: a read-only copy of a shared narrative (see server/shares.js)
+  app.get('/r/:id', async (req, res) => {
+    try {
+      const { status, html } = await sharePage(req.params.id)
+      res.status(status).type('html').send(html)
+    } catch (err) {
+      console.error('Share page error:', err)
+      res.status(500).type('text').send('Failed to load this link')
+    }
+  })
+
+  app.post('/api/generate-prose', guardGeneration, async (req, res) => {
+    try {
+      const { maneuvers, legs, mode, verify, travelMode, language, template, units, stepDistances, landmarks } = req.body
+      const invalid = validateProseRequest(req.body)
+      if (invalid) return res.status(400).json({ error: invalid })
+      checkProseSize(req.body)
 
-      const prose = completion.choices[0]?.message?.content?.trim() || ''
-      res.json({ prose })
+      res.json(
+        await generateNarrative(
+          { maneuvers, legs, travelMode, language, units, stepDistances, landmarks },
+          { mode, verify: verify !== false, refresh: wantsRefresh(req), templateId: template, onUsage: usageRecorder(req) },
+        ),
+      )
     } catch (err) {
       console.error('Prose generation error:', err)
-      res.status(500).json({
-        error: err.message || 'Failed to generate prose',
-      })
+      sendError(res, err, 'Failed to generate prose')
     }
   })
 
-  if (isProd) {
-    app.use(express.static(join(__dirname, 'dist')))
-    app.use((req, res) => {
-      res.sendFile(join(__dirname, 'dist', 'index.html'))
+  // Rewrites the sentences covering maneuvers start..end of an edited narrative
+  app.post('/api/generate-prose/span', guardGeneration, async (req, res) => {
+    try {
+      const {
+        maneuvers,
+        legs,
+        mode,
+        travelMode,
+        language,
+        template,
+        units,
+        stepDistances,
+        landmarks,
+        start,
+        end,
+        text,
+        before,
+        after,
+      } = req.body
+      const invalid = validateProseRequest(req.body) || validateSpanRequest(req.body)
+      if (invalid) return res.status(400).json({ error: invalid })
+      checkProseSize(req.body)
+
+      res.json(
+        await rewriteSpan(
+          { maneuvers, legs, travelMode, language, units, stepDistances, landmarks },
+          { start, end, text, before, after },
+          { mode, templateId: template, onUsage: usageRecorder(req) },
+        ),
+      )
+    } catch (err) {
+      console.error('Span rewrite error:', err)
+      sendError(res, err, 'Failed to rewrite that part of the narrative')
+    }
+  })
+
+  // The whole pipeline in one call, for other systems: places as addresses or coordinates in, the
+  // narrative, maneuvers, summary and map links out (see server/pipeline.js for the body)
+  app.post('/api/narrative', guardGeneration, async (req, res) => {
+    const controller = new AbortController()
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort()
     })
-  } else {
+    try {
+      const request = readNarrativeRequest(req.body || {})
+      res.json(await narrate(request, { signal: controller.signal, onUsage: usageRecorder(req) }))
+    } catch (err) {
+      if (controller.signal.aborted) return
+      console.error('Narrative error:', err)
+      sendError(res, err, 'Failed to write the narrative')
+    }
+  })
+
+  // Server-Sent Events: `token` events carry text as it is generated, then one `done` event with
+  // the same payload as /api/generate-prose, or an `error` event with the partial text.
+  app.post('/api/generate-prose/stream', guardGeneration, async (req, res) => {
+    const { maneuvers, legs, mode, verify, travelMode, language, template, units, stepDistances, landmarks } = req.body
+    const invalid = validateProseRequest(req.body)
+    if (invalid) return res.status(400).json({ error: invalid })
+    try {
+      checkProseSize(req.body)
+    } catch (err) {
+      return sendError(res, err, 'The route is too large')
+    }
+
+    const controller = new AbortController()
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort()
+    })
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    })
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+
+    try {
+      const result = await streamNarrative(
+        { maneuvers, legs, travelMode, language, units, stepDistances, landmarks },
+        {
+          mode,
+          verify: verify !== false,
+          refresh: wantsRefresh(req),
+          templateId: template,
+          signal: controller.signal,
+          onToken: (text) => send('token', { text }),
+          onUsage: usageRecorder(req),
+        },
+      )
+      send('done', result)
+    } catch (err) {
+      if (controller.signal.aborted) return
+      console.error('Prose streaming error:', err)
+      send('error', { error: err.message || 'Failed to generate prose', partial: err.partial || '' })
+    }
+    res.end()
+  })
+
+  if (withVite) {
+    // Loaded only when needed, so production and the tests never start Vite
+    const { createServer: createViteServer } = await import('vite')
     const vite = await createViteServer({
       server: { middlewareMode: true },
     })
     app.use(vite.middlewares)
+  } else {
+    app.use(express.static(join(__dirname, 'dist')))
+    app.use((req, res) => {
+      res.sendFile(join(__dirname, 'dist', 'index.html'))
+    })
   }
 
+  // Bodies express.json() couldn't take: too large, or not JSON
+  app.use((err, req, res, next) => {
+    if (err.type === 'entity.too.large') {
+      return res.status(413).json({ error: `The request is too large (the limit is ${err.limit} bytes)` })
+    }
+    if (err.type === 'entity.parse.failed') return res.status(400).json({ error: 'The request body is not valid JSON' })
+    next(err)
+  })
+
   return app
 }
 
-createServer().then((app) => {
-  const port = process.env.PORT || 5173
-  app.listen(port, () => {
-    console.log(`Server running on port ${port}`)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  createServer().then((app) => {
+    const port = process.env.PORT || 5173
+    app.listen(port, () => {
+      console.log(`Server running on port ${port}`)
+    })
   })
-})
+}
@@ -0,0 +1,153 @@
+// Optional access control for /api. APP_PASSWORD turns on a sign-in for the web app (a signed
+// session cookie); API_KEYS ("name:key,name:key") lets scripts call the API with
+// `Authorization: Bearer <key>` or an `X-API-Key` header. With neither set the API stays open.
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto'
+import { Router } from 'express'
+import { httpError, sendError } from './http.js'
+import { rateLimit } from './limits.js'
+
+const SESSION_COOKIE = 'session'
+const SESSION_DAYS = 30
+// Without SESSION_SECRET, sessions last until the server restarts
+let generatedSecret = null
+
+function sessionSecret() {
+  return process.env.SESSION_SECRET || (generatedSecret ??= randomBytes(32).toString('hex'))
+}
+
+// Compares digests so neither the length nor the content leaks through timing
+function safeEqual(a, b) {
+  const digest = (s) => createHash('sha256').update(String(s)).digest()
+  return timingSafeEqual(digest(a), digest(b))
+}
+
+export function loadAuthConfig(env = process.env) {
+  const keys = (env.API_KEYS || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const at = entry.indexOf(':')
+      return at > 0 ? { name: entry.slice(0, at), key: entry.slice(at + 1) } : { name: 'default', key: entry }
+    })
+  return { password: env.APP_PASSWORD || '', keys }
+}
+
+function isRequired(config) {
+  return !!config.password || config.keys.length > 0
+}
+
+function signSession(expires) {
+  return createHmac('sha256', sessionSecret()).update(`session:${expires}`).digest('base64url')
+}
+
+function sessionToken(now = Date.now()) {
+  const expires = now + SESSION_DAYS * 86400000
+  return `${expires}.${signSession(expires)}`
+}
+
+function isValidSession(token, now = Date.now()) {
+  const [expires, signature] = String(token || '').split('.')
+  return Number(expires) > now && !!signature && safeEqual(signature, signSession(expires))
+}
+
+function readCookies(header = '') {
+  const cookies = {}
+  for (const part of header.split(';')) {
+    const at = part.indexOf('=')
+    if (at < 0) continue
+    const value = part.slice(at + 1).trim()
+    try {
+      cookies[part.slice(0, at).trim()] = decodeURIComponent(value)
+    } catch {
+      cookies[part.slice(0, at).trim()] = value
+    }
+  }
+  return cookies
+}
+
+function presentedKey(req) {
+  const bearer = req.get('authorization')?.match(/^Bearer\s+(.+)$/i)?.[1]
+  return (bearer || req.get('x-api-key') || '').trim()
+}
+
+// { kind: 'key' | 'session' | 'anonymous', id, ip }. id is what per-key limits and quotas count
+// against: the key's name, or the client IP for the web app and open servers.
+function identify(req, config) {
+  const ip = req.ip || 'unknown'
+  const key = presentedKey(req)
+  if (key) {
+    // Every entry is compared, so the position of a match doesn't show in the timing
+    const match = config.keys.reduce((found, entry) => (safeEqual(entry.key, key) ? entry : found), null)
+    if (!match) throw httpError(401, 'Invalid API key')
+    return { kind: 'key', id: `key:${match.name}`, ip }
+  }
+  if (config.password && isValidSession(readCookies(req.get('cookie'))[SESSION_COOKIE])) {
+    return { kind: 'session', id: `ip:${ip}`, ip }
+  }
+  if (isRequired(config)) throw httpError(401, 'Sign in or send an API key to use this server')
+  return { kind: 'anonymous', id: `ip:${ip}`, ip }
+}
+
+// Sets req.identity, or answers 401 when the server requires sign-in
+export function authenticate(req, res, next) {
+  try {
+    req.identity = identify(req, loadAuthConfig())
+  } catch (err) {
+    return sendError(res, err, 'Not signed in')
+  }
+  next()
+}
+
+// For routes that change the server for everyone: only signed-in users and API keys, so on a
+// server without APP_PASSWORD or API_KEYS they are turned off
+export function requireSignIn(req, res, next) {
+  if (req.identity?.kind === 'key' || req.identity?.kind === 'session') return next()
+  sendError(res, httpError(403, 'Only signed-in users and API keys can do this; set APP_PASSWORD or API_KEYS to allow it'))
+}
+
+function setSessionCookie(req, res, value, maxAgeSeconds) {
+  const attributes = [`${SESSION_COOKIE}=${value}`, 'Path=/', 'HttpOnly', 'SameSite=Lax', `Max-Age=${maxAgeSeconds}`]
+  if (req.secure) attributes.push('Secure')
+  res.set('Set-Cookie', attributes.join('; '))
+}
+
+export function createAuthRouter() {
+  const router = Router()
+
+  // { required, authenticated, passwordLogin }
+  router.get('/session', (req, res) => {
+    const config = loadAuthConfig()
+    let authenticated = false
+    try {
+      authenticated = identify(req, config).kind !== 'anonymous'
+    } catch {
+      // Not signed in
+    }
+    res.json({ required: isRequired(config), authenticated, passwordLogin: !!config.password })
+  })
+
+  // Wrong passwords count against a tight per-IP limit; signing in successfully costs nothing
+  const limitFailures = rateLimit({ name: 'login', perIp: 10, perKey: 0, countIf: (res) => res.statusCode === 401 })
+  router.post('/login', limitFailures, (req, res) => {
+    try {
+      const { password } = req.body || {}
+      const config = loadAuthConfig()
+      if (!config.password) throw httpError(404, 'Password sign-in is not enabled on this server')
+      if (typeof password !== 'string' || !safeEqual(password, config.password)) {
+        throw httpError(401, 'Wrong password')
+      }
+      setSessionCookie(req, res, sessionToken(), SESSION_DAYS * 86400)
+      res.status(204).end()
+    } catch (err) {
+      sendError(res, err, 'Failed to sign in')
+    }
+  })
+
+  router.post('/logout', (req, res) => {
+    setSessionCookie(req, res, '', 0)
+    res.status(204).end()
+  })
+
+  return router
+}
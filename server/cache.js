@@ -0,0 +1,194 @@
+// Caches for Mapbox lookups and generated prose: an in-memory LRU per kind, optionally backed by
+// files under DATA_DIR/cache so entries outlive a restart. CACHE_<KIND>_TTL is how long entries of
+// a kind last, in seconds (0 turns that cache off); CACHE_MAX_ENTRIES caps each in-memory LRU; and
+// CACHE_DISK=true adds the on-disk store. Any lookup can skip the cache with `refresh`, which
+// fetches anew and replaces the stored entry.
+import { createHash } from 'crypto'
+import { readFile, writeFile, rename, mkdir, rm } from 'fs/promises'
+import { join } from 'path'
+import { Router } from 'express'
+import { dataDir } from './store.js'
+import { httpError, sendError } from './http.js'
+import { requireSignIn } from './auth.js'
+
+const HOUR = 3600
+const DEFAULT_TTLS = {
+  geocode: 30 * 24 * HOUR,
+  suggest: 24 * HOUR,
+  route: 6 * HOUR,
+  // driving-traffic routes, which go stale as traffic changes
+  traffic: 300,
+  prose: 7 * 24 * HOUR,
+}
+const DEFAULT_MAX_ENTRIES = 500
+
+const caches = new Map()
+
+function readSeconds(value, fallback) {
+  const n = Number(value)
+  return value !== undefined && value !== '' && Number.isFinite(n) && n >= 0 ? n : fallback
+}
+
+function loadCacheConfig(kind, env = process.env) {
+  return {
+    ttlMs: readSeconds(env[`CACHE_${kind.toUpperCase()}_TTL`], DEFAULT_TTLS[kind]) * 1000,
+    maxEntries: Math.max(1, Math.round(readSeconds(env.CACHE_MAX_ENTRIES, DEFAULT_MAX_ENTRIES))),
+    disk: env.CACHE_DISK === 'true' || env.CACHE_DISK === '1',
+  }
+}
+
+// Keys are hashed for file names and so long prompts don't sit in memory twice
+export function cacheKey(...parts) {
+  return createHash('sha256').update(JSON.stringify(parts)).digest('hex')
+}
+
+// Free-text queries that differ only in case and spacing share an entry
+export function normalizeQuery(query) {
+  return String(query).trim().toLowerCase().replace(/\s+/g, ' ')
+}
+
+// [lng, lat] pairs rounded to about a meter, so the same spot picked twice shares an entry
+export function roundCoordinates(points, digits = 5) {
+  return points.map((point) => point.map((n) => Number(n.toFixed(digits))))
+}
+
+function createCache(kind, { ttlMs, maxEntries, disk }) {
+  // Map order is recency order: reads move an entry to the end, evictions take from the front
+  const entries = new Map()
+  const pending = new Map()
+  const stats = { hits: 0, diskHits: 0, misses: 0, refreshes: 0, evictions: 0 }
+  const dir = join(dataDir(), 'cache', kind)
+
+  function remember(key, entry) {
+    entries.delete(key)
+    entries.set(key, entry)
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value)
+      stats.evictions++
+    }
+  }
+
+  async function readDisk(key) {
+    try {
+      const entry = JSON.parse(await readFile(join(dir, `${key}.json`), 'utf8'))
+      return entry.expiresAt > Date.now() ? entry : null
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`Cache "${kind}" read error:`, err.message)
+      return null
+    }
+  }
+
+  async function writeDisk(key, entry) {
+    try {
+      await mkdir(dir, { recursive: true })
+      const path = join(dir, `${key}.json`)
+      const tmp = `${path}.${process.pid}.tmp`
+      await writeFile(tmp, JSON.stringify(entry))
+      await rename(tmp, path)
+    } catch (err) {
+      console.error(`Cache "${kind}" write error:`, err.message)
+    }
+  }
+
+  async function lookup(key) {
+    const entry = entries.get(key)
+    if (entry && entry.expiresAt > Date.now()) {
+      remember(key, entry)
+      stats.hits++
+      return entry
+    }
+    if (entry) entries.delete(key)
+    if (disk) {
+      const stored = await readDisk(key)
+      if (stored) {
+        remember(key, stored)
+        stats.diskHits++
+        return stored
+      }
+    }
+    return null
+  }
+
+  async function store(key, value) {
+    const entry = { expiresAt: Date.now() + ttlMs, value }
+    remember(key, entry)
+    if (disk) await writeDisk(key, entry)
+  }
+
+  return {
+    // Resolves to load()'s value, from the cache when there is a fresh entry. Values for which
+    // shouldStore returns false (and null) are passed through without being kept. Identical
+    // lookups already in flight share one load.
+    async wrap(key, load, { refresh = false, shouldStore = () => true } = {}) {
+      if (ttlMs === 0) return load()
+      if (!refresh) {
+        const entry = await lookup(key)
+        if (entry) return structuredClone(entry.value)
+        if (pending.has(key)) {
+          stats.hits++
+          return structuredClone(await pending.get(key))
+        }
+      }
+      stats[refresh ? 'refreshes' : 'misses']++
+      const loading = (async () => {
+        const value = await load()
+        if (value != null && shouldStore(value)) await store(key, value)
+        return value
+      })()
+      pending.set(key, loading)
+      try {
+        return structuredClone(await loading)
+      } finally {
+        if (pending.get(key) === loading) pending.delete(key)
+      }
+    },
+
+    stats() {
+      const lookups = stats.hits + stats.diskHits + stats.misses
+      return {
+        ...stats,
+        hitRate: lookups ? Number(((stats.hits + stats.diskHits) / lookups).toFixed(3)) : null,
+        entries: entries.size,
+        maxEntries,
+        ttlSeconds: ttlMs / 1000,
+        disk,
+      }
+    },
+
+    async clear() {
+      entries.clear()
+      if (disk) await rm(dir, { recursive: true, force: true })
+    },
+  }
+}
+
+export function getCache(kind) {
+  if (!Object.hasOwn(DEFAULT_TTLS, kind)) throw new Error(`Unknown cache "${kind}"`)
+  if (!caches.has(kind)) caches.set(kind, createCache(kind, loadCacheConfig(kind)))
+  return caches.get(kind)
+}
+
+// GET: hit/miss stats for every cache. DELETE (optionally ?kind=route): empties caches; it needs a
+// session or API key.
+export function createCacheRouter() {
+  const router = Router()
+  const kinds = Object.keys(DEFAULT_TTLS)
+
+  router.get('/', (req, res) => {
+    res.json({ caches: Object.fromEntries(kinds.map((kind) => [kind, getCache(kind).stats()])) })
+  })
+
+  router.delete('/', requireSignIn, async (req, res) => {
+    try {
+      const { kind } = req.query
+      if (kind !== undefined && !kinds.includes(kind)) throw httpError(400, `kind must be one of ${kinds.join(', ')}`)
+      await Promise.all((kind ? [kind] : kinds).map((k) => getCache(k).clear()))
+      res.status(204).end()
+    } catch (err) {
+      console.error('Clear cache error:', err)
+      sendError(res, err, 'Failed to clear the cache')
+    }
+  })
+
+  return router
+}
@@ -0,0 +1,48 @@
+import { Document, Packer, Paragraph, TextRun, ExternalHyperlink, ImageRun } from 'docx'
+import { pinPng, PIN_COLOR } from './pin.js'
+import { routeMapPng } from './routeMap.js'
+
+// Route overview at 5 inches wide (docx sizes images in 96 dpi pixels)
+function routeMapParagraph(map) {
+  const png = routeMapPng(map)
+  const width = 480
+  return new Paragraph({
+    spacing: { after: 200 },
+    children: [
+      new ImageRun({ type: 'png', data: png.data, transformation: { width, height: Math.round((width * png.height) / png.width) } }),
+    ],
+  })
+}
+
+export async function buildDocx({ title, paragraphs, links, map }) {
+  const png = pinPng()
+  const doc = new Document({
+    title,
+    styles: {
+      default: { document: { run: { font: 'Arial', size: 20 } } },
+    },
+    sections: [
+      {
+        children: [
+          ...paragraphs.map((text) => new Paragraph({ spacing: { after: 200 }, children: [new TextRun(text)] })),
+          ...(map ? [routeMapParagraph(map)] : []),
+          ...links.map(
+            (link) =>
+              new Paragraph({
+                children: [
+                  new ImageRun({ type: 'png', data: png.data, transformation: { width: 9, height: 13 } }),
+                  new TextRun(' ['),
+                  new ExternalHyperlink({
+                    link: link.url,
+                    children: [new TextRun({ text: link.label, color: PIN_COLOR.slice(1), underline: {} })],
+                  }),
+                  new TextRun(']'),
+                ],
+              }),
+          ),
+        ],
+      },
+    ],
+  })
+  return Packer.toBuffer(doc)
+}
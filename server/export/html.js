@@ -0,0 +1,30 @@
+import { pinSvg, PIN_COLOR } from './pin.js'
+import { routeMapSvg } from '../../src/lib/routeMap.js'
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+// Narrative paragraphs and map links as an HTML fragment, styled inline so it survives pasting
+export function narrativeHtmlFragment({ paragraphs, links, map }) {
+  const body = paragraphs.map((p) => `<p style="margin:0 0 10pt">${escapeHtml(p)}</p>`)
+  if (map) body.push(`<div style="margin:0 0 10pt;max-width:100%">${routeMapSvg(map)}</div>`)
+  const linkLines = links.map(
+    (link) =>
+      `<p style="margin:0">${pinSvg()} [<a href="${escapeHtml(link.url)}" style="color:${PIN_COLOR}">${escapeHtml(link.label)}</a>]</p>`,
+  )
+  return `<div style="font-family:Arial,sans-serif;font-size:10pt">${body.join('')}${linkLines.join('')}</div>`
+}
+
+export function buildHtml(doc) {
+  const html = [
+    '<!doctype html>',
+    `<html lang="${escapeHtml(doc.language || 'en')}"><head><meta charset="UTF-8"><title>${escapeHtml(doc.title)}</title></head>`,
+    `<body style="max-width:48rem;margin:2rem auto">${narrativeHtmlFragment(doc)}</body></html>`,
+  ].join('\n')
+  return Buffer.from(html, 'utf8')
+}
@@ -0,0 +1,46 @@
+// Downloadable narrative documents. Every format is built from the same
+// { title, language, paragraphs, links, map } so they all carry the same text, links and route overview.
+import { httpError } from '../http.js'
+import { DEFAULT_LANGUAGE, isSupportedLanguage } from '../../src/lib/languages.js'
+import { readRouteMap } from './routeMap.js'
+import { buildDocx } from './docx.js'
+import { buildRtf } from './rtf.js'
+import { buildHtml } from './html.js'
+import { buildPdf } from './pdf.js'
+
+export const EXPORT_FORMATS = {
+  docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', build: buildDocx },
+  rtf: { contentType: 'application/rtf', build: buildRtf },
+  html: { contentType: 'text/html; charset=utf-8', build: buildHtml },
+  pdf: { contentType: 'application/pdf', build: buildPdf },
+}
+
+// Body: { prose, title?, language?, links?: [{ label, url }], map? }. Blank lines in the prose separate
+// paragraphs; language is the narrative's; map is the route overview data from src/lib/routeMap.js,
+// drawn between the narrative and the links.
+export function readExportInput(body = {}) {
+  const { prose, title, language = DEFAULT_LANGUAGE, links = [] } = body
+  if (typeof prose !== 'string' || !prose.trim()) throw httpError(400, 'prose is required')
+  if (!isSupportedLanguage(language)) throw httpError(400, `Unsupported language "${language}"`)
+  if (!Array.isArray(links) || !links.every((l) => typeof l?.label === 'string' && /^https?:\/\//.test(l?.url || ''))) {
+    throw httpError(400, 'links must be an array of { label, url } with http(s) URLs')
+  }
+  return {
+    title: typeof title === 'string' && title.trim() ? title.trim() : 'Directions',
+    language,
+    paragraphs: prose.split(/\n\s*\n/).map((p) => p.trim()).filter(Boolean),
+    links,
+    map: readRouteMap(body.map),
+  }
+}
+
+export function exportFilename(title, format) {
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60)
+  return `${slug || 'directions'}.${format}`
+}
+
+export async function buildExport(format, doc) {
+  const spec = EXPORT_FORMATS[format]
+  if (!spec) throw httpError(400, `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`)
+  return { contentType: spec.contentType, data: await spec.build(doc) }
+}
@@ -0,0 +1,57 @@
+import { createRequire } from 'module'
+import { dirname, join } from 'path'
+import PDFDocument from 'pdfkit'
+import { PIN_PATH, PIN_COLOR, PIN_VIEWBOX } from './pin.js'
+import { drawRouteMapPdf } from './routeMap.js'
+import { ROUTE_MAP_SIZE } from '../../src/lib/routeMap.js'
+
+// Helvetica is the PDF standard font with Arial's metrics and needs no embedding, but it only covers
+// the WinAnsi characters (Latin-1 and a few more). Anything beyond that, like the Japanese
+// narratives, is set in an embedded Noto Sans JP, which covers Latin as well.
+const WIN_ANSI = /^[\n\r\t\u0020-\u007e\u00a0-\u00ff\u0152\u0153\u0160\u0161\u0178\u017d\u017e\u0192\u02c6\u02dc\u2013\u2014\u2018-\u201a\u201c-\u201e\u2020-\u2022\u2026\u2030\u2039\u203a\u20ac\u2122]*$/
+const UNICODE_FONT = join(
+  dirname(createRequire(import.meta.url).resolve('@expo-google-fonts/noto-sans-jp/package.json')),
+  '400Regular',
+  'NotoSansJP_400Regular.ttf',
+)
+
+function fontFor({ language, title, paragraphs, links }) {
+  const texts = [title, ...paragraphs, ...links.map((link) => link.label)]
+  return language === 'ja' || !texts.every((text) => WIN_ANSI.test(text)) ? UNICODE_FONT : 'Helvetica'
+}
+
+export function buildPdf({ title, language, paragraphs, links, map }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER', margin: 72, info: { Title: title } })
+    const chunks = []
+    doc.on('data', (chunk) => chunks.push(chunk))
+    doc.on('end', () => resolve(Buffer.concat(chunks)))
+    doc.on('error', reject)
+
+    doc.font(fontFor({ language, title, paragraphs, links })).fontSize(10).fillColor('black')
+    for (const text of paragraphs) {
+      doc.text(text, { paragraphGap: 10, lineGap: 2 })
+    }
+    if (map) {
+      const width = Math.min(360, doc.page.width - doc.page.margins.left - doc.page.margins.right)
+      if (doc.y + (width * ROUTE_MAP_SIZE.height) / ROUTE_MAP_SIZE.width > doc.page.height - doc.page.margins.bottom) doc.addPage()
+      doc.y += drawRouteMapPdf(doc, map, { x: doc.x, y: doc.y, width }) + 10
+    }
+
+    const pinHeight = 11
+    const pinWidth = (pinHeight * PIN_VIEWBOX.width) / PIN_VIEWBOX.height
+    for (const link of links) {
+      const { x, y } = doc
+      doc.save().translate(x, y - 1).scale(pinHeight / PIN_VIEWBOX.height).path(PIN_PATH).fill(PIN_COLOR, 'even-odd').restore()
+      doc
+        .fillColor('black')
+        .text('[', x + pinWidth + 3, y, { continued: true })
+        .fillColor(PIN_COLOR)
+        .text(link.label, { link: link.url, underline: true, continued: true })
+        .fillColor('black')
+        .text(']', { link: null, underline: false })
+      doc.x = x
+    }
+    doc.end()
+  })
+}
@@ -0,0 +1,54 @@
+// The red map pin shown before each map link, as SVG for HTML/PDF and as a small PNG for Word
+// formats (DOCX and RTF embed raster pictures).
+import { PIN_COLOR, PIN_PATH, PIN_VIEWBOX } from '../../src/lib/pin.js'
+import { createCanvas } from './raster.js'
+
+export { PIN_COLOR, PIN_PATH, PIN_VIEWBOX }
+
+export function pinSvg({ height = '1.2em' } = {}) {
+  return `<svg viewBox="0 0 24 36" style="height:${height};vertical-align:middle" fill="${PIN_COLOR}" aria-hidden="true"><path d="${PIN_PATH}"/></svg>`
+}
+
+// PIN_PATH's outline as a polygon (cubic segments flattened); the hole is the circle r=5 at (12, 12)
+export function pinPolygon() {
+  const segments = [
+    [[12, 0], [5.373, 0], [0, 5.373], [0, 12]],
+    [[0, 12], [0, 21], [12, 36], [12, 36]],
+    [[12, 36], [12, 36], [24, 21], [24, 12]],
+    [[24, 12], [24, 5.373], [18.627, 0], [12, 0]],
+  ]
+  const points = []
+  for (const [p0, p1, p2, p3] of segments) {
+    for (let i = 0; i < 16; i++) {
+      const t = i / 16
+      const u = 1 - t
+      points.push([0, 1].map((k) => u ** 3 * p0[k] + 3 * u * u * t * p1[k] + 3 * u * t * t * p2[k] + t ** 3 * p3[k]))
+    }
+  }
+  return points
+}
+
+let cachedPng = null
+
+// Pin outline mapped to pixels: `height` tall with its tip at (x, y)
+export function pinPixelPolygon(x, y, height) {
+  const scale = height / PIN_VIEWBOX.height
+  const left = x - (PIN_VIEWBOX.width * scale) / 2
+  const top = y - height
+  return {
+    points: pinPolygon().map(([px, py]) => [left + px * scale, top + py * scale]),
+    hole: { cx: left + 12 * scale, cy: top + 12 * scale, r: 5 * scale },
+  }
+}
+
+// Transparent PNG of the pin, `scale` pixels per viewBox unit
+export function pinPng(scale = 2) {
+  if (cachedPng?.scale === scale) return cachedPng
+  const width = PIN_VIEWBOX.width * scale
+  const height = PIN_VIEWBOX.height * scale
+  const canvas = createCanvas(width, height, { supersample: 4 })
+  const { points, hole } = pinPixelPolygon(width / 2, height, height)
+  canvas.fillPolygon(points, PIN_COLOR, { holes: [hole] })
+  cachedPng = { scale, width, height, data: canvas.toPng() }
+  return cachedPng
+}
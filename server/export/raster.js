@@ -0,0 +1,138 @@
+// Minimal software rasterizer for the PNGs embedded in DOCX/RTF exports. Shapes are painted on a
+// supersampled canvas and box-filtered down, which is enough antialiasing for small figures.
+import { deflateSync } from 'zlib'
+
+export function insidePolygon(x, y, points) {
+  let inside = false
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, yi] = points[i]
+    const [xj, yj] = points[j]
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside
+  }
+  return inside
+}
+
+function distanceToSegment(x, y, [x1, y1], [x2, y2]) {
+  const dx = x2 - x1
+  const dy = y2 - y1
+  const t = dx || dy ? Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / (dx * dx + dy * dy))) : 0
+  return Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy))
+}
+
+function parseColor(hex) {
+  return [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16))
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  return c >>> 0
+})
+
+function crc32(buffer) {
+  let c = 0xffffffff
+  for (const byte of buffer) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8)
+  return (c ^ 0xffffffff) >>> 0
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4)
+  length.writeUInt32BE(data.length)
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data])
+  const crc = Buffer.alloc(4)
+  crc.writeUInt32BE(crc32(body))
+  return Buffer.concat([length, body, crc])
+}
+
+// RGBA pixels (width * height * 4 bytes, no filter bytes) to a PNG file
+export function encodePng(width, height, pixels) {
+  const raw = Buffer.alloc(height * (1 + width * 4))
+  for (let y = 0; y < height; y++) {
+    pixels.copy(raw, y * (1 + width * 4) + 1, y * width * 4, (y + 1) * width * 4)
+  }
+  const header = Buffer.alloc(13)
+  header.writeUInt32BE(width, 0)
+  header.writeUInt32BE(height, 4)
+  header.set([8, 6, 0, 0, 0], 8) // 8-bit RGBA
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ])
+}
+
+// Coordinates passed to the drawing methods are in output pixels
+export function createCanvas(width, height, { supersample = 3 } = {}) {
+  const ss = supersample
+  const w = width * ss
+  const h = height * ss
+  const pixels = Buffer.alloc(w * h * 4)
+
+  // Paints every sample whose centre passes `test`, within the given bounding box
+  const fill = ([minX, minY, maxX, maxY], color, test) => {
+    const [r, g, b] = parseColor(color)
+    const x0 = Math.max(0, Math.floor(minX * ss))
+    const y0 = Math.max(0, Math.floor(minY * ss))
+    const x1 = Math.min(w - 1, Math.ceil(maxX * ss))
+    const y1 = Math.min(h - 1, Math.ceil(maxY * ss))
+    for (let sy = y0; sy <= y1; sy++) {
+      for (let sx = x0; sx <= x1; sx++) {
+        if (test((sx + 0.5) / ss, (sy + 0.5) / ss)) pixels.set([r, g, b, 255], (sy * w + sx) * 4)
+      }
+    }
+  }
+
+  return {
+    fillRect(color) {
+      fill([0, 0, width, height], color, () => true)
+    },
+    fillCircle(cx, cy, radius, color) {
+      fill([cx - radius, cy - radius, cx + radius, cy + radius], color, (x, y) => (x - cx) ** 2 + (y - cy) ** 2 <= radius * radius)
+    },
+    // holes: circles { cx, cy, r } left unpainted
+    fillPolygon(points, color, { holes = [] } = {}) {
+      const xs = points.map((p) => p[0])
+      const ys = points.map((p) => p[1])
+      fill(
+        [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)],
+        color,
+        (x, y) => insidePolygon(x, y, points) && !holes.some((c) => (x - c.cx) ** 2 + (y - c.cy) ** 2 < c.r * c.r),
+      )
+    },
+    strokePolyline(points, lineWidth, color) {
+      const half = lineWidth / 2
+      for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1]
+        const b = points[i]
+        fill(
+          [Math.min(a[0], b[0]) - half, Math.min(a[1], b[1]) - half, Math.max(a[0], b[0]) + half, Math.max(a[1], b[1]) + half],
+          color,
+          (x, y) => distanceToSegment(x, y, a, b) <= half,
+        )
+      }
+    },
+    // Box-filters the samples down to width x height, averaging colour by coverage
+    toPng() {
+      const out = Buffer.alloc(width * height * 4)
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const sum = [0, 0, 0, 0]
+          for (let dy = 0; dy < ss; dy++) {
+            for (let dx = 0; dx < ss; dx++) {
+              const i = ((y * ss + dy) * w + x * ss + dx) * 4
+              const alpha = pixels[i + 3]
+              sum[0] += pixels[i] * alpha
+              sum[1] += pixels[i + 1] * alpha
+              sum[2] += pixels[i + 2] * alpha
+              sum[3] += alpha
+            }
+          }
+          const covered = sum[3] || 1
+          out.set([sum[0] / covered, sum[1] / covered, sum[2] / covered, sum[3] / (ss * ss)].map(Math.round), (y * width + x) * 4)
+        }
+      }
+      return encodePng(width, height, out)
+    },
+  }
+}
@@ -0,0 +1,108 @@
+// The route overview for exports: validated map data, and PNG / PDF renderings of the same layout
+// the browser draws as SVG.
+import { httpError } from '../http.js'
+import { isCoordinatePair } from '../mapbox.js'
+import { layoutRouteMap } from '../../src/lib/routeMap.js'
+import { PIN_PATH, PIN_VIEWBOX, pinPixelPolygon } from './pin.js'
+import { createCanvas } from './raster.js'
+
+const PIN_KINDS = new Set(['start', 'stop', 'parking', 'end'])
+const BACKGROUND = '#f8fafc'
+const PIN_HEIGHT = 28
+
+// map: { lines: [{ geometry, mode }], pins: [{ kind, coordinates }] }, or null when not sent
+export function readRouteMap(map) {
+  if (map === undefined || map === null) return null
+  const valid =
+    Array.isArray(map.lines) &&
+    Array.isArray(map.pins) &&
+    map.lines.every((l) => typeof l?.geometry === 'string' && l.geometry.length <= 200000) &&
+    map.pins.every((p) => PIN_KINDS.has(p?.kind) && isCoordinatePair(p.coordinates))
+  if (!valid) throw httpError(400, 'map must be { lines: [{ geometry, mode }], pins: [{ kind, coordinates }] }')
+  return { lines: map.lines.map((l) => ({ geometry: l.geometry, mode: l.mode })), pins: map.pins }
+}
+
+// Points every `interval` pixels along a polyline, for the dotted walking line
+function dotsAlong(points, interval) {
+  const dots = []
+  let carry = 0
+  for (let i = 1; i < points.length; i++) {
+    const [x1, y1] = points[i - 1]
+    const [x2, y2] = points[i]
+    const length = Math.hypot(x2 - x1, y2 - y1)
+    let d = carry
+    for (; d <= length; d += interval) {
+      const t = length ? d / length : 0
+      dots.push([x1 + (x2 - x1) * t, y1 + (y2 - y1) * t])
+    }
+    carry = d - length
+  }
+  return dots
+}
+
+// Markers that sit on the route (dots) are drawn before the pins that stand above it
+function markerOrder(pins) {
+  const isPin = (p) => p.kind === 'end' || p.kind === 'parking'
+  return [...pins].sort((a, b) => isPin(a) - isPin(b))
+}
+
+export function routeMapPng(map) {
+  const layout = layoutRouteMap(map)
+  const canvas = createCanvas(layout.width, layout.height)
+  canvas.fillRect(BACKGROUND)
+  for (const line of layout.lines) {
+    if (line.dashed) {
+      for (const [x, y] of dotsAlong(line.points, 10)) canvas.fillCircle(x, y, 2, line.color)
+    } else {
+      canvas.strokePolyline(line.points, 4, line.color)
+    }
+  }
+  for (const pin of markerOrder(layout.pins)) {
+    if (pin.kind === 'start') {
+      canvas.fillCircle(pin.x, pin.y, 8.25, '#ffffff')
+      canvas.fillCircle(pin.x, pin.y, 5.75, pin.color)
+    } else if (pin.kind === 'stop') {
+      canvas.fillCircle(pin.x, pin.y, 6.25, '#334155')
+      canvas.fillCircle(pin.x, pin.y, 3.75, '#ffffff')
+    } else {
+      const { points, hole } = pinPixelPolygon(pin.x, pin.y, PIN_HEIGHT)
+      canvas.fillPolygon(points, pin.color, { holes: [hole] })
+    }
+  }
+  return { width: layout.width, height: layout.height, data: canvas.toPng() }
+}
+
+// Draws the map with pdfkit at (x, y), `width` points wide
+export function drawRouteMapPdf(doc, map, { x, y, width }) {
+  const layout = layoutRouteMap(map)
+  const scale = width / layout.width
+  doc.save().translate(x, y).scale(scale)
+  doc.rect(0, 0, layout.width, layout.height).fill(BACKGROUND)
+  for (const line of layout.lines) {
+    const [first, ...rest] = line.points
+    if (!first) continue
+    doc.moveTo(...first)
+    for (const point of rest) doc.lineTo(...point)
+    doc.lineWidth(4).lineCap('round').lineJoin('round')
+    if (line.dashed) doc.dash(0.01, { space: 10 })
+    doc.stroke(line.color).undash()
+  }
+  for (const pin of markerOrder(layout.pins)) {
+    if (pin.kind === 'start') {
+      doc.circle(pin.x, pin.y, 7).lineWidth(2.5).fillAndStroke(pin.color, '#ffffff')
+    } else if (pin.kind === 'stop') {
+      doc.circle(pin.x, pin.y, 5).lineWidth(2.5).fillAndStroke('#ffffff', '#334155')
+    } else {
+      const pinScale = PIN_HEIGHT / PIN_VIEWBOX.height
+      doc
+        .save()
+        .translate(pin.x - (PIN_VIEWBOX.width * pinScale) / 2, pin.y - PIN_HEIGHT)
+        .scale(pinScale)
+        .path(PIN_PATH)
+        .fill(pin.color, 'even-odd')
+        .restore()
+    }
+  }
+  doc.restore()
+  return layout.height * scale
+}
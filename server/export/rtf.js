@@ -0,0 +1,43 @@
+import { pinPng } from './pin.js'
+import { routeMapPng } from './routeMap.js'
+
+// Backslash, braces and anything outside 7-bit ASCII need escaping in RTF
+function escapeRtf(text) {
+  return String(text).replace(/[\\{}]|[^\x20-\x7e]/g, (ch) => {
+    if (ch === '\\' || ch === '{' || ch === '}') return `\\${ch}`
+    if (ch === '\n') return '\\line '
+    const code = ch.charCodeAt(0)
+    return `\\u${code > 32767 ? code - 65536 : code}?`
+  })
+}
+
+function pinPicture() {
+  const png = pinPng()
+  // Goal size in twips: one 10pt line tall
+  return `{\\pict\\pngblip\\picw${png.width}\\pich${png.height}\\picwgoal133\\pichgoal200 ${png.data.toString('hex')}}`
+}
+
+// Goal size in twips (1/1440 inch): 5 inches wide
+function routeMapPicture(map) {
+  const png = routeMapPng(map)
+  const goalWidth = 7200
+  return `{\\pict\\pngblip\\picw${png.width}\\pich${png.height}\\picwgoal${goalWidth}\\pichgoal${Math.round((goalWidth * png.height) / png.width)} ${png.data.toString('hex')}}`
+}
+
+export function buildRtf({ title, paragraphs, links, map }) {
+  const lines = [
+    '{\\rtf1\\ansi\\ansicpg1252\\deff0',
+    '{\\fonttbl{\\f0\\fswiss Arial;}}',
+    '{\\colortbl;\\red220\\green38\\blue38;}',
+    `{\\info{\\title ${escapeRtf(title)}}}`,
+    '\\f0\\fs20',
+    ...paragraphs.map((p) => `\\pard\\sa200 ${escapeRtf(p)}\\par`),
+    ...(map ? [`\\pard\\sa200 ${routeMapPicture(map)}\\par`] : []),
+    ...links.map(
+      (link) =>
+        `\\pard ${pinPicture()} [{\\field{\\*\\fldinst HYPERLINK "${link.url.replace(/["\\]/g, '')}"}{\\fldrslt{\\ul\\cf1 ${escapeRtf(link.label)}}}}]\\par`,
+    ),
+    '}',
+  ]
+  return Buffer.from(lines.join('\n'), 'latin1')
+}
@@ -0,0 +1,10 @@
+// Errors thrown with a `status` are sent to the client with that status code
+export function httpError(status, message) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+export function sendError(res, err, fallbackMessage) {
+  res.status(err.status || 500).json({ error: err.message || fallbackMessage })
+}
@@ -0,0 +1,113 @@
+// Landmarks near the route's key maneuvers, passed to the narrative as hints ("turn left at the
+// courthouse onto Orange Ave"). LANDMARK_PROVIDER picks the reverse-geocoding provider (mapbox,
+// nominatim or stub; default mapbox), LANDMARK_RADIUS_M how far from the turn a landmark may be
+// and LANDMARK_MAX_LOOKUPS how many maneuvers are looked up per route.
+import { createMapboxLandmarkProvider } from './mapbox.js'
+import { createNominatimLandmarkProvider } from './nominatim.js'
+import { createStubLandmarkProvider } from './stub.js'
+import { normalizeRoad } from '../prose/verify.js'
+import { routeManeuvers } from '../prose/segments.js'
+
+const PROVIDER_DEFAULTS = {
+  mapbox: { create: createMapboxLandmarkProvider, concurrency: 4, intervalMs: 0 },
+  nominatim: {
+    create: createNominatimLandmarkProvider,
+    concurrency: 1,
+    intervalMs: 1000,
+    baseURL: 'https://nominatim.openstreetmap.org',
+  },
+  stub: { create: createStubLandmarkProvider, concurrency: 4, intervalMs: 0 },
+}
+
+// Maneuvers where a reader most needs something to look out for
+const KEY_TYPES = new Set(['turn', 'end of road', 'fork', 'roundabout', 'rotary', 'roundabout turn', 'off ramp', 'on ramp'])
+
+function readNumber(value, fallback) {
+  const n = Number(value)
+  return value !== undefined && value !== '' && Number.isFinite(n) ? n : fallback
+}
+
+export function loadLandmarkConfig(env = process.env) {
+  const name = (env.LANDMARK_PROVIDER || 'mapbox').trim().toLowerCase()
+  const defaults = PROVIDER_DEFAULTS[name]
+  if (!defaults) throw new Error(`Unknown landmark provider "${name}"`)
+  return {
+    name,
+    ...defaults,
+    baseURL: env.LANDMARK_BASE_URL || defaults.baseURL,
+    userAgent: env.LANDMARK_USER_AGENT || 'mapping-prose-app',
+    radius: readNumber(env.LANDMARK_RADIUS_M, 75),
+    maxLookups: readNumber(env.LANDMARK_MAX_LOOKUPS, 12),
+  }
+}
+
+// Great-circle distance in meters between two [lng, lat] points
+function metersBetween([lng1, lat1], [lng2, lat2]) {
+  const rad = Math.PI / 180
+  const a =
+    Math.sin(((lat2 - lat1) * rad) / 2) ** 2 +
+    Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(((lng2 - lng1) * rad) / 2) ** 2
+  return 2 * 6371000 * Math.asin(Math.sqrt(a))
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms)
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer)
+      reject(signal.reason)
+    }, { once: true })
+  })
+}
+
+// Runs fn over items with at most `concurrency` calls in flight, spaced intervalMs apart per worker
+async function mapLimit(items, { concurrency, intervalMs, signal }, fn) {
+  const results = new Array(items.length)
+  let next = 0
+  const worker = async () => {
+    for (let calls = 0; next < items.length; calls++) {
+      const i = next++
+      if (calls > 0 && intervalMs) await sleep(intervalMs, signal)
+      results[i] = await fn(items[i])
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker))
+  return results
+}
+
+// legs: the prose legs posted for a narrative (steps carry `location`). Resolves to
+// [{ maneuver, instruction, name, category, coordinates, distance }] with maneuver as the index
+// into the flat maneuver list and distance in meters from the maneuver. A lookup that fails is
+// skipped; a provider that isn't set up (status 500) fails the whole request.
+export async function findLandmarks(legs, { language, signal, config = loadLandmarkConfig() } = {}) {
+  const maneuvers = routeManeuvers({ legs })
+  const roads = new Set(maneuvers.flatMap((m) => m.names.map(normalizeRoad)))
+  const key = maneuvers
+    .map((m, index) => ({ ...m, index }))
+    .filter((m) => m.step?.location && KEY_TYPES.has(m.step.type) && m.step.modifier !== 'straight')
+    .slice(0, config.maxLookups)
+  const provider = config.create(config)
+
+  const candidates = await mapLimit(key, { ...config, signal }, async (m) => {
+    try {
+      const places = await provider.nearby(m.step.location, { language, signal, limit: 5 })
+      return places
+        .map((place) => ({ ...place, distance: Math.round(metersBetween(m.step.location, place.coordinates)) }))
+        .filter((place) => place.distance <= config.radius && !roads.has(normalizeRoad(place.name)))
+        .sort((a, b) => a.distance - b.distance)
+    } catch (err) {
+      if (signal?.aborted || err.status === 500) throw err
+      console.warn(`Landmark lookup failed (${config.name}):`, err.message)
+      return []
+    }
+  })
+
+  // The same landmark at two turns would only confuse, so it stays with the first
+  const used = new Set()
+  return key.flatMap((m, i) => {
+    const place = candidates[i].find((p) => !used.has(p.name))
+    if (!place) return []
+    used.add(place.name)
+    return [{ maneuver: m.index, instruction: m.instruction, ...place }]
+  })
+}
@@ -0,0 +1,11 @@
+import { nearbyPlaces } from '../mapbox.js'
+
+// Mapbox Search Box POIs; uses the same MAPBOX_ACCESS_TOKEN as routing
+export function createMapboxLandmarkProvider({ name }) {
+  return {
+    name,
+    async nearby(point, { language, limit }) {
+      return nearbyPlaces(point, { language, limit })
+    },
+  }
+}
@@ -0,0 +1,26 @@
+import { httpError } from '../http.js'
+
+// OpenStreetMap features that make poor landmarks: the roads themselves and areas rather than places
+const SKIPPED_CATEGORIES = new Set(['highway', 'boundary', 'place', 'landuse', 'railway'])
+
+// OpenStreetMap reverse geocoding. The public server allows one request a second and wants a
+// User-Agent that identifies the app; set LANDMARK_BASE_URL to use your own instance instead.
+export function createNominatimLandmarkProvider({ name, baseURL, userAgent }) {
+  return {
+    name,
+    async nearby(point, { language, signal }) {
+      const params = new URLSearchParams({
+        format: 'jsonv2',
+        lon: String(point[0]),
+        lat: String(point[1]),
+        zoom: '18',
+      })
+      if (language) params.set('accept-language', language)
+      const res = await fetch(`${baseURL}/reverse?${params.toString()}`, { headers: { 'User-Agent': userAgent }, signal })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) throw httpError(502, data.error || `Nominatim API error: ${res.status}`)
+      if (!data.name || SKIPPED_CATEGORIES.has(data.category)) return []
+      return [{ name: data.name, category: data.type || data.category || '', coordinates: [Number(data.lon), Number(data.lat)] }]
+    },
+  }
+}
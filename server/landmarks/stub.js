@@ -0,0 +1,11 @@
+// Offline provider for tests and demos: puts a made-up landmark right at each point
+export function createStubLandmarkProvider({ name }) {
+  let count = 0
+  return {
+    name,
+    async nearby(point) {
+      count++
+      return [{ name: `Landmark ${count}`, category: 'landmark', coordinates: point }]
+    },
+  }
+}
@@ -0,0 +1,119 @@
+// Request limits: per-minute rate limits by client IP and by API key, and caps on how much a single
+// prose request can ask for. The generation limits come from RATE_LIMIT_PER_IP and
+// RATE_LIMIT_PER_KEY, the limits on Mapbox lookups (geocoding, suggestions, routes, timing,
+// landmarks) from RATE_LIMIT_LOOKUPS_PER_IP and RATE_LIMIT_LOOKUPS_PER_KEY (requests per minute;
+// 0 turns a limit off).
+import { httpError, sendError } from './http.js'
+
+const WINDOW_MS = 60000
+// Past this many tracked clients, finished windows are swept out
+const SWEEP_AT = 10000
+
+export const PROSE_LIMITS = {
+  maneuvers: 500,
+  maneuverLength: 500,
+  legs: 25,
+  // All instructions, road names, labels and landmark names together
+  totalText: 100000,
+}
+
+function readLimit(value, fallback) {
+  const n = Number(value)
+  return value !== undefined && value !== '' && Number.isInteger(n) && n >= 0 ? n : fallback
+}
+
+export function generationLimits(env = process.env) {
+  return { perIp: readLimit(env.RATE_LIMIT_PER_IP, 20), perKey: readLimit(env.RATE_LIMIT_PER_KEY, 60) }
+}
+
+// Higher than generation: suggestions follow typing, and each narrative takes several lookups
+export function lookupLimits(env = process.env) {
+  return {
+    perIp: readLimit(env.RATE_LIMIT_LOOKUPS_PER_IP, 120),
+    perKey: readLimit(env.RATE_LIMIT_LOOKUPS_PER_KEY, 600),
+  }
+}
+
+// Fixed one-minute windows: { count, resetAt } per client
+function createWindows() {
+  const windows = new Map()
+  const current = (client, now) => {
+    if (windows.size > SWEEP_AT) {
+      for (const [id, w] of windows) if (w.resetAt <= now) windows.delete(id)
+    }
+    let window = windows.get(client)
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + WINDOW_MS }
+      windows.set(client, window)
+    }
+    return window
+  }
+  return {
+    // The seconds to wait, or 0 when the client is under the limit
+    wait(client, limit, now = Date.now()) {
+      const window = current(client, now)
+      return window.count >= limit ? Math.ceil((window.resetAt - now) / 1000) : 0
+    },
+    add(client, now = Date.now()) {
+      current(client, now).count++
+    },
+  }
+}
+
+// Middleware. Requests with an API key count against the key's limit, the rest against the client IP.
+// limits: { perIp, perKey }, or a function returning them so environment changes are picked up.
+// With countIf(res), only requests whose response passes it count, e.g. failed sign-ins.
+export function rateLimit({ name, countIf, ...fixed }, limits = () => fixed) {
+  const windows = createWindows()
+  return (req, res, next) => {
+    const { perIp, perKey } = limits()
+    const isKey = req.identity?.kind === 'key'
+    const limit = isKey ? perKey : perIp
+    if (limit > 0) {
+      const client = isKey ? req.identity.id : `ip:${req.ip}`
+      const retryAfter = windows.wait(client, limit)
+      if (retryAfter) {
+        console.warn(`Rate limit "${name}" reached for ${isKey ? req.identity.id : req.ip}`)
+        res.set('Retry-After', String(retryAfter))
+        return sendError(
+          res,
+          httpError(429, `Too many requests. Try again in ${retryAfter} second${retryAfter === 1 ? '' : 's'}.`),
+          'Too many requests',
+        )
+      }
+      if (countIf) res.on('finish', () => countIf(res) && windows.add(client))
+      else windows.add(client)
+    }
+    next()
+  }
+}
+
+// Every string inside a request value: instructions, road names, labels
+function textsIn(value) {
+  if (typeof value === 'string') return [value]
+  if (Array.isArray(value)) return value.flatMap(textsIn)
+  if (value && typeof value === 'object') return Object.values(value).flatMap(textsIn)
+  return []
+}
+
+// Throws a 413 when a prose request ({ maneuvers, legs, landmarks }) is larger than PROSE_LIMITS allow
+export function checkProseSize({ maneuvers = [], legs, landmarks }) {
+  const tooLarge = (message) => httpError(413, message)
+  const proseLegs = Array.isArray(legs) ? legs : []
+  if (maneuvers.length > PROSE_LIMITS.maneuvers) {
+    throw tooLarge(`A route can have at most ${PROSE_LIMITS.maneuvers} maneuvers; this one has ${maneuvers.length}`)
+  }
+  if (proseLegs.length > PROSE_LIMITS.legs) {
+    throw tooLarge(`A route can have at most ${PROSE_LIMITS.legs} legs`)
+  }
+  if (proseLegs.some((leg) => leg.maneuvers.length > PROSE_LIMITS.maneuvers || leg.steps?.length > PROSE_LIMITS.maneuvers)) {
+    throw tooLarge(`A leg can have at most ${PROSE_LIMITS.maneuvers} maneuvers`)
+  }
+  const texts = [...textsIn(maneuvers), ...textsIn(proseLegs), ...textsIn(landmarks)]
+  if (texts.some((s) => s.length > PROSE_LIMITS.maneuverLength)) {
+    throw tooLarge(`Each instruction or name can be at most ${PROSE_LIMITS.maneuverLength} characters`)
+  }
+  if (texts.reduce((sum, s) => sum + s.length, 0) > PROSE_LIMITS.totalText) {
+    throw tooLarge(`The route's instructions can be at most ${PROSE_LIMITS.totalText} characters in all`)
+  }
+}
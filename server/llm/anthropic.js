@@ -0,0 +1,93 @@
+import { estimateUsage } from './tokens.js'
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com'
+
+// Anthropic Messages API (and compatible gateways) over plain fetch
+export function createAnthropicProvider({ name, apiKey, baseURL, model, temperature, timeoutMs }) {
+  const send = async ({ system, user }, { signal, stream = false }) => {
+    const timeout = AbortSignal.timeout(timeoutMs)
+    const res = await fetch(`${(baseURL || DEFAULT_BASE_URL).replace(/\/$/, '')}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+      },
+      body: JSON.stringify({
+        model,
+        system,
+        messages: [{ role: 'user', content: user }],
+        max_tokens: 2048,
+        temperature,
+        stream,
+      }),
+      signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+    })
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}))
+      const err = new Error(data.error?.message || `Anthropic API error: ${res.status}`)
+      err.status = res.status
+      throw err
+    }
+    return res
+  }
+
+  return {
+    name,
+    model,
+    async complete(prompt, { signal } = {}) {
+      const data = await (await send(prompt, { signal })).json()
+      const text = (data.content || [])
+        .filter((block) => block.type === 'text')
+        .map((block) => block.text)
+        .join('')
+        .trim()
+      return {
+        text,
+        usage: {
+          inputTokens: data.usage?.input_tokens ?? 0,
+          outputTokens: data.usage?.output_tokens ?? 0,
+        },
+      }
+    },
+    async stream(prompt, { signal, onToken } = {}) {
+      const res = await send(prompt, { signal, stream: true })
+      const decoder = new TextDecoder()
+      let buffer = ''
+      let text = ''
+      const usage = { inputTokens: 0, outputTokens: 0 }
+      try {
+        for await (const chunk of res.body) {
+          buffer += decoder.decode(chunk, { stream: true })
+          const lines = buffer.split('\n')
+          buffer = lines.pop()
+          for (const line of lines) {
+            if (!line.startsWith('data:')) continue
+            const event = JSON.parse(line.slice(5))
+            if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+              text += event.delta.text
+              onToken(event.delta.text)
+            } else if (event.type === 'message_start') {
+              usage.inputTokens = event.message?.usage?.input_tokens ?? 0
+            } else if (event.type === 'message_delta') {
+              usage.outputTokens = event.usage?.output_tokens ?? usage.outputTokens
+            } else if (event.type === 'error') {
+              throw new Error(event.error?.message || 'Anthropic stream error')
+            }
+          }
+        }
+      } catch (err) {
+        // What was read before the failure is billed: the prompt, and any text already streamed
+        if (usage.inputTokens || text) {
+          const estimate = estimateUsage(prompt, text)
+          err.usage = {
+            inputTokens: usage.inputTokens || estimate.inputTokens,
+            outputTokens: Math.max(usage.outputTokens, estimate.outputTokens),
+          }
+        }
+        throw err
+      }
+      return { text: text.trim(), usage }
+    },
+  }
+}
@@ -0,0 +1,168 @@
+// Provider chain for text generation. LLM_PROVIDERS lists provider names in fallback order
+// (default "openai"); each provider reads its own <PREFIX>_* settings from the environment.
+import { httpError } from '../http.js'
+import { createOpenAIProvider } from './openai.js'
+import { createAnthropicProvider } from './anthropic.js'
+import { createStubProvider } from './stub.js'
+
+const PROVIDER_DEFAULTS = {
+  openai: { prefix: 'OPENAI', create: createOpenAIProvider, model: 'gpt-4o-mini', requiresKey: true },
+  local: {
+    prefix: 'LOCAL_LLM',
+    create: createOpenAIProvider,
+    model: 'llama3.1',
+    baseURL: 'http://localhost:11434/v1',
+    requiresKey: false,
+  },
+  anthropic: { prefix: 'ANTHROPIC', create: createAnthropicProvider, model: 'claude-3-5-haiku-latest', requiresKey: true },
+  stub: { prefix: 'STUB_LLM', create: createStubProvider, model: 'stub', requiresKey: false },
+}
+
+function readNumber(value, fallback) {
+  const n = Number(value)
+  return value !== undefined && value !== '' && Number.isFinite(n) ? n : fallback
+}
+
+function readProviderConfig(name, env) {
+  const defaults = PROVIDER_DEFAULTS[name]
+  if (!defaults) throw new Error(`Unknown LLM provider "${name}"`)
+  const { prefix } = defaults
+  return {
+    name,
+    create: defaults.create,
+    apiKey: env[`${prefix}_API_KEY`],
+    baseURL: env[`${prefix}_BASE_URL`] || defaults.baseURL,
+    model: env[`${prefix}_MODEL`] || defaults.model,
+    temperature: readNumber(env[`${prefix}_TEMPERATURE`], 0.7),
+    timeoutMs: readNumber(env[`${prefix}_TIMEOUT_MS`], 30000),
+    maxRetries: readNumber(env[`${prefix}_MAX_RETRIES`], 2),
+    retryDelayMs: readNumber(env[`${prefix}_RETRY_DELAY_MS`], 500),
+    missingKey: defaults.requiresKey && !env[`${prefix}_API_KEY`] ? `${prefix}_API_KEY is not configured` : null,
+  }
+}
+
+export function loadProviderChain(env = process.env) {
+  const names = (env.LLM_PROVIDERS || 'openai')
+    .split(',')
+    .map((n) => n.trim().toLowerCase())
+    .filter(Boolean)
+  return names.map((name) => readProviderConfig(name, env))
+}
+
+// Socket-level failures, as fetch (undici) and Node report them in err.code or err.cause.code
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN']
+// The OpenAI SDK's connection failures, and AbortSignal.timeout firing
+const NETWORK_ERROR_NAMES = ['APIConnectionError', 'APIConnectionTimeoutError', 'TimeoutError']
+
+function isNetworkError(err) {
+  if (NETWORK_ERROR_NAMES.includes(err.name)) return true
+  const code = err.code || err.cause?.code
+  return typeof code === 'string' && (NETWORK_ERROR_CODES.includes(code) || code.startsWith('UND_ERR_'))
+}
+
+// Auth and validation errors won't succeed on retry; rate limits, timeouts, 5xx and dropped
+// connections might. Errors without a status are otherwise bugs (a TypeError, a reply that
+// doesn't parse) that would only fail again.
+function isRetryable(err) {
+  const status = err.status
+  if (!status) return isNetworkError(err)
+  return status === 408 || status === 409 || status === 429 || status >= 500
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms)
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer)
+      reject(signal.reason)
+    }, { once: true })
+  })
+}
+
+async function withRetries(config, signal, attempt, canRetry = () => true) {
+  let tries = 0
+  for (;;) {
+    try {
+      return await attempt()
+    } catch (err) {
+      if (signal?.aborted || tries >= config.maxRetries || !isRetryable(err) || !canRetry()) throw err
+      const delay = config.retryDelayMs * 2 ** tries
+      tries++
+      console.warn(`LLM provider "${config.name}" failed (${err.message}); retry ${tries} in ${delay}ms`)
+      await sleep(delay, signal)
+    }
+  }
+}
+
+function addUsage(total, usage) {
+  total.inputTokens += usage?.inputTokens || 0
+  total.outputTokens += usage?.outputTokens || 0
+}
+
+// Tries each configured provider in turn until one succeeds. run(provider, config) does the call;
+// canFallBack() says whether moving on to the next provider is still possible. The usage of every
+// attempt counts, including ones that failed part-way (providers put it on the error as err.usage)
+// and ones that were retried; onUsage gets the total once the chain is done, even when it failed.
+async function runChain(chain, signal, run, { canFallBack = () => true, onUsage } = {}) {
+  const usage = { inputTokens: 0, outputTokens: 0 }
+  const attempt = async (provider, config) => {
+    try {
+      const result = await run(provider, config)
+      addUsage(usage, result.usage)
+      return result
+    } catch (err) {
+      addUsage(usage, err.usage)
+      throw err
+    }
+  }
+  const failures = []
+  try {
+    for (const config of chain) {
+      if (config.missingKey) {
+        failures.push(config.missingKey)
+        continue
+      }
+      const provider = config.create(config)
+      try {
+        const result = await withRetries(config, signal, () => attempt(provider, config), canFallBack)
+        return { ...result, usage, provider: config.name, model: config.model }
+      } catch (err) {
+        if (signal?.aborted || !canFallBack()) throw err
+        console.error(`LLM provider "${config.name}" failed:`, err.message)
+        failures.push(`${config.name}: ${err.message}`)
+      }
+    }
+  } finally {
+    if (usage.inputTokens || usage.outputTokens) onUsage?.(usage)
+  }
+  // A lone missing key keeps its plain message so existing setups see what to fix
+  const status = failures.length === 1 && chain[0]?.missingKey ? 500 : 502
+  throw httpError(status, failures.join('; ') || 'No LLM providers are configured')
+}
+
+// Resolves to { text, usage, provider, model }, with usage covering every attempt. onUsage is
+// called with that total, for token accounting.
+export async function generateText(prompt, { signal, onUsage, chain = loadProviderChain() } = {}) {
+  return runChain(chain, signal, (provider) => provider.complete(prompt, { signal }), { onUsage })
+}
+
+// Like generateText, but calls onToken with each chunk as it arrives. Once any text has been
+// sent there is no retrying or falling back, since the caller has already shown it.
+export async function streamText(prompt, { signal, onToken, onUsage, chain = loadProviderChain() } = {}) {
+  let started = false
+  const emit = (text) => {
+    started = true
+    onToken(text)
+  }
+  return runChain(
+    chain,
+    signal,
+    async (provider) => {
+      if (provider.stream) return provider.stream(prompt, { signal, onToken: emit })
+      const result = await provider.complete(prompt, { signal })
+      emit(result.text)
+      return result
+    },
+    { canFallBack: () => !started, onUsage },
+  )
+}
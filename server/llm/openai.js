@@ -0,0 +1,60 @@
+import OpenAI from 'openai'
+import { estimateUsage } from './tokens.js'
+
+// Covers api.openai.com and any OpenAI-compatible endpoint (Ollama, llama.cpp, vLLM) via baseURL
+export function createOpenAIProvider({ name, apiKey, baseURL, model, temperature, timeoutMs }) {
+  // Local servers usually ignore the key, but the SDK refuses to start without one
+  const client = new OpenAI({ apiKey: apiKey || 'not-needed', baseURL, timeout: timeoutMs, maxRetries: 0 })
+  const toRequest = ({ system, user }) => ({
+    model,
+    messages: [
+      { role: 'system', content: system },
+      { role: 'user', content: user },
+    ],
+    temperature,
+  })
+
+  return {
+    name,
+    model,
+    async complete(prompt, { signal } = {}) {
+      const completion = await client.chat.completions.create(toRequest(prompt), { signal })
+      return {
+        text: completion.choices[0]?.message?.content?.trim() || '',
+        usage: {
+          inputTokens: completion.usage?.prompt_tokens ?? 0,
+          outputTokens: completion.usage?.completion_tokens ?? 0,
+        },
+      }
+    },
+    async stream(prompt, { signal, onToken } = {}) {
+      const stream = await client.chat.completions.create(
+        { ...toRequest(prompt), stream: true, stream_options: { include_usage: true } },
+        { signal },
+      )
+      let text = ''
+      let usage = null
+      try {
+        for await (const chunk of stream) {
+          const delta = chunk.choices[0]?.delta?.content
+          if (delta) {
+            text += delta
+            onToken(delta)
+          }
+          if (chunk.usage) usage = chunk.usage
+        }
+      } catch (err) {
+        // Text that was already streamed is billed even though the call failed
+        if (text) err.usage = estimateUsage(prompt, text)
+        throw err
+      }
+      return {
+        text: text.trim(),
+        usage: {
+          inputTokens: usage?.prompt_tokens ?? 0,
+          outputTokens: usage?.completion_tokens ?? 0,
+        },
+      }
+    },
+  }
+}
@@ -0,0 +1,31 @@
+// Offline provider for tests and demos: echoes the directions back without calling any API
+function echo(user) {
+  // Drop the instruction line and any re-prompt feedback; keep the directions themselves
+  const directions = user.split('\n\nA previous draft')[0]
+  return directions.split('\n').map((l) => l.trim()).filter(Boolean).slice(1).join(' ')
+}
+
+// Word counts stand in for tokens, so quotas can be tried out offline
+function usageFor({ system = '', user }, text) {
+  const words = (s) => s.split(/\s+/).filter(Boolean).length
+  return { inputTokens: words(system) + words(user), outputTokens: words(text) }
+}
+
+export function createStubProvider({ name, model = 'stub' }) {
+  return {
+    name,
+    model,
+    async complete(prompt) {
+      const text = echo(prompt.user)
+      return { text, usage: usageFor(prompt, text) }
+    },
+    async stream(prompt, { signal, onToken } = {}) {
+      const text = echo(prompt.user)
+      for (const word of text.split(/(?<= )/)) {
+        signal?.throwIfAborted()
+        onToken(word)
+      }
+      return { text, usage: usageFor(prompt, text) }
+    },
+  }
+}
@@ -0,0 +1,6 @@
+// Rough token counts (about four characters each), for calls that failed before the API reported
+// what they used
+export function estimateUsage({ system = '', user = '' }, text = '') {
+  const tokens = (s) => Math.ceil(s.length / 4)
+  return { inputTokens: tokens(system) + tokens(user), outputTokens: tokens(text) }
+}
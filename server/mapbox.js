@@ -0,0 +1,232 @@
+// Thin Mapbox client used by the /api proxy routes. Responses are normalized into our own
+// shapes so the frontend never sees Mapbox JSON (or the access token). Geocoding, suggestions and
+// routes are cached (see cache.js); pass `refresh` to skip the cache.
+import { httpError } from './http.js'
+import { getCache, cacheKey, normalizeQuery, roundCoordinates } from './cache.js'
+
+const GEOCODE_PATH = '/search/geocode/v6/forward'
+const REVERSE_POI_PATH = '/search/searchbox/v1/reverse'
+const DIRECTIONS_PATH = '/directions/v5/mapbox'
+
+// Mapbox routing profiles and how many points each accepts per request
+export const PROFILES = {
+  driving: { maxPoints: 25 },
+  'driving-traffic': { maxPoints: 3 },
+  walking: { maxPoints: 25 },
+  cycling: { maxPoints: 25 },
+}
+
+function getToken() {
+  // VITE_MAPBOX_ACCESS_TOKEN is still read so existing .env.local files keep working
+  const token = process.env.MAPBOX_ACCESS_TOKEN || process.env.VITE_MAPBOX_ACCESS_TOKEN
+  if (!token) throw httpError(500, 'MAPBOX_ACCESS_TOKEN is not configured')
+  return token
+}
+
+// MAPBOX_BASE_URL points the client at another host, such as the tests' stand-in (test/support)
+function mapboxUrl(path, params) {
+  const base = (process.env.MAPBOX_BASE_URL || 'https://api.mapbox.com').replace(/\/$/, '')
+  return `${base}${path}?${params.toString()}`
+}
+
+async function mapboxFetch(url, label) {
+  const res = await fetch(url)
+  const data = await res.json().catch(() => ({}))
+  if (!res.ok) {
+    throw httpError(502, data.message || `${label} API error: ${res.status}`)
+  }
+  return data
+}
+
+function featureToPlace(feature, fallbackLabel = '') {
+  const props = feature.properties || {}
+  const name = props.name || props.address_line1 || ''
+  const place = props.place_formatted || ''
+  const address = props.full_address || (name && place ? `${name}, ${place}` : name || place)
+  return {
+    id: feature.id || `${feature.geometry.coordinates.join(',')}|${address}`,
+    name: name || address,
+    label: address || fallbackLabel,
+    coordinates: feature.geometry.coordinates,
+  }
+}
+
+function isUSFeature(feature) {
+  const code = feature.properties?.context?.country?.country_code ?? feature.properties?.country_code
+  if (code == null) return true
+  return code === 'US' || code === 'USA'
+}
+
+async function forwardGeocode(query, { country, limit, autocomplete }) {
+  const params = new URLSearchParams({
+    q: query,
+    access_token: getToken(),
+    limit: String(limit),
+    autocomplete: autocomplete ? 'true' : 'false',
+  })
+  if (country) params.set('country', country)
+  const data = await mapboxFetch(mapboxUrl(GEOCODE_PATH, params), 'Geocoding')
+  return (data.features || []).filter((f) => f.geometry?.coordinates)
+}
+
+// Best single match for a free-form address: { label, coordinates } or null
+export async function geocode(query, { country, refresh } = {}) {
+  const key = cacheKey('geocode', normalizeQuery(query), country || '')
+  return getCache('geocode').wrap(
+    key,
+    async () => {
+      const [feature] = await forwardGeocode(query, { country, limit: 1, autocomplete: false })
+      if (!feature) return null
+      const { label, coordinates } = featureToPlace(feature, query)
+      return { label, coordinates }
+    },
+    { refresh },
+  )
+}
+
+// Autocomplete suggestions: [{ id, name, label, coordinates }], de-duplicated
+export async function suggest(query, { country, limit = 5, refresh } = {}) {
+  const key = cacheKey('suggest', normalizeQuery(query), country || '', limit)
+  return getCache('suggest').wrap(
+    key,
+    async () => {
+      let features = await forwardGeocode(query, { country, limit, autocomplete: true })
+      if (country === 'US') features = features.filter(isUSFeature)
+
+      const seen = new Set()
+      return features.map((f) => featureToPlace(f)).filter((place) => {
+        const id = `${place.coordinates.join(',')}|${place.label}`
+        if (seen.has(id)) return false
+        seen.add(id)
+        return true
+      })
+    },
+    { refresh },
+  )
+}
+
+// Points of interest around a [lng, lat] point: [{ name, category, coordinates }]. The geocoding
+// API has no POIs, so this uses the Search Box reverse lookup.
+export async function nearbyPlaces(point, { limit = 5, language } = {}) {
+  const params = new URLSearchParams({
+    longitude: String(point[0]),
+    latitude: String(point[1]),
+    types: 'poi',
+    limit: String(limit),
+    access_token: getToken(),
+  })
+  if (language) params.set('language', language)
+  const data = await mapboxFetch(mapboxUrl(REVERSE_POI_PATH, params), 'Search Box')
+  return (data.features || [])
+    .filter((f) => f.geometry?.coordinates && f.properties?.name)
+    .map((f) => ({
+      name: f.properties.name,
+      category: f.properties.poi_category?.[0] || '',
+      coordinates: f.geometry.coordinates,
+    }))
+}
+
+function normalizeStep(step) {
+  const maneuver = step.maneuver || {}
+  return {
+    instruction: maneuver.instruction || '',
+    type: maneuver.type || '',
+    modifier: maneuver.modifier || '',
+    road: step.name || '',
+    ref: step.ref || '',
+    exit: maneuver.exit ?? null,
+    exits: step.exits || '',
+    bearing: maneuver.bearing_after ?? null,
+    location: maneuver.location || null,
+    distance: step.distance ?? 0,
+    duration: step.duration ?? 0,
+  }
+}
+
+// The longest-travelled road names, for telling alternatives apart
+function mainRoads(legs, limit = 3) {
+  const totals = new Map()
+  for (const step of legs.flatMap((leg) => leg.steps)) {
+    const name = step.ref || step.road
+    if (name) totals.set(name, (totals.get(name) || 0) + step.distance)
+  }
+  return [...totals.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([name]) => name)
+}
+
+function normalizeRoute(raw, profile) {
+  const legs = raw.legs.map((leg) => ({
+    distance: leg.distance ?? 0,
+    duration: leg.duration ?? 0,
+    summary: leg.summary || '',
+    steps: (leg.steps || []).map(normalizeStep),
+  }))
+  return {
+    profile,
+    distance: raw.distance ?? 0,
+    duration: raw.duration ?? 0,
+    geometry: raw.geometry || '',
+    mainRoads: mainRoads(legs),
+    legs,
+  }
+}
+
+// Exclusions each profile accepts; anything else is dropped rather than failing the request
+export const EXCLUDES = {
+  driving: ['toll', 'motorway', 'ferry'],
+  'driving-traffic': ['toll', 'motorway', 'ferry'],
+  walking: [],
+  cycling: ['ferry'],
+}
+
+// points: ordered [lng, lat] pairs. Resolves to the best route as
+// { profile, distance, duration, geometry, mainRoads, legs: [{ distance, duration, summary, steps }] }
+// plus `alternatives` (same shape) when requested, or null when there is no route. language sets
+// the language of the step instructions. departAt/arriveBy are local "YYYY-MM-DDThh:mm" times
+// for time-dependent routing (arriveBy on the driving profile only). Once signal is aborted no new
+// request is made; one already on its way is left to finish, as other callers may be waiting on it.
+export async function route(
+  points,
+  { profile = 'driving', exclude = [], alternatives = false, language, departAt, arriveBy, refresh, signal } = {},
+) {
+  signal?.throwIfAborted()
+  const excluded = exclude.filter((e) => EXCLUDES[profile].includes(e)).sort()
+  const key = cacheKey('route', profile, roundCoordinates(points), excluded, alternatives, language, departAt, arriveBy)
+  // Traffic-aware routes go stale sooner, so they have a cache of their own
+  return getCache(profile === 'driving-traffic' ? 'traffic' : 'route').wrap(
+    key,
+    () => fetchRoute(points, { profile, excluded, alternatives, language, departAt, arriveBy }),
+    { refresh },
+  )
+}
+
+async function fetchRoute(points, { profile, excluded, alternatives, language, departAt, arriveBy }) {
+  const coords = points.map((p) => `${p[0]},${p[1]}`).join(';')
+  const params = new URLSearchParams({
+    access_token: getToken(),
+    steps: 'true',
+    overview: 'simplified',
+  })
+  if (excluded.length > 0) params.set('exclude', excluded.join(','))
+  if (alternatives) params.set('alternatives', 'true')
+  if (language) params.set('language', language)
+  if (departAt) params.set('depart_at', departAt)
+  if (arriveBy) params.set('arrive_by', arriveBy)
+  const data = await mapboxFetch(mapboxUrl(`${DIRECTIONS_PATH}/${profile}/${coords}`, params), 'Directions')
+  const found = (data.routes || []).filter((r) => r.legs)
+  if (found.length === 0) return null
+  const [best, ...others] = found.map((r) => normalizeRoute(r, profile))
+  return alternatives ? { ...best, exclude: excluded, alternatives: others } : { ...best, exclude: excluded }
+}
+
+export function isCoordinatePair(value) {
+  return (
+    Array.isArray(value) &&
+    value.length === 2 &&
+    value.every((n) => typeof n === 'number' && Number.isFinite(n)) &&
+    Math.abs(value[0]) <= 180 &&
+    Math.abs(value[1]) <= 90
+  )
+}
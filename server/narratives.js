@@ -0,0 +1,165 @@
+// History of generated narratives with the inputs they were generated from, so an entry can be
+// searched, reopened in the form and generated again.
+import { randomUUID } from 'crypto'
+import { Router } from 'express'
+import { createJsonStore } from './store.js'
+import { httpError, sendError } from './http.js'
+
+// Oldest entries are dropped past this many
+const HISTORY_LIMIT = 500
+// Every save rewrites the whole history, so each entry is kept small
+const MAX_ENTRY_BYTES = 200 * 1024
+const store = createJsonStore('narratives.json', { narratives: [] })
+
+function placeLabels(inputs = {}) {
+  return [inputs.origin, inputs.destination, ...(inputs.stops || [])].map((p) => p?.label).filter(Boolean)
+}
+
+// What the history list shows; the full entry (maneuvers, legs) is fetched on reopen
+function summarize(entry) {
+  return {
+    id: entry.id,
+    createdAt: entry.createdAt,
+    origin: entry.inputs.origin?.label || '',
+    destination: entry.inputs.destination?.label || '',
+    selfParking: entry.inputs.selfParkingOverride || '',
+    travelMode: entry.inputs.travelMode,
+    languages: [entry.inputs.language || 'en', ...(entry.translations || []).map((t) => t.language)],
+    excerpt: entry.prose.slice(0, 200),
+    provider: entry.provider,
+    model: entry.model,
+  }
+}
+
+// Every whitespace-separated term has to appear in an address, the self-parking override or the prose
+// (in any of the languages it was written in)
+function matches(entry, terms) {
+  const texts = [entry.prose, ...(entry.translations || []).map((t) => t.prose)]
+  const haystack = [...placeLabels(entry.inputs), entry.inputs.selfParkingOverride, ...texts].join('\n').toLowerCase()
+  return terms.every((term) => haystack.includes(term))
+}
+
+function readNarrativeInput(body) {
+  const { inputs, prose } = body
+  if (!inputs || typeof inputs !== 'object' || !inputs.origin?.label || !inputs.destination?.label) {
+    throw httpError(400, 'inputs with an origin and destination are required')
+  }
+  if (typeof prose !== 'string' || !prose.trim()) throw httpError(400, 'prose is required')
+  return {
+    inputs,
+    prose,
+    // The editor's sentences, and the output they were edited from
+    segments: Array.isArray(body.segments)
+      ? body.segments
+          .filter((s) => typeof s?.text === 'string')
+          .map((s) => ({
+            text: s.text,
+            paragraph: Number.isInteger(s.paragraph) ? s.paragraph : 0,
+            lineBreak: !!s.lineBreak,
+            maneuvers: Array.isArray(s.maneuvers) ? s.maneuvers.filter(Number.isInteger) : [],
+            locked: !!s.locked,
+            edited: !!s.edited,
+          }))
+      : null,
+    generatedProse: typeof body.generatedProse === 'string' ? body.generatedProse : prose,
+    maneuvers: Array.isArray(body.maneuvers) ? body.maneuvers : [],
+    legs: Array.isArray(body.legs) ? body.legs : [],
+    // Landmark hints the narrative was written with
+    landmarks: Array.isArray(body.landmarks) ? body.landmarks : [],
+    routingDestination: body.routingDestination || null,
+    // The route's figures only; its geometry is large and a reopened entry doesn't draw it
+    route: body.route
+      ? {
+          profile: body.route.profile || null,
+          distance: Number.isFinite(body.route.distance) ? body.route.distance : null,
+          duration: Number.isFinite(body.route.duration) ? body.route.duration : null,
+          mainRoads: Array.isArray(body.route.mainRoads) ? body.route.mainRoads.filter((r) => typeof r === 'string') : [],
+        }
+      : null,
+    // Depart-at / arrive-by result the summary line was written from
+    timing: body.timing || null,
+    // The way back, routed and written separately
+    returnTrip:
+      typeof body.returnTrip?.prose === 'string'
+        ? {
+            prose: body.returnTrip.prose,
+            maneuvers: Array.isArray(body.returnTrip.maneuvers) ? body.returnTrip.maneuvers : [],
+            legs: Array.isArray(body.returnTrip.legs) ? body.returnTrip.legs : [],
+            landmarks: Array.isArray(body.returnTrip.landmarks) ? body.returnTrip.landmarks : [],
+            distance: Number.isFinite(body.returnTrip.distance) ? body.returnTrip.distance : null,
+            duration: Number.isFinite(body.returnTrip.duration) ? body.returnTrip.duration : null,
+          }
+        : null,
+    translations: Array.isArray(body.translations)
+      ? body.translations.filter((t) => typeof t?.language === 'string' && typeof t.prose === 'string')
+      : [],
+    provider: body.provider || null,
+    model: body.model || null,
+    fallback: !!body.fallback,
+  }
+}
+
+// Throws a 413 when the stored entry would be larger than MAX_ENTRY_BYTES
+function checkNarrativeSize(entry) {
+  const bytes = Buffer.byteLength(JSON.stringify(entry))
+  if (bytes > MAX_ENTRY_BYTES) {
+    throw httpError(413, `A history entry can be at most ${MAX_ENTRY_BYTES / 1024} KB; this one is ${Math.ceil(bytes / 1024)} KB`)
+  }
+}
+
+export function createNarrativesRouter() {
+  const router = Router()
+
+  router.get('/', async (req, res) => {
+    try {
+      const terms = String(req.query.q || '').toLowerCase().split(/\s+/).filter(Boolean)
+      const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200)
+      const { narratives } = await store.read()
+      const found = narratives.filter((entry) => matches(entry, terms))
+      res.json({ total: found.length, narratives: found.slice(0, limit).map(summarize) })
+    } catch (err) {
+      console.error('List narratives error:', err)
+      sendError(res, err, 'Failed to load narrative history')
+    }
+  })
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const { narratives } = await store.read()
+      const entry = narratives.find((n) => n.id === req.params.id)
+      if (!entry) throw httpError(404, 'Narrative not found')
+      res.json(entry)
+    } catch (err) {
+      console.error('Get narrative error:', err)
+      sendError(res, err, 'Failed to load narrative')
+    }
+  })
+
+  router.post('/', async (req, res) => {
+    try {
+      const entry = { id: randomUUID(), createdAt: new Date().toISOString(), ...readNarrativeInput(req.body || {}) }
+      checkNarrativeSize(entry)
+      // Newest first
+      await store.update((data) => ({ ...data, narratives: [entry, ...data.narratives].slice(0, HISTORY_LIMIT) }))
+      res.status(201).json(summarize(entry))
+    } catch (err) {
+      console.error('Save narrative error:', err)
+      sendError(res, err, 'Failed to save narrative')
+    }
+  })
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      await store.update((data) => {
+        if (!data.narratives.some((n) => n.id === req.params.id)) throw httpError(404, 'Narrative not found')
+        return { ...data, narratives: data.narratives.filter((n) => n.id !== req.params.id) }
+      })
+      res.status(204).end()
+    } catch (err) {
+      console.error('Delete narrative error:', err)
+      sendError(res, err, 'Failed to delete narrative')
+    }
+  })
+
+  return router
+}
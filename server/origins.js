@@ -0,0 +1,156 @@
+// Saved starting points. Coordinates are resolved once when a preset is saved so the app
+// doesn't need to geocode on load.
+import { randomUUID } from 'crypto'
+import { Router } from 'express'
+import { createJsonStore } from './store.js'
+import { geocode, isCoordinatePair } from './mapbox.js'
+import { httpError, sendError } from './http.js'
+
+const store = createJsonStore('origins.json', {
+  origins: [
+    { id: 'orlando-office', name: 'Orlando office', label: '55 W. Church St., Orlando, FL 32801', coordinates: null },
+  ],
+})
+
+// Presets whose address couldn't be geocoded are retried after a minute, doubling up to a day
+const RETRY_MIN_MS = 60000
+const RETRY_MAX_MS = 86400000
+
+// A failed lookup is kept as { unresolved: true, resolveAttempts, resolveFailedAt }
+function markUnresolved(origin, now = Date.now()) {
+  return {
+    ...origin,
+    unresolved: true,
+    resolveAttempts: (origin.resolveAttempts || 0) + 1,
+    resolveFailedAt: new Date(now).toISOString(),
+  }
+}
+
+function isRetryDue(origin, now = Date.now()) {
+  if (origin.coordinates) return false
+  if (!origin.unresolved) return true
+  const wait = Math.min(RETRY_MIN_MS * 2 ** (origin.resolveAttempts - 1), RETRY_MAX_MS)
+  return Date.parse(origin.resolveFailedAt) + wait <= now
+}
+
+function clearRetryState(origin) {
+  const cleared = { ...origin }
+  delete cleared.unresolved
+  delete cleared.resolveAttempts
+  delete cleared.resolveFailedAt
+  return cleared
+}
+
+// A lookup that fails (Mapbox down, rate limited) leaves the preset unresolved, the same as an
+// address that isn't found, so it is retried later rather than failing the request
+async function resolveCoordinates(origin) {
+  if (origin.coordinates) return clearRetryState(origin)
+  const place = await geocode(origin.label).catch((err) => {
+    console.error('Geocode origin error:', err)
+    return null
+  })
+  return place ? { ...clearRetryState(origin), coordinates: place.coordinates } : markUnresolved(origin)
+}
+
+// Whether a preset is still as it was when its lookup started, so the result can be kept
+function isUnchanged(current, before) {
+  return (
+    current.label === before.label &&
+    current.coordinates === before.coordinates &&
+    current.resolveFailedAt === before.resolveFailedAt
+  )
+}
+
+function readOriginInput(body, existing = {}) {
+  const name = typeof body.name === 'string' ? body.name.trim() : existing.name
+  const label = typeof body.label === 'string' ? body.label.trim() : existing.label
+  if (!name || name.length > 80) throw httpError(400, 'A name of up to 80 characters is required')
+  if (!label || label.length > 300) throw httpError(400, 'An address of up to 300 characters is required')
+  if (body.coordinates !== undefined && body.coordinates !== null && !isCoordinatePair(body.coordinates)) {
+    throw httpError(400, 'coordinates must be a [lng, lat] pair')
+  }
+  // A changed address without new coordinates gets geocoded again
+  const coordinates = body.coordinates ?? (label === existing.label ? existing.coordinates : null)
+  return { name, label, coordinates: coordinates || null }
+}
+
+export async function listOrigins() {
+  const { origins } = await store.read()
+  if (!origins.some((o) => isRetryDue(o))) return origins
+  // Fill in presets saved without coordinates (e.g. the seed entry) and keep the result; ones that
+  // fail wait for their next retry instead of being looked up on every load. The lookups happen
+  // outside the update so other changes aren't held up by Mapbox, and a preset edited or deleted
+  // meanwhile keeps the edit.
+  const resolved = new Map()
+  for (const origin of origins) {
+    if (isRetryDue(origin)) resolved.set(origin.id, { before: origin, after: await resolveCoordinates(origin) })
+  }
+  const { origins: updated } = await store.update((data) => ({
+    ...data,
+    origins: data.origins.map((o) => {
+      const lookup = resolved.get(o.id)
+      return lookup && isUnchanged(o, lookup.before) ? lookup.after : o
+    }),
+  }))
+  return updated
+}
+
+export function createOriginsRouter() {
+  const router = Router()
+
+  router.get('/', async (req, res) => {
+    try {
+      res.json({ origins: await listOrigins() })
+    } catch (err) {
+      console.error('List origins error:', err)
+      sendError(res, err, 'Failed to load saved origins')
+    }
+  })
+
+  router.post('/', async (req, res) => {
+    try {
+      const origin = await resolveCoordinates({ id: randomUUID(), ...readOriginInput(req.body || {}) })
+      await store.update((data) => ({ ...data, origins: [...data.origins, origin] }))
+      res.status(201).json(origin)
+    } catch (err) {
+      console.error('Create origin error:', err)
+      sendError(res, err, 'Failed to save origin')
+    }
+  })
+
+  router.put('/:id', async (req, res) => {
+    try {
+      const notFound = () => httpError(404, 'Saved origin not found')
+      const existing = (await store.read()).origins.find((o) => o.id === req.params.id)
+      if (!existing) throw notFound()
+      const input = readOriginInput(req.body || {}, existing)
+      // A new address starts its retries over. The lookup happens before the update, so Mapbox
+      // doesn't hold up other changes.
+      const base = input.label === existing.label ? existing : clearRetryState(existing)
+      const updated = await resolveCoordinates({ ...base, ...input })
+      await store.update((data) => {
+        if (!data.origins.some((o) => o.id === updated.id)) throw notFound()
+        return { ...data, origins: data.origins.map((o) => (o.id === updated.id ? updated : o)) }
+      })
+      res.json(updated)
+    } catch (err) {
+      console.error('Update origin error:', err)
+      sendError(res, err, 'Failed to update origin')
+    }
+  })
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      await store.update((data) => {
+        if (!data.origins.some((o) => o.id === req.params.id)) throw httpError(404, 'Saved origin not found')
+        return { ...data, origins: data.origins.filter((o) => o.id !== req.params.id) }
+      })
+      res.status(204).end()
+    } catch (err) {
+      console.error('Delete origin error:', err)
+      sendError(res, err, 'Failed to delete origin')
+    }
+  })
+
+  return router
+}
@@ -0,0 +1,145 @@
+// The narrative pipeline (src/lib/pipeline.js) on the server, with Mapbox, the timing and landmark
+// lookups and the prose pipeline called directly instead of through /api. POST /api/narrative and
+// the narrate CLI (bin/narrate.js) both go through narrate() here.
+import { geocode, route, PROFILES } from './mapbox.js'
+import { httpError } from './http.js'
+import { tripTiming, isLocalTime } from './timing.js'
+import { findLandmarks } from './landmarks/index.js'
+import { generateNarrative } from './prose/generate.js'
+import { createPipeline } from '../src/lib/pipeline.js'
+import { DEFAULT_LANGUAGE, isSupportedLanguage } from '../src/lib/languages.js'
+
+const AVOID_OPTIONS = ['toll', 'motorway', 'ferry']
+const MAX_PLACE_LENGTH = 300
+const FLAGS = ['walkFromParking', 'returnTrip', 'landmarks', 'plain', 'stepDistances', 'verify', 'refresh']
+
+// onUsage receives the token usage of each LLM call; refresh skips the caches (see cache.js)
+export function serverServices({ onUsage, verify = true, refresh = false } = {}) {
+  return {
+    geocode: (query, { country } = {}) => geocode(query, { country: country || undefined, refresh }),
+    async route(coordinates, options, { signal } = {}) {
+      const found = await route(coordinates, { ...options, refresh, signal })
+      if (!found) throw httpError(404, 'No route found between these locations.')
+      return found
+    },
+    generateProse: ({ mode, template, ...prose }, { signal } = {}) =>
+      generateNarrative(prose, { mode, verify, refresh, templateId: template, signal, onUsage }),
+    tripTiming: (coordinates, options, { signal } = {}) => tripTiming(coordinates, { ...options, signal }),
+    findLandmarks: (legs, { language } = {}, { signal } = {}) => findLandmarks(legs, { language, signal }),
+  }
+}
+
+function isPlace(value) {
+  if (typeof value === 'string') return value.trim().length > 0 && value.length <= MAX_PLACE_LENGTH
+  const coordinates = Array.isArray(value) ? value : value?.coordinates
+  return (
+    Array.isArray(coordinates) &&
+    coordinates.length === 2 &&
+    coordinates.every((n) => typeof n === 'number' && Number.isFinite(n)) &&
+    Math.abs(coordinates[0]) <= 180 &&
+    Math.abs(coordinates[1]) <= 90 &&
+    (Array.isArray(value) || value.label === undefined || (typeof value.label === 'string' && value.label.length <= MAX_PLACE_LENGTH))
+  )
+}
+
+// Body of POST /api/narrative. Places are an address, "lat,lng", a map link, [lng, lat] or
+// { label, coordinates }:
+//   { origin, destination, stops?, selfParking?, walkFromParking?, travelMode?, avoid?, language?,
+//     template?, units?, stepDistances?, departAt? | arriveBy?, returnTrip?, landmarks?, plain?,
+//     verify?, refresh?, country? }
+// country limits address lookups (default "US"; "" for anywhere). Resolves to the request with
+// defaults filled in, or throws a 400.
+export function readNarrativeRequest(body) {
+  const invalid = (message) => httpError(400, message)
+  const {
+    origin,
+    destination,
+    stops = [],
+    selfParking = '',
+    travelMode = 'driving',
+    avoid = [],
+    language = DEFAULT_LANGUAGE,
+    template,
+    units = 'imperial',
+    departAt,
+    arriveBy,
+    country = 'US',
+  } = body
+  if (!isPlace(origin) || !isPlace(destination)) {
+    throw invalid(`origin and destination are required: an address, "lat,lng", [lng, lat] or { label, coordinates }`)
+  }
+  if (!Object.hasOwn(PROFILES, travelMode)) throw invalid(`Unknown travel mode "${travelMode}"`)
+  const maxStops = PROFILES[travelMode].maxPoints - 2
+  if (!Array.isArray(stops) || stops.length > maxStops || !stops.every(isPlace)) {
+    throw invalid(`stops must be a list of up to ${maxStops} places for ${travelMode}`)
+  }
+  if (typeof selfParking !== 'string' || selfParking.length > MAX_PLACE_LENGTH) {
+    throw invalid('selfParking must be an address, "lat,lng" or a map link')
+  }
+  if (!Array.isArray(avoid) || avoid.some((a) => !AVOID_OPTIONS.includes(a))) {
+    throw invalid(`avoid can list ${AVOID_OPTIONS.join(', ')}`)
+  }
+  if (!isSupportedLanguage(language)) throw invalid(`Unsupported language "${language}"`)
+  if (template !== undefined && typeof template !== 'string') throw invalid('template must be a template id')
+  if (units !== 'imperial' && units !== 'metric') throw invalid('units must be "imperial" or "metric"')
+  if ((departAt && arriveBy) || ![departAt, arriveBy].filter((t) => t !== undefined).every(isLocalTime)) {
+    throw invalid('Give at most one of departAt or arriveBy, as a local time like 2025-06-01T17:30')
+  }
+  if (typeof country !== 'string' || !/^([A-Za-z]{2})?$/.test(country)) {
+    throw invalid('country must be a two-letter country code, or "" for anywhere')
+  }
+  const flag = FLAGS.find((name) => body[name] !== undefined && typeof body[name] !== 'boolean')
+  if (flag) throw invalid(`${flag} must be true or false`)
+
+  return {
+    origin,
+    destination,
+    stops,
+    selfParking: selfParking.trim(),
+    walkFromParking: !!body.walkFromParking,
+    travelMode,
+    avoid,
+    language,
+    template,
+    units,
+    stepDistances: !!body.stepDistances,
+    schedule: departAt ? { mode: 'depart', time: departAt } : arriveBy ? { mode: 'arrive', time: arriveBy } : { mode: 'none', time: '' },
+    returnTrip: !!body.returnTrip,
+    landmarks: !!body.landmarks,
+    plain: !!body.plain,
+    verify: body.verify !== false,
+    refresh: !!body.refresh,
+    country: country.toUpperCase(),
+  }
+}
+
+// request as returned by readNarrativeRequest. Resolves to the result of the shared pipeline's
+// narrate(): { summary, prose, narrative, maneuvers, links: { google, apple }, ... }.
+export async function narrate(request, { signal, onUsage } = {}) {
+  const pipeline = createPipeline(serverServices({ onUsage, verify: request.verify, refresh: request.refresh }))
+  const [origin, destination, ...stops] = await Promise.all(
+    [request.origin, request.destination, ...request.stops].map((place) =>
+      pipeline.resolvePlace(place, { country: request.country }),
+    ),
+  )
+  return pipeline.narrate(
+    {
+      origin,
+      destination,
+      stops,
+      selfParkingOverride: request.selfParking,
+      travelMode: request.travelMode,
+      avoid: request.avoid,
+      walkFromParking: request.walkFromParking,
+      includeReturn: request.returnTrip,
+      includeLandmarks: request.landmarks,
+      plainMode: request.plain,
+      language: request.language,
+      tone: request.template,
+      units: request.units,
+      stepDistances: request.stepDistances,
+      schedule: request.schedule,
+    },
+    { signal },
+  )
+}
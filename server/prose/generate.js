@@ -0,0 +1,168 @@
+// Narrative generation pipeline: LLM provider chain, factual verification with re-prompting,
+// the rule-based writer as the offline mode and fallback, and a cache of finished narratives.
+import { generateText, streamText, loadProviderChain } from '../llm/index.js'
+import { getCache, cacheKey } from '../cache.js'
+import { buildProsePrompt } from './prompt.js'
+import { resolveTemplate } from './templates.js'
+import { generatePlainProse, joinInstructions } from './plain.js'
+import { verifyProse } from './verify.js'
+import { segmentNarrative } from './segments.js'
+
+// Bump when a change here or in verification should stop earlier cached narratives being reused
+const PROSE_CACHE_VERSION = 1
+
+function maxVerifyRetries() {
+  const n = Number(process.env.PROSE_VERIFY_MAX_RETRIES)
+  return Number.isFinite(n) && n >= 0 ? n : 2
+}
+
+function withFeedback(prompt, discrepancies) {
+  const problems = discrepancies.map((d) => `- ${d.message}`).join('\n')
+  return {
+    ...prompt,
+    user: `${prompt.user}\n\nA previous draft had these problems. Rewrite it so every road, turn and exit above appears in order and nothing else is added:\n${problems}`,
+  }
+}
+
+// The rule-based writer's narrative; outside English it joins the steps' own instructions.
+// extra is added to the result (the reason for a fallback).
+function plainNarrative(route, verify, extra) {
+  const proseLegs = Array.isArray(route.legs) && route.legs.length > 0 ? route.legs : [{ maneuvers: route.maneuvers }]
+  const prose =
+    route.language && route.language !== 'en'
+      ? joinInstructions(proseLegs, { language: route.language })
+      : generatePlainProse(proseLegs, {
+          travelMode: route.travelMode,
+          units: route.units,
+          distances: route.stepDistances !== false,
+        })
+  const verification = verify ? { ...verifyProse(prose, route), attempts: 1 } : null
+  return { prose, segments: segmentNarrative(prose, route), provider: 'plain', model: null, verification, ...extra }
+}
+
+// The rendered prompt covers the route and the template's wording; the chain covers who would
+// answer it. Only LLM drafts that passed verification (or weren't verified) are worth reusing.
+function proseCacheKey(prompt, verify) {
+  const chain = loadProviderChain().map((config) => [config.name, config.model, config.temperature])
+  return cacheKey('prose', PROSE_CACHE_VERSION, prompt, chain, verify)
+}
+
+function isReusable(result) {
+  return !result.fallback && (!result.verification || result.verification.passed)
+}
+
+// Runs write() unless the cache has a narrative for this prompt; reused ones are marked `cached`.
+// refresh writes a new one regardless.
+async function cachedNarrative(prompt, verify, refresh, write) {
+  let reused = true
+  const result = await getCache('prose').wrap(
+    proseCacheKey(prompt, verify),
+    () => {
+      reused = false
+      return write()
+    },
+    { refresh, shouldStore: isReusable },
+  )
+  return reused ? { ...result, cached: true } : result
+}
+
+// The prompt comes from `template` ({ system, user }, e.g. an unsaved edit being previewed) or
+// the stored template `templateId`, falling back to the default.
+async function promptFor(route, { template, templateId }) {
+  const resolved = template || (await resolveTemplate(templateId))
+  return {
+    prompt: buildProsePrompt(route, resolved),
+    templateInfo: resolved.id ? { id: resolved.id, version: resolved.version } : null,
+  }
+}
+
+// route: { maneuvers, legs, travelMode, language, units, stepDistances, landmarks } as posted to
+// /api/generate-prose. The rule-based writer leaves landmarks out. Resolves to
+// { prose, segments, provider, model, verification, fallback?, fallbackReason?, cached? }, with
+// segments as the prose's sentences mapped to maneuvers (see segments.js). onUsage receives the
+// token usage of each LLM call; refresh skips the narrative cache. An unsaved template being
+// previewed (template) skips it too, so each try is written anew.
+export async function generateNarrative(route, { mode, verify = true, refresh = false, signal, onUsage, template, templateId } = {}) {
+  if (mode === 'plain') return plainNarrative(route, verify)
+
+  const { prompt, templateInfo } = await promptFor(route, { template, templateId })
+  const write = () => draftNarrative(route, prompt, templateInfo, { verify, signal, onUsage })
+  return template ? write() : cachedNarrative(prompt, verify, refresh, write)
+}
+
+async function draftNarrative(route, prompt, templateInfo, { verify, signal, onUsage }) {
+  let best = null
+  let attempts = 0
+  try {
+    for (;;) {
+      const feedback = best?.verification?.discrepancies
+      const result = await generateText(feedback?.length ? withFeedback(prompt, feedback) : prompt, { signal, onUsage })
+      attempts++
+      const verification = verify ? verifyProse(result.text, route) : null
+      const candidate = { prose: result.text, provider: result.provider, model: result.model, template: templateInfo, verification }
+      if (!best || (verification && verification.discrepancies.length < best.verification.discrepancies.length)) {
+        best = candidate
+      }
+      if (!verification || verification.passed || attempts > maxVerifyRetries()) break
+      console.warn(`Narrative failed verification (attempt ${attempts}):`, verification.discrepancies.map((d) => d.message).join('; '))
+    }
+  } catch (err) {
+    if (signal?.aborted) throw err
+    // Keep a draft we already have; otherwise no usable LLM (missing key, outage)
+    if (!best) {
+      console.warn('LLM unavailable, using plain prose:', err.message)
+      return plainNarrative(route, verify, { fallback: true, fallbackReason: err.message })
+    }
+  }
+  if (best.verification) best.verification = { ...best.verification, attempts }
+  return { ...best, segments: segmentNarrative(best.prose, route) }
+}
+
+// Streaming variant: onToken receives text as it is written. The finished draft is verified but
+// not re-prompted, since the reader has already seen it. On a mid-stream failure the error
+// carries the text streamed so far as `partial`. A cached narrative arrives as a single token.
+export async function streamNarrative(route, { mode, verify = true, refresh = false, signal, onToken, onUsage, templateId } = {}) {
+  const plain = (extra) => {
+    const result = plainNarrative(route, verify, extra)
+    onToken(result.prose)
+    return result
+  }
+  if (mode === 'plain') return plain()
+
+  const { prompt, templateInfo } = await promptFor(route, { templateId })
+  const result = await cachedNarrative(prompt, verify, refresh, () =>
+    streamDraft(route, prompt, templateInfo, { verify, signal, onToken, onUsage, plain }),
+  )
+  if (result.cached) onToken(result.prose)
+  return result
+}
+
+async function streamDraft(route, prompt, templateInfo, { verify, signal, onToken, onUsage, plain }) {
+  let partial = ''
+  try {
+    const result = await streamText(prompt, {
+      signal,
+      onUsage,
+      onToken: (text) => {
+        partial += text
+        onToken(text)
+      },
+    })
+    const verification = verify ? { ...verifyProse(result.text, route), attempts: 1 } : null
+    return {
+      prose: result.text,
+      segments: segmentNarrative(result.text, route),
+      provider: result.provider,
+      model: result.model,
+      template: templateInfo,
+      verification,
+    }
+  } catch (err) {
+    if (signal?.aborted || partial) {
+      err.partial = partial
+      throw err
+    }
+    console.warn('LLM unavailable, using plain prose:', err.message)
+    return plain({ fallback: true, fallbackReason: err.message })
+  }
+}
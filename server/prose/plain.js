@@ -0,0 +1,192 @@
+// Rule-based narrative writer. Works offline and is fully deterministic: the same steps always
+// produce byte-for-byte the same paragraph, so output can be snapshot-tested.
+
+const CONNECTIVES = ['Then', 'Next', 'After that', 'From there']
+const ORDINALS = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth']
+const COMPASS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest']
+const DEPART_VERBS = { walking: 'walk', cycling: 'ride' }
+const TRIVIAL_TYPES = new Set(['notification', 'use lane', 'exit roundabout', 'exit rotary'])
+// Steps shorter than this are too small to mention a distance for
+const MIN_DISTANCE_METERS = 30
+
+// "2 miles", "500 feet", "1.5 km" as it reads in a sentence
+export function spokenDistance(meters, units = 'imperial') {
+  if (units === 'metric') {
+    if (meters >= 1000) {
+      const km = meters / 1000
+      const value = km < 10 ? km.toFixed(1).replace(/\.0$/, '') : String(Math.round(km))
+      return `${value} ${value === '1' ? 'kilometer' : 'kilometers'}`
+    }
+    return `${Math.max(50, Math.round(meters / 50) * 50)} meters`
+  }
+  const miles = meters / 1609.344
+  if (miles >= 0.1) {
+    const value = miles < 10 ? miles.toFixed(1).replace(/\.0$/, '') : String(Math.round(miles))
+    return `${value} ${value === '1' ? 'mile' : 'miles'}`
+  }
+  return `${Math.max(50, Math.round((meters * 3.28084) / 50) * 50)} feet`
+}
+
+function compassDirection(bearing) {
+  if (bearing == null) return ''
+  return COMPASS[Math.round((((bearing % 360) + 360) % 360) / 45) % 8]
+}
+
+function ordinal(n) {
+  return ORDINALS[n - 1] || `${n}th`
+}
+
+function capitalize(s) {
+  return s ? s[0].toUpperCase() + s.slice(1) : s
+}
+
+// Lowercases a leading verb ("Turn left…") but leaves names and acronyms ("I-4…") alone
+function lowercaseLead(s) {
+  return s && /^[A-Z][a-z]/.test(s) ? s[0].toLowerCase() + s.slice(1) : s
+}
+
+function createRoadNamer() {
+  const mentioned = new Set()
+  return (step) => {
+    const name = step.road?.trim()
+    const ref = step.ref?.trim()
+    if (!name) return ref || ''
+    if (!ref || ref === name || mentioned.has(name)) return name
+    mentioned.add(name)
+    return `${name} (${ref})`
+  }
+}
+
+// Folds trivial steps (lane notices, unchanged-road continues, renames) into the step before them
+function mergeSteps(steps) {
+  const segments = []
+  for (const step of steps) {
+    const prev = segments[segments.length - 1]
+    const isStraightContinue = step.type === 'continue' && (!step.modifier || step.modifier === 'straight')
+    const sameRoad = prev && step.road && step.road === prev.step.road
+    if (prev && prev.step.type !== 'arrive' && step.type !== 'arrive') {
+      if (TRIVIAL_TYPES.has(step.type) || (isStraightContinue && (sameRoad || !step.road))) {
+        prev.distance += step.distance || 0
+        continue
+      }
+      if (step.type === 'new name' || isStraightContinue) {
+        if (step.road && !sameRoad) prev.becomes.push(step)
+        prev.distance += step.distance || 0
+        continue
+      }
+    }
+    segments.push({ step, distance: step.distance || 0, becomes: [] })
+  }
+  return segments
+}
+
+function describeStep(step, roadName, leg) {
+  const road = roadName(step)
+  const onto = road ? ` onto ${road}` : ''
+  const modifier = step.modifier || ''
+
+  switch (step.type) {
+    case 'depart': {
+      const direction = compassDirection(step.bearing)
+      const verb = DEPART_VERBS[leg.travelMode] || 'head'
+      if (direction) return `${verb} ${direction}${road ? ` on ${road}` : ''}`
+      return road ? `start out on ${road}` : 'start out'
+    }
+    case 'turn':
+    case 'end of road': {
+      const turn = modifier === 'uturn' ? 'make a U-turn' : modifier === 'straight' ? 'continue straight' : `turn ${modifier || 'ahead'}`
+      return step.type === 'end of road' ? `at the end of the road, ${turn}${onto}` : `${turn}${onto}`
+    }
+    case 'continue':
+    case 'new name':
+      return `continue ${modifier && modifier !== 'straight' ? `${modifier} ` : ''}${road ? `on ${road}` : 'ahead'}`
+    case 'merge':
+      return `merge${modifier && modifier !== 'straight' ? ` ${modifier}` : ''}${onto}`
+    case 'on ramp':
+      return `take the ramp${modifier && modifier !== 'straight' ? ` on the ${modifier.replace('slight ', '')}` : ''}${onto}`
+    case 'off ramp':
+      return `take ${step.exits ? `exit ${step.exits.split(';')[0]}` : 'the exit'}${onto}`
+    case 'fork':
+      return `keep ${modifier.replace('slight ', '') || 'straight'} at the fork${onto}`
+    case 'roundabout':
+    case 'rotary':
+      return step.exit
+        ? `at the ${step.type}, take the ${ordinal(step.exit)} exit${onto}`
+        : `go through the ${step.type}${onto}`
+    case 'roundabout turn':
+      return `at the roundabout, turn ${modifier || 'ahead'}${onto}`
+    case 'arrive': {
+      const place = leg.to || 'your destination'
+      const side = modifier === 'left' || modifier === 'right' ? `, which will be on the ${modifier}` : ''
+      return `${leg.parkAtEnd ? 'park at' : 'arrive at'} ${place}${side}`
+    }
+    default:
+      return lowercaseLead((step.instruction || '').replace(/\.$/, ''))
+  }
+}
+
+function writeParagraph(leg, roadName, { units, distances }) {
+  const steps = leg.steps?.length ? leg.steps : (leg.maneuvers || []).map((instruction) => ({ instruction }))
+  const segments = mergeSteps(steps)
+  const sentences = []
+
+  segments.forEach((segment, i) => {
+    const { step } = segment
+    let phrase = describeStep(step, roadName, leg)
+    if (!phrase) return
+    for (const renamed of segment.becomes) {
+      phrase += `, which becomes ${roadName(renamed)}`
+    }
+    if (distances && step.type !== 'arrive' && segment.distance >= MIN_DISTANCE_METERS && step.type) {
+      const joiner = step.type === 'depart' || step.type === 'continue' || step.type === 'new name' ? ' for' : ' and continue for'
+      phrase += `${segment.becomes.length > 0 ? ',' : ''}${joiner} ${spokenDistance(segment.distance, units)}`
+    }
+
+    if (i === 0) {
+      sentences.push(leg.from && leg.to ? `From ${leg.from} to ${leg.to}, ${phrase}.` : `${capitalize(phrase)}.`)
+    } else if (step.type === 'arrive' || i === segments.length - 1) {
+      sentences.push(`Finally, ${phrase}.`)
+    } else {
+      sentences.push(`${CONNECTIVES[(i - 1) % CONNECTIVES.length]}, ${phrase}.`)
+    }
+  })
+  return sentences.join(' ')
+}
+
+function isDriving(travelMode) {
+  return travelMode !== 'walking' && travelMode !== 'cycling'
+}
+
+// legs: [{ from?, to?, steps?, maneuvers?, travelMode? }] — steps are the normalized route steps;
+// plain instruction strings are used when steps aren't available. distances adds how far each
+// step goes ("and continue for 2 miles").
+export function generatePlainProse(legs, { units = 'imperial', travelMode = 'driving', distances = true } = {}) {
+  const roadName = createRoadNamer()
+  const labelled = legs.length > 1
+  return legs
+    .map((leg, i) => {
+      const mode = leg.travelMode || travelMode
+      // A driving leg followed by a walk ends at a parking spot
+      const parkAtEnd = isDriving(mode) && legs[i + 1]?.travelMode === 'walking'
+      const paragraphLeg = { ...leg, travelMode: mode, parkAtEnd, from: labelled ? leg.from : undefined }
+      return writeParagraph(paragraphLeg, roadName, { units, distances })
+    })
+    .filter(Boolean)
+    .join('\n\n')
+}
+
+// The rule-based wording above is English only. For other languages the localized Mapbox
+// instructions are joined into one paragraph per leg instead.
+export function joinInstructions(legs, { language } = {}) {
+  const stop = language === 'ja' ? '。' : '.'
+  return legs
+    .map((leg) =>
+      (leg.maneuvers || [])
+        .map((m) => m.trim())
+        .filter(Boolean)
+        .map((m) => (/[.!?。]$/.test(m) ? m : `${m}${stop}`))
+        .join(language === 'ja' ? '' : ' '),
+    )
+    .filter(Boolean)
+    .join('\n\n')
+}
@@ -0,0 +1,111 @@
+import { getLanguage } from '../../src/lib/languages.js'
+import { formatDistance, formatDuration } from '../../src/lib/format.js'
+import { builtinTemplate, renderTemplate } from './templates.js'
+import { spokenDistance } from './plain.js'
+
+const TRAVEL_TONE = {
+  driving: 'The reader is driving.',
+  walking: 'The reader is on foot: use walking language such as "walk along" and "cross", and never mention driving, lanes or parking.',
+  cycling: 'The reader is cycling: use riding language such as "ride along", and never mention driving or parking.',
+}
+
+function travelKind(travelMode) {
+  return travelMode === 'walking' || travelMode === 'cycling' ? travelMode : 'driving'
+}
+
+function sumSteps(legs, key) {
+  return (legs || []).flatMap((leg) => leg.steps || []).reduce((total, step) => total + (step[key] || 0), 0)
+}
+
+// Below this a step is too short to give a distance for (matches the plain writer)
+const MIN_STEP_DISTANCE = 30
+
+function landmarkHint(landmark) {
+  return landmark ? ` [landmark: ${landmark.name}${landmark.category ? `, ${landmark.category}` : ''}]` : ''
+}
+
+// A leg's instructions, each followed by the landmark near it when there is one and by how far it
+// goes when stepDistances is on. offset is the leg's first index in the flat maneuver list.
+function legLines(leg, fallback, { units, stepDistances, landmarks, offset }) {
+  const steps = (leg?.steps || []).filter((step) => step.instruction)
+  const hint = (i) => landmarkHint(landmarks.find((l) => l.maneuver === offset + i))
+  if (!stepDistances || steps.length === 0) return (leg?.maneuvers || fallback).map((line, i) => `${line}${hint(i)}`)
+  return steps.map((step, i) =>
+    step.type !== 'arrive' && step.distance >= MIN_STEP_DISTANCE
+      ? `${step.instruction}${hint(i)} (then continue for ${spokenDistance(step.distance, units)})`
+      : `${step.instruction}${hint(i)}`,
+  )
+}
+
+function legSize(leg) {
+  const steps = (leg.steps || []).filter((step) => step.instruction)
+  return steps.length > 0 ? steps.length : leg.maneuvers.length
+}
+
+// Values for the template placeholders (see TEMPLATE_VARIABLES)
+export function promptVariables({
+  maneuvers,
+  legs,
+  travelMode,
+  language = 'en',
+  units = 'imperial',
+  stepDistances = false,
+  landmarks = [],
+}) {
+  const isMultiLeg = Array.isArray(legs) && legs.length > 1
+  const legModes = (legs || []).map((leg) => travelKind(leg.travelMode || travelMode))
+  const modes = [...new Set(legModes.length > 0 ? legModes : [travelKind(travelMode)])]
+  const isMixedMode = modes.length > 1
+  const languageName = getLanguage(language).name
+
+  let offset = 0
+  const maneuversText = isMultiLeg
+    ? legs
+        .map((leg, i) => {
+          const how = isMixedMode ? ` (${legModes[i]})` : ''
+          const lines = legLines(leg, leg.maneuvers, { units, stepDistances, landmarks, offset })
+          offset += legSize(leg)
+          return `Leg ${i + 1}${how}: from ${leg.from || 'the previous stop'} to ${leg.to || 'the next stop'}\n${lines.join('\n')}`
+        })
+        .join('\n\n')
+    : legLines(legs?.[0], maneuvers, { units, stepDistances, landmarks, offset }).join('\n')
+  const opening = language === 'en' ? '"From <start> to <end>,"' : `the ${languageName} for "From <start> to <end>,"`
+  const distance = sumSteps(legs, 'distance')
+  const duration = sumSteps(legs, 'duration')
+
+  return {
+    maneuvers: maneuversText,
+    originName: legs?.[0]?.from || 'the starting point',
+    destinationName: legs?.[legs.length - 1]?.to || 'the destination',
+    mode: modes.join(' and '),
+    distance: distance > 0 ? formatDistance(distance, units) : 'unknown distance',
+    duration: duration > 0 ? formatDuration(duration) : 'unknown time',
+    layoutInstructions: isMultiLeg
+      ? `The route has several legs. Write one flowing paragraph of prose per leg, separated by a blank line, and open each paragraph with ${opening} using the place names given for that leg.`
+      : 'Write as a single flowing paragraph of prose.',
+    travelInstructions: isMixedMode
+      ? 'Each leg is labelled with how it is travelled. Match the wording to that: "drive" for driving legs, "walk" for walking legs, "ride" for cycling legs. When a driving leg ends at a parking spot, say to park there before the walk.'
+      : TRAVEL_TONE[modes[0]],
+    distanceInstructions: stepDistances
+      ? `Say how far to go on each road using the distances in parentheses, e.g. "continue for ${spokenDistance(3219, units)}".`
+      : '',
+    landmarkInstructions:
+      landmarks.length > 0
+        ? 'Some directions name a landmark in square brackets that stands where the maneuver happens. Mention it so the reader can spot the turn, e.g. "turn left at the courthouse onto Orange Avenue", but never present a landmark as a road and leave out the brackets.'
+        : '',
+    // Road names and numbers stay as given so readers can match them to signs
+    languageInstructions:
+      language === 'en'
+        ? ''
+        : `Write the narrative in ${languageName}. Keep road names, route numbers, exit numbers and place names exactly as given.`,
+  }
+}
+
+// System and user messages for the LLM narrative, from a prompt template ({ system, user })
+export function buildProsePrompt(route, template = builtinTemplate()) {
+  const variables = promptVariables(route)
+  return {
+    system: renderTemplate(template.system, variables),
+    user: renderTemplate(template.user, variables),
+  }
+}
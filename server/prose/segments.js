@@ -0,0 +1,106 @@
+// Splits a narrative into sentences and maps each one back to the maneuvers it covers, so edited
+// or locked sentences can be matched against a fresh draft and a span can be rewritten on its own.
+import { normalizeRoad, normalizeText } from './verify.js'
+
+// Abbreviations whose trailing period doesn't end a sentence ("W. Church St. in Orlando")
+const ABBREVIATIONS = new Set([
+  'st', 'ave', 'av', 'rd', 'blvd', 'dr', 'hwy', 'pkwy', 'ln', 'ct', 'pl', 'trl', 'tpke', 'expy', 'fwy', 'cir',
+  'ter', 'mt', 'ft', 'n', 's', 'e', 'w', 'ne', 'nw', 'se', 'sw', 'mr', 'mrs', 'ms', 'approx', 'etc',
+])
+
+function sentencesOf(line) {
+  const sentences = []
+  let start = 0
+  const pattern = /[.!?]+["')\]]*\s+|。/g
+  let match
+  while ((match = pattern.exec(line))) {
+    const end = match.index + match[0].length
+    const word = line.slice(start, match.index).match(/(\w+)$/)?.[1]
+    // "St. Then" can't be told apart from "St. Petersburg", so abbreviations never end a sentence
+    if (match[0] !== '。' && word && ABBREVIATIONS.has(word.toLowerCase())) continue
+    sentences.push(line.slice(start, end).trim())
+    start = end
+  }
+  if (line.slice(start).trim()) sentences.push(line.slice(start).trim())
+  return sentences
+}
+
+// [{ text, paragraph, lineBreak? }] with paragraph as the index of the blank-line separated
+// paragraph. lineBreak marks a sentence that ends a line within its paragraph (e.g. a bullet).
+export function splitSentences(prose) {
+  return prose
+    .split(/\n\s*\n/)
+    .map((p) => p.trim())
+    .filter(Boolean)
+    .flatMap((paragraph, i) => {
+      const lines = paragraph.split('\n').filter((line) => line.trim())
+      return lines.flatMap((line, l) =>
+        sentencesOf(line).map((text, s, all) => ({
+          text,
+          paragraph: i,
+          ...(l < lines.length - 1 && s === all.length - 1 ? { lineBreak: true } : {}),
+        })),
+      )
+    })
+}
+
+// Road names for each maneuver, in the same order as the flat maneuver list the client shows
+export function routeManeuvers(route) {
+  const steps = Array.isArray(route.legs) ? route.legs.flatMap((leg) => leg.steps || []) : []
+  if (steps.length > 0) {
+    return steps
+      .filter((step) => step.instruction)
+      .map((step) => ({
+        instruction: step.instruction,
+        step,
+        names: [step.road, step.ref].flatMap((n) => (n ? n.split(/\s*[/;]\s*/) : [])).filter(Boolean),
+      }))
+  }
+  const maneuvers = Array.isArray(route.legs) ? route.legs.flatMap((leg) => leg.maneuvers || []) : route.maneuvers || []
+  return maneuvers.map((instruction) => {
+    const road = instruction.match(/\b(?:onto|on|towards?|toward)\s+((?:[A-Z0-9][\w'’.-]*\s*)+)/)
+    const name = road?.[1].trim().replace(/[.,;]+$/, '')
+    return { instruction, step: null, names: name && !/^the\b/i.test(name) ? [name] : [] }
+  })
+}
+
+// Japanese text doesn't put spaces around the (Latin) road names, so add them before matching
+function spaceAroundCjk(text) {
+  return text.replace(/([\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}ー。、]+)/gu, ' $1 ')
+}
+
+function mentions(text, maneuver) {
+  return maneuver.names.some((name) => text.includes(` ${normalizeRoad(name)} `))
+}
+
+// sentences: [{ text, paragraph }]. Each sentence covers the maneuvers after the previous sentence
+// up to the last one whose road it names; a sentence naming no new road covers none. The last
+// sentence with a road also takes the remaining maneuvers (usually the arrival).
+// from/to limit the mapping to part of the route, for a rewritten span.
+export function mapSentences(sentences, route, { from = 0, to } = {}) {
+  const maneuvers = routeManeuvers(route)
+  const last = Math.min(to ?? maneuvers.length - 1, maneuvers.length - 1)
+  let cursor = from
+  const mapped = sentences.map((sentence) => {
+    const text = normalizeText(spaceAroundCjk(sentence.text))
+    let end = -1
+    for (let i = cursor; i <= last; i++) {
+      if (mentions(text, maneuvers[i])) end = i
+    }
+    if (end === -1) return { ...sentence, maneuvers: [] }
+    const covered = []
+    for (let i = cursor; i <= end; i++) covered.push(i)
+    cursor = end + 1
+    return { ...sentence, maneuvers: covered }
+  })
+  const tail = mapped.findLast((s) => s.maneuvers.length > 0) || mapped[mapped.length - 1]
+  if (tail) {
+    for (let i = cursor; i <= last; i++) tail.maneuvers.push(i)
+  }
+  return mapped
+}
+
+// [{ text, paragraph, maneuvers: [index] }] for the client's narrative editor
+export function segmentNarrative(prose, route, range) {
+  return mapSentences(splitSentences(prose || ''), route, range)
+}
@@ -0,0 +1,78 @@
+// Rewrites part of a narrative: the sentences covering maneuvers start..end, keeping the rest of
+// the text as context so the new passage still reads naturally in place.
+import { generateText } from '../llm/index.js'
+import { promptVariables } from './prompt.js'
+import { renderTemplate, resolveTemplate } from './templates.js'
+import { joinInstructions } from './plain.js'
+import { verifyProse } from './verify.js'
+import { routeManeuvers, segmentNarrative } from './segments.js'
+
+const SPAN_INSTRUCTIONS =
+  'You are revising one passage of a narrative that has already been written. Rewrite only that passage so it covers exactly the directions given for it, in order, and reads naturally between the text before and after it. Reply with the rewritten passage only.'
+
+// The part of the route a span covers, as a one-leg route
+function spanRoute(route, start, end) {
+  const covered = routeManeuvers(route).slice(start, end + 1)
+  const steps = covered.map((m) => m.step).filter(Boolean)
+  const leg = (route.legs || []).find((l) => (l.steps || []).includes(steps[0]))
+  return {
+    maneuvers: covered.map((m) => m.instruction),
+    legs: [
+      {
+        maneuvers: covered.map((m) => m.instruction),
+        ...(steps.length === covered.length ? { steps } : {}),
+        travelMode: leg?.travelMode,
+      },
+    ],
+    travelMode: leg?.travelMode || route.travelMode,
+    language: route.language,
+    units: route.units,
+    stepDistances: route.stepDistances,
+    landmarks: (route.landmarks || [])
+      .filter((l) => l.maneuver >= start && l.maneuver <= end)
+      .map((l) => ({ ...l, maneuver: l.maneuver - start })),
+  }
+}
+
+// The rule-based writer words the first and last step of a leg as its start and arrival, which
+// is wrong mid-route, so a plain span is the route's own instructions
+function plainSpan(sub) {
+  return joinInstructions(sub.legs, { language: sub.language })
+}
+
+// span: { start, end, text, before, after } with start/end as indexes into the flat maneuver list.
+// Resolves to { text, segments, provider, model, verification, fallback? }.
+export async function rewriteSpan(route, span, { mode, templateId, signal, onUsage } = {}) {
+  const { start, end } = span
+  const sub = spanRoute(route, start, end)
+  const finish = (text, extra) => ({
+    text,
+    segments: segmentNarrative(text, route, { from: start, to: end }),
+    verification: verifyProse(text, sub),
+    ...extra,
+  })
+  if (mode === 'plain') return finish(plainSpan(sub), { provider: 'plain', model: null })
+
+  const template = await resolveTemplate(templateId)
+  const variables = { ...promptVariables(sub), layoutInstructions: '' }
+  const prompt = {
+    system: `${renderTemplate(template.system, variables)} ${SPAN_INSTRUCTIONS}`,
+    user: [
+      'Rewrite the passage below using these directions:',
+      '',
+      variables.maneuvers,
+      '',
+      `Text before the passage: ${span.before?.trim() || '(start of the narrative)'}`,
+      `Passage: ${span.text}`,
+      `Text after the passage: ${span.after?.trim() || '(end of the narrative)'}`,
+    ].join('\n'),
+  }
+  try {
+    const result = await generateText(prompt, { signal, onUsage })
+    return finish(result.text.trim(), { provider: result.provider, model: result.model })
+  } catch (err) {
+    if (signal?.aborted) throw err
+    console.warn('LLM unavailable, rewriting span with plain prose:', err.message)
+    return finish(plainSpan(sub), { provider: 'plain', model: null, fallback: true, fallbackReason: err.message })
+  }
+}
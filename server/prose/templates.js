@@ -0,0 +1,167 @@
+// Named, versioned prompt templates. Built-in presets are seeded into a JSON store where they can
+// be edited; every save keeps the previous text as an older version.
+import { createJsonStore } from '../store.js'
+import { httpError } from '../http.js'
+
+export const DEFAULT_TEMPLATE_ID = 'default'
+
+// Filled in by buildProsePrompt. The *Instructions variables are ready-made sentences that adapt to
+// multi-leg, mixed-mode and non-English routes.
+export const TEMPLATE_VARIABLES = {
+  maneuvers: 'The turn-by-turn directions, grouped by leg when there are several',
+  originName: 'Where the route starts',
+  destinationName: 'Where the route ends',
+  mode: 'How the route is travelled: driving, walking, cycling, or a mix',
+  distance: 'Total route distance, e.g. "12.4 mi"',
+  duration: 'Total travel time, e.g. "25 min"',
+  layoutInstructions: 'One paragraph, or one paragraph per leg opening with "From <start> to <end>,"',
+  travelInstructions: 'Wording guidance for how the route is travelled',
+  distanceInstructions: 'Asks for per-step distances when they are turned on (empty otherwise)',
+  landmarkInstructions: 'Explains the landmark hints next to some directions (empty when there are none)',
+  languageInstructions: 'Which language to write in (empty for English)',
+}
+
+const BUILTIN_TEMPLATES = [
+  {
+    id: DEFAULT_TEMPLATE_ID,
+    name: 'Standard',
+    description: 'Concise, factual paragraph prose',
+    system:
+      'Provide a concise, factual, and professional narrative of these directions. Avoid flowery language or conversational filler. Focus only on the sequence of roads and maneuvers. {{layoutInstructions}} {{travelInstructions}} {{distanceInstructions}} {{landmarkInstructions}} Do not use numbered lists, bullet points, or line breaks between steps. {{languageInstructions}}',
+    user: 'Convert these turn-by-turn directions into a narrative:\n\n{{maneuvers}}',
+  },
+  {
+    id: 'formal-invitation',
+    name: 'Formal invitation',
+    description: 'Courteous wording for printed invitations',
+    system:
+      'Write the directions section of a formal invitation to {{destinationName}}. Use a courteous, polished register suited to printed invitations, addressing the guest politely, while naming every road, turn and exit accurately and in order. {{layoutInstructions}} {{travelInstructions}} {{distanceInstructions}} {{landmarkInstructions}} Do not use lists. {{languageInstructions}}',
+    user: 'Write the directions from {{originName}} to {{destinationName}} ({{distance}}, about {{duration}}) using these turn-by-turn steps:\n\n{{maneuvers}}',
+  },
+  {
+    id: 'concise',
+    name: 'Concise',
+    description: 'As short as possible while naming every road',
+    system:
+      'Summarize these directions in as few words as possible. Name every road, turn and exit in order, but drop distances, landmarks and anything else that is not needed to follow the route. {{layoutInstructions}} {{travelInstructions}} {{languageInstructions}}',
+    user: 'Shorten these turn-by-turn directions:\n\n{{maneuvers}}',
+  },
+  {
+    id: 'plain-language',
+    name: 'Accessible / plain language',
+    description: 'Short sentences and everyday words',
+    system:
+      'Write these directions in plain language for readers who may find complex text hard to follow. Use short sentences with one action each, everyday words, and no jargon; if a word like "merge" or "ramp" is needed, say what to do in simple terms. Name every road, turn and exit in order. {{layoutInstructions}} {{travelInstructions}} {{distanceInstructions}} {{landmarkInstructions}} {{languageInstructions}}',
+    user: 'Rewrite these turn-by-turn directions in plain language:\n\n{{maneuvers}}',
+  },
+  {
+    id: 'bulleted',
+    name: 'Bulleted',
+    description: 'One bullet per maneuver',
+    system:
+      'Rewrite these directions as a bulleted list with one bullet per maneuver, each line starting with "- ". Keep road names, route numbers and exit numbers exactly as given, and keep the steps in order. When the route has several legs, put a short heading line naming each leg before its bullets. {{travelInstructions}} {{distanceInstructions}} {{landmarkInstructions}} {{languageInstructions}}',
+    user: 'Turn these directions ({{distance}}, {{mode}}) into a bulleted list:\n\n{{maneuvers}}',
+  },
+]
+
+// updatedAt stays null until a preset is first edited
+function seededTemplates() {
+  return BUILTIN_TEMPLATES.map((t) => ({ ...t, builtin: true, version: 1, updatedAt: null, versions: [] }))
+}
+
+const store = createJsonStore('prompt-templates.json', { templates: seededTemplates() })
+
+// Replaces {{name}} placeholders; unknown names are left as they are
+export function renderTemplate(text, variables) {
+  return text
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (Object.hasOwn(variables, name) ? String(variables[name] ?? '') : match))
+    .replace(/[ \t]{2,}/g, ' ')
+    .replace(/[ \t]+$/gm, '')
+    .trim()
+}
+
+export function unknownVariables(text) {
+  return [...new Set([...text.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map((m) => m[1]))].filter(
+    (name) => !Object.hasOwn(TEMPLATE_VARIABLES, name),
+  )
+}
+
+export function builtinTemplate(id = DEFAULT_TEMPLATE_ID) {
+  return BUILTIN_TEMPLATES.find((t) => t.id === id) || null
+}
+
+export async function listTemplates() {
+  const { templates } = await store.read()
+  return templates
+}
+
+// Falls back to the default template when id is missing or unknown
+export async function resolveTemplate(id) {
+  const templates = await listTemplates()
+  return (
+    templates.find((t) => t.id === (id || DEFAULT_TEMPLATE_ID)) ||
+    templates.find((t) => t.id === DEFAULT_TEMPLATE_ID) ||
+    builtinTemplate()
+  )
+}
+
+export function readTemplateInput(body, existing = {}) {
+  const name = typeof body.name === 'string' ? body.name.trim() : existing.name
+  const description = typeof body.description === 'string' ? body.description.trim() : existing.description || ''
+  const system = typeof body.system === 'string' ? body.system : existing.system
+  const user = typeof body.user === 'string' ? body.user : existing.user
+  if (!name || name.length > 80) throw httpError(400, 'A name of up to 80 characters is required')
+  if (description.length > 200) throw httpError(400, 'The description can be up to 200 characters')
+  if (!system?.trim() || !user?.trim()) throw httpError(400, 'Both the system and user prompt are required')
+  if (!user.includes('{{maneuvers}}') && !system.includes('{{maneuvers}}')) {
+    throw httpError(400, 'The template has to include {{maneuvers}}')
+  }
+  const unknown = unknownVariables(`${system}\n${user}`)
+  if (unknown.length > 0) throw httpError(400, `Unknown variables: ${unknown.map((v) => `{{${v}}}`).join(', ')}`)
+  return { name, description, system, user }
+}
+
+export async function createTemplate(body) {
+  const fields = readTemplateInput(body)
+  const id = fields.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'template'
+  let created = null
+  await store.update((data) => {
+    let unique = id
+    for (let n = 2; data.templates.some((t) => t.id === unique); n++) unique = `${id}-${n}`
+    created = { id: unique, ...fields, builtin: false, version: 1, updatedAt: new Date().toISOString(), versions: [] }
+    return { ...data, templates: [...data.templates, created] }
+  })
+  return created
+}
+
+// Saves a new version, keeping the current one in `versions`
+export async function updateTemplate(id, body) {
+  let updated = null
+  await store.update((data) => {
+    const existing = data.templates.find((t) => t.id === id)
+    if (!existing) throw httpError(404, 'Template not found')
+    const fields = readTemplateInput(body, existing)
+    const { versions, ...previous } = existing
+    updated = {
+      ...existing,
+      ...fields,
+      version: existing.version + 1,
+      updatedAt: new Date().toISOString(),
+      versions: [
+        { version: previous.version, name: previous.name, system: previous.system, user: previous.user, updatedAt: previous.updatedAt },
+        ...versions,
+      ],
+    }
+    return { ...data, templates: data.templates.map((t) => (t.id === id ? updated : t)) }
+  })
+  return updated
+}
+
+export async function deleteTemplate(id) {
+  await store.update((data) => {
+    const existing = data.templates.find((t) => t.id === id)
+    if (!existing) throw httpError(404, 'Template not found')
+    if (existing.builtin) throw httpError(400, 'Built-in presets can be edited but not deleted')
+    return { ...data, templates: data.templates.filter((t) => t.id !== id) }
+  })
+}
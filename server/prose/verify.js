@@ -0,0 +1,191 @@
+// Checks a generated narrative against the route it was written from: every road, turn direction
+// and exit number should appear in order, and the prose shouldn't name roads or exits that
+// aren't on the route.
+
+const ROAD_SUFFIXES = [
+  'street', 'avenue', 'road', 'boulevard', 'drive', 'highway', 'parkway', 'lane', 'way', 'court',
+  'place', 'trail', 'turnpike', 'expressway', 'freeway', 'circle', 'terrace', 'plaza', 'causeway',
+]
+const ABBREVIATIONS = {
+  st: 'street', ave: 'avenue', av: 'avenue', rd: 'road', blvd: 'boulevard', dr: 'drive', hwy: 'highway',
+  pkwy: 'parkway', ln: 'lane', ct: 'court', pl: 'place', trl: 'trail', tpke: 'turnpike', expy: 'expressway',
+  fwy: 'freeway', cir: 'circle', ter: 'terrace', interstate: 'i', us: 'us', sr: 'sr', cr: 'cr',
+  n: 'north', s: 'south', e: 'east', w: 'west',
+}
+const DIRECTIONALS = new Set(['north', 'south', 'east', 'west', 'northeast', 'northwest', 'southeast', 'southwest'])
+
+// Lowercase, expand abbreviations and drop leading/trailing compass words so "W. Church St"
+// and "West Church Street" compare equal. A compass word that is part of the name stays, so
+// "East South Street" is "south street" rather than just "street".
+export function normalizeRoad(name) {
+  const words = name
+    .toLowerCase()
+    .replace(/[.'’]/g, '')
+    .replace(/[-/]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((w) => ABBREVIATIONS[w] || w)
+  while (words.length > 1 && DIRECTIONALS.has(words[0]) && !ROAD_SUFFIXES.includes(words[1])) words.shift()
+  while (words.length > 1 && DIRECTIONALS.has(words[words.length - 1])) words.pop()
+  return words.join(' ')
+}
+
+// Word-by-word normalizeRoad, padded with spaces so road names can be found on word boundaries
+export function normalizeText(text) {
+  return ` ${text
+    .split(/([.,;:!?()"]|\s+)/)
+    .filter((t) => t && !/^\s+$/.test(t) && !/^[.,;:!?()"]$/.test(t))
+    .map((w) => normalizeRoad(w))
+    .join(' ')} `
+}
+
+function turnDirection(modifier) {
+  if (!modifier) return null
+  if (modifier === 'uturn') return 'u-turn'
+  if (modifier.endsWith('left')) return 'left'
+  if (modifier.endsWith('right')) return 'right'
+  return null
+}
+
+const TURN_TYPES = new Set(['turn', 'end of road', 'fork', 'roundabout turn', 'off ramp', 'on ramp', 'merge'])
+
+function factsFromSteps(steps) {
+  const facts = []
+  for (const step of steps) {
+    const names = [step.road, step.ref].flatMap((n) => (n ? n.split(/\s*[/;]\s*/) : [])).filter(Boolean)
+    if (names.length > 0 && step.type !== 'arrive') facts.push({ kind: 'road', value: names[0], aliases: names })
+    const direction = TURN_TYPES.has(step.type) ? turnDirection(step.modifier) : null
+    if (direction) facts.push({ kind: 'turn', value: direction })
+    if (step.exits) facts.push({ kind: 'exit', value: step.exits.split(';')[0] })
+  }
+  return facts
+}
+
+function factsFromInstructions(maneuvers) {
+  const facts = []
+  for (const instruction of maneuvers) {
+    const road = instruction.match(/\b(?:onto|on|towards?|toward)\s+((?:[A-Z0-9][\w'’.-]*\s*)+)/)
+    const name = road?.[1].trim().replace(/[.,;]+$/, '')
+    if (name && !/^the\b/i.test(name)) facts.push({ kind: 'road', value: name, aliases: [name] })
+    const turn = instruction.match(/\b(?:turn|keep|bear|make a)\s+(?:slight\s+|sharp\s+)?(left|right|u-turn)/i)
+    if (turn) facts.push({ kind: 'turn', value: turn[1].toLowerCase() })
+    const exit = instruction.match(/\bexit\s+(\d+[A-Z]?)\b/i)
+    if (exit) facts.push({ kind: 'exit', value: exit[1].toUpperCase() })
+  }
+  return facts
+}
+
+// Ordered facts the narrative is expected to mention
+export function extractRouteFacts({ maneuvers = [], legs }) {
+  const steps = Array.isArray(legs) ? legs.flatMap((leg) => leg.steps || []) : []
+  const facts = steps.length > 0 ? factsFromSteps(steps) : factsFromInstructions(maneuvers)
+  // Consecutive mentions of the same road/turn are one fact for the reader
+  return facts.filter((fact, i) => {
+    const prev = facts.slice(0, i).reverse().find((f) => f.kind === fact.kind)
+    return !(fact.kind === 'road' && prev && normalizeRoad(prev.value) === normalizeRoad(fact.value))
+  })
+}
+
+function findRoad(text, fact, from) {
+  let best = -1
+  for (const alias of fact.aliases) {
+    const index = text.indexOf(` ${normalizeRoad(alias)} `, from)
+    if (index !== -1 && (best === -1 || index < best)) best = index
+  }
+  return best
+}
+
+function turnPositions(prose) {
+  const positions = []
+  const pattern = /\b(u-turn|left|right)\b/gi
+  let match
+  while ((match = pattern.exec(prose))) {
+    // "on the left/right" describes where something is, not a turn
+    if (/\bon the\s+$/i.test(prose.slice(Math.max(0, match.index - 8), match.index))) continue
+    positions.push({ value: match[1].toLowerCase(), index: match.index })
+  }
+  return positions
+}
+
+function inventedRoads(prose, knownText) {
+  const suffixes = ROAD_SUFFIXES.concat(Object.keys(ABBREVIATIONS).filter((a) => ROAD_SUFFIXES.includes(ABBREVIATIONS[a])))
+  const pattern = new RegExp(
+    `\\b((?:[A-Z][\\w'’.-]*\\s+){1,4}(?:${suffixes.map((s) => s[0].toUpperCase() + s.slice(1)).join('|')})\\b\\.?|(?:I|US|SR|CR)[- ]\\d+[A-Z]?|Interstate \\d+)`,
+    'g',
+  )
+  const invented = []
+  for (const match of prose.matchAll(pattern)) {
+    const name = match[1].replace(/\.$/, '').replace(/^(?:Then|Next|Finally|From|After|Continue|Turn|Take|Merge|Keep|Head|At)\s+/, '')
+    if (!knownText.includes(` ${normalizeRoad(name)} `) && !invented.includes(name)) invented.push(name)
+  }
+  return invented
+}
+
+// Returns { passed, discrepancies: [{ type: 'missing'|'order'|'invented', kind, value, message }] }.
+// Turn, exit and invented-road checks read English wording, so other languages (route.language)
+// are only checked for the roads and their order.
+export function verifyProse(prose, route) {
+  const english = !route.language || route.language === 'en'
+  const facts = extractRouteFacts(route)
+  const text = normalizeText(prose)
+  const discrepancies = []
+
+  let roadCursor = 0
+  for (const fact of facts.filter((f) => f.kind === 'road')) {
+    const index = findRoad(text, fact, roadCursor)
+    if (index !== -1) {
+      roadCursor = index
+    } else if (findRoad(text, fact, 0) !== -1) {
+      discrepancies.push({ type: 'order', kind: 'road', value: fact.value, message: `${fact.value} is mentioned out of order` })
+    } else {
+      discrepancies.push({ type: 'missing', kind: 'road', value: fact.value, message: `${fact.value} is not mentioned` })
+    }
+  }
+
+  if (!english) return { passed: discrepancies.length === 0, discrepancies }
+
+  const turns = turnPositions(prose)
+  let turnCursor = 0
+  for (const fact of facts.filter((f) => f.kind === 'turn')) {
+    const next = turns.findIndex((t, i) => i >= turnCursor && t.value === fact.value)
+    if (next === -1) {
+      discrepancies.push({ type: 'missing', kind: 'turn', value: fact.value, message: `A ${fact.value} turn is missing or out of order` })
+    } else {
+      turnCursor = next + 1
+    }
+  }
+
+  const expectedExits = facts.filter((f) => f.kind === 'exit').map((f) => f.value.toUpperCase())
+  const proseExits = [...prose.matchAll(/\bexit\s+(\d+[A-Z]?)\b/gi)].map((m) => m[1].toUpperCase())
+  let exitCursor = 0
+  for (const exit of expectedExits) {
+    const next = proseExits.indexOf(exit, exitCursor)
+    if (next === -1) {
+      discrepancies.push({ type: 'missing', kind: 'exit', value: exit, message: `Exit ${exit} is missing or out of order` })
+    } else {
+      exitCursor = next + 1
+    }
+  }
+  for (const exit of new Set(proseExits)) {
+    if (!expectedExits.includes(exit)) {
+      discrepancies.push({ type: 'invented', kind: 'exit', value: exit, message: `Exit ${exit} is not on the route` })
+    }
+  }
+
+  const legLabels = (route.legs || []).flatMap((leg) => [leg.from, leg.to]).filter(Boolean)
+  // Landmark hints can have road-like names ("Lake Eola Plaza") without being roads on the route
+  const landmarkNames = (route.landmarks || []).map((l) => l.name)
+  const knownText = normalizeText(
+    [
+      ...facts.filter((f) => f.kind === 'road').flatMap((f) => f.aliases),
+      ...(route.maneuvers || []),
+      ...legLabels,
+      ...landmarkNames,
+    ].join(' | '),
+  )
+  for (const name of inventedRoads(prose, knownText)) {
+    discrepancies.push({ type: 'invented', kind: 'road', value: name, message: `${name} is not on the route` })
+  }
+
+  return { passed: discrepancies.length === 0, discrepancies }
+}
@@ -0,0 +1,198 @@
+// Short links to a frozen copy of a generated narrative. /r/:id serves it as a read-only page with
+// its map links, so it can be sent to someone who doesn't use the app. Links can expire.
+// shares.json indexes the links; each narrative is a file of its own under DATA_DIR/shares, so
+// making a link doesn't rewrite every other one. A link can be deleted by whoever made it, with the
+// deleteToken it was created with (sent as X-Share-Token), or by a signed-in user or API key.
+import { createHash, randomBytes, timingSafeEqual } from 'crypto'
+import { readFile, writeFile, rename, mkdir, rm } from 'fs/promises'
+import { join } from 'path'
+import { Router } from 'express'
+import { createJsonStore, dataDir } from './store.js'
+import { httpError, sendError } from './http.js'
+import { readExportInput } from './export/index.js'
+import { escapeHtml, narrativeHtmlFragment } from './export/html.js'
+import { DEFAULT_LANGUAGE } from '../src/lib/languages.js'
+
+const MAX_EXPIRY_DAYS = 365
+// Oldest links are dropped past this many
+const SHARE_LIMIT = 1000
+// Per link: characters of prose, and of map geometry across all its lines
+const SHARE_SIZE_LIMITS = { prose: 50000, map: 300000 }
+// No 0/O or 1/l/I, so ids survive being read out or retyped
+const ID_ALPHABET = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+// Random bytes at or above this are skipped, so every character of an id is equally likely
+const ID_BYTE_LIMIT = 256 - (256 % ID_ALPHABET.length)
+const store = createJsonStore('shares.json', { shares: [] })
+
+function shortId(length = 8) {
+  let id = ''
+  while (id.length < length) {
+    for (const b of randomBytes(length)) {
+      if (b < ID_BYTE_LIMIT && id.length < length) id += ID_ALPHABET[b % ID_ALPHABET.length]
+    }
+  }
+  return id
+}
+
+// Only a digest of the delete token is kept, so the index alone can't be used to delete links
+function tokenDigest(token) {
+  return createHash('sha256').update(String(token)).digest('hex')
+}
+
+function canDelete(req, entry) {
+  if (req.identity?.kind === 'key' || req.identity?.kind === 'session') return true
+  const token = req.get('X-Share-Token')
+  if (!token || !entry.deleteTokenDigest) return false
+  return timingSafeEqual(Buffer.from(tokenDigest(token), 'hex'), Buffer.from(entry.deleteTokenDigest, 'hex'))
+}
+
+function isExpired(share, now = Date.now()) {
+  return !!share.expiresAt && Date.parse(share.expiresAt) <= now
+}
+
+function sharePath(id) {
+  return join(dataDir(), 'shares', `${id}.json`)
+}
+
+async function writeShare(share) {
+  const path = sharePath(share.id)
+  await mkdir(join(dataDir(), 'shares'), { recursive: true })
+  const tmp = `${path}.${process.pid}.tmp`
+  await writeFile(tmp, JSON.stringify(share))
+  await rename(tmp, path)
+}
+
+// Links made before narratives moved to their own files still carry them in the index
+async function readShare(entry) {
+  if (entry.paragraphs) return entry
+  try {
+    return JSON.parse(await readFile(sharePath(entry.id), 'utf8'))
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err
+    return null
+  }
+}
+
+async function removeShares(ids) {
+  await Promise.all(ids.map((id) => rm(sharePath(id), { force: true })))
+}
+
+// Throws a 413 when the narrative or its map is larger than SHARE_SIZE_LIMITS allow
+function checkShareSize(body) {
+  if (typeof body.prose === 'string' && body.prose.length > SHARE_SIZE_LIMITS.prose) {
+    throw httpError(413, `A shared narrative can be at most ${SHARE_SIZE_LIMITS.prose} characters`)
+  }
+  const lines = Array.isArray(body.map?.lines) ? body.map.lines : []
+  const geometry = lines.reduce((sum, line) => sum + (typeof line?.geometry === 'string' ? line.geometry.length : 0), 0)
+  if (geometry > SHARE_SIZE_LIMITS.map) {
+    throw httpError(413, `A shared map can have at most ${SHARE_SIZE_LIMITS.map} characters of route geometry`)
+  }
+}
+
+// Body: the export body ({ prose, title, links, map }) plus language and expiresInDays (omit for a
+// link that never expires)
+function readShareInput(body) {
+  checkShareSize(body)
+  const { title, language, paragraphs, links, map } = readExportInput(body)
+  const { expiresInDays } = body
+  if (
+    expiresInDays !== undefined &&
+    expiresInDays !== null &&
+    !(typeof expiresInDays === 'number' && expiresInDays > 0 && expiresInDays <= MAX_EXPIRY_DAYS)
+  ) {
+    throw httpError(400, `expiresInDays must be a number of days up to ${MAX_EXPIRY_DAYS}`)
+  }
+  const expiresAt = expiresInDays ? new Date(Date.now() + expiresInDays * 86400000).toISOString() : null
+  return { title, language, paragraphs, links, map, expiresAt }
+}
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleDateString('en-US', { dateStyle: 'medium', timeZone: 'UTC' })
+}
+
+function page({ title, language = DEFAULT_LANGUAGE, body }) {
+  return [
+    '<!doctype html>',
+    `<html lang="${escapeHtml(language)}"><head><meta charset="UTF-8">`,
+    '<meta name="viewport" content="width=device-width, initial-scale=1"><meta name="robots" content="noindex">',
+    `<title>${escapeHtml(title)}</title></head>`,
+    `<body style="max-width:48rem;margin:2rem auto;padding:0 1rem;font-family:Arial,sans-serif">${body}</body></html>`,
+  ].join('\n')
+}
+
+function notice(title, message) {
+  return page({ title, body: `<h1 style="font-size:14pt">${escapeHtml(title)}</h1><p>${escapeHtml(message)}</p>` })
+}
+
+// Resolves to { status, html } for /r/:id
+export async function sharePage(id) {
+  const { shares } = await store.read()
+  const entry = shares.find((s) => s.id === id)
+  if (entry && isExpired(entry)) {
+    return { status: 410, html: notice('Link expired', `This link expired on ${formatDate(entry.expiresAt)}.`) }
+  }
+  const share = entry && (await readShare(entry))
+  if (!share) return { status: 404, html: notice('Link not found', 'This link does not exist. Check that it was copied in full.') }
+  const footer = `Shared ${formatDate(share.createdAt)}${share.expiresAt ? ` · available until ${formatDate(share.expiresAt)}` : ''}`
+  return {
+    status: 200,
+    html: page({
+      title: share.title,
+      language: share.language,
+      body: [
+        `<h1 style="font-size:14pt">${escapeHtml(share.title)}</h1>`,
+        narrativeHtmlFragment(share),
+        `<p style="margin-top:24pt;font-size:8pt;color:#64748b">${escapeHtml(footer)}</p>`,
+      ].join(''),
+    }),
+  }
+}
+
+export function createSharesRouter() {
+  const router = Router()
+
+  router.post('/', async (req, res) => {
+    try {
+      const share = { id: shortId(), createdAt: new Date().toISOString(), ...readShareInput(req.body || {}) }
+      const deleteToken = randomBytes(24).toString('base64url')
+      await writeShare(share)
+      // Expired links are cleared out as new ones are made; newest first
+      let dropped = []
+      await store.update((data) => {
+        const live = data.shares.filter((s) => !isExpired(s))
+        const entry = {
+          id: share.id,
+          createdAt: share.createdAt,
+          expiresAt: share.expiresAt,
+          deleteTokenDigest: tokenDigest(deleteToken),
+        }
+        const kept = [entry, ...live].slice(0, SHARE_LIMIT)
+        dropped = data.shares.filter((s) => !kept.includes(s)).map((s) => s.id)
+        return { ...data, shares: kept }
+      })
+      await removeShares(dropped)
+      res.status(201).json({ id: share.id, path: `/r/${share.id}`, expiresAt: share.expiresAt, deleteToken })
+    } catch (err) {
+      console.error('Create share link error:', err)
+      sendError(res, err, 'Failed to create the link')
+    }
+  })
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      await store.update((data) => {
+        const entry = data.shares.find((s) => s.id === req.params.id)
+        if (!entry) throw httpError(404, 'Link not found')
+        if (!canDelete(req, entry)) throw httpError(403, 'Only whoever made this link can delete it')
+        return { ...data, shares: data.shares.filter((s) => s.id !== req.params.id) }
+      })
+      await removeShares([req.params.id])
+      res.status(204).end()
+    } catch (err) {
+      console.error('Delete share link error:', err)
+      sendError(res, err, 'Failed to delete the link')
+    }
+  })
+
+  return router
+}
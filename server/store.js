@@ -0,0 +1,50 @@
+// Small JSON-file persistence for server-side data (saved origins and the like). Each store is one
+// file under DATA_DIR; writes are serialized and atomic (temp file + rename).
+import { readFile, writeFile, rename, mkdir } from 'fs/promises'
+import { join, resolve } from 'path'
+
+export function dataDir() {
+  return resolve(process.env.DATA_DIR || 'data')
+}
+
+export function createJsonStore(filename, defaultValue) {
+  const path = join(dataDir(), filename)
+  let cache = null
+  let queue = Promise.resolve()
+
+  async function load() {
+    if (cache) return cache
+    try {
+      cache = JSON.parse(await readFile(path, 'utf8'))
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err
+      cache = structuredClone(defaultValue)
+    }
+    return cache
+  }
+
+  async function save(value) {
+    await mkdir(dataDir(), { recursive: true })
+    const tmp = `${path}.${process.pid}.tmp`
+    await writeFile(tmp, JSON.stringify(value, null, 2))
+    await rename(tmp, path)
+    cache = value
+  }
+
+  return {
+    async read() {
+      return structuredClone(await load())
+    },
+    // fn receives a copy of the current value and returns the next one (sync or async).
+    // Updates run one at a time so concurrent requests can't lose each other's writes.
+    update(fn) {
+      const run = queue.then(async () => {
+        const next = await fn(structuredClone(await load()))
+        await save(next)
+        return structuredClone(next)
+      })
+      queue = run.catch(() => {})
+      return run
+    },
+  }
+}
@@ -0,0 +1,110 @@
+// Prompt templates for the admin page: CRUD, version history and a preview against the saved
+// maneuver fixture. Templates are shared by every user, so changing them needs a session or API key.
+import { readFile } from 'fs/promises'
+import { Router } from 'express'
+import {
+  TEMPLATE_VARIABLES,
+  listTemplates,
+  readTemplateInput,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+} from './prose/templates.js'
+import { buildProsePrompt } from './prose/prompt.js'
+import { generateNarrative } from './prose/generate.js'
+import { httpError, sendError } from './http.js'
+import { usageRecorder } from './usage.js'
+import { requireSignIn } from './auth.js'
+
+const FIXTURE_URL = new URL('./prose/fixtures/orlando-downtown.json', import.meta.url)
+
+let fixture = null
+async function loadFixture() {
+  fixture ??= JSON.parse(await readFile(FIXTURE_URL, 'utf8'))
+  return fixture
+}
+
+// The list leaves out version history to keep it small
+function templateSummary({ versions, ...template }) {
+  return { ...template, versionCount: versions.length }
+}
+
+export function createTemplatesRouter() {
+  const router = Router()
+
+  router.get('/', async (req, res) => {
+    try {
+      const templates = await listTemplates()
+      res.json({ templates: templates.map(templateSummary), variables: TEMPLATE_VARIABLES })
+    } catch (err) {
+      console.error('List templates error:', err)
+      sendError(res, err, 'Failed to load prompt templates')
+    }
+  })
+
+  router.get('/fixture', async (req, res) => {
+    try {
+      res.json(await loadFixture())
+    } catch (err) {
+      console.error('Template fixture error:', err)
+      sendError(res, err, 'Failed to load the preview fixture')
+    }
+  })
+
+  // Renders unsaved template text against the fixture, and generates from it when asked
+  router.post('/preview', async (req, res) => {
+    try {
+      const { name = 'Preview', system, user } = req.body || {}
+      const template = readTemplateInput({ name, system, user })
+      const { name: fixtureName, ...route } = await loadFixture()
+      const prompt = buildProsePrompt(route, template)
+      const result = req.body.generate ? await generateNarrative(route, { template, onUsage: usageRecorder(req) }) : null
+      res.json({ fixture: fixtureName, prompt, result })
+    } catch (err) {
+      console.error('Template preview error:', err)
+      sendError(res, err, 'Failed to preview the template')
+    }
+  })
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const templates = await listTemplates()
+      const template = templates.find((t) => t.id === req.params.id)
+      if (!template) throw httpError(404, 'Template not found')
+      res.json(template)
+    } catch (err) {
+      console.error('Get template error:', err)
+      sendError(res, err, 'Failed to load the template')
+    }
+  })
+
+  router.post('/', requireSignIn, async (req, res) => {
+    try {
+      res.status(201).json(await createTemplate(req.body || {}))
+    } catch (err) {
+      console.error('Create template error:', err)
+      sendError(res, err, 'Failed to save the template')
+    }
+  })
+
+  router.put('/:id', requireSignIn, async (req, res) => {
+    try {
+      res.json(await updateTemplate(req.params.id, req.body || {}))
+    } catch (err) {
+      console.error('Update template error:', err)
+      sendError(res, err, 'Failed to update the template')
+    }
+  })
+
+  router.delete('/:id', requireSignIn, async (req, res) => {
+    try {
+      await deleteTemplate(req.params.id)
+      res.status(204).end()
+    } catch (err) {
+      console.error('Delete template error:', err)
+      sendError(res, err, 'Failed to delete the template')
+    }
+  })
+
+  return router
+}
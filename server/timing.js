@@ -0,0 +1,62 @@
+// Depart-at / arrive-by timing for driving routes. Traffic-aware times come from the
+// driving-traffic profile, which takes depart_at but not arrive_by, so an arrive-by time is found
+// by moving the departure until the predicted arrival lands on it. Routes with more points than
+// driving-traffic allows use the driving profile, which takes both.
+import { route, PROFILES } from './mapbox.js'
+import { httpError } from './http.js'
+
+const LOCAL_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/
+const MAX_ADJUSTMENTS = 3
+
+export function isLocalTime(value) {
+  return typeof value === 'string' && LOCAL_TIME.test(value) && !Number.isNaN(Date.parse(`${value}Z`))
+}
+
+// Local times carry no zone, so they are shifted as if they were UTC
+function addSeconds(localTime, seconds) {
+  return new Date(Date.parse(`${localTime}Z`) + seconds * 1000).toISOString().slice(0, 16)
+}
+
+// Travel time rounded up to whole minutes, so times shown to the minute never mean arriving late
+function wholeMinutes(seconds) {
+  return Math.ceil(seconds / 60) * 60
+}
+
+async function timedRoute(points, options) {
+  const found = await route(points, options)
+  if (!found) throw httpError(404, 'No route found between these locations.')
+  return found
+}
+
+// walkSeconds is time spent after the drive (walking from parking) that the timing has to allow for.
+// Resolves to { mode: 'depart' | 'arrive', profile, departAt, arriveAt, distance, duration } with
+// duration covering the drive only. An aborted signal stops it before its next route request.
+export async function tripTiming(points, { exclude = [], departAt, arriveBy, walkSeconds = 0, signal }) {
+  const traffic = points.length <= PROFILES['driving-traffic'].maxPoints
+  const profile = traffic ? 'driving-traffic' : 'driving'
+
+  if (departAt) {
+    const { distance, duration } = await timedRoute(points, { profile, exclude, departAt, signal })
+    const arriveAt = addSeconds(departAt, wholeMinutes(duration + walkSeconds))
+    return { mode: 'depart', profile, departAt, arriveAt, distance, duration }
+  }
+
+  const parkBy = addSeconds(arriveBy, -wholeMinutes(walkSeconds))
+
+  let found
+  if (traffic) {
+    // Start from the typical travel time, then re-route from each new departure time
+    found = await timedRoute(points, { profile, exclude, signal })
+    for (let i = 0; i < MAX_ADJUSTMENTS; i++) {
+      const leave = addSeconds(parkBy, -wholeMinutes(found.duration))
+      const next = await timedRoute(points, { profile, exclude, departAt: leave, signal })
+      const settled = Math.abs(next.duration - found.duration) < 60
+      found = next
+      if (settled) break
+    }
+  } else {
+    found = await timedRoute(points, { profile, exclude, arriveBy: parkBy, signal })
+  }
+  const { distance, duration } = found
+  return { mode: 'arrive', profile, departAt: addSeconds(parkBy, -wholeMinutes(duration)), arriveAt: arriveBy, distance, duration }
+}
@@ -0,0 +1,104 @@
+// Monthly LLM token use, counted from the `usage` each provider reports. TOKEN_QUOTA_MONTHLY caps
+// the whole server and TOKEN_QUOTA_PER_KEY_MONTHLY each API key (or client IP when no key is used);
+// unset or 0 means no cap. Months are UTC calendar months.
+import { Router } from 'express'
+import { createJsonStore } from './store.js'
+import { httpError, sendError } from './http.js'
+
+// Months kept in usage.json
+const MONTHS_KEPT = 12
+const store = createJsonStore('usage.json', { months: {} })
+
+function monthKey(date = new Date()) {
+  return date.toISOString().slice(0, 7)
+}
+
+function readQuota(value) {
+  const n = Number(value)
+  return Number.isFinite(n) && n > 0 ? n : null
+}
+
+export function loadQuotas(env = process.env) {
+  return { monthly: readQuota(env.TOKEN_QUOTA_MONTHLY), perKey: readQuota(env.TOKEN_QUOTA_PER_KEY_MONTHLY) }
+}
+
+function nextMonthStart(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+}
+
+// { month, used, quota, resetsAt } for the server, and the same for the caller
+export async function usageSummary(identity, quotas = loadQuotas()) {
+  const month = monthKey()
+  const current = (await store.read()).months[month] || { total: 0, clients: {} }
+  const resetsAt = nextMonthStart().toISOString()
+  return {
+    month,
+    resetsAt,
+    total: { used: current.total, quota: quotas.monthly },
+    client: { used: current.clients[identity.id] || 0, quota: quotas.perKey },
+  }
+}
+
+// Throws a 429 once the month's tokens are used up, server-wide or for this caller
+export async function checkQuota(identity, quotas = loadQuotas()) {
+  if (!quotas.monthly && !quotas.perKey) return
+  const { total, client, resetsAt } = await usageSummary(identity, quotas)
+  const until = new Date(resetsAt).toLocaleDateString('en-US', { dateStyle: 'medium', timeZone: 'UTC' })
+  if (total.quota && total.used >= total.quota) {
+    throw Object.assign(httpError(429, `This server's monthly token quota is used up. It resets on ${until}.`), { resetsAt })
+  }
+  if (client.quota && client.used >= client.quota) {
+    throw Object.assign(httpError(429, `Your monthly token quota is used up. It resets on ${until}.`), { resetsAt })
+  }
+}
+
+// usage: { inputTokens, outputTokens } from generateText / streamText
+export async function recordUsage(identity, usage) {
+  const tokens = (usage?.inputTokens || 0) + (usage?.outputTokens || 0)
+  if (!tokens) return
+  const month = monthKey()
+  await store.update((data) => {
+    const current = data.months[month] || { total: 0, clients: {} }
+    const months = {
+      ...data.months,
+      [month]: {
+        total: current.total + tokens,
+        clients: { ...current.clients, [identity.id]: (current.clients[identity.id] || 0) + tokens },
+      },
+    }
+    const kept = Object.keys(months).sort().slice(-MONTHS_KEPT)
+    return { ...data, months: Object.fromEntries(kept.map((m) => [m, months[m]])) }
+  })
+}
+
+// Middleware for routes that call the LLM: answers 429 when the quota is used up
+export async function requireQuota(req, res, next) {
+  try {
+    await checkQuota(req.identity)
+  } catch (err) {
+    if (err.resetsAt) res.set('Retry-After', String(Math.ceil((Date.parse(err.resetsAt) - Date.now()) / 1000)))
+    return sendError(res, err, 'Failed to check the token quota')
+  }
+  next()
+}
+
+// An onUsage callback for the prose pipeline that records tokens against the request's caller
+export function usageRecorder(req) {
+  return (usage) =>
+    recordUsage(req.identity, usage).catch((err) => console.error('Record token usage error:', err))
+}
+
+export function createUsageRouter() {
+  const router = Router()
+
+  router.get('/', async (req, res) => {
+    try {
+      res.json(await usageSummary(req.identity))
+    } catch (err) {
+      console.error('Usage error:', err)
+      sendError(res, err, 'Failed to load token usage')
+    }
+  })
+
+  return router
+}
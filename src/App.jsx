@@ -1,13 +1,46 @@
 import { useState, useCallback, useEffect, useRef } from 'react'
-import { Copy, Check, MapPin, Loader2, RotateCcw } from 'lucide-react'
+import { Copy, Check, MapPin, Loader2, RotateCcw, Square, GitCompare, Pencil, Diff, Link } from 'lucide-react'
 import { AddressSearch } from './components/AddressSearch'
-
-const MAPBOX_TOKEN = import.meta.env.VITE_MAPBOX_ACCESS_TOKEN
-const DIRECTIONS_URL = 'https://api.mapbox.com/directions/v5/mapbox/driving'
-const GEOCODE_URL = 'https://api.mapbox.com/search/geocode/v6/forward'
-const DEFAULT_ORIGIN = '55 W. Church St., Orlando, FL 32801'
+import { StopList } from './components/StopList'
+import { BatchMode } from './components/BatchMode'
+import { VerificationBadge, VerificationIssues } from './components/VerificationBadge'
+import { TravelModeSelector } from './components/TravelModeSelector'
+import { RoutePreferences, RouteOptions } from './components/RouteOptions'
+import { OriginPresets } from './components/OriginPresets'
+import { NarrativeHistory } from './components/NarrativeHistory'
+import { ExportMenu } from './components/ExportMenu'
+import { RouteMapPreview } from './components/RouteMapPreview'
+import { LanguageSelector } from './components/LanguageSelector'
+import { ToneSelector } from './components/ToneSelector'
+import { NarrativeEditor } from './components/NarrativeEditor'
+import { NarrativeDiff } from './components/NarrativeDiff'
+import { TranslationCard } from './components/TranslationCard'
+import { TripOptions } from './components/TripOptions'
+import { LandmarkList } from './components/LandmarkList'
+import { ShareMenu } from './components/ShareMenu'
+import {
+  fetchRoute,
+  generateProse,
+  streamProse,
+  listOrigins,
+  createOrigin,
+  deleteOrigin,
+  getNarrative,
+  saveNarrative,
+  rewriteProseSpan,
+  apiServices,
+} from './lib/api'
+import { formatSummaryLine, composeNarrative } from './lib/format'
+import { withSegmentIds, segmentsToProse, spanManeuvers, replaceSegments, mergeLockedSegments } from './lib/segments'
+import { createPipeline, routePoints, prosePayload, mapLinks } from './lib/pipeline'
+import { buildRouteMap } from './lib/routeMap'
+import { DEFAULT_LANGUAGE, getLanguage, documentTitle } from './lib/languages'
+import { isDrivingMode } from './lib/travelModes'
+import { inputsToSearch, searchToInputs } from './lib/permalink'
+import { getDefaultOriginId, setDefaultOriginId, pickDefaultOrigin } from './lib/originPresets'
 
 const MAP_LINK_SPACER = '\u00A0'.repeat(8)
+const pipeline = createPipeline(apiServices)
 const APP_VERSION = '1.3.1' // Bump after deploy to verify latest (e.g. in footer)
 
 function RedPinIcon({ className = 'h-4 w-4' }) {
@@ -20,188 +53,592 @@ function RedPinIcon({ className = 'h-4 w-4' }) {
   )
 }
 
-function parseCoordsFromInput(input) {
-  const s = input.trim()
-  if (!s) return null
-
-  const googleMatch = s.match(/@(-?\d+\.?\d*),(-?\d+\.?\d*)/) ||
-    s.match(/\/dir\/\/\s*(-?\d+\.?\d*)\s*,\s*(-?\d+\.?\d*)/) ||
-    s.match(/[?&](?:q|query)=(-?\d+\.?\d*)\s*,\s*(-?\d+\.?\d*)/)
-  if (googleMatch) {
-    const a = parseFloat(googleMatch[1])
-    const b = parseFloat(googleMatch[2])
-    const lat = Math.abs(a) <= 90 ? a : b
-    const lng = Math.abs(b) <= 180 ? b : a
-    if (Math.abs(lat) <= 90 && Math.abs(lng) <= 180) return [lng, lat]
-  }
-
-  const twoNumbers = s.match(/^(-?\d+\.?\d*)\s*[,]\s*(-?\d+\.?\d*)\s*$/)
-  if (twoNumbers) {
-    const a = parseFloat(twoNumbers[1])
-    const b = parseFloat(twoNumbers[2])
-    const lat = Math.abs(a) <= 90 ? a : b
-    const lng = Math.abs(b) <= 180 ? b : a
-    if (Math.abs(lat) <= 90 && Math.abs(lng) <= 180) return [lng, lat]
-  }
-
-  return null
-}
-
-async function resolveSelfParkingInput(input, token) {
-  if (!input?.trim()) return null
-  const coords = parseCoordsFromInput(input)
-  if (coords) {
-    return { label: `Self-parking (${coords[1].toFixed(5)}, ${coords[0].toFixed(5)})`, coordinates: coords }
-  }
-  const result = await geocodeAddress(input.trim(), token, 'US')
-  return result ? { ...result, label: result.label || 'Self-parking' } : null
-}
-
-async function geocodeAddress(address, token, countryCode = 'US') {
-  const params = new URLSearchParams({
-    q: address,
-    access_token: token,
-    limit: '1',
-    autocomplete: 'false',
-  })
-  if (countryCode) params.set('country', countryCode)
-  const res = await fetch(`${GEOCODE_URL}?${params.toString()}`)
-  const data = await res.json()
-  const feature = data.features?.[0]
-  if (!feature?.geometry?.coordinates) return null
-  const props = feature.properties || {}
-  const name = props.name || props.address_line1 || ''
-  const place = props.place_formatted || ''
-  const label = props.full_address || (name && place ? `${name}, ${place}` : name || place)
-  return { label: label || address, coordinates: feature.geometry.coordinates }
-}
-
-async function fetchRoute(origin, destination) {
-  const coords = `${origin[0]},${origin[1]};${destination[0]},${destination[1]}`
-  const url = `${DIRECTIONS_URL}/${coords}?access_token=${MAPBOX_TOKEN}&steps=true&overview=simplified`
-  const res = await fetch(url)
-  if (!res.ok) {
-    const err = await res.json().catch(() => ({}))
-    throw new Error(err.message || `Directions API error: ${res.status}`)
-  }
-  return res.json()
-}
-
-function extractManeuvers(data) {
-  const maneuvers = []
-  const route = data.routes?.[0]
-  if (!route?.legs) return maneuvers
-
-  for (const leg of route.legs) {
-    const steps = leg.steps || []
-    for (const step of steps) {
-      const inst = step.maneuver?.instruction
-      if (inst) maneuvers.push(inst)
-    }
-  }
-  return maneuvers
-}
-
 export default function App() {
-  const [origin, setOrigin] = useState({ label: DEFAULT_ORIGIN })
-  const [destination, setDestination] = useState(null)
-  const [originGeocoding, setOriginGeocoding] = useState(true)
-  const [includeInternational, setIncludeInternational] = useState(false)
-  const [selfParkingOverride, setSelfParkingOverride] = useState('')
+  // A permalink (see lib/permalink) fills the form in place of the defaults
+  const [linked] = useState(() => searchToInputs(window.location.search))
+  const [mode, setMode] = useState('single')
+  const [origin, setOrigin] = useState(linked?.origin ?? null)
+  const [originPresets, setOriginPresets] = useState([])
+  const [defaultOriginId, setDefaultOriginIdState] = useState(getDefaultOriginId)
+  const [originsLoading, setOriginsLoading] = useState(true)
+  const [destination, setDestination] = useState(linked?.destination ?? null)
+  const [stops, setStops] = useState(() => (linked?.stops || []).map((place, i) => ({ id: i + 1, place })))
+  const nextStopId = useRef((linked?.stops.length || 0) + 1)
+  const [includeInternational, setIncludeInternational] = useState(linked?.includeInternational ?? false)
+  const [selfParkingOverride, setSelfParkingOverride] = useState(linked?.selfParkingOverride ?? '')
+  const [travelMode, setTravelMode] = useState(linked?.travelMode ?? 'driving')
+  const [walkFromParking, setWalkFromParking] = useState(linked?.walkFromParking ?? false)
+  const [includeReturn, setIncludeReturn] = useState(linked?.includeReturn ?? false)
+  const [includeLandmarks, setIncludeLandmarks] = useState(linked?.includeLandmarks ?? false)
+  const [avoid, setAvoid] = useState(linked?.avoid ?? [])
+  const [language, setLanguage] = useState(linked?.language ?? DEFAULT_LANGUAGE)
+  const [extraLanguages, setExtraLanguages] = useState(linked?.extraLanguages ?? [])
+  // Prompt template id (see /admin/templates)
+  const [tone, setTone] = useState(linked?.tone ?? 'default')
+  const [units, setUnits] = useState(linked?.units ?? 'imperial')
+  const [stepDistances, setStepDistances] = useState(linked?.stepDistances ?? false)
+  // Optional depart-at / arrive-by time: { mode: 'none' | 'depart' | 'arrive', time: 'YYYY-MM-DDThh:mm' }
+  const [schedule, setSchedule] = useState(linked?.schedule ?? { mode: 'none', time: '' })
+  // Candidate routes from "Compare routes": { routes, selected, routingDestination }
+  const [routeChoice, setRouteChoice] = useState(null)
+  const [isComparing, setIsComparing] = useState(false)
   const [effectiveDestination, setEffectiveDestination] = useState(null)
   const copyBlockRef = useRef(null)
 
+  // Presets come with coordinates already resolved, so the default origin needs no geocode.
+  // A permalink's own starting point wins over the default.
   useEffect(() => {
-    if (!MAPBOX_TOKEN) {
-      setOriginGeocoding(false)
-      return
-    }
-    geocodeAddress(DEFAULT_ORIGIN, MAPBOX_TOKEN, 'US').then((result) => {
-      if (result) setOrigin(result)
-      setOriginGeocoding(false)
-    })
-  }, [])
+    listOrigins()
+      .then((presets) => {
+        setOriginPresets(presets)
+        const preset = pickDefaultOrigin(presets)
+        if (preset?.coordinates && !linked?.origin) setOrigin({ label: preset.label, coordinates: preset.coordinates })
+      })
+      .catch(() => {})
+      .finally(() => setOriginsLoading(false))
+  }, [linked])
   const [prose, setProse] = useState('')
+  // The narrative's sentences with the maneuvers each covers (see lib/segments); null while streaming
+  const [segments, setSegments] = useState(null)
+  // Output as generated, before any edits, for the diff view
+  const [generatedProse, setGeneratedProse] = useState('')
+  // What the shown narrative was written from, for re-generating part of it
+  const [narrativeRoute, setNarrativeRoute] = useState(null)
+  const [isEditing, setIsEditing] = useState(false)
+  const [showDiff, setShowDiff] = useState(false)
+  const [isRewriting, setIsRewriting] = useState(false)
+  // Result of the schedule: { mode, departAt, arriveAt, ... } or { error }
+  const [tripTiming, setTripTiming] = useState(null)
+  // The way back: { status: 'running' | 'done' | 'error', prose, maneuvers, legs, distance, duration, error }
+  const [returnTrip, setReturnTrip] = useState(null)
+  const [landmarkError, setLandmarkError] = useState(null)
+  const [includeSummary, setIncludeSummary] = useState(true)
+  const [plainMode, setPlainMode] = useState(linked?.plainMode ?? false)
+  const [proseFallback, setProseFallback] = useState(null)
+  // Whether the server reused a narrative it wrote earlier for the same route
+  const [proseCached, setProseCached] = useState(false)
+  const [verification, setVerification] = useState(null)
   const [isGenerating, setIsGenerating] = useState(false)
+  const generateControllerRef = useRef(null)
+  const [historyVersion, setHistoryVersion] = useState(0)
+  const [routeMap, setRouteMap] = useState(null)
+  const [includeMap, setIncludeMap] = useState(false)
+  // The same narrative in extraLanguages: [{ language, status, prose, verification, fallback, error }]
+  const [translations, setTranslations] = useState([])
   const [error, setError] = useState(null)
   const [copied, setCopied] = useState(false)
   const [linksCopied, setLinksCopied] = useState(false)
+  const [formLinkCopied, setFormLinkCopied] = useState(false)
   const linksCopyBlockRef = useRef(null)
 
+  // Compared routes are only valid for the inputs they were fetched with
   const handleOriginChange = useCallback((value) => {
     setOrigin(value)
-    if (value === null) setOriginGeocoding(false)
+    setRouteChoice(null)
     setError(null)
   }, [])
 
   const handleDestinationChange = useCallback((value) => {
     setDestination(value)
+    setRouteChoice(null)
     setError(null)
   }, [])
 
-  const handleGenerate = async () => {
-    if (!origin?.coordinates || !destination?.coordinates) {
-      setError('Please select both a starting point and destination from the suggestions.')
+  const handleStopsChange = useCallback((value) => {
+    setStops(value)
+    setRouteChoice(null)
+    setError(null)
+  }, [])
+
+  const handleAddStop = () => {
+    setStops((prev) => [...prev, { id: nextStopId.current++, place: null }])
+  }
+
+  const handleTravelModeChange = (value) => {
+    setTravelMode(value)
+    setRouteChoice(null)
+  }
+
+  const handleAvoidChange = (value) => {
+    setAvoid(value)
+    setRouteChoice(null)
+  }
+
+  const handleTripOptionsChange = (patch) => {
+    if (patch.units !== undefined) setUnits(patch.units)
+    if (patch.stepDistances !== undefined) setStepDistances(patch.stepDistances)
+    if (patch.schedule !== undefined) setSchedule(patch.schedule)
+  }
+
+  // Compared routes carry instructions in the language they were fetched in
+  const handleLanguageChange = (value) => {
+    if (value.language !== language) setRouteChoice(null)
+    setLanguage(value.language)
+    setExtraLanguages(value.extraLanguages)
+  }
+
+  // Everything a narrative is generated from; also what history entries store. Stops are plain places here.
+  const currentInputs = () => ({
+    origin,
+    destination,
+    stops: stops.map((s) => s.place),
+    selfParkingOverride,
+    travelMode,
+    avoid,
+    walkFromParking,
+    includeReturn,
+    includeLandmarks,
+    includeInternational,
+    plainMode,
+    language,
+    extraLanguages,
+    tone,
+    units,
+    stepDistances,
+    schedule,
+  })
+
+  // The address bar always holds the form's permalink, so it can be copied at any point
+  const formSearch = inputsToSearch(currentInputs())
+  useEffect(() => {
+    window.history.replaceState(null, '', `${window.location.pathname}${formSearch ? `?${formSearch}` : ''}`)
+  }, [formSearch])
+
+  const handleCopyFormLink = async () => {
+    try {
+      await navigator.clipboard.writeText(`${window.location.origin}${window.location.pathname}?${formSearch}`)
+      setFormLinkCopied(true)
+      setTimeout(() => setFormLinkCopied(false), 2000)
+    } catch {
+      setError('Could not copy to clipboard.')
+    }
+  }
+
+  const validateInputs = (inputs) => {
+    if (!inputs.origin?.coordinates || !inputs.destination?.coordinates) {
+      return 'Please select both a starting point and destination from the suggestions.'
+    }
+    if (inputs.stops.some((place) => !place?.coordinates)) {
+      return 'Please select each stop from the suggestions, or remove empty stops.'
+    }
+    return null
+  }
+
+  const handleCompare = async () => {
+    const inputs = currentInputs()
+    const invalid = validateInputs(inputs)
+    if (invalid) {
+      setError(invalid)
+      return
+    }
+    setIsComparing(true)
+    setError(null)
+    try {
+      const routingDestination = await pipeline.resolveRoutingDestination(inputs)
+      const points = routePoints(inputs, routingDestination)
+      const best = await fetchRoute(points.map((p) => p.coordinates), {
+        profile: travelMode,
+        exclude: avoid,
+        alternatives: true,
+        language,
+      })
+      const { alternatives = [], ...recommended } = best
+      setRouteChoice({ routes: [recommended, ...alternatives], selected: 0, routingDestination, language })
+    } catch (err) {
+      setError(err.message || 'Could not load routes.')
+    } finally {
+      setIsComparing(false)
+    }
+  }
+
+  // Route, prose legs and maneuvers for the inputs with instructions in one language (see
+  // lib/pipeline). A compared route is fetched again in other languages, picking the same alternative.
+  const loadRoute = async (inputs, routingDestination, routeLanguage, chosenRoute) => {
+    let directions = null
+    if (chosenRoute?.language === routeLanguage) {
+      directions = chosenRoute.routes[chosenRoute.selected]
+    } else if (chosenRoute) {
+      const { alternatives = [], ...recommended } = await fetchRoute(
+        routePoints(inputs, routingDestination).map((p) => p.coordinates),
+        { profile: inputs.travelMode, exclude: inputs.avoid, language: routeLanguage, alternatives: true },
+      )
+      directions = [recommended, ...alternatives][chosenRoute.selected] || recommended
+    }
+    return pipeline.loadRoute(inputs, routingDestination, { language: routeLanguage, directions })
+  }
+
+  // Each extra language gets its own localized route and a non-streamed narrative
+  // The way there reuses the main narrative's landmarks: it is the same route, only worded differently.
+  const generateTranslations = async (inputs, routingDestination, chosenRoute, landmarks, { signal, refresh }) => {
+    const updateTranslation = (id, patch) => {
+      setTranslations((prev) => prev.map((t) => (t.language === id ? { ...t, ...patch } : t)))
+    }
+    const results = await Promise.all(
+      inputs.extraLanguages.map(async (id) => {
+        try {
+          const { maneuvers, legs } = await loadRoute(inputs, routingDestination, id, chosenRoute)
+          // A way back that fails leaves the way there in place
+          const returnTripDone = inputs.includeReturn
+            ? pipeline.writeReturnTrip(inputs, routingDestination, { language: id, refresh, signal }).then(
+                ({ prose, distance, duration }) => ({ prose, distance, duration }),
+                (err) => ({ error: err.message || 'Could not write the way back.' }),
+              )
+            : null
+          const result = await generateProse(prosePayload(inputs, { maneuvers, legs, language: id, landmarks, refresh }), {
+            signal,
+          })
+          const wayBack = await returnTripDone
+          const done = {
+            status: 'done',
+            prose: result.prose,
+            returnTrip: wayBack,
+            verification: result.verification || null,
+            fallback: !!result.fallback,
+          }
+          updateTranslation(id, done)
+          return { language: id, prose: result.prose, returnTrip: wayBack?.error ? null : wayBack }
+        } catch (err) {
+          updateTranslation(id, {
+            status: 'error',
+            error: err.name === 'AbortError' ? 'Cancelled.' : err.message || 'Something went wrong.',
+          })
+          return null
+        }
+      }),
+    )
+    return results.filter(Boolean)
+  }
+
+  // Runs the whole pipeline for the given inputs; a compared route is only reused for the current form.
+  // refresh has the server write new narratives instead of reusing cached ones.
+  const generate = async (inputs, chosenRoute = null, { refresh = false } = {}) => {
+    const invalid = validateInputs(inputs)
+    if (invalid) {
+      setError(invalid)
       return
     }
 
+    const controller = new AbortController()
+    generateControllerRef.current = controller
+    const primaryLanguage = inputs.language || DEFAULT_LANGUAGE
+    const extras = (inputs.extraLanguages || []).filter((id) => id !== primaryLanguage)
+    // Locked sentences are kept if this turns out to be the same route in the same language
+    const lockedSegments = (segments || []).filter((s) => s.locked)
+    const lockedRoute = narrativeRoute
     setIsGenerating(true)
     setError(null)
     setProse('')
+    setSegments(null)
+    setGeneratedProse('')
+    setNarrativeRoute(null)
+    setIsEditing(false)
+    setShowDiff(false)
+    setTripTiming(null)
+    setReturnTrip(null)
+    setLandmarkError(null)
+    setProseFallback(null)
+    setProseCached(false)
+    setVerification(null)
     setEffectiveDestination(null)
+    setRouteMap(null)
+    setTranslations(extras.map((id) => ({ language: id, status: 'running' })))
 
     try {
-      let routingDestination = destination
-      if (selfParkingOverride.trim() && MAPBOX_TOKEN) {
-        const resolved = await resolveSelfParkingInput(selfParkingOverride.trim(), MAPBOX_TOKEN)
-        if (resolved) routingDestination = resolved
-      }
+      const routingDestination = chosenRoute?.routingDestination || (await pipeline.resolveRoutingDestination(inputs))
       setEffectiveDestination(routingDestination)
 
-      const directions = await fetchRoute(origin.coordinates, routingDestination.coordinates)
-      const maneuvers = extractManeuvers(directions)
+      const { directions, maneuvers, legs, mapLines, trip } = await loadRoute(
+        inputs,
+        routingDestination,
+        primaryLanguage,
+        chosenRoute,
+      )
+      // Timing is worked out alongside the narrative; a failure only affects the summary line
+      const timingDone = pipeline
+        .tripTiming(inputs, routingDestination, trip, { signal: controller.signal })
+        .catch((err) => (err.name === 'AbortError' ? null : { error: err.message || 'Could not work out the timing.' }))
+      const { destination: venue } = inputs
+      const map = buildRouteMap({
+        lines: mapLines,
+        origin: inputs.origin,
+        destination: venue,
+        stops: inputs.stops,
+        parking: routingDestination !== venue ? routingDestination : null,
+      })
+      setRouteMap(map)
 
-      if (maneuvers.length === 0) {
-        throw new Error('No route found between these locations.')
+      // Without landmarks the narrative is still worth having, so a failed lookup only leaves a note
+      let landmarks = []
+      try {
+        landmarks = await pipeline.findLandmarks(inputs, legs, { language: primaryLanguage, signal: controller.signal })
+      } catch (err) {
+        if (err.name === 'AbortError') throw err
+        setLandmarkError(err.message || 'Could not look up landmarks.')
       }
 
-      const res = await fetch('/api/generate-prose', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ maneuvers }),
+      // The way back and extra languages are written while the main narrative streams in
+      if (inputs.includeReturn) setReturnTrip({ status: 'running' })
+      const returnTripDone = inputs.includeReturn
+        ? pipeline
+            .writeReturnTrip(inputs, routingDestination, { language: primaryLanguage, refresh, signal: controller.signal })
+            .then(
+              (trip) => {
+                setReturnTrip({ status: 'done', ...trip })
+                return trip
+              },
+              (err) => {
+                setReturnTrip({
+                  status: 'error',
+                  error: err.name === 'AbortError' ? 'Cancelled.' : err.message || 'Could not write the way back.',
+                })
+                return null
+              },
+            )
+        : Promise.resolve(null)
+      const translationsDone = generateTranslations(
+        { ...inputs, extraLanguages: extras },
+        routingDestination,
+        chosenRoute,
+        landmarks,
+        { signal: controller.signal, refresh },
+      )
+      const result = await streamProse(prosePayload(inputs, { maneuvers, legs, language: primaryLanguage, landmarks, refresh }), {
+        signal: controller.signal,
+        onToken: (text) => setProse((prev) => prev + text),
       })
+      const keepLocked =
+        lockedSegments.length > 0 &&
+        lockedRoute?.language === primaryLanguage &&
+        JSON.stringify(lockedRoute.maneuvers) === JSON.stringify(maneuvers)
+      const fresh = withSegmentIds(result.segments || [])
+      const finalSegments = keepLocked ? mergeLockedSegments(fresh, lockedSegments) : fresh
+      const finalProse = keepLocked ? segmentsToProse(finalSegments, primaryLanguage) : result.prose
+      setProse(finalProse)
+      setSegments(finalSegments)
+      setGeneratedProse(result.prose)
+      setShowDiff(keepLocked && finalProse !== result.prose)
+      setNarrativeRoute({
+        maneuvers,
+        legs,
+        travelMode: inputs.travelMode,
+        language: primaryLanguage,
+        tone: inputs.tone,
+        plainMode: inputs.plainMode,
+        units: inputs.units,
+        stepDistances: !!inputs.stepDistances,
+        landmarks,
+        distance: trip.distance,
+        duration: trip.duration,
+      })
+      setVerification(result.verification || null)
+      setProseFallback(result.fallback ? result.fallbackReason || 'AI generation was unavailable' : null)
+      setProseCached(!!result.cached)
+      const finishedTranslations = await translationsDone
+      const timing = await timingDone
+      setTripTiming(timing)
+      const finishedReturn = await returnTripDone
 
-      const data = await res.json()
-      if (!res.ok) throw new Error(data.error || 'Failed to generate narrative')
-      setProse(data.prose)
+      // History is best-effort; a failed save shouldn't hide the narrative
+      saveNarrative({
+        inputs,
+        routingDestination,
+        maneuvers,
+        legs,
+        landmarks,
+        route: {
+          profile: directions.profile,
+          distance: trip.distance,
+          duration: trip.duration,
+          mainRoads: directions.mainRoads,
+        },
+        timing: timing?.error ? null : timing,
+        returnTrip: finishedReturn && {
+          prose: finishedReturn.prose,
+          maneuvers: finishedReturn.maneuvers,
+          legs: finishedReturn.legs,
+          landmarks: finishedReturn.landmarks,
+          distance: finishedReturn.distance,
+          duration: finishedReturn.duration,
+        },
+        prose: finalProse,
+        segments: finalSegments,
+        generatedProse: result.prose,
+        translations: finishedTranslations,
+        provider: result.provider,
+        model: result.model,
+        fallback: !!result.fallback,
+      })
+        .then(() => setHistoryVersion((v) => v + 1))
+        .catch((err) => console.error('Could not save narrative to history:', err))
     } catch (err) {
-      setError(err.message || 'Something went wrong.')
+      // Stop any translations still in flight
+      controller.abort()
+      // Keep whatever was streamed before the failure or cancel
+      if (err.partial) setProse(err.partial)
+      if (err.name === 'AbortError') {
+        setError(err.partial ? 'Generation cancelled. The partial narrative is shown below.' : 'Generation cancelled.')
+      } else {
+        setError(`${err.message || 'Something went wrong.'}${err.partial ? ' The partial narrative is shown below.' : ''}`)
+      }
     } finally {
+      generateControllerRef.current = null
       setIsGenerating(false)
     }
   }
 
+  const handleGenerate = () => generate(currentInputs(), routeChoice)
+  const handleWriteFresh = () => generate(currentInputs(), routeChoice, { refresh: true })
+
+  // Puts a history entry's inputs back into the form and returns them
+  const restoreInputs = async (id) => {
+    const entry = await getNarrative(id)
+    const { inputs } = entry
+    setMode('single')
+    setOrigin(inputs.origin)
+    setDestination(inputs.destination)
+    setStops((inputs.stops || []).map((place) => ({ id: nextStopId.current++, place })))
+    setSelfParkingOverride(inputs.selfParkingOverride || '')
+    setTravelMode(inputs.travelMode || 'driving')
+    setAvoid(inputs.avoid || [])
+    setWalkFromParking(!!inputs.walkFromParking)
+    setIncludeReturn(!!inputs.includeReturn)
+    setIncludeLandmarks(!!inputs.includeLandmarks)
+    setIncludeInternational(!!inputs.includeInternational)
+    setPlainMode(!!inputs.plainMode)
+    setLanguage(inputs.language || DEFAULT_LANGUAGE)
+    setExtraLanguages(inputs.extraLanguages || [])
+    setTone(inputs.tone || 'default')
+    setUnits(inputs.units || 'imperial')
+    setStepDistances(!!inputs.stepDistances)
+    setSchedule(inputs.schedule || { mode: 'none', time: '' })
+    setRouteChoice(null)
+    setError(null)
+    return entry
+  }
+
+  const handleReopen = async (id) => {
+    try {
+      const entry = await restoreInputs(id)
+      setEffectiveDestination(entry.routingDestination || null)
+      setProse(entry.prose)
+      setSegments(entry.segments ? withSegmentIds(entry.segments) : null)
+      setGeneratedProse(entry.generatedProse || entry.prose)
+      setNarrativeRoute({
+        maneuvers: entry.maneuvers,
+        legs: entry.legs,
+        travelMode: entry.inputs.travelMode,
+        language: entry.inputs.language || DEFAULT_LANGUAGE,
+        tone: entry.inputs.tone,
+        plainMode: entry.inputs.plainMode,
+        units: entry.inputs.units || 'imperial',
+        stepDistances: !!entry.inputs.stepDistances,
+        landmarks: entry.landmarks || [],
+        distance: entry.route?.distance,
+        duration: entry.route?.duration,
+      })
+      setTripTiming(entry.timing || null)
+      setReturnTrip(entry.returnTrip ? { status: 'done', ...entry.returnTrip } : null)
+      setLandmarkError(null)
+      setIsEditing(false)
+      setShowDiff(false)
+      // History leaves the map out (its geometry is large), so a reopened narrative has none
+      setRouteMap(null)
+      setTranslations((entry.translations || []).map((t) => ({ ...t, status: 'done' })))
+      setProseFallback(null)
+      setProseCached(false)
+      setVerification(null)
+    } catch (err) {
+      setError(err.message || 'Could not reopen that narrative.')
+    }
+  }
+
+  const handleRegenerate = async (id) => {
+    try {
+      const entry = await restoreInputs(id)
+      await generate({ selfParkingOverride: '', stops: [], avoid: [], ...entry.inputs })
+    } catch (err) {
+      setError(err.message || 'Could not reopen that narrative.')
+    }
+  }
+
+  const handleSegmentsChange = (next) => {
+    setSegments(next)
+    setProse(segmentsToProse(next, narrativeRoute?.language))
+  }
+
+  // Writes sentences from..to again for the maneuvers they cover; resolves to whether it worked
+  const handleRewriteSpan = async (from, to) => {
+    const span = spanManeuvers(segments, from, to)
+    const route = narrativeRoute
+    if (!span || !route) return false
+    setIsRewriting(true)
+    setError(null)
+    try {
+      const result = await rewriteProseSpan({
+        maneuvers: route.maneuvers,
+        legs: route.legs,
+        travelMode: route.travelMode,
+        language: route.language,
+        template: route.tone,
+        units: route.units,
+        stepDistances: route.stepDistances,
+        landmarks: route.landmarks,
+        mode: route.plainMode ? 'plain' : undefined,
+        ...span,
+        text: segmentsToProse(segments.slice(from, to + 1), route.language),
+        before: segmentsToProse(segments.slice(0, from), route.language),
+        after: segmentsToProse(segments.slice(to + 1), route.language),
+      })
+      handleSegmentsChange(replaceSegments(segments, from, to, result.segments))
+      return true
+    } catch (err) {
+      setError(err.message || 'Could not re-generate that part.')
+      return false
+    } finally {
+      setIsRewriting(false)
+    }
+  }
+
+  const handleCancel = () => {
+    generateControllerRef.current?.abort()
+  }
+
   const effective = effectiveDestination || destination
-  const effectiveCoords = effective?.coordinates
   const destinationAddress = effective?.label || ''
-  const googleMapsUrl = effectiveCoords
-    ? `https://www.google.com/maps/dir/?api=1&destination=${effectiveCoords[1]},${effectiveCoords[0]}`
-    : destinationAddress
-      ? `https://www.google.com/maps/dir/?api=1&destination=${encodeURIComponent(destinationAddress)}`
-      : ''
-  // Use https so the link is clickable on mobile (maps:// is often blocked in browsers)
-  const appleMapsUrl = effectiveCoords
-    ? `https://maps.apple.com/?daddr=${effectiveCoords[1]},${effectiveCoords[0]}`
-    : destinationAddress
-      ? `https://maps.apple.com/?daddr=${encodeURIComponent(destinationAddress)}`
-      : ''
+  const waypoints = stops.map((s) => s.place)
+  const linkInputs = { stops: waypoints, travelMode, avoid }
+  const { google: googleMapsUrl, apple: appleMapsUrl } = mapLinks(linkInputs, effective, language)
+  const labels = getLanguage(language)
+
+  // The summary follows the narrative's own language and units, so reopened entries keep theirs.
+  // The departure time only belongs to the way there.
+  const summaryFor = (id, trip = narrativeRoute, timing = tripTiming) => {
+    if (!includeSummary || trip?.distance == null || !narrativeRoute) return null
+    return formatSummaryLine(trip, { units: narrativeRoute.units, language: id, timing })
+  }
+  const narrativeLanguage = narrativeRoute?.language || language
+  const tripSummary = summaryFor(narrativeLanguage)
+  const returnNarrative = returnTrip?.status === 'done' ? returnTrip : null
+  const returnSummary = returnNarrative && summaryFor(narrativeLanguage, returnNarrative, null)
+  const narrativeLabels = getLanguage(narrativeLanguage)
 
-  const getCopyText = () => prose || ''
+  const fullNarrative = () =>
+    composeNarrative({ summary: tripSummary, prose, returnSummary, returnProse: returnNarrative?.prose }, narrativeLanguage)
+
+  const getCopyText = () => (prose ? fullNarrative() : '')
+
+  const mapLinksFor = (id) => {
+    const { googleLink, appleLink } = getLanguage(id)
+    const { google } = mapLinks(linkInputs, effective, id)
+    return [google && { label: googleLink, url: google }, appleMapsUrl && { label: appleLink, url: appleMapsUrl }].filter(Boolean)
+  }
+  const exportLinks = mapLinksFor(narrativeLanguage)
+  const titleFor = (id) => documentTitle(id, destination?.label || destinationAddress || '')
 
   const getLinksCopyText = () => {
     const lines = []
-    if (googleMapsUrl) lines.push(`Open in Google Maps: ${googleMapsUrl}`)
-    if (appleMapsUrl) lines.push(`Open in Apple Maps: ${appleMapsUrl}`)
+    if (googleMapsUrl) lines.push(`${labels.googleLink}: ${googleMapsUrl}`)
+    if (appleMapsUrl) lines.push(`${labels.appleLink}: ${appleMapsUrl}`)
     return lines.join('\n')
   }
 
@@ -211,13 +648,13 @@ export default function App() {
     const pinSvg = '<span style="color:#dc2626;display:inline-block;vertical-align:middle;width:1em;height:1.5em;"><svg viewBox="0 0 24 36" fill="currentColor" style="width:100%;height:100%"><path d="M12 0C5.373 0 0 5.373 0 12c0 9 12 24 12 24s12-15 12-24C24 5.373 18.627 0 12 0zm0 17a5 5 0 1 1 0-10 5 5 0 0 1 0 10z"/></svg></span>'
     // Paste = pin + [Open in Google Maps] only (no URL text), so Word gets just linkable text
     const line1 = googleMapsUrl
-      ? `${pinSvg} [<a href="${googleMapsUrl}" style="border:none;outline:none;">Open in Google Maps</a>]`
+      ? `${pinSvg} [<a href="${googleMapsUrl}" style="border:none;outline:none;">${labels.googleLink}</a>]`
       : ''
     const line2 = appleMapsUrl
-      ? `${pinSvg} [<a href="${appleMapsUrl}" style="border:none;outline:none;">Open in Apple Maps</a>]`
+      ? `${pinSvg} [<a href="${appleMapsUrl}" style="border:none;outline:none;">${labels.appleLink}</a>]`
       : ''
     const html = [
-      '<span style="font-family:Arial;font-size:10pt;margin:0;padding:0;border:none;">',
+      `<span lang="${language}" style="font-family:Arial;font-size:10pt;margin:0;padding:0;border:none;">`,
       line1,
       line1 && line2 ? '<br>' : '',
       line2,
@@ -342,19 +779,60 @@ export default function App() {
 
   const handleReset = () => {
     setDestination(null)
+    setStops([])
+    setRouteChoice(null)
     setSelfParkingOverride('')
     setEffectiveDestination(null)
+    setRouteMap(null)
+    setTranslations([])
     setProse('')
+    setSegments(null)
+    setGeneratedProse('')
+    setNarrativeRoute(null)
+    setIsEditing(false)
+    setShowDiff(false)
+    setTripTiming(null)
+    setReturnTrip(null)
+    setLandmarkError(null)
+    setProseFallback(null)
+    setProseCached(false)
+    setVerification(null)
     setError(null)
-    setOrigin({ label: DEFAULT_ORIGIN })
-    setOriginGeocoding(true)
-    geocodeAddress(DEFAULT_ORIGIN, MAPBOX_TOKEN, 'US').then((result) => {
-      if (result) setOrigin(result)
-      setOriginGeocoding(false)
-    })
+    const preset = pickDefaultOrigin(originPresets, defaultOriginId)
+    setOrigin(preset?.coordinates ? { label: preset.label, coordinates: preset.coordinates } : null)
+  }
+
+  const handleSelectOriginPreset = (preset) => {
+    handleOriginChange({ label: preset.label, coordinates: preset.coordinates })
+  }
+
+  const handleSetDefaultOrigin = (id) => {
+    setDefaultOriginId(id)
+    setDefaultOriginIdState(id)
   }
 
-  const canGenerate = origin?.coordinates && destination?.coordinates && !isGenerating
+  const handleSaveOriginPreset = async (name) => {
+    try {
+      const preset = await createOrigin({ name, label: origin.label, coordinates: origin.coordinates })
+      setOriginPresets((prev) => [...prev, preset])
+    } catch (err) {
+      setError(err.message || 'Failed to save origin')
+      throw err
+    }
+  }
+
+  const handleDeleteOriginPreset = async (id) => {
+    try {
+      await deleteOrigin(id)
+      setOriginPresets((prev) => prev.filter((p) => p.id !== id))
+      if (id === defaultOriginId) handleSetDefaultOrigin(null)
+    } catch (err) {
+      setError(err.message || 'Failed to delete origin')
+    }
+  }
+
+  const canGenerate = origin?.coordinates && destination?.coordinates &&
+    stops.every((s) => s.place?.coordinates) && !isGenerating
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-50 to-amber-50/30">
@@ -372,6 +850,26 @@ export default function App() {
         </header>
 
         <div className="space-y-6">
+          <div className="flex rounded-xl border border-slate-200 bg-white p-1" role="tablist">
+            {[
+              ['single', 'Single destination'],
+              ['batch', 'Batch from CSV'],
+            ].map(([value, label]) => (
+              <button
+                key={value}
+                type="button"
+                role="tab"
+                aria-selected={mode === value}
+                onClick={() => setMode(value)}
+                className={`flex-1 rounded-lg px-4 py-2 text-sm font-medium transition ${
+                  mode === value ? 'bg-amber-500 text-white shadow' : 'text-slate-600 hover:bg-slate-100'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
           <label className="flex cursor-pointer items-center gap-3 rounded-lg border border-slate-200 bg-white px-4 py-3">
             <input
               type="checkbox"
@@ -386,214 +884,582 @@ export default function App() {
 
           <div>
             <label className="mb-2 block text-sm font-medium text-slate-700">
-              Starting Point
+              Travel mode
             </label>
-            <AddressSearch
-              value={origin?.label}
-              onChange={handleOriginChange}
-              placeholder="Enter an address..."
-              mapboxToken={MAPBOX_TOKEN}
-              confirmed={!!origin?.coordinates || originGeocoding}
-              restrictToUS={!includeInternational}
-            />
+            <TravelModeSelector value={travelMode} onChange={handleTravelModeChange} />
+            <div className="mt-3">
+              <RoutePreferences value={avoid} onChange={handleAvoidChange} disabled={travelMode === 'walking'} />
+            </div>
           </div>
 
           <div>
             <label className="mb-2 block text-sm font-medium text-slate-700">
-              Destination
+              Language
             </label>
-            <AddressSearch
-              value={destination?.label}
-              onChange={handleDestinationChange}
-              placeholder="Enter an address..."
-              mapboxToken={MAPBOX_TOKEN}
-              confirmed={!!destination?.coordinates}
-              restrictToUS={!includeInternational}
+            <LanguageSelector
+              language={language}
+              extraLanguages={extraLanguages}
+              showExtras={mode !== 'batch'}
+              onChange={handleLanguageChange}
+              disabled={isGenerating}
             />
           </div>
 
           <div>
             <label className="mb-2 block text-sm font-medium text-slate-700">
-              Self-parking (optional)
+              Tone
             </label>
-            <input
-              type="text"
-              value={selfParkingOverride}
-              onChange={(e) => setSelfParkingOverride(e.target.value)}
-              placeholder="Paste a Google Maps link, or enter coordinates (lat,lng) or address"
-              className="w-full rounded-lg border border-slate-300 bg-white px-4 py-3 text-sm text-slate-900 placeholder-slate-400 shadow-sm transition focus:border-amber-500 focus:outline-none focus:ring-2 focus:ring-amber-500/20"
+            <ToneSelector value={tone} onChange={setTone} disabled={isGenerating || plainMode} />
+          </div>
+
+          <div>
+            <label className="mb-2 block text-sm font-medium text-slate-700">
+              Trip
+            </label>
+            <TripOptions
+              units={units}
+              stepDistances={stepDistances}
+              schedule={schedule}
+              showSchedule={mode !== 'batch' && isDrivingMode(travelMode)}
+              onChange={handleTripOptionsChange}
+              disabled={isGenerating}
             />
-            <p className="mt-1 text-xs text-slate-500">
-              Routes and map links will go here instead of the destination above. Leave blank to use the destination.
-            </p>
           </div>
 
-          <button
-            onClick={handleGenerate}
-            disabled={!canGenerate}
-            className="flex w-full items-center justify-center gap-2 rounded-xl bg-amber-500 px-6 py-4 font-semibold text-white shadow-lg transition hover:bg-amber-600 disabled:cursor-not-allowed disabled:opacity-50 disabled:hover:bg-amber-500"
-          >
-            {isGenerating ? (
-              <>
-                <Loader2 className="h-5 w-5 animate-spin" />
-                Generating...
-              </>
-            ) : (
-              <>
-                <MapPin className="h-5 w-5" />
-                Generate Narrative
-              </>
-            )}
-          </button>
-
-          {error && (
-            <div className="rounded-lg border border-red-200 bg-red-50 p-4 text-sm text-red-700">
-              {error}
+          <div>
+            <div className="mb-2 flex flex-wrap items-center justify-between gap-2">
+              <label className="block text-sm font-medium text-slate-700">
+                Starting Point
+              </label>
+              <OriginPresets
+                presets={originPresets}
+                origin={origin}
+                defaultId={defaultOriginId}
+                onSelect={handleSelectOriginPreset}
+                onSetDefault={handleSetDefaultOrigin}
+                onSave={handleSaveOriginPreset}
+                onDelete={handleDeleteOriginPreset}
+                disabled={originsLoading || isGenerating}
+              />
             </div>
-          )}
+            <AddressSearch
+              value={origin?.label}
+              place={origin}
+              label="Starting point"
+              onChange={handleOriginChange}
+              placeholder={originsLoading ? 'Loading saved origins...' : 'Enter an address...'}
+              confirmed={!!origin?.coordinates || originsLoading}
+              restrictToUS={!includeInternational}
+            />
+          </div>
 
-          {prose && (
-            <div className="rounded-2xl border border-slate-200 bg-white/80 p-6 shadow-sm backdrop-blur-sm">
-              <div className="mb-4 flex items-center justify-between">
-                <h2 className="text-lg font-semibold text-slate-800">Your Narrative</h2>
-                <div className="flex items-center gap-2">
-                  <button
-                    onClick={handleCopy}
-                    className="flex items-center gap-2 rounded-lg px-3 py-2 text-sm font-medium text-slate-600 transition hover:bg-slate-100 hover:text-slate-900"
-                    title="Copy narrative to clipboard"
-                  >
-                    {copied ? (
-                      <>
-                        <Check className="h-4 w-4 text-emerald-600" />
-                        Copied!
-                      </>
-                    ) : (
-                      <>
-                        <Copy className="h-4 w-4" />
-                        Copy
-                      </>
-                    )}
-                  </button>
-                  {destinationAddress && (googleMapsUrl || appleMapsUrl) && (
-                    <button
-                      onClick={handleCopyLinks}
-                      className="flex items-center gap-2 rounded-lg px-3 py-2 text-sm font-medium text-slate-600 transition hover:bg-slate-100 hover:text-slate-900"
-                      title="Copy map links to clipboard"
-                    >
-                      {linksCopied ? (
-                        <>
-                          <Check className="h-4 w-4 text-emerald-600" />
-                          Copied!
-                        </>
-                      ) : (
-                        <>
-                          <Copy className="h-4 w-4" />
-                          Copy links
-                        </>
-                      )}
-                    </button>
+          {mode === 'batch' ? (
+            <BatchMode
+              origin={origin}
+              restrictToUS={!includeInternational}
+              travelMode={travelMode}
+              language={language}
+              template={tone}
+              units={units}
+              stepDistances={stepDistances}
+            />
+          ) : (
+            <>
+              <div>
+                <label className="mb-2 block text-sm font-medium text-slate-700">
+                  Stops along the way (optional)
+                </label>
+                <StopList
+                  stops={stops}
+                  onChange={handleStopsChange}
+                  onAdd={handleAddStop}
+                  restrictToUS={!includeInternational}
+                />
+              </div>
+
+              <div>
+                <label className="mb-2 block text-sm font-medium text-slate-700">
+                  Destination
+                </label>
+                <AddressSearch
+                  value={destination?.label}
+                  place={destination}
+                  label="Destination"
+                  onChange={handleDestinationChange}
+                  placeholder="Enter an address..."
+                  confirmed={!!destination?.coordinates}
+                  restrictToUS={!includeInternational}
+                />
+              </div>
+
+              <div>
+                <label className="mb-2 block text-sm font-medium text-slate-700">
+                  Self-parking (optional)
+                </label>
+                <input
+                  type="text"
+                  value={selfParkingOverride}
+                  onChange={(e) => {
+                    setSelfParkingOverride(e.target.value)
+                    setRouteChoice(null)
+                  }}
+                  placeholder="Paste a Google Maps link, or enter coordinates (lat,lng) or address"
+                  className="w-full rounded-lg border border-slate-300 bg-white px-4 py-3 text-sm text-slate-900 placeholder-slate-400 shadow-sm transition focus:border-amber-500 focus:outline-none focus:ring-2 focus:ring-amber-500/20"
+                />
+                <p className="mt-1 text-xs text-slate-500">
+                  Routes and map links will go here instead of the destination above. Leave blank to use the destination.
+                </p>
+                {selfParkingOverride.trim() && isDrivingMode(travelMode) && (
+                  <label className="mt-2 flex cursor-pointer items-center gap-2 text-sm text-slate-700">
+                    <input
+                      type="checkbox"
+                      checked={walkFromParking}
+                      onChange={(e) => setWalkFromParking(e.target.checked)}
+                      className="h-4 w-4 rounded border-slate-300 text-amber-500 focus:ring-amber-500"
+                    />
+                    Add walking directions from the parking spot to the destination
+                  </label>
+                )}
+              </div>
+
+              <label className="flex cursor-pointer items-center gap-3 rounded-lg border border-slate-200 bg-white px-4 py-3">
+                <input
+                  type="checkbox"
+                  checked={includeReturn}
+                  onChange={(e) => setIncludeReturn(e.target.checked)}
+                  className="h-4 w-4 rounded border-slate-300 text-amber-500 focus:ring-amber-500"
+                />
+                <span className="text-sm text-slate-700">
+                  Include the return trip
+                  <span className="block text-xs text-slate-500">
+                    A second narrative back to the starting point, from the parking spot when one is set
+                  </span>
+                </span>
+              </label>
+
+              <label
+                className={`flex items-center gap-3 rounded-lg border border-slate-200 bg-white px-4 py-3 ${
+                  plainMode ? 'opacity-60' : 'cursor-pointer'
+                }`}
+              >
+                <input
+                  type="checkbox"
+                  checked={includeLandmarks}
+                  onChange={(e) => setIncludeLandmarks(e.target.checked)}
+                  disabled={plainMode}
+                  className="h-4 w-4 rounded border-slate-300 text-amber-500 focus:ring-amber-500"
+                />
+                <span className="text-sm text-slate-700">
+                  Mention nearby landmarks
+                  <span className="block text-xs text-slate-500">
+                    {plainMode
+                      ? 'Only AI-written narratives can use landmarks'
+                      : 'Looks up places at the main turns, e.g. "turn left at the courthouse"; the ones used are listed for checking'}
+                  </span>
+                </span>
+              </label>
+
+              <label className="flex cursor-pointer items-center gap-3 rounded-lg border border-slate-200 bg-white px-4 py-3">
+                <input
+                  type="checkbox"
+                  checked={plainMode}
+                  onChange={(e) => setPlainMode(e.target.checked)}
+                  className="h-4 w-4 rounded border-slate-300 text-amber-500 focus:ring-amber-500"
+                />
+                <span className="text-sm text-slate-700">
+                  Plain wording (rule-based, no AI)
+                </span>
+              </label>
+
+              {routeChoice && (
+                <div>
+                  <label className="mb-2 block text-sm font-medium text-slate-700">
+                    Choose a route
+                  </label>
+                  <RouteOptions
+                    routes={routeChoice.routes}
+                    selected={routeChoice.selected}
+                    onSelect={(selected) => setRouteChoice((prev) => ({ ...prev, selected }))}
+                    units={units}
+                  />
+                  {routeChoice.routes.length === 1 && (
+                    <p className="mt-1 text-xs text-slate-500">No alternative routes were found for this trip.</p>
+                  )}
+                </div>
+              )}
+
+              <button
+                type="button"
+                onClick={handleCompare}
+                disabled={!canGenerate || isComparing}
+                className="flex w-full items-center justify-center gap-2 rounded-xl border border-slate-300 bg-white px-6 py-3 text-sm font-semibold text-slate-700 shadow-sm transition hover:bg-slate-50 disabled:cursor-not-allowed disabled:opacity-50"
+              >
+                {isComparing ? <Loader2 className="h-4 w-4 animate-spin" /> : <GitCompare className="h-4 w-4" />}
+                {routeChoice ? 'Refresh route options' : 'Compare routes'}
+              </button>
+
+              <div className="flex gap-2">
+                <button
+                  onClick={handleGenerate}
+                  disabled={!canGenerate}
+                  className="flex w-full items-center justify-center gap-2 rounded-xl bg-amber-500 px-6 py-4 font-semibold text-white shadow-lg transition hover:bg-amber-600 disabled:cursor-not-allowed disabled:opacity-50 disabled:hover:bg-amber-500"
+                >
+                  {isGenerating ? (
+                    <>
+                      <Loader2 className="h-5 w-5 animate-spin" />
+                      Generating...
+                    </>
+                  ) : (
+                    <>
+                      <MapPin className="h-5 w-5" />
+                      Generate Narrative
+                    </>
                   )}
+                </button>
+                {isGenerating && (
                   <button
-                    onClick={handleReset}
-                    className="flex items-center gap-2 rounded-lg px-3 py-2 text-sm font-medium text-slate-600 transition hover:bg-slate-100 hover:text-slate-900"
-                    title="Reset and generate another"
+                    onClick={handleCancel}
+                    className="flex shrink-0 items-center gap-2 rounded-xl border border-slate-300 bg-white px-5 py-4 font-semibold text-slate-700 shadow-sm transition hover:bg-slate-50"
+                    title="Stop generating"
                   >
-                    <RotateCcw className="h-4 w-4" />
-                    Reset
+                    <Square className="h-4 w-4" />
+                    Cancel
                   </button>
-                </div>
+                )}
               </div>
-              {selfParkingOverride.trim() && effectiveDestination && effectiveDestination !== destination && (
-                <p className="mb-3 text-sm text-slate-600">
-                  Directions to self-parking:{' '}
-                  <span className="font-medium">{effectiveDestination.label}</span>
-                </p>
-              )}
-              <div
-                ref={copyBlockRef}
-                style={{ fontFamily: 'Arial', fontSize: '10pt' }}
+
+              <button
+                type="button"
+                onClick={handleCopyFormLink}
+                disabled={!formSearch}
+                className="mx-auto flex items-center gap-1.5 text-xs font-medium text-slate-500 transition hover:text-slate-800 disabled:cursor-not-allowed disabled:opacity-50"
+                title="A link that opens this form filled in as it is now"
               >
-                <p className="leading-relaxed text-slate-700 whitespace-pre-wrap">{prose}</p>
-              </div>
-              {/* Hidden block used only for copying links — single line block to avoid Word text box */}
-              {destinationAddress && (googleMapsUrl || appleMapsUrl) && (
-                <div
-                  ref={linksCopyBlockRef}
-                  style={{
-                    fontFamily: 'Arial',
-                    fontSize: '10pt',
-                    margin: 0,
-                    padding: 0,
-                    border: 'none',
-                    outline: 'none',
-                    boxShadow: 'none',
-                    background: 'none',
-                  }}
-                  className="absolute left-[-9999px] w-[1px] h-[1px] overflow-hidden"
-                  aria-hidden
-                >
-                  <p style={{ margin: 0, padding: 0, border: 'none', outline: 'none' }}>
-                    {googleMapsUrl && (
-                      <>
-                        <RedPinIcon />
-                        {' ['}
-                        <a href={googleMapsUrl} style={{ border: 'none', outline: 'none', textDecoration: 'underline' }}>Open in Google Maps</a>
-                        {']'}
-                      </>
+                {formLinkCopied ? <Check className="h-3.5 w-3.5 text-emerald-600" /> : <Link className="h-3.5 w-3.5" />}
+                {formLinkCopied ? 'Link copied' : 'Copy link to this form'}
+              </button>
+
+              {error && (
+                <div className="rounded-lg border border-red-200 bg-red-50 p-4 text-sm text-red-700">
+                  {error}
+                </div>
+              )}
+
+              {prose && (
+                <div className="rounded-2xl border border-slate-200 bg-white/80 p-6 shadow-sm backdrop-blur-sm">
+                  <div className="mb-4 flex items-center justify-between">
+                    <div className="flex items-center gap-2">
+                      <h2 className="text-lg font-semibold text-slate-800">Your Narrative</h2>
+                      <VerificationBadge verification={verification} />
+                    </div>
+                    <div className="flex items-center gap-2">
+                      {segments && !isGenerating && (
+                        <button
+                          onClick={() => setIsEditing((prev) => !prev)}
+                          className="flex items-center gap-2 rounded-lg px-3 py-2 text-sm font-medium text-slate-600 transition hover:bg-slate-100 hover:text-slate-900"
+                          title={isEditing ? 'Finish editing' : 'Edit the narrative'}
+                        >
+                          {isEditing ? <Check className="h-4 w-4" /> : <Pencil className="h-4 w-4" />}
+                          {isEditing ? 'Done' : 'Edit'}
+                        </button>
+                      )}
+                      {generatedProse && prose !== generatedProse && !isGenerating && (
+                        <button
+                          onClick={() => setShowDiff((prev) => !prev)}
+                          className={`flex items-center gap-2 rounded-lg px-3 py-2 text-sm font-medium transition hover:bg-slate-100 hover:text-slate-900 ${
+                            showDiff ? 'bg-slate-100 text-slate-900' : 'text-slate-600'
+                          }`}
+                          title="Compare your edits with the generated output"
+                        >
+                          <Diff className="h-4 w-4" />
+                          Changes
+                        </button>
+                      )}
+                      <button
+                        onClick={handleCopy}
+                        disabled={isEditing}
+                        className="flex items-center gap-2 rounded-lg px-3 py-2 text-sm font-medium text-slate-600 transition hover:bg-slate-100 hover:text-slate-900 disabled:cursor-not-allowed disabled:opacity-50 disabled:hover:bg-transparent"
+                        title={isEditing ? 'Finish editing to copy' : 'Copy narrative to clipboard'}
+                      >
+                        {copied ? (
+                          <>
+                            <Check className="h-4 w-4 text-emerald-600" />
+                            Copied!
+                          </>
+                        ) : (
+                          <>
+                            <Copy className="h-4 w-4" />
+                            Copy
+                          </>
+                        )}
+                      </button>
+                      {destinationAddress && (googleMapsUrl || appleMapsUrl) && (
+                        <button
+                          onClick={handleCopyLinks}
+                          className="flex items-center gap-2 rounded-lg px-3 py-2 text-sm font-medium text-slate-600 transition hover:bg-slate-100 hover:text-slate-900"
+                          title="Copy map links to clipboard"
+                        >
+                          {linksCopied ? (
+                            <>
+                              <Check className="h-4 w-4 text-emerald-600" />
+                              Copied!
+                            </>
+                          ) : (
+                            <>
+                              <Copy className="h-4 w-4" />
+                              Copy links
+                            </>
+                          )}
+                        </button>
+                      )}
+                      <ExportMenu
+                        prose={isGenerating || !prose ? '' : fullNarrative()}
+                        title={titleFor(narrativeLanguage)}
+                        language={narrativeLanguage}
+                        links={destinationAddress ? exportLinks : []}
+                        map={includeMap ? routeMap : null}
+                        onError={setError}
+                      />
+                      <ShareMenu
+                        share={{
+                          prose: isGenerating || isEditing || !prose ? '' : fullNarrative(),
+                          title: titleFor(narrativeLanguage),
+                          links: destinationAddress ? mapLinksFor(narrativeLanguage) : [],
+                          map: routeMap,
+                          language: narrativeLanguage,
+                        }}
+                        onError={setError}
+                      />
+                      <button
+                        onClick={handleReset}
+                        className="flex items-center gap-2 rounded-lg px-3 py-2 text-sm font-medium text-slate-600 transition hover:bg-slate-100 hover:text-slate-900"
+                        title="Reset and generate another"
+                      >
+                        <RotateCcw className="h-4 w-4" />
+                        Reset
+                      </button>
+                    </div>
+                  </div>
+                  <VerificationIssues verification={verification} />
+                  {proseFallback && (
+                    <p className="mb-3 rounded-lg bg-amber-50 px-3 py-2 text-xs text-amber-800">
+                      Written with plain wording because AI generation failed: {proseFallback}
+                    </p>
+                  )}
+                  {proseCached && !isGenerating && (
+                    <p className="mb-3 flex flex-wrap items-center gap-x-2 rounded-lg bg-slate-50 px-3 py-2 text-xs text-slate-600">
+                      Reused a narrative written earlier for this route.
+                      <button onClick={handleWriteFresh} className="font-medium text-amber-700 underline hover:text-amber-800">
+                        Write a fresh one
+                      </button>
+                    </p>
+                  )}
+                  {selfParkingOverride.trim() && effectiveDestination && effectiveDestination !== destination && (
+                    <p className="mb-3 text-sm text-slate-600">
+                      Directions to self-parking:{' '}
+                      <span className="font-medium">{effectiveDestination.label}</span>
+                    </p>
+                  )}
+                  {isEditing && segments && (
+                    <NarrativeEditor
+                      segments={segments}
+                      maneuvers={narrativeRoute?.maneuvers || []}
+                      language={narrativeRoute?.language || language}
+                      onChange={handleSegmentsChange}
+                      onRewrite={handleRewriteSpan}
+                      isRewriting={isRewriting}
+                    />
+                  )}
+                  <div
+                    ref={copyBlockRef}
+                    lang={narrativeLanguage}
+                    className={isEditing ? 'hidden' : undefined}
+                    style={{ fontFamily: 'Arial', fontSize: '10pt' }}
+                  >
+                    {returnNarrative && <p className="mb-2 font-bold text-slate-700">{narrativeLabels.outboundHeading}</p>}
+                    {tripSummary && (
+                      <p className="mb-2 font-bold text-slate-700">{tripSummary}</p>
                     )}
-                    {googleMapsUrl && appleMapsUrl && <br />}
-                    {appleMapsUrl && (
+                    <p className="leading-relaxed text-slate-700 whitespace-pre-wrap">{prose}</p>
+                    {returnNarrative && (
                       <>
-                        <RedPinIcon />
-                        {' ['}
-                        <a href={appleMapsUrl} style={{ border: 'none', outline: 'none', textDecoration: 'underline' }}>Open in Apple Maps</a>
-                        {']'}
+                        <p className="mb-2 mt-4 font-bold text-slate-700">{narrativeLabels.returnHeading}</p>
+                        {returnSummary && <p className="mb-2 font-bold text-slate-700">{returnSummary}</p>}
+                        <p className="leading-relaxed text-slate-700 whitespace-pre-wrap">{returnNarrative.prose}</p>
                       </>
                     )}
-                  </p>
-                </div>
-              )}
-              {destinationAddress && (googleMapsUrl || appleMapsUrl) && (
-                <div className="mt-4 flex flex-wrap items-center gap-2 border-t border-slate-200 pt-4">
-                  {googleMapsUrl && (
-                    <span className="inline-flex items-center gap-1.5 text-slate-700">
-                      <span className="text-slate-500">[</span>
-                      <a
-                        href={googleMapsUrl}
-                        target="_blank"
-                        rel="noopener noreferrer"
-                        className="inline-flex items-center gap-1.5 text-red-600 hover:text-red-700 hover:underline"
-                      >
-                        <RedPinIcon />
-                        Open in Google Maps
-                      </a>
-                      <span className="text-slate-500">]</span>
-                    </span>
+                    {includeMap && (
+                      <div className="mt-4">
+                        <RouteMapPreview map={routeMap} destinationLabel={destinationAddress} />
+                      </div>
+                    )}
+                  </div>
+                  {showDiff && generatedProse && prose !== generatedProse && (
+                    <div className="mt-4">
+                      <NarrativeDiff generated={generatedProse} edited={prose} language={narrativeRoute?.language || language} />
+                    </div>
                   )}
-                  <span style={{ whiteSpace: 'pre' }}>{MAP_LINK_SPACER}</span>
-                  {appleMapsUrl && (
-                    <span className="inline-flex items-center gap-1.5 text-slate-700">
-                      <span className="text-slate-500">[</span>
-                      <a
-                        href={appleMapsUrl}
-                        target="_blank"
-                        rel="noopener noreferrer"
-                        className="inline-flex items-center gap-1.5 text-red-600 hover:text-red-700 hover:underline"
-                      >
-                        <RedPinIcon />
-                        Open in Apple Maps
-                      </a>
-                      <span className="text-slate-500">]</span>
-                    </span>
+                  {narrativeRoute?.distance != null && (
+                    <label className="mt-2 flex cursor-pointer items-center gap-2 text-xs text-slate-500">
+                      <input
+                        type="checkbox"
+                        checked={includeSummary}
+                        onChange={(e) => setIncludeSummary(e.target.checked)}
+                        className="rounded border-slate-300 text-amber-500 focus:ring-amber-500"
+                      />
+                      Start with the trip summary (distance, time{tripTiming && !tripTiming.error ? ', departure' : ''})
+                    </label>
+                  )}
+                  <LandmarkList
+                    landmarks={narrativeRoute?.landmarks}
+                    prose={prose}
+                    title={returnNarrative ? 'Landmarks on the way there' : 'Landmarks given to the narrative'}
+                  />
+                  <LandmarkList
+                    landmarks={returnNarrative?.landmarks}
+                    prose={returnNarrative?.prose}
+                    title="Landmarks on the way back"
+                  />
+                  {landmarkError && (
+                    <p className="mt-2 text-xs text-amber-700">Written without landmarks: {landmarkError}</p>
+                  )}
+                  {returnTrip?.status === 'running' && (
+                    <p className="mt-4 flex items-center gap-2 text-sm text-slate-500">
+                      <Loader2 className="h-4 w-4 animate-spin" />
+                      Writing the way back...
+                    </p>
+                  )}
+                  {returnTrip?.status === 'error' && (
+                    <p className="mt-4 text-sm text-red-600">Could not write the way back: {returnTrip.error}</p>
+                  )}
+                  {tripTiming?.error && (
+                    <p className="mt-2 text-xs text-amber-700">Could not work out the departure time: {tripTiming.error}</p>
+                  )}
+                  {routeMap && !includeMap && (
+                    <div className="mt-4">
+                      <RouteMapPreview map={routeMap} destinationLabel={destinationAddress} />
+                    </div>
+                  )}
+                  {routeMap && (
+                    <label className="mt-2 flex cursor-pointer items-center gap-2 text-xs text-slate-500">
+                      <input
+                        type="checkbox"
+                        checked={includeMap}
+                        onChange={(e) => setIncludeMap(e.target.checked)}
+                        className="rounded border-slate-300 text-amber-500 focus:ring-amber-500"
+                      />
+                      Include the route map when copying and downloading
+                    </label>
+                  )}
+                  {/* Hidden block used only for copying links — single line block to avoid Word text box */}
+                  {destinationAddress && (googleMapsUrl || appleMapsUrl) && (
+                    <div
+                      ref={linksCopyBlockRef}
+                      lang={narrativeLanguage}
+                      style={{
+                        fontFamily: 'Arial',
+                        fontSize: '10pt',
+                        margin: 0,
+                        padding: 0,
+                        border: 'none',
+                        outline: 'none',
+                        boxShadow: 'none',
+                        background: 'none',
+                      }}
+                      className="absolute left-[-9999px] w-[1px] h-[1px] overflow-hidden"
+                      aria-hidden
+                    >
+                      <p style={{ margin: 0, padding: 0, border: 'none', outline: 'none' }}>
+                        {googleMapsUrl && (
+                          <>
+                            <RedPinIcon />
+                            {' ['}
+                            <a href={googleMapsUrl} style={{ border: 'none', outline: 'none', textDecoration: 'underline' }}>{labels.googleLink}</a>
+                            {']'}
+                          </>
+                        )}
+                        {googleMapsUrl && appleMapsUrl && <br />}
+                        {appleMapsUrl && (
+                          <>
+                            <RedPinIcon />
+                            {' ['}
+                            <a href={appleMapsUrl} style={{ border: 'none', outline: 'none', textDecoration: 'underline' }}>{labels.appleLink}</a>
+                            {']'}
+                          </>
+                        )}
+                      </p>
+                    </div>
+                  )}
+                  {destinationAddress && (googleMapsUrl || appleMapsUrl) && (
+                    <div className="mt-4 flex flex-wrap items-center gap-2 border-t border-slate-200 pt-4">
+                      {googleMapsUrl && (
+                        <span className="inline-flex items-center gap-1.5 text-slate-700">
+                          <span className="text-slate-500">[</span>
+                          <a
+                            href={googleMapsUrl}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="inline-flex items-center gap-1.5 text-red-600 hover:text-red-700 hover:underline"
+                          >
+                            <RedPinIcon />
+                            {labels.googleLink}
+                          </a>
+                          <span className="text-slate-500">]</span>
+                        </span>
+                      )}
+                      <span style={{ whiteSpace: 'pre' }}>{MAP_LINK_SPACER}</span>
+                      {appleMapsUrl && (
+                        <span className="inline-flex items-center gap-1.5 text-slate-700">
+                          <span className="text-slate-500">[</span>
+                          <a
+                            href={appleMapsUrl}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="inline-flex items-center gap-1.5 text-red-600 hover:text-red-700 hover:underline"
+                          >
+                            <RedPinIcon />
+                            {labels.appleLink}
+                          </a>
+                          <span className="text-slate-500">]</span>
+                        </span>
+                      )}
+                    </div>
                   )}
                 </div>
               )}
-            </div>
+
+              {translations.length > 0 && (
+                <div className="grid gap-4 sm:grid-cols-2">
+                  {translations.map((translation) => (
+                    <TranslationCard
+                      key={translation.language}
+                      translation={translation}
+                      summary={summaryFor(translation.language)}
+                      returnSummary={summaryFor(translation.language, translation.returnTrip, null)}
+                      links={destinationAddress ? mapLinksFor(translation.language) : []}
+                      title={titleFor(translation.language)}
+                      map={includeMap ? routeMap : null}
+                      onError={setError}
+                    />
+                  ))}
+                </div>
+              )}
+            </>
           )}
+
+          <NarrativeHistory
+            refreshKey={historyVersion}
+            onReopen={handleReopen}
+            onRegenerate={handleRegenerate}
+            disabled={isGenerating}
+          />
         </div>
 
         <p className="mt-12 text-center text-xs text-slate-400">
-          Powered by Mapbox & OpenAI · v{APP_VERSION}
+          Powered by Mapbox & OpenAI · v{APP_VERSION} ·{' '}
+          <a href="/admin/templates" className="hover:text-slate-600 hover:underline">
+            Prompt templates
+          </a>
         </p>
       </div>
     </div>
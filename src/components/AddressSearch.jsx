@@ -1,13 +1,42 @@
-import { useState, useEffect, useRef } from 'react'
+import { useState, useEffect, useRef, useId } from 'react'
+import { Star, Clock, LocateFixed } from 'lucide-react'
+import { suggestAddresses } from '../lib/api'
+import { parseCoordsFromInput } from '../lib/directions'
+import { getSavedPlaces, addRecentPlace, toggleFavoritePlace, isFavoritePlace } from '../lib/savedPlaces'
 
-const GEOCODE_URL = 'https://api.mapbox.com/search/geocode/v6/forward'
+function coordinatesLabel([lng, lat]) {
+  return `${lat.toFixed(5)}, ${lng.toFixed(5)}`
+}
+
+// What the screen reader hears when the list changes
+function describeOptions(options, { isLoading, noMatches }) {
+  if (isLoading) return 'Looking up addresses…'
+  if (noMatches) return 'No addresses found.'
+  if (options.length === 0) return ''
+  const kind = options.some((o) => o.kind === 'suggestion') ? 'suggestion' : 'saved place'
+  const count = options.filter((o) => o.kind !== 'coordinates').length
+  const parts = count > 0 ? [`${count} ${kind}${count === 1 ? '' : 's'} available.`] : []
+  if (options[0].kind === 'coordinates') parts.unshift('You can use the coordinates you typed.')
+  return `${parts.join(' ')} Use the up and down arrows to choose, then Enter.`
+}
 
-export function AddressSearch({ value, onChange, placeholder, mapboxToken, confirmed, restrictToUS = true }) {
+// Address field with suggestions as a combobox: arrow keys move through the list, Enter picks,
+// Escape closes. Before anything is typed it offers favorite and recent places (see
+// lib/savedPlaces), and typed coordinates or a map link can be used as they are.
+// place is the current { label, coordinates }, for pinning it as a favorite.
+export function AddressSearch({ value, place, onChange, placeholder, label, confirmed, restrictToUS = true }) {
   const [inputValue, setInputValue] = useState(value || '')
   const [suggestions, setSuggestions] = useState([])
+  // The text the current suggestions were looked up for
+  const [searchedFor, setSearchedFor] = useState(null)
+  const [saved, setSaved] = useState(getSavedPlaces)
   const [isOpen, setIsOpen] = useState(false)
   const [isLoading, setIsLoading] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(-1)
   const wrapperRef = useRef(null)
+  const id = useId()
+  const listId = `${id}-list`
+  const optionId = (index) => `${id}-option-${index}`
 
   useEffect(() => {
     setInputValue(value || '')
@@ -23,94 +52,199 @@ export function AddressSearch({ value, onChange, placeholder, mapboxToken, confi
     return () => document.removeEventListener('mousedown', handleClickOutside)
   }, [])
 
+  const typedCoordinates = confirmed ? null : parseCoordsFromInput(inputValue)
+  const hasTypedCoordinates = !!typedCoordinates
+
   useEffect(() => {
-    if (confirmed || !inputValue.trim() || inputValue.length < 3) {
+    // Coordinates and map links need no lookup; they are offered as they are
+    if (confirmed || hasTypedCoordinates || !inputValue.trim() || inputValue.length < 3) {
       setSuggestions([])
-      setIsOpen(false)
+      setSearchedFor(null)
       return
     }
 
+    // A newer keystroke cancels the lookup, so a slow reply can't replace newer suggestions
+    const controller = new AbortController()
     const timer = setTimeout(async () => {
-      if (!mapboxToken) return
       setIsLoading(true)
       try {
-        const params = new URLSearchParams({
-          q: inputValue,
-          access_token: mapboxToken,
-          limit: '5',
-          autocomplete: 'true',
-        })
-        if (restrictToUS) params.set('country', 'US')
-        const res = await fetch(`${GEOCODE_URL}?${params.toString()}`)
-        const data = await res.json()
-        let features = data.features || []
-        if (restrictToUS && features.length > 0) {
-          features = features.filter((f) => {
-            const code = f.properties?.context?.country?.country_code ?? f.properties?.country_code
-            if (code == null) return true
-            return code === 'US' || code === 'USA'
-          })
-        }
-        const seen = new Set()
-        const unique = features.filter((f) => {
-          const coords = f.geometry?.coordinates?.join(',')
-          const addr = f.properties?.full_address || f.properties?.place_formatted || ''
-          const key = `${coords || ''}|${addr}`
-          if (seen.has(key)) return false
-          seen.add(key)
-          return true
-        })
+        const results = await suggestAddresses(inputValue, { restrictToUS, signal: controller.signal })
+        if (controller.signal.aborted) return
         setSuggestions(
-          unique.map((f) => {
-            const props = f.properties || {}
-            const name = props.name || props.address_line1 || ''
-            const place = props.place_formatted || ''
-            const address = props.full_address || (name && place ? `${name}, ${place}` : name || place)
-            return {
-              id: f.id || Math.random().toString(36),
-              name: name || address,
-              address: address,
-              coordinates: f.geometry?.coordinates,
-            }
-          })
+          results.map((place) => ({
+            id: place.id,
+            name: place.name || place.label,
+            address: place.label,
+            coordinates: place.coordinates,
+          }))
         )
         setIsOpen(true)
-      } catch {
+      } catch (err) {
+        if (err.name === 'AbortError') return
         setSuggestions([])
       } finally {
         setIsLoading(false)
       }
+      setSearchedFor(inputValue)
+      setActiveIndex(-1)
     }, 300)
 
-    return () => clearTimeout(timer)
-  }, [inputValue, mapboxToken, confirmed, restrictToUS])
+    return () => {
+      clearTimeout(timer)
+      controller.abort()
+    }
+  }, [inputValue, confirmed, restrictToUS, hasTypedCoordinates])
+
+  // One flat list, in display order: typed coordinates, then either saved places (nothing typed
+  // yet) or the suggestions for what was typed
+  const isBlank = !inputValue.trim()
+  const recent = saved.recent.filter((p) => !isFavoritePlace(saved, p))
+  const options = [
+    ...(typedCoordinates
+      ? [{ kind: 'coordinates', name: 'Use these coordinates', address: coordinatesLabel(typedCoordinates), coordinates: typedCoordinates }]
+      : []),
+    ...(isBlank
+      ? [
+          ...saved.favorites.map((p) => ({ kind: 'favorite', name: p.label, address: p.label, coordinates: p.coordinates })),
+          ...recent.map((p) => ({ kind: 'recent', name: p.label, address: p.label, coordinates: p.coordinates })),
+        ]
+      : suggestions.map((s) => ({ kind: 'suggestion', ...s }))),
+  ]
+  const isExpanded = isOpen && options.length > 0
+  const noMatches = !isBlank && !typedCoordinates && searchedFor === inputValue && suggestions.length === 0
+  const announcement = isOpen ? describeOptions(options, { isLoading, noMatches }) : ''
 
-  const selectSuggestion = (suggestion) => {
-    const displayText = suggestion.address || suggestion.name
+  useEffect(() => {
+    if (activeIndex >= 0) document.getElementById(`${id}-option-${activeIndex}`)?.scrollIntoView?.({ block: 'nearest' })
+  }, [activeIndex, id])
+
+  const close = () => {
+    setIsOpen(false)
+    setActiveIndex(-1)
+  }
+
+  const selectOption = (option) => {
+    const displayText = option.address || option.name
+    const picked = { label: displayText, coordinates: option.coordinates }
     setInputValue(displayText)
-    onChange({
-      label: displayText,
-      coordinates: suggestion.coordinates,
-    })
+    onChange(picked)
+    setSaved(addRecentPlace(picked))
     setSuggestions([])
-    setIsOpen(false)
+    close()
   }
 
   const handleInputChange = (e) => {
     const v = e.target.value
     setInputValue(v)
+    setActiveIndex(-1)
+    setIsOpen(true)
     if (!v.trim()) onChange(null)
   }
 
+  const handleFocus = () => {
+    setSaved(getSavedPlaces())
+    if (!confirmed) setIsOpen(true)
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      if (options.length === 0) return
+      e.preventDefault()
+      const step = e.key === 'ArrowDown' ? 1 : -1
+      setIsOpen(true)
+      setActiveIndex((i) => {
+        if (!isExpanded || i < 0) return step > 0 ? 0 : options.length - 1
+        return (i + step + options.length) % options.length
+      })
+    } else if (e.key === 'Enter') {
+      // Enter in the field otherwise submits nothing useful, so only a chosen option takes it
+      if (isExpanded && activeIndex >= 0) {
+        e.preventDefault()
+        selectOption(options[activeIndex])
+      }
+    } else if (e.key === 'Escape') {
+      if (isExpanded) {
+        e.preventDefault()
+        close()
+      }
+    } else if (e.key === 'Tab') {
+      close()
+    }
+  }
+
+  const handleToggleFavorite = (target) => {
+    setSaved(toggleFavoritePlace(target))
+  }
+
+  const isPinned = isFavoritePlace(saved, place)
+
+  const renderOption = (option, index) => {
+    const isActive = index === activeIndex
+    const Icon = option.kind === 'coordinates' ? LocateFixed : option.kind === 'recent' ? Clock : option.kind === 'favorite' ? Star : null
+    return (
+      <li
+        key={`${option.kind}-${option.id || option.address}-${index}`}
+        id={optionId(index)}
+        role="option"
+        aria-selected={isActive}
+        onMouseDown={(e) => {
+          e.preventDefault()
+          selectOption(option)
+        }}
+        onMouseMove={() => setActiveIndex(index)}
+        className={`flex cursor-pointer items-center gap-2 px-4 py-2.5 text-left text-sm ${isActive ? 'bg-amber-50' : ''}`}
+      >
+        {Icon && <Icon className={`h-4 w-4 shrink-0 ${option.kind === 'favorite' ? 'fill-amber-400 text-amber-500' : 'text-slate-400'}`} aria-hidden="true" />}
+        <span className="min-w-0 flex-1">
+          <span className="block truncate font-medium text-slate-900">{option.name}</span>
+          {option.address && option.address !== option.name && (
+            <span className="block truncate text-xs text-slate-500">{option.address}</span>
+          )}
+        </span>
+        {option.kind === 'favorite' && (
+          // Mouse shortcut only; from the keyboard, pick the place and use the star by the field
+          <button
+            type="button"
+            tabIndex={-1}
+            aria-hidden="true"
+            title="Remove from favorites"
+            onMouseDown={(e) => {
+              e.preventDefault()
+              e.stopPropagation()
+              handleToggleFavorite({ label: option.address, coordinates: option.coordinates })
+            }}
+            className="rounded p-1 text-xs text-slate-400 hover:bg-slate-100 hover:text-slate-700"
+          >
+            Unpin
+          </button>
+        )}
+      </li>
+    )
+  }
+
+  const groups = [
+    { kind: 'coordinates', heading: null },
+    { kind: 'favorite', heading: 'Favorites' },
+    { kind: 'recent', heading: 'Recent' },
+    { kind: 'suggestion', heading: null },
+  ]
+
   return (
     <div ref={wrapperRef} className="relative">
       <input
         type="text"
+        role="combobox"
+        aria-label={label || placeholder}
+        aria-expanded={isExpanded}
+        aria-controls={listId}
+        aria-autocomplete="list"
+        aria-activedescendant={isExpanded && activeIndex >= 0 ? optionId(activeIndex) : undefined}
         value={inputValue}
         onChange={handleInputChange}
-        onFocus={() => suggestions.length > 0 && setIsOpen(true)}
+        onFocus={handleFocus}
+        onKeyDown={handleKeyDown}
         placeholder={placeholder}
-        className="w-full rounded-lg border border-slate-300 bg-white px-4 py-3 text-slate-900 placeholder-slate-400 shadow-sm transition focus:border-amber-500 focus:outline-none focus:ring-2 focus:ring-amber-500/20"
+        className={`w-full rounded-lg border border-slate-300 bg-white px-4 py-3 text-slate-900 placeholder-slate-400 shadow-sm transition focus:border-amber-500 focus:outline-none focus:ring-2 focus:ring-amber-500/20 ${place?.coordinates ? 'pr-11' : ''}`}
         autoComplete="off"
       />
       {isLoading && (
@@ -118,27 +252,46 @@ export function AddressSearch({ value, onChange, placeholder, mapboxToken, confi
           <div className="h-4 w-4 animate-spin rounded-full border-2 border-slate-300 border-t-amber-500" />
         </div>
       )}
-      {isOpen && suggestions.length > 0 && (
-        <ul className="absolute z-10 mt-1 max-h-60 w-full overflow-auto rounded-lg border border-slate-200 bg-white py-1 shadow-lg">
-          {suggestions.map((s) => (
-            <li key={s.id}>
-              <button
-                type="button"
-                onMouseDown={(e) => {
-                  e.preventDefault()
-                  selectSuggestion(s)
-                }}
-                className="w-full px-4 py-2.5 text-left text-sm hover:bg-amber-50 focus:bg-amber-50 focus:outline-none"
-              >
-                <span className="font-medium text-slate-900">{s.name}</span>
-                {s.address && s.address !== s.name && (
-                  <span className="block text-xs text-slate-500">{s.address}</span>
-                )}
-              </button>
-            </li>
-          ))}
-        </ul>
+      {!isLoading && place?.coordinates && (
+        <button
+          type="button"
+          onClick={() => handleToggleFavorite(place)}
+          aria-pressed={isPinned}
+          aria-label={isPinned ? 'Remove from favorites' : 'Pin to favorites'}
+          title={isPinned ? 'Remove from favorites' : 'Pin to favorites'}
+          className="absolute right-2 top-1/2 -translate-y-1/2 rounded-md p-1.5 text-slate-400 transition hover:bg-slate-100 hover:text-amber-500"
+        >
+          <Star className={`h-4 w-4 ${isPinned ? 'fill-amber-400 text-amber-500' : ''}`} />
+        </button>
       )}
+      <ul
+        id={listId}
+        role="listbox"
+        aria-label={label || placeholder}
+        hidden={!isExpanded}
+        className="absolute z-10 mt-1 max-h-60 w-full overflow-auto rounded-lg border border-slate-200 bg-white py-1 shadow-lg"
+      >
+        {isExpanded &&
+          groups.map(({ kind, heading }) => {
+            const members = options.map((option, index) => ({ option, index })).filter(({ option }) => option.kind === kind)
+            if (members.length === 0) return null
+            const items = members.map(({ option, index }) => renderOption(option, index))
+            if (!heading) return items
+            return (
+              <li key={kind} role="presentation">
+                <div id={`${id}-${kind}`} className="px-4 pb-1 pt-2 text-xs font-semibold uppercase tracking-wide text-slate-400">
+                  {heading}
+                </div>
+                <ul role="group" aria-labelledby={`${id}-${kind}`}>
+                  {items}
+                </ul>
+              </li>
+            )
+          })}
+      </ul>
+      <div role="status" aria-live="polite" className="sr-only">
+        {announcement}
+      </div>
     </div>
   )
 }
@@ -0,0 +1,124 @@
+import { useState, useEffect } from 'react'
+import { Lock, Loader2, LogOut } from 'lucide-react'
+import { AUTH_REQUIRED_EVENT, getSession, signIn, signOut } from '../lib/api'
+
+function SignInForm({ passwordLogin, onSignedIn }) {
+  const [password, setPassword] = useState('')
+  const [isSigningIn, setIsSigningIn] = useState(false)
+  const [error, setError] = useState(null)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setIsSigningIn(true)
+    setError(null)
+    try {
+      await signIn(password)
+      setPassword('')
+      onSignedIn()
+    } catch (err) {
+      setError(err.message || 'Could not sign in.')
+    } finally {
+      setIsSigningIn(false)
+    }
+  }
+
+  return (
+    <div className="w-full max-w-sm rounded-2xl border border-slate-200 bg-white p-6 shadow-lg">
+      <h2 className="mb-1 flex items-center gap-2 text-lg font-semibold text-slate-900">
+        <Lock className="h-5 w-5 text-amber-500" />
+        Sign in
+      </h2>
+      {passwordLogin ? (
+        <form onSubmit={handleSubmit} className="mt-4 space-y-3">
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+            autoFocus
+            aria-label="Password"
+            placeholder="Password"
+            className="w-full rounded-lg border border-slate-300 px-3 py-2 text-sm focus:border-amber-500 focus:outline-none focus:ring-1 focus:ring-amber-500"
+          />
+          {error && <p className="text-sm text-red-700">{error}</p>}
+          <button
+            type="submit"
+            disabled={!password || isSigningIn}
+            className="flex w-full items-center justify-center gap-2 rounded-lg bg-amber-500 px-4 py-2 text-sm font-semibold text-white transition hover:bg-amber-600 disabled:cursor-not-allowed disabled:opacity-50"
+          >
+            {isSigningIn && <Loader2 className="h-4 w-4 animate-spin" />}
+            Sign in
+          </button>
+        </form>
+      ) : (
+        <p className="mt-2 text-sm text-slate-600">This server only accepts requests with an API key.</p>
+      )}
+    </div>
+  )
+}
+
+// Shows the sign-in form when the server requires one. A 401 from any API call (see lib/api)
+// brings the form back over the page, so work in progress survives an expired session.
+export function AuthGate({ children }) {
+  // { required, authenticated, passwordLogin }, null while loading
+  const [session, setSession] = useState(null)
+  // Once the page has been shown it stays mounted under the form
+  const [hasEntered, setHasEntered] = useState(false)
+
+  useEffect(() => {
+    getSession()
+      .then((s) => {
+        setSession(s)
+        if (!s.required || s.authenticated) setHasEntered(true)
+      })
+      // An unreachable server shouldn't hide the page; its own calls will show the error
+      .catch(() => {
+        setSession({ required: false, authenticated: false, passwordLogin: false })
+        setHasEntered(true)
+      })
+    const handleAuthRequired = () =>
+      setSession((prev) => ({ passwordLogin: true, ...prev, required: true, authenticated: false }))
+    window.addEventListener(AUTH_REQUIRED_EVENT, handleAuthRequired)
+    return () => window.removeEventListener(AUTH_REQUIRED_EVENT, handleAuthRequired)
+  }, [])
+
+  if (!session) return null
+  const isLocked = session.required && !session.authenticated
+
+  const handleSignedIn = () => {
+    setSession((prev) => ({ ...prev, authenticated: true }))
+    setHasEntered(true)
+  }
+
+  const handleSignOut = async () => {
+    await signOut().catch(() => {})
+    setSession((prev) => ({ ...prev, authenticated: false }))
+  }
+
+  const form = <SignInForm passwordLogin={session.passwordLogin} onSignedIn={handleSignedIn} />
+
+  if (!hasEntered) {
+    return <div className="flex min-h-screen items-center justify-center bg-gradient-to-br from-slate-50 to-amber-50/30 p-4">{form}</div>
+  }
+
+  return (
+    <>
+      {children}
+      {session.required && session.passwordLogin && !isLocked && (
+        <button
+          type="button"
+          onClick={handleSignOut}
+          className="fixed bottom-4 right-4 flex items-center gap-1.5 rounded-lg bg-white/80 px-3 py-1.5 text-xs text-slate-500 shadow-sm backdrop-blur-sm transition hover:text-slate-800"
+        >
+          <LogOut className="h-3.5 w-3.5" />
+          Sign out
+        </button>
+      )}
+      {isLocked && (
+        <div role="dialog" aria-modal="true" className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/40 p-4">
+          {form}
+        </div>
+      )}
+    </>
+  )
+}
@@ -0,0 +1,181 @@
+import { useState } from 'react'
+import { Upload, Download, Loader2, RotateCcw, Check, AlertCircle, Play } from 'lucide-react'
+import {
+  BATCH_CONCURRENCY,
+  readBatchRows,
+  narrateBatchRow,
+  runWithConcurrency,
+  createRateLimitPacer,
+  batchToCsv,
+  batchToMarkdown,
+  batchToHtml,
+} from '../lib/batch'
+import { downloadFile } from '../lib/download'
+
+const buttonClass =
+  'flex items-center gap-2 rounded-lg px-3 py-2 text-sm font-medium text-slate-600 transition hover:bg-slate-100 hover:text-slate-900 disabled:cursor-not-allowed disabled:opacity-50 disabled:hover:bg-transparent'
+
+function StatusIcon({ status }) {
+  if (status === 'running') return <Loader2 className="h-4 w-4 animate-spin text-amber-500" />
+  if (status === 'done') return <Check className="h-4 w-4 text-emerald-600" />
+  if (status === 'error') return <AlertCircle className="h-4 w-4 text-red-600" />
+  return <span className="block h-4 w-4 rounded-full border-2 border-slate-300" />
+}
+
+// Narratives for many destinations from one origin, read from a CSV of name, address, self-parking
+export function BatchMode({ origin, restrictToUS, travelMode, language, template, units, stepDistances }) {
+  const [rows, setRows] = useState([])
+  const [fileName, setFileName] = useState('')
+  const [isRunning, setIsRunning] = useState(false)
+  const [error, setError] = useState(null)
+
+  const updateRow = (id, patch) => {
+    setRows((prev) => prev.map((r) => (r.id === id ? { ...r, ...patch } : r)))
+  }
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    setError(null)
+    try {
+      const parsed = readBatchRows(await file.text())
+      if (parsed.length === 0) throw new Error('No rows with an address were found in that file.')
+      setFileName(file.name)
+      setRows(parsed.map((r) => ({ ...r, status: 'pending', result: null, error: null })))
+    } catch (err) {
+      setError(err.message || 'Could not read that file.')
+    }
+  }
+
+  const processRow = async (row, pacer) => {
+    updateRow(row.id, { status: 'running', error: null })
+    try {
+      const options = { restrictToUS, travelMode, language, template, units, stepDistances }
+      const result = await pacer.run(() => narrateBatchRow(row, origin, options))
+      updateRow(row.id, { status: 'done', result })
+    } catch (err) {
+      updateRow(row.id, { status: 'error', result: null, error: err.message || 'Something went wrong.' })
+    }
+  }
+
+  const runRows = async (targets) => {
+    if (!origin?.coordinates) {
+      setError('Please select a starting point from the suggestions first.')
+      return
+    }
+    setError(null)
+    setIsRunning(true)
+    try {
+      const pacer = createRateLimitPacer()
+      await runWithConcurrency(targets, BATCH_CONCURRENCY, (row) => processRow(row, pacer))
+    } finally {
+      setIsRunning(false)
+    }
+  }
+
+  const handleRunAll = () => runRows(rows.filter((r) => r.status !== 'done'))
+
+  const baseName = fileName.replace(/\.csv$/i, '') || 'directions'
+  const doneCount = rows.filter((r) => r.status === 'done').length
+  const errorCount = rows.filter((r) => r.status === 'error').length
+
+  return (
+    <div className="space-y-4">
+      <div className="rounded-lg border border-slate-200 bg-white px-4 py-3 text-sm text-slate-600">
+        Upload a CSV with <span className="font-medium">name</span>, <span className="font-medium">address</span> and an
+        optional <span className="font-medium">self-parking</span> column. Each row is routed from the starting point above.
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="flex cursor-pointer items-center gap-2 rounded-lg border border-slate-300 bg-white px-4 py-2 text-sm font-medium text-slate-700 shadow-sm transition hover:bg-slate-50">
+          <Upload className="h-4 w-4" />
+          {fileName || 'Choose CSV...'}
+          <input type="file" accept=".csv,text/csv" onChange={handleFile} className="hidden" disabled={isRunning} />
+        </label>
+        {rows.length > 0 && (
+          <button
+            type="button"
+            onClick={handleRunAll}
+            disabled={isRunning || doneCount === rows.length}
+            className="flex items-center gap-2 rounded-lg bg-amber-500 px-4 py-2 text-sm font-semibold text-white shadow transition hover:bg-amber-600 disabled:cursor-not-allowed disabled:opacity-50 disabled:hover:bg-amber-500"
+          >
+            {isRunning ? <Loader2 className="h-4 w-4 animate-spin" /> : <Play className="h-4 w-4" />}
+            {isRunning ? 'Generating...' : doneCount > 0 ? 'Generate remaining' : `Generate ${rows.length} narratives`}
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="rounded-lg border border-red-200 bg-red-50 p-4 text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      {rows.length > 0 && (
+        <div className="rounded-2xl border border-slate-200 bg-white/80 p-4 shadow-sm">
+          <div className="mb-3 flex flex-wrap items-center justify-between gap-2">
+            <p className="text-sm text-slate-600">
+              {doneCount} of {rows.length} done{errorCount > 0 ? ` · ${errorCount} failed` : ''}
+            </p>
+            <div className="flex items-center gap-1">
+              <button
+                type="button"
+                className={buttonClass}
+                disabled={doneCount === 0}
+                onClick={() => downloadFile(`${baseName}-narratives.csv`, batchToCsv(rows), 'text/csv')}
+              >
+                <Download className="h-4 w-4" />
+                CSV
+              </button>
+              <button
+                type="button"
+                className={buttonClass}
+                disabled={doneCount === 0}
+                onClick={() => downloadFile(`${baseName}-narratives.md`, batchToMarkdown(rows, origin, { language }), 'text/markdown')}
+              >
+                <Download className="h-4 w-4" />
+                Markdown
+              </button>
+              <button
+                type="button"
+                className={buttonClass}
+                disabled={doneCount === 0}
+                onClick={() => downloadFile(`${baseName}-narratives.html`, batchToHtml(rows, origin, { language }), 'text/html')}
+              >
+                <Download className="h-4 w-4" />
+                HTML
+              </button>
+            </div>
+          </div>
+          <ul className="divide-y divide-slate-100">
+            {rows.map((row) => (
+              <li key={row.id} className="flex items-start gap-3 py-2">
+                <span className="mt-0.5">
+                  <StatusIcon status={row.status} />
+                </span>
+                <div className="min-w-0 flex-1">
+                  <p className="truncate text-sm font-medium text-slate-800">{row.name || row.address}</p>
+                  {row.name && <p className="truncate text-xs text-slate-500">{row.address}</p>}
+                  {row.error && <p className="mt-1 text-xs text-red-600">{row.error}</p>}
+                  {row.result && <p className="mt-1 line-clamp-2 text-xs text-slate-600">{row.result.prose}</p>}
+                </div>
+                {(row.status === 'error' || row.status === 'done') && (
+                  <button
+                    type="button"
+                    onClick={() => runRows([row])}
+                    disabled={isRunning}
+                    className={buttonClass}
+                    title="Retry this row"
+                  >
+                    <RotateCcw className="h-4 w-4" />
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,74 @@
+import { useState, useEffect, useRef } from 'react'
+import { Download, Loader2 } from 'lucide-react'
+import { exportNarrative } from '../lib/api'
+import { downloadFile } from '../lib/download'
+
+const FORMATS = [
+  { id: 'docx', label: 'Word (.docx)' },
+  { id: 'rtf', label: 'Rich Text (.rtf)' },
+  { id: 'html', label: 'Web page (.html)' },
+  { id: 'pdf', label: 'PDF' },
+]
+
+// Download the narrative and map links as a document built on the server
+export function ExportMenu({ prose, title, language, links, map, onError }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [busyFormat, setBusyFormat] = useState(null)
+  const wrapperRef = useRef(null)
+
+  useEffect(() => {
+    function handleClickOutside(event) {
+      if (wrapperRef.current && !wrapperRef.current.contains(event.target)) {
+        setIsOpen(false)
+      }
+    }
+    document.addEventListener('mousedown', handleClickOutside)
+    return () => document.removeEventListener('mousedown', handleClickOutside)
+  }, [])
+
+  const handleExport = async (format) => {
+    setIsOpen(false)
+    setBusyFormat(format)
+    try {
+      const { blob, filename } = await exportNarrative(format, { prose, title, language, links, map })
+      downloadFile(filename, blob)
+    } catch (err) {
+      onError?.(err.message || 'Could not build the document.')
+    } finally {
+      setBusyFormat(null)
+    }
+  }
+
+  return (
+    <div ref={wrapperRef} className="relative">
+      <button
+        type="button"
+        onClick={() => setIsOpen((prev) => !prev)}
+        disabled={!prose || !!busyFormat}
+        className="flex items-center gap-2 rounded-lg px-3 py-2 text-sm font-medium text-slate-600 transition hover:bg-slate-100 hover:text-slate-900 disabled:cursor-not-allowed disabled:opacity-50"
+        title="Download as a document"
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+      >
+        {busyFormat ? <Loader2 className="h-4 w-4 animate-spin" /> : <Download className="h-4 w-4" />}
+        Download
+      </button>
+      {isOpen && (
+        <ul role="menu" className="absolute right-0 z-10 mt-1 w-44 rounded-lg border border-slate-200 bg-white py-1 shadow-lg">
+          {FORMATS.map((format) => (
+            <li key={format.id} role="none">
+              <button
+                type="button"
+                role="menuitem"
+                onClick={() => handleExport(format.id)}
+                className="block w-full px-3 py-2 text-left text-sm text-slate-700 hover:bg-amber-50"
+              >
+                {format.label}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,45 @@
+import { Landmark, ExternalLink } from 'lucide-react'
+
+function mapUrl([lng, lat]) {
+  return `https://www.google.com/maps/search/?api=1&query=${lat},${lng}`
+}
+
+// The landmarks a narrative was given as hints, each with the step it belongs to and a map link, so
+// they can be checked before the directions go out. prose marks which ones the text mentions.
+export function LandmarkList({ landmarks, prose = '', title = 'Landmarks' }) {
+  if (!landmarks?.length) return null
+  const text = prose.toLowerCase()
+
+  return (
+    <div className="mt-4 rounded-lg border border-slate-200 bg-slate-50 p-3">
+      <h3 className="mb-2 flex items-center gap-1.5 text-xs font-semibold text-slate-700">
+        <Landmark className="h-3.5 w-3.5" />
+        {title}
+      </h3>
+      <ul className="space-y-1.5 text-xs">
+        {landmarks.map((landmark) => (
+          <li key={`${landmark.maneuver}:${landmark.name}`} className="flex flex-wrap items-baseline gap-x-2">
+            <span className="text-slate-400">Step {landmark.maneuver + 1}</span>
+            <span className="font-medium text-slate-800">{landmark.name}</span>
+            <span className="text-slate-500">
+              {[landmark.category, landmark.distance != null && `${landmark.distance} m from the turn`].filter(Boolean).join(' · ')}
+            </span>
+            {landmark.coordinates && (
+              <a
+                href={mapUrl(landmark.coordinates)}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="inline-flex items-center gap-0.5 text-slate-500 hover:text-slate-800 hover:underline"
+              >
+                Map
+                <ExternalLink className="h-3 w-3" />
+              </a>
+            )}
+            {!text.includes(landmark.name.toLowerCase()) && <span className="text-amber-700">not mentioned</span>}
+            {landmark.instruction && <span className="basis-full text-slate-400">{landmark.instruction}</span>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
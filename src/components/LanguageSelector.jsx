@@ -0,0 +1,49 @@
+import { LANGUAGES } from '../lib/languages'
+
+// The narrative language, plus any other languages to write the same narrative in alongside it
+export function LanguageSelector({ language, extraLanguages, onChange, disabled, showExtras = true }) {
+  const handlePrimary = (id) => {
+    onChange({ language: id, extraLanguages: extraLanguages.filter((l) => l !== id) })
+  }
+
+  const toggleExtra = (id) => {
+    const next = extraLanguages.includes(id) ? extraLanguages.filter((l) => l !== id) : [...extraLanguages, id]
+    // Keep the order of the language list so the side-by-side columns don't shuffle
+    onChange({ language, extraLanguages: LANGUAGES.map((l) => l.id).filter((l) => next.includes(l)) })
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-x-5 gap-y-2">
+      <select
+        value={language}
+        onChange={(e) => handlePrimary(e.target.value)}
+        disabled={disabled}
+        aria-label="Narrative language"
+        className="rounded-lg border border-slate-300 bg-white px-3 py-2 text-sm text-slate-700 focus:border-amber-500 focus:outline-none focus:ring-1 focus:ring-amber-500"
+      >
+        {LANGUAGES.map((l) => (
+          <option key={l.id} value={l.id}>
+            {l.label}
+          </option>
+        ))}
+      </select>
+      {showExtras && (
+        <div className="flex flex-wrap items-center gap-x-4 gap-y-2 text-sm text-slate-700">
+          <span className="text-slate-500">Also write in:</span>
+          {LANGUAGES.filter((l) => l.id !== language).map((l) => (
+            <label key={l.id} className={`flex items-center gap-2 ${disabled ? 'text-slate-400' : 'cursor-pointer'}`}>
+              <input
+                type="checkbox"
+                checked={extraLanguages.includes(l.id)}
+                onChange={() => toggleExtra(l.id)}
+                disabled={disabled}
+                className="h-4 w-4 rounded border-slate-300 text-amber-500 focus:ring-amber-500"
+              />
+              {l.label}
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
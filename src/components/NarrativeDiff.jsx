@@ -0,0 +1,36 @@
+import { useMemo } from 'react'
+import { diffWords } from '../lib/diff'
+
+// The generated output against the edited narrative: removed words struck through, added ones highlighted
+export function NarrativeDiff({ generated, edited, language }) {
+  const parts = useMemo(() => diffWords(generated, edited), [generated, edited])
+
+  return (
+    <div className="rounded-lg border border-slate-200 bg-slate-50 p-3">
+      <p className="mb-2 flex flex-wrap gap-x-3 text-xs text-slate-500">
+        <span>Generated output compared with your edits:</span>
+        <span className="text-red-700 line-through">removed</span>
+        <span className="bg-emerald-100 text-emerald-800">added</span>
+      </p>
+      <p
+        lang={language}
+        className="whitespace-pre-wrap leading-relaxed text-slate-700"
+        style={{ fontFamily: 'Arial', fontSize: '10pt' }}
+      >
+        {parts.map((part, i) =>
+          part.type === 'same' ? (
+            <span key={i}>{part.text}</span>
+          ) : part.type === 'removed' ? (
+            <del key={i} className="bg-red-50 text-red-700">
+              {part.text}
+            </del>
+          ) : (
+            <ins key={i} className="bg-emerald-100 text-emerald-800 no-underline">
+              {part.text}
+            </ins>
+          ),
+        )}
+      </p>
+    </div>
+  )
+}
@@ -0,0 +1,117 @@
+import { useState } from 'react'
+import { Lock, LockOpen, Sparkles, Loader2, X } from 'lucide-react'
+import { spanManeuvers } from '../lib/segments'
+
+const iconButtonClass =
+  'rounded-md p-1.5 text-slate-400 transition hover:bg-slate-100 hover:text-slate-900 disabled:cursor-not-allowed disabled:opacity-30 disabled:hover:bg-transparent'
+
+function stepsLabel(maneuvers) {
+  if (maneuvers.length === 0) return 'No steps'
+  const first = maneuvers[0] + 1
+  const last = maneuvers[maneuvers.length - 1] + 1
+  return first === last ? `Step ${first}` : `Steps ${first}–${last}`
+}
+
+// The narrative as editable sentences. Each sentence keeps the maneuvers it was written from;
+// editing one locks it so a full re-generate keeps it. A run of selected sentences can be
+// rewritten on its own with onRewrite(from, to).
+export function NarrativeEditor({ segments, maneuvers, language, onChange, onRewrite, isRewriting }) {
+  const [selection, setSelection] = useState(null)
+
+  const update = (index, patch) => {
+    onChange(segments.map((s, i) => (i === index ? { ...s, ...patch } : s)))
+  }
+
+  // Selecting a sentence outside the current run extends the run to it
+  const toggleSelected = (index) => {
+    if (!selection) setSelection({ from: index, to: index })
+    else if (selection.from === index && selection.to === index) setSelection(null)
+    else if (index === selection.from) setSelection({ ...selection, from: index + 1 })
+    else if (index === selection.to) setSelection({ ...selection, to: index - 1 })
+    else setSelection({ from: Math.min(selection.from, index), to: Math.max(selection.to, index) })
+  }
+
+  const isSelected = (index) => selection && index >= selection.from && index <= selection.to
+  const span = selection && spanManeuvers(segments, selection.from, selection.to)
+
+  const handleRewrite = async () => {
+    const rewritten = await onRewrite(selection.from, selection.to)
+    if (rewritten) setSelection(null)
+  }
+
+  return (
+    <div lang={language} className="space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2 rounded-lg bg-slate-50 px-3 py-2 text-xs text-slate-600">
+        <span>
+          {selection
+            ? `${selection.to - selection.from + 1} selected · ${span ? stepsLabel([span.start, span.end]) : 'no route steps'}`
+            : 'Edit any sentence. Tick sentences to re-generate just that part.'}
+        </span>
+        {selection && (
+          <span className="flex items-center gap-1">
+            <button
+              type="button"
+              onClick={handleRewrite}
+              disabled={!span || isRewriting}
+              className="flex items-center gap-1.5 rounded-md bg-amber-500 px-2.5 py-1 font-semibold text-white transition hover:bg-amber-600 disabled:cursor-not-allowed disabled:opacity-50"
+              title={span ? 'Write these sentences again' : 'These sentences are not tied to any route steps'}
+            >
+              {isRewriting ? <Loader2 className="h-3.5 w-3.5 animate-spin" /> : <Sparkles className="h-3.5 w-3.5" />}
+              Re-generate
+            </button>
+            <button type="button" onClick={() => setSelection(null)} className={iconButtonClass} title="Clear selection">
+              <X className="h-4 w-4" />
+            </button>
+          </span>
+        )}
+      </div>
+
+      <ol className="space-y-1">
+        {segments.map((segment, i) => (
+          <li
+            key={segment.id}
+            className={`${i > 0 && segment.paragraph !== segments[i - 1].paragraph ? 'mt-4' : ''} flex items-start gap-2 rounded-lg px-1 py-1 ${
+              isSelected(i) ? 'bg-amber-50' : ''
+            }`}
+          >
+            <input
+              type="checkbox"
+              checked={!!isSelected(i)}
+              onChange={() => toggleSelected(i)}
+              disabled={isRewriting}
+              aria-label={`Select sentence ${i + 1}`}
+              className="mt-2.5 h-4 w-4 rounded border-slate-300 text-amber-500 focus:ring-amber-500"
+            />
+            <div className="min-w-0 flex-1">
+              <textarea
+                value={segment.text}
+                onChange={(e) => update(i, { text: e.target.value, edited: true, locked: true })}
+                disabled={isRewriting}
+                rows={Math.max(1, Math.ceil(segment.text.length / 80))}
+                className={`w-full resize-y rounded-md border px-2 py-1.5 text-slate-700 focus:border-amber-500 focus:outline-none focus:ring-1 focus:ring-amber-500 ${
+                  segment.edited ? 'border-amber-300 bg-amber-50/40' : 'border-slate-200'
+                }`}
+                style={{ fontFamily: 'Arial', fontSize: '10pt' }}
+              />
+              <p
+                className="text-[11px] text-slate-400"
+                title={segment.maneuvers.map((m) => `${m + 1}. ${maneuvers[m] || ''}`).join('\n')}
+              >
+                {stepsLabel(segment.maneuvers)}
+                {segment.edited ? ' · edited' : ''}
+              </p>
+            </div>
+            <button
+              type="button"
+              onClick={() => update(i, { locked: !segment.locked })}
+              className={iconButtonClass}
+              title={segment.locked ? 'Locked: kept when re-generating. Click to unlock.' : 'Lock to keep when re-generating'}
+            >
+              {segment.locked ? <Lock className="h-4 w-4 text-amber-600" /> : <LockOpen className="h-4 w-4" />}
+            </button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  )
+}
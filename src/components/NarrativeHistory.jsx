@@ -0,0 +1,144 @@
+import { useState, useEffect } from 'react'
+import { History, Search, FolderOpen, RefreshCw, Trash2, Loader2, ChevronDown, ChevronUp } from 'lucide-react'
+import { listNarratives, deleteNarrative } from '../lib/api'
+import { getTravelMode } from '../lib/travelModes'
+import { getLanguage } from '../lib/languages'
+
+const iconButtonClass =
+  'rounded-md p-2 text-slate-500 transition hover:bg-slate-100 hover:text-slate-900 disabled:cursor-not-allowed disabled:opacity-30 disabled:hover:bg-transparent'
+
+function formatTimestamp(iso) {
+  return new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+}
+
+// Previously generated narratives. refreshKey changes whenever a new narrative has been saved.
+export function NarrativeHistory({ refreshKey, onReopen, onRegenerate, disabled }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [query, setQuery] = useState('')
+  const [entries, setEntries] = useState([])
+  const [total, setTotal] = useState(0)
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!isOpen) return
+    const controller = new AbortController()
+    const timer = setTimeout(async () => {
+      setIsLoading(true)
+      try {
+        const data = await listNarratives({ query, signal: controller.signal })
+        setEntries(data.narratives)
+        setTotal(data.total)
+        setError(null)
+      } catch (err) {
+        if (err.name !== 'AbortError') setError(err.message || 'Could not load history.')
+      } finally {
+        setIsLoading(false)
+      }
+    }, 250)
+    return () => {
+      clearTimeout(timer)
+      controller.abort()
+    }
+  }, [isOpen, query, refreshKey])
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteNarrative(id)
+      setEntries((prev) => prev.filter((e) => e.id !== id))
+      setTotal((prev) => prev - 1)
+    } catch (err) {
+      setError(err.message || 'Could not delete that narrative.')
+    }
+  }
+
+  return (
+    <div className="rounded-2xl border border-slate-200 bg-white/80 shadow-sm">
+      <button
+        type="button"
+        onClick={() => setIsOpen((prev) => !prev)}
+        className="flex w-full items-center justify-between gap-2 px-4 py-3 text-sm font-medium text-slate-700"
+        aria-expanded={isOpen}
+      >
+        <span className="flex items-center gap-2">
+          <History className="h-4 w-4" />
+          History
+        </span>
+        {isOpen ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+      </button>
+
+      {isOpen && (
+        <div className="space-y-3 border-t border-slate-100 p-4">
+          <div className="relative">
+            <Search className="pointer-events-none absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-slate-400" />
+            <input
+              type="search"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search by address or narrative text..."
+              className="w-full rounded-lg border border-slate-300 py-2 pl-9 pr-9 text-sm focus:border-amber-500 focus:outline-none focus:ring-1 focus:ring-amber-500"
+            />
+            {isLoading && (
+              <Loader2 className="absolute right-3 top-1/2 h-4 w-4 -translate-y-1/2 animate-spin text-slate-400" />
+            )}
+          </div>
+
+          {error && <p className="text-sm text-red-600">{error}</p>}
+
+          {!isLoading && entries.length === 0 && !error && (
+            <p className="text-sm text-slate-500">{query.trim() ? 'No narratives match that search.' : 'No narratives yet.'}</p>
+          )}
+
+          {entries.length > 0 && (
+            <ul className="divide-y divide-slate-100">
+              {entries.map((entry) => (
+                <li key={entry.id} className="flex items-start gap-2 py-2">
+                  <div className="min-w-0 flex-1">
+                    <p className="truncate text-sm font-medium text-slate-800">{entry.destination}</p>
+                    <p className="truncate text-xs text-slate-500">
+                      From {entry.origin} · {getTravelMode(entry.travelMode).label}
+                      {entry.languages?.length > 1 && ` · ${entry.languages.map((id) => getLanguage(id).label).join(', ')}`}
+                      {' · '}
+                      {formatTimestamp(entry.createdAt)}
+                    </p>
+                    <p className="mt-1 line-clamp-2 text-xs text-slate-600">{entry.excerpt}</p>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => onReopen(entry.id)}
+                    disabled={disabled}
+                    className={iconButtonClass}
+                    title="Reopen in the form"
+                  >
+                    <FolderOpen className="h-4 w-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => onRegenerate(entry.id)}
+                    disabled={disabled}
+                    className={iconButtonClass}
+                    title="Generate again"
+                  >
+                    <RefreshCw className="h-4 w-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(entry.id)}
+                    className={iconButtonClass}
+                    title="Delete from history"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {total > entries.length && (
+            <p className="text-xs text-slate-400">Showing the {entries.length} most recent of {total}. Refine the search to narrow it down.</p>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,102 @@
+import { useState } from 'react'
+import { Star, BookmarkPlus, Trash2, Check, X } from 'lucide-react'
+import { findOriginPreset } from '../lib/originPresets'
+
+const iconButtonClass =
+  'rounded-md p-1.5 text-slate-500 transition hover:bg-slate-100 hover:text-slate-900 disabled:cursor-not-allowed disabled:opacity-30 disabled:hover:bg-transparent'
+
+// Quick-pick for saved starting points, with set-default, save-current and delete
+export function OriginPresets({ presets, origin, defaultId, onSelect, onSetDefault, onSave, onDelete, disabled }) {
+  const [isNaming, setIsNaming] = useState(false)
+  const [name, setName] = useState('')
+  const [isSaving, setIsSaving] = useState(false)
+  const current = findOriginPreset(presets, origin)
+
+  const handleSelect = (e) => {
+    const preset = presets.find((p) => p.id === e.target.value)
+    if (preset) onSelect(preset)
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    if (!name.trim()) return
+    setIsSaving(true)
+    try {
+      await onSave(name.trim())
+      setIsNaming(false)
+      setName('')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  if (isNaming) {
+    return (
+      <form onSubmit={handleSave} className="flex items-center gap-1">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Preset name"
+          maxLength={80}
+          autoFocus
+          className="w-40 rounded-md border border-slate-300 px-2 py-1 text-sm focus:border-amber-500 focus:outline-none focus:ring-1 focus:ring-amber-500"
+        />
+        <button type="submit" className={iconButtonClass} disabled={!name.trim() || isSaving} title="Save preset">
+          <Check className="h-4 w-4" />
+        </button>
+        <button type="button" className={iconButtonClass} onClick={() => setIsNaming(false)} title="Cancel">
+          <X className="h-4 w-4" />
+        </button>
+      </form>
+    )
+  }
+
+  return (
+    <div className="flex items-center gap-1">
+      <select
+        value={current?.id || ''}
+        onChange={handleSelect}
+        disabled={disabled || presets.length === 0}
+        aria-label="Saved starting points"
+        className="max-w-48 rounded-md border border-slate-300 bg-white px-2 py-1 text-sm text-slate-700 focus:border-amber-500 focus:outline-none focus:ring-1 focus:ring-amber-500"
+      >
+        <option value="" disabled>
+          {presets.length === 0 ? 'No saved origins' : 'Saved origins...'}
+        </option>
+        {presets.map((preset) => (
+          <option key={preset.id} value={preset.id} disabled={!preset.coordinates}>
+            {preset.id === defaultId ? `★ ${preset.name}` : preset.name}
+          </option>
+        ))}
+      </select>
+      <button
+        type="button"
+        className={iconButtonClass}
+        onClick={() => onSetDefault(current.id === defaultId ? null : current.id)}
+        disabled={!current}
+        title={current && current.id === defaultId ? 'Clear default starting point' : 'Use as my default starting point'}
+      >
+        <Star className={`h-4 w-4 ${current && current.id === defaultId ? 'fill-amber-400 text-amber-500' : ''}`} />
+      </button>
+      <button
+        type="button"
+        className={iconButtonClass}
+        onClick={() => setIsNaming(true)}
+        disabled={disabled || !origin?.coordinates || !!current}
+        title="Save this starting point"
+      >
+        <BookmarkPlus className="h-4 w-4" />
+      </button>
+      <button
+        type="button"
+        className={iconButtonClass}
+        onClick={() => onDelete(current.id)}
+        disabled={disabled || !current}
+        title="Delete this saved origin"
+      >
+        <Trash2 className="h-4 w-4" />
+      </button>
+    </div>
+  )
+}
@@ -0,0 +1,15 @@
+import { routeMapDataUri, ROUTE_MAP_SIZE } from '../lib/routeMap'
+
+// Route overview as an <img> of the same SVG used in exports, so it also survives copy/paste
+export function RouteMapPreview({ map, destinationLabel }) {
+  if (!map || map.lines.length === 0) return null
+  return (
+    <img
+      src={routeMapDataUri(map)}
+      width={ROUTE_MAP_SIZE.width}
+      height={ROUTE_MAP_SIZE.height}
+      alt={`Route overview${destinationLabel ? ` to ${destinationLabel}` : ''}`}
+      className="h-auto w-full max-w-full rounded-lg border border-slate-200"
+    />
+  )
+}
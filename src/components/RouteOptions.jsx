@@ -0,0 +1,61 @@
+import { formatDistance, formatDuration } from '../lib/format'
+
+const AVOID_OPTIONS = [
+  { id: 'toll', label: 'Avoid tolls' },
+  { id: 'motorway', label: 'Avoid highways' },
+  { id: 'ferry', label: 'Avoid ferries' },
+]
+
+export function RoutePreferences({ value, onChange, disabled }) {
+  const toggle = (id) => {
+    onChange(value.includes(id) ? value.filter((v) => v !== id) : [...value, id])
+  }
+  return (
+    <div className="flex flex-wrap gap-x-5 gap-y-2">
+      {AVOID_OPTIONS.map((option) => (
+        <label key={option.id} className={`flex items-center gap-2 text-sm ${disabled ? 'text-slate-400' : 'cursor-pointer text-slate-700'}`}>
+          <input
+            type="checkbox"
+            checked={value.includes(option.id)}
+            onChange={() => toggle(option.id)}
+            disabled={disabled}
+            className="h-4 w-4 rounded border-slate-300 text-amber-500 focus:ring-amber-500"
+          />
+          {option.label}
+        </label>
+      ))}
+    </div>
+  )
+}
+
+// Pick-one list of candidate routes, shown before the narrative is generated
+export function RouteOptions({ routes, selected, onSelect, units }) {
+  return (
+    <div className="space-y-2" role="radiogroup" aria-label="Route options">
+      {routes.map((route, index) => (
+        <button
+          key={index}
+          type="button"
+          role="radio"
+          aria-checked={selected === index}
+          onClick={() => onSelect(index)}
+          className={`w-full rounded-lg border px-4 py-3 text-left transition ${
+            selected === index ? 'border-amber-500 bg-amber-50 ring-2 ring-amber-500/20' : 'border-slate-200 bg-white hover:bg-slate-50'
+          }`}
+        >
+          <span className="flex items-baseline justify-between gap-3">
+            <span className="text-sm font-semibold text-slate-800">
+              {index === 0 ? 'Recommended route' : `Alternative ${index}`}
+            </span>
+            <span className="text-sm text-slate-600">
+              {formatDistance(route.distance, units)} · {formatDuration(route.duration)}
+            </span>
+          </span>
+          {route.mainRoads?.length > 0 && (
+            <span className="mt-0.5 block text-xs text-slate-500">via {route.mainRoads.join(', ')}</span>
+          )}
+        </button>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,108 @@
+import { useState, useEffect, useRef } from 'react'
+import { Share2, Loader2, Check } from 'lucide-react'
+import { createShareLink } from '../lib/api'
+
+const EXPIRY_OPTIONS = [
+  { days: null, label: 'Link that never expires' },
+  { days: 1, label: 'Expires in 1 day' },
+  { days: 7, label: 'Expires in 7 days' },
+  { days: 30, label: 'Expires in 30 days' },
+]
+
+function formatExpiry(iso) {
+  return new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+}
+
+// Makes a short link to a read-only copy of the narrative and its map links, and copies it.
+// share: { prose, title, links, map, language }, as sent to the server.
+export function ShareMenu({ share, onError }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [isCreating, setIsCreating] = useState(false)
+  // { url, expiresAt, copied } for the last link made while the menu was open
+  const [created, setCreated] = useState(null)
+  const wrapperRef = useRef(null)
+
+  useEffect(() => {
+    function handleClickOutside(event) {
+      if (wrapperRef.current && !wrapperRef.current.contains(event.target)) {
+        setIsOpen(false)
+      }
+    }
+    document.addEventListener('mousedown', handleClickOutside)
+    return () => document.removeEventListener('mousedown', handleClickOutside)
+  }, [])
+
+  const handleToggle = () => {
+    setCreated(null)
+    setIsOpen((prev) => !prev)
+  }
+
+  const handleCreate = async (expiresInDays) => {
+    setIsCreating(true)
+    try {
+      const { path, expiresAt } = await createShareLink({ ...share, expiresInDays })
+      const url = `${window.location.origin}${path}`
+      const copied = await navigator.clipboard
+        ?.writeText(url)
+        .then(() => true)
+        .catch(() => false)
+      setCreated({ url, expiresAt, copied: !!copied })
+    } catch (err) {
+      setIsOpen(false)
+      onError?.(err.message || 'Could not create the link.')
+    } finally {
+      setIsCreating(false)
+    }
+  }
+
+  return (
+    <div ref={wrapperRef} className="relative">
+      <button
+        type="button"
+        onClick={handleToggle}
+        disabled={!share.prose || isCreating}
+        className="flex items-center gap-2 rounded-lg px-3 py-2 text-sm font-medium text-slate-600 transition hover:bg-slate-100 hover:text-slate-900 disabled:cursor-not-allowed disabled:opacity-50"
+        title="Share a read-only link"
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+      >
+        {isCreating ? <Loader2 className="h-4 w-4 animate-spin" /> : <Share2 className="h-4 w-4" />}
+        Share
+      </button>
+      {isOpen && !created && (
+        <ul role="menu" className="absolute right-0 z-10 mt-1 w-56 rounded-lg border border-slate-200 bg-white py-1 shadow-lg">
+          {EXPIRY_OPTIONS.map((option) => (
+            <li key={option.label} role="none">
+              <button
+                type="button"
+                role="menuitem"
+                onClick={() => handleCreate(option.days)}
+                disabled={isCreating}
+                className="block w-full px-3 py-2 text-left text-sm text-slate-700 hover:bg-amber-50 disabled:opacity-50"
+              >
+                {option.label}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {isOpen && created && (
+        <div className="absolute right-0 z-10 mt-1 w-72 space-y-2 rounded-lg border border-slate-200 bg-white p-3 shadow-lg">
+          <input
+            type="text"
+            readOnly
+            value={created.url}
+            onFocus={(e) => e.target.select()}
+            aria-label="Short link"
+            className="w-full rounded-md border border-slate-300 px-2 py-1 text-sm text-slate-700"
+          />
+          <p className="flex items-center gap-1.5 text-xs text-slate-500">
+            {created.copied && <Check className="h-3.5 w-3.5 text-emerald-600" />}
+            {created.copied ? 'Copied. ' : ''}
+            {created.expiresAt ? `Works until ${formatExpiry(created.expiresAt)}.` : 'Does not expire.'}
+          </p>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,79 @@
+import { ChevronUp, ChevronDown, X, Plus } from 'lucide-react'
+import { AddressSearch } from './AddressSearch'
+
+const iconButtonClass =
+  'rounded-md p-2 text-slate-500 transition hover:bg-slate-100 hover:text-slate-900 disabled:cursor-not-allowed disabled:opacity-30 disabled:hover:bg-transparent'
+
+// Ordered list of intermediate stops. Each stop is { id, place } where place is { label, coordinates } or null.
+export function StopList({ stops, onChange, onAdd, restrictToUS }) {
+  const updateStop = (id, place) => {
+    onChange(stops.map((s) => (s.id === id ? { ...s, place } : s)))
+  }
+
+  const removeStop = (id) => {
+    onChange(stops.filter((s) => s.id !== id))
+  }
+
+  const moveStop = (index, delta) => {
+    const target = index + delta
+    if (target < 0 || target >= stops.length) return
+    const next = [...stops]
+    ;[next[index], next[target]] = [next[target], next[index]]
+    onChange(next)
+  }
+
+  return (
+    <div className="space-y-2">
+      {stops.map((stop, index) => (
+        <div key={stop.id} className="flex items-start gap-1">
+          <span className="mt-3 w-6 shrink-0 text-right text-xs font-medium text-slate-400">{index + 1}.</span>
+          <div className="min-w-0 flex-1">
+            <AddressSearch
+              value={stop.place?.label}
+              place={stop.place}
+              label={`Stop ${index + 1}`}
+              onChange={(place) => updateStop(stop.id, place)}
+              placeholder="Enter a stop along the way..."
+              confirmed={!!stop.place?.coordinates}
+              restrictToUS={restrictToUS}
+            />
+          </div>
+          <button
+            type="button"
+            onClick={() => moveStop(index, -1)}
+            disabled={index === 0}
+            className={iconButtonClass}
+            title="Move stop up"
+          >
+            <ChevronUp className="h-4 w-4" />
+          </button>
+          <button
+            type="button"
+            onClick={() => moveStop(index, 1)}
+            disabled={index === stops.length - 1}
+            className={iconButtonClass}
+            title="Move stop down"
+          >
+            <ChevronDown className="h-4 w-4" />
+          </button>
+          <button
+            type="button"
+            onClick={() => removeStop(stop.id)}
+            className={iconButtonClass}
+            title="Remove stop"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={onAdd}
+        className="flex items-center gap-2 rounded-lg px-3 py-2 text-sm font-medium text-slate-600 transition hover:bg-slate-100 hover:text-slate-900"
+      >
+        <Plus className="h-4 w-4" />
+        Add stop
+      </button>
+    </div>
+  )
+}
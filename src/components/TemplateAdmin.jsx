@@ -0,0 +1,324 @@
+import { useState, useEffect } from 'react'
+import { ArrowLeft, Plus, Save, Copy, Trash2, Eye, Sparkles, RotateCcw, Loader2 } from 'lucide-react'
+import {
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  previewTemplate,
+} from '../lib/api'
+
+const inputClass =
+  'w-full rounded-lg border border-slate-300 px-3 py-2 text-sm focus:border-amber-500 focus:outline-none focus:ring-1 focus:ring-amber-500'
+
+const buttonClass =
+  'flex items-center gap-2 rounded-lg px-3 py-2 text-sm font-medium text-slate-600 transition hover:bg-slate-100 hover:text-slate-900 disabled:cursor-not-allowed disabled:opacity-50 disabled:hover:bg-transparent'
+
+const EMPTY_DRAFT = { name: '', description: '', system: '', user: 'Convert these turn-by-turn directions into a narrative:\n\n{{maneuvers}}' }
+
+function formatTimestamp(iso) {
+  return new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+}
+
+// Admin page for the prompt templates behind each tone: edit, keep versions, and preview against
+// the saved maneuver fixture.
+export function TemplateAdmin() {
+  const [templates, setTemplates] = useState([])
+  const [variables, setVariables] = useState({})
+  const [selected, setSelected] = useState(null)
+  const [draft, setDraft] = useState(EMPTY_DRAFT)
+  const [preview, setPreview] = useState(null)
+  const [busy, setBusy] = useState(null)
+  const [error, setError] = useState(null)
+  const [notice, setNotice] = useState(null)
+
+  const refresh = async () => {
+    const data = await listTemplates()
+    setTemplates(data.templates)
+    setVariables(data.variables)
+    return data.templates
+  }
+
+  const openTemplate = async (id) => {
+    const template = await getTemplate(id)
+    setSelected(template)
+    setDraft({ name: template.name, description: template.description || '', system: template.system, user: template.user })
+    setPreview(null)
+    setNotice(null)
+  }
+
+  useEffect(() => {
+    listTemplates()
+      .then(async (data) => {
+        setTemplates(data.templates)
+        setVariables(data.variables)
+        if (data.templates.length > 0) await openTemplate(data.templates[0].id)
+      })
+      .catch((err) => setError(err.message || 'Could not load templates.'))
+  }, [])
+
+  // Wraps an action so only one runs at a time and its error is shown
+  const run = async (label, action) => {
+    setBusy(label)
+    setError(null)
+    setNotice(null)
+    try {
+      await action()
+    } catch (err) {
+      setError(err.message || 'Something went wrong.')
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleSelect = (id) => run('open', () => openTemplate(id))
+
+  const handleNew = () => {
+    setSelected(null)
+    setDraft(EMPTY_DRAFT)
+    setPreview(null)
+    setNotice(null)
+  }
+
+  const handleSave = () =>
+    run('save', async () => {
+      const saved = selected ? await updateTemplate(selected.id, draft) : await createTemplate(draft)
+      await refresh()
+      await openTemplate(saved.id)
+      setNotice(selected ? `Saved as version ${saved.version}.` : 'Template created.')
+    })
+
+  const handleDuplicate = () =>
+    run('duplicate', async () => {
+      const copy = await createTemplate({ ...draft, name: `${draft.name} (copy)` })
+      await refresh()
+      await openTemplate(copy.id)
+      setNotice('Copy created.')
+    })
+
+  const handleDelete = () => {
+    if (!selected || !window.confirm(`Delete "${selected.name}"?`)) return
+    run('delete', async () => {
+      await deleteTemplate(selected.id)
+      const remaining = await refresh()
+      if (remaining.length > 0) await openTemplate(remaining[0].id)
+      else handleNew()
+    })
+  }
+
+  // Loads an older version into the editor; saving it makes it the newest version
+  const handleRestore = (version) => {
+    setDraft((prev) => ({ ...prev, name: version.name, system: version.system, user: version.user }))
+    setNotice(`Version ${version.version} loaded into the editor. Save to make it current.`)
+  }
+
+  const handlePreview = (generate) =>
+    run(generate ? 'generate' : 'preview', async () => {
+      setPreview(await previewTemplate(draft, { generate }))
+    })
+
+  const isDirty =
+    !selected ||
+    draft.name !== selected.name ||
+    draft.description !== (selected.description || '') ||
+    draft.system !== selected.system ||
+    draft.user !== selected.user
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-amber-50/30">
+      <div className="mx-auto max-w-5xl px-4 py-12 sm:px-6 lg:px-8">
+        <header className="mb-8 flex flex-wrap items-center justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold tracking-tight text-slate-900">Prompt templates</h1>
+            <p className="mt-1 text-sm text-slate-600">The tones narratives can be written in</p>
+          </div>
+          <a href="/" className={buttonClass}>
+            <ArrowLeft className="h-4 w-4" />
+            Back to directions
+          </a>
+        </header>
+
+        {error && <div className="mb-4 rounded-lg border border-red-200 bg-red-50 p-4 text-sm text-red-700">{error}</div>}
+        {notice && (
+          <div className="mb-4 rounded-lg border border-emerald-200 bg-emerald-50 p-4 text-sm text-emerald-800">{notice}</div>
+        )}
+
+        <div className="grid gap-6 md:grid-cols-[14rem_1fr]">
+          <aside className="space-y-2">
+            <ul className="rounded-2xl border border-slate-200 bg-white/80 p-2 shadow-sm">
+              {templates.map((t) => (
+                <li key={t.id}>
+                  <button
+                    type="button"
+                    onClick={() => handleSelect(t.id)}
+                    disabled={!!busy}
+                    className={`w-full rounded-lg px-3 py-2 text-left text-sm transition ${
+                      selected?.id === t.id ? 'bg-amber-100 text-amber-900' : 'text-slate-700 hover:bg-slate-100'
+                    }`}
+                  >
+                    <span className="block font-medium">{t.name}</span>
+                    <span className="block text-xs text-slate-500">
+                      v{t.version}
+                      {t.builtin ? ' · built-in' : ''}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <button type="button" onClick={handleNew} disabled={!!busy} className={buttonClass}>
+              <Plus className="h-4 w-4" />
+              New template
+            </button>
+          </aside>
+
+          <main className="space-y-6">
+            <div className="space-y-4 rounded-2xl border border-slate-200 bg-white/80 p-4 shadow-sm">
+              <div className="grid gap-4 sm:grid-cols-2">
+                <label className="block text-sm font-medium text-slate-700">
+                  Name
+                  <input
+                    type="text"
+                    value={draft.name}
+                    maxLength={80}
+                    onChange={(e) => setDraft((prev) => ({ ...prev, name: e.target.value }))}
+                    className={`mt-1 ${inputClass}`}
+                  />
+                </label>
+                <label className="block text-sm font-medium text-slate-700">
+                  Description
+                  <input
+                    type="text"
+                    value={draft.description}
+                    maxLength={200}
+                    onChange={(e) => setDraft((prev) => ({ ...prev, description: e.target.value }))}
+                    className={`mt-1 ${inputClass}`}
+                  />
+                </label>
+              </div>
+              <label className="block text-sm font-medium text-slate-700">
+                System prompt
+                <textarea
+                  value={draft.system}
+                  rows={6}
+                  onChange={(e) => setDraft((prev) => ({ ...prev, system: e.target.value }))}
+                  className={`mt-1 font-mono ${inputClass}`}
+                />
+              </label>
+              <label className="block text-sm font-medium text-slate-700">
+                User message
+                <textarea
+                  value={draft.user}
+                  rows={4}
+                  onChange={(e) => setDraft((prev) => ({ ...prev, user: e.target.value }))}
+                  className={`mt-1 font-mono ${inputClass}`}
+                />
+              </label>
+
+              <div className="flex flex-wrap items-center gap-1">
+                <button
+                  type="button"
+                  onClick={handleSave}
+                  disabled={!!busy || !isDirty}
+                  className="flex items-center gap-2 rounded-lg bg-amber-500 px-4 py-2 text-sm font-semibold text-white shadow transition hover:bg-amber-600 disabled:cursor-not-allowed disabled:opacity-50 disabled:hover:bg-amber-500"
+                >
+                  {busy === 'save' ? <Loader2 className="h-4 w-4 animate-spin" /> : <Save className="h-4 w-4" />}
+                  {selected ? 'Save new version' : 'Create template'}
+                </button>
+                <button type="button" onClick={() => handlePreview(false)} disabled={!!busy} className={buttonClass}>
+                  {busy === 'preview' ? <Loader2 className="h-4 w-4 animate-spin" /> : <Eye className="h-4 w-4" />}
+                  Preview prompt
+                </button>
+                <button type="button" onClick={() => handlePreview(true)} disabled={!!busy} className={buttonClass}>
+                  {busy === 'generate' ? <Loader2 className="h-4 w-4 animate-spin" /> : <Sparkles className="h-4 w-4" />}
+                  Generate sample
+                </button>
+                {selected && (
+                  <button type="button" onClick={handleDuplicate} disabled={!!busy} className={buttonClass}>
+                    <Copy className="h-4 w-4" />
+                    Duplicate
+                  </button>
+                )}
+                {selected && !selected.builtin && (
+                  <button type="button" onClick={handleDelete} disabled={!!busy} className={buttonClass}>
+                    <Trash2 className="h-4 w-4" />
+                    Delete
+                  </button>
+                )}
+              </div>
+            </div>
+
+            {preview && (
+              <div className="space-y-3 rounded-2xl border border-slate-200 bg-white/80 p-4 shadow-sm">
+                <h2 className="text-sm font-semibold text-slate-800">Preview · {preview.fixture}</h2>
+                <div>
+                  <p className="mb-1 text-xs font-medium uppercase tracking-wide text-slate-500">System</p>
+                  <pre className="whitespace-pre-wrap rounded-lg bg-slate-50 p-3 text-xs text-slate-700">{preview.prompt.system}</pre>
+                </div>
+                <div>
+                  <p className="mb-1 text-xs font-medium uppercase tracking-wide text-slate-500">User</p>
+                  <pre className="whitespace-pre-wrap rounded-lg bg-slate-50 p-3 text-xs text-slate-700">{preview.prompt.user}</pre>
+                </div>
+                {preview.result && (
+                  <div>
+                    <p className="mb-1 text-xs font-medium uppercase tracking-wide text-slate-500">
+                      Output · {preview.result.provider}
+                      {preview.result.fallback ? ' (fallback)' : ''}
+                    </p>
+                    <p className="whitespace-pre-wrap text-sm leading-relaxed text-slate-700" style={{ fontFamily: 'Arial' }}>
+                      {preview.result.prose}
+                    </p>
+                  </div>
+                )}
+              </div>
+            )}
+
+            <div className="grid gap-6 lg:grid-cols-2">
+              <div className="rounded-2xl border border-slate-200 bg-white/80 p-4 shadow-sm">
+                <h2 className="mb-2 text-sm font-semibold text-slate-800">Variables</h2>
+                <dl className="space-y-2 text-xs">
+                  {Object.entries(variables).map(([name, description]) => (
+                    <div key={name}>
+                      <dt className="font-mono text-slate-800">{`{{${name}}}`}</dt>
+                      <dd className="text-slate-500">{description}</dd>
+                    </div>
+                  ))}
+                </dl>
+              </div>
+
+              {selected && (
+                <div className="rounded-2xl border border-slate-200 bg-white/80 p-4 shadow-sm">
+                  <h2 className="mb-2 text-sm font-semibold text-slate-800">Version history</h2>
+                  <p className="mb-2 text-xs text-slate-500">
+                    Current: version {selected.version}
+                    {selected.updatedAt ? `, saved ${formatTimestamp(selected.updatedAt)}` : ''}
+                  </p>
+                  {selected.versions.length === 0 ? (
+                    <p className="text-xs text-slate-500">No earlier versions.</p>
+                  ) : (
+                    <ul className="divide-y divide-slate-100">
+                      {selected.versions.map((version) => (
+                        <li key={version.version} className="flex items-center justify-between gap-2 py-2 text-xs">
+                          <span className="text-slate-700">
+                            Version {version.version}
+                            {version.updatedAt && (
+                              <span className="text-slate-500"> · {formatTimestamp(version.updatedAt)}</span>
+                            )}
+                          </span>
+                          <button type="button" onClick={() => handleRestore(version)} className={buttonClass}>
+                            <RotateCcw className="h-3.5 w-3.5" />
+                            Restore
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+            </div>
+          </main>
+        </div>
+      </div>
+    </div>
+  )
+}
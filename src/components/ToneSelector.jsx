@@ -0,0 +1,36 @@
+import { useState, useEffect } from 'react'
+import { listTemplates } from '../lib/api'
+
+// Picks the prompt template the narrative is written with. Templates are edited on the admin page.
+export function ToneSelector({ value, onChange, disabled }) {
+  const [templates, setTemplates] = useState([])
+
+  useEffect(() => {
+    listTemplates()
+      .then((data) => setTemplates(data.templates))
+      .catch((err) => console.error('Could not load prompt templates:', err))
+  }, [])
+
+  const selected = templates.find((t) => t.id === value)
+
+  return (
+    <div className="flex flex-wrap items-center gap-x-3 gap-y-2">
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+        aria-label="Narrative tone"
+        className="rounded-lg border border-slate-300 bg-white px-3 py-2 text-sm text-slate-700 focus:border-amber-500 focus:outline-none focus:ring-1 focus:ring-amber-500"
+      >
+        {/* Until the list loads (or if it fails) the saved choice still shows */}
+        {!selected && <option value={value}>{value === 'default' ? 'Standard' : value}</option>}
+        {templates.map((t) => (
+          <option key={t.id} value={t.id}>
+            {t.name}
+          </option>
+        ))}
+      </select>
+      {selected?.description && <span className="text-sm text-slate-500">{selected.description}</span>}
+    </div>
+  )
+}
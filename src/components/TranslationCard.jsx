@@ -0,0 +1,144 @@
+import { useState } from 'react'
+import { Copy, Check, Loader2, AlertCircle } from 'lucide-react'
+import { VerificationBadge, VerificationIssues } from './VerificationBadge'
+import { ExportMenu } from './ExportMenu'
+import { getLanguage } from '../lib/languages'
+import { composeNarrative } from '../lib/format'
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+// Arial 10pt HTML for pasting into Word, tagged with the narrative's language
+function narrativeClipboardHtml(prose, language) {
+  const paragraphs = prose
+    .split(/\n\s*\n/)
+    .map((p) => `<p style="margin:0 0 10pt">${escapeHtml(p.trim())}</p>`)
+    .join('')
+  return `<div lang="${language}" style="font-family:Arial;font-size:10pt">${paragraphs}</div>`
+}
+
+// One additional-language narrative, shown next to the others with its own copy and download.
+// translation: { language, status: 'running' | 'done' | 'error', prose, returnTrip, verification, fallback, error }
+// where returnTrip is { prose, distance, duration } or { error }. summary and returnSummary are the
+// trip summary lines in this language, put ahead of each narrative when set.
+export function TranslationCard({ translation, summary, returnSummary, links, title, map, onError }) {
+  const [copied, setCopied] = useState(false)
+  const language = getLanguage(translation.language)
+  const returnProse = translation.returnTrip?.prose
+  const text = translation.prose
+    ? composeNarrative({ summary, prose: translation.prose, returnSummary, returnProse }, language.id)
+    : ''
+
+  const handleCopy = async () => {
+    try {
+      if (window.ClipboardItem && navigator.clipboard?.write) {
+        const html = narrativeClipboardHtml(text, language.id)
+        await navigator.clipboard.write([
+          new window.ClipboardItem({
+            'text/html': new Blob([html], { type: 'text/html' }),
+            'text/plain': new Blob([text], { type: 'text/plain' }),
+          }),
+        ])
+      } else {
+        await navigator.clipboard.writeText(text)
+      }
+      setCopied(true)
+      setTimeout(() => setCopied(false), 2000)
+    } catch {
+      onError?.('Could not copy to clipboard.')
+    }
+  }
+
+  return (
+    <div lang={language.id} className="rounded-2xl border border-slate-200 bg-white/80 p-4 shadow-sm">
+      <div className="mb-3 flex flex-wrap items-center justify-between gap-2">
+        <h3 className="flex items-center gap-2 text-sm font-semibold text-slate-800">
+          {language.label}
+          <VerificationBadge verification={translation.verification} />
+        </h3>
+        {translation.status === 'done' && (
+          <div className="flex items-center gap-1">
+            <button
+              type="button"
+              onClick={handleCopy}
+              className="flex items-center gap-2 rounded-lg px-3 py-2 text-sm font-medium text-slate-600 transition hover:bg-slate-100 hover:text-slate-900"
+              title="Copy to clipboard"
+            >
+              {copied ? <Check className="h-4 w-4 text-emerald-600" /> : <Copy className="h-4 w-4" />}
+              {copied ? 'Copied!' : 'Copy'}
+            </button>
+            <ExportMenu prose={text} title={title} language={translation.language} links={links} map={map} onError={onError} />
+          </div>
+        )}
+      </div>
+
+      {translation.status === 'running' && (
+        <p className="flex items-center gap-2 text-sm text-slate-500">
+          <Loader2 className="h-4 w-4 animate-spin" />
+          Writing...
+        </p>
+      )}
+      {translation.status === 'error' && (
+        <p className="flex items-center gap-2 text-sm text-red-600">
+          <AlertCircle className="h-4 w-4" />
+          {translation.error}
+        </p>
+      )}
+      {translation.status === 'done' && (
+        <>
+          <VerificationIssues verification={translation.verification} />
+          {translation.fallback && (
+            <p className="mb-3 rounded-lg bg-amber-50 px-3 py-2 text-xs text-amber-800">
+              Written from the route instructions because AI generation failed.
+            </p>
+          )}
+          {returnProse && <p className="mb-2 text-sm font-semibold text-slate-700">{language.outboundHeading}</p>}
+          {summary && (
+            <p className="mb-2 text-sm font-semibold text-slate-700" style={{ fontFamily: 'Arial' }}>
+              {summary}
+            </p>
+          )}
+          <p className="whitespace-pre-wrap text-sm leading-relaxed text-slate-700" style={{ fontFamily: 'Arial' }}>
+            {translation.prose}
+          </p>
+          {returnProse && (
+            <>
+              <p className="mb-2 mt-4 text-sm font-semibold text-slate-700">{language.returnHeading}</p>
+              {returnSummary && (
+                <p className="mb-2 text-sm font-semibold text-slate-700" style={{ fontFamily: 'Arial' }}>
+                  {returnSummary}
+                </p>
+              )}
+              <p className="whitespace-pre-wrap text-sm leading-relaxed text-slate-700" style={{ fontFamily: 'Arial' }}>
+                {returnProse}
+              </p>
+            </>
+          )}
+          {translation.returnTrip?.error && (
+            <p className="mt-3 text-sm text-red-600">Could not write the way back: {translation.returnTrip.error}</p>
+          )}
+          {links.length > 0 && (
+            <div className="mt-3 flex flex-wrap gap-x-4 gap-y-1 border-t border-slate-200 pt-3 text-sm">
+              {links.map((link) => (
+                <a
+                  key={link.url}
+                  href={link.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-red-600 hover:text-red-700 hover:underline"
+                >
+                  {link.label}
+                </a>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
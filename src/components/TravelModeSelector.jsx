@@ -0,0 +1,35 @@
+import { Car, TrafficCone, Footprints, Bike } from 'lucide-react'
+import { TRAVEL_MODES } from '../lib/travelModes'
+
+const ICONS = {
+  driving: Car,
+  'driving-traffic': TrafficCone,
+  walking: Footprints,
+  cycling: Bike,
+}
+
+export function TravelModeSelector({ value, onChange }) {
+  return (
+    <div className="grid grid-cols-2 gap-1 rounded-xl border border-slate-200 bg-white p-1 sm:grid-cols-4" role="radiogroup" aria-label="Travel mode">
+      {TRAVEL_MODES.map((mode) => {
+        const Icon = ICONS[mode.id]
+        const selected = value === mode.id
+        return (
+          <button
+            key={mode.id}
+            type="button"
+            role="radio"
+            aria-checked={selected}
+            onClick={() => onChange(mode.id)}
+            className={`flex items-center justify-center gap-1.5 rounded-lg px-3 py-2 text-sm font-medium transition ${
+              selected ? 'bg-slate-800 text-white shadow' : 'text-slate-600 hover:bg-slate-100'
+            }`}
+          >
+            <Icon className="h-4 w-4" />
+            {mode.label}
+          </button>
+        )
+      })}
+    </div>
+  )
+}
@@ -0,0 +1,80 @@
+const SCHEDULE_MODES = [
+  { id: 'none', label: 'No set time' },
+  { id: 'depart', label: 'Depart at' },
+  { id: 'arrive', label: 'Arrive by' },
+]
+
+const controlClass =
+  'rounded-lg border border-slate-300 bg-white px-3 py-2 text-sm text-slate-700 focus:border-amber-500 focus:outline-none focus:ring-1 focus:ring-amber-500 disabled:text-slate-400'
+
+// Units for the trip summary and step distances, whether the prose gives a distance for each step,
+// and an optional depart-at / arrive-by time (driving only). onChange receives the changed fields.
+export function TripOptions({ units, stepDistances, schedule, showSchedule, onChange, disabled }) {
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-x-5 gap-y-2 text-sm text-slate-700">
+        <div className="flex rounded-lg border border-slate-200 bg-white p-0.5" role="radiogroup" aria-label="Units">
+          {[
+            { id: 'imperial', label: 'Miles' },
+            { id: 'metric', label: 'Kilometers' },
+          ].map((option) => (
+            <button
+              key={option.id}
+              type="button"
+              role="radio"
+              aria-checked={units === option.id}
+              onClick={() => onChange({ units: option.id })}
+              disabled={disabled}
+              className={`rounded-md px-3 py-1 text-sm font-medium transition ${
+                units === option.id ? 'bg-slate-800 text-white shadow' : 'text-slate-600 hover:bg-slate-100'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <label className={`flex items-center gap-2 ${disabled ? 'text-slate-400' : 'cursor-pointer'}`}>
+          <input
+            type="checkbox"
+            checked={stepDistances}
+            onChange={(e) => onChange({ stepDistances: e.target.checked })}
+            disabled={disabled}
+            className="h-4 w-4 rounded border-slate-300 text-amber-500 focus:ring-amber-500"
+          />
+          Include distances for each step
+        </label>
+      </div>
+
+      {showSchedule && (
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={schedule.mode}
+            onChange={(e) => onChange({ schedule: { ...schedule, mode: e.target.value } })}
+            disabled={disabled}
+            aria-label="Departure or arrival time"
+            className={controlClass}
+          >
+            {SCHEDULE_MODES.map((mode) => (
+              <option key={mode.id} value={mode.id}>
+                {mode.label}
+              </option>
+            ))}
+          </select>
+          {schedule.mode !== 'none' && (
+            <input
+              type="datetime-local"
+              value={schedule.time}
+              onChange={(e) => onChange({ schedule: { ...schedule, time: e.target.value } })}
+              disabled={disabled}
+              aria-label={schedule.mode === 'arrive' ? 'Arrival time' : 'Departure time'}
+              className={controlClass}
+            />
+          )}
+          {schedule.mode !== 'none' && (
+            <span className="text-xs text-slate-500">Local time at the starting point, with expected traffic</span>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
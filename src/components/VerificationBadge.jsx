@@ -0,0 +1,34 @@
+import { ShieldCheck, ShieldAlert } from 'lucide-react'
+
+export function VerificationBadge({ verification }) {
+  if (!verification) return null
+  const count = verification.discrepancies.length
+  return verification.passed ? (
+    <span
+      className="inline-flex items-center gap-1 rounded-full bg-emerald-50 px-2 py-0.5 text-xs font-medium text-emerald-700"
+      title="Every road, turn and exit from the route appears in order"
+    >
+      <ShieldCheck className="h-3.5 w-3.5" />
+      Verified
+    </span>
+  ) : (
+    <span
+      className="inline-flex items-center gap-1 rounded-full bg-amber-50 px-2 py-0.5 text-xs font-medium text-amber-800"
+      title={`Checked ${verification.attempts} draft${verification.attempts === 1 ? '' : 's'}`}
+    >
+      <ShieldAlert className="h-3.5 w-3.5" />
+      {count} {count === 1 ? 'issue' : 'issues'}
+    </span>
+  )
+}
+
+export function VerificationIssues({ verification }) {
+  if (!verification || verification.passed) return null
+  return (
+    <ul className="mb-3 list-disc space-y-0.5 rounded-lg bg-amber-50 py-2 pl-7 pr-3 text-xs text-amber-800">
+      {verification.discrepancies.map((d) => (
+        <li key={`${d.type}:${d.kind}:${d.value}`}>{d.message}</li>
+      ))}
+    </ul>
+  )
+}
@@ -0,0 +1,359 @@
+// Browser-side wrappers for our own /api routes. Mapbox is only ever reached through the server.
+
+// Dispatched on window when the server answers 401, so the sign-in form can take over
+export const AUTH_REQUIRED_EVENT = 'auth-required'
+
+// For responses without a JSON error, e.g. a proxy's own 413 page
+const STATUS_MESSAGES = {
+  401: 'Please sign in to continue.',
+  413: 'This route is too large to send. Try one with fewer stops.',
+  429: 'Too many requests right now. Please wait a moment and try again.',
+}
+
+// An Error for a failed response, with its HTTP `status` and, for 429s, `retryAfter` in seconds
+function responseError(res, data, fallbackMessage) {
+  if (res.status === 401) window.dispatchEvent(new Event(AUTH_REQUIRED_EVENT))
+  const err = new Error(data.error || STATUS_MESSAGES[res.status] || fallbackMessage)
+  err.status = res.status
+  const retryAfter = Number(res.headers.get('Retry-After'))
+  if (retryAfter > 0) err.retryAfter = retryAfter
+  return err
+}
+
+async function requestJson(url, options, fallbackMessage) {
+  const res = await fetch(url, options)
+  const data = await res.json().catch(() => ({}))
+  if (!res.ok) throw responseError(res, data, fallbackMessage)
+  return data
+}
+
+// For endpoints that answer with no body (204)
+async function requestEmpty(url, options, fallbackMessage) {
+  const res = await fetch(url, options)
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}))
+    throw responseError(res, data, fallbackMessage)
+  }
+}
+
+// { required, authenticated, passwordLogin }
+export async function getSession() {
+  return requestJson('/api/auth/session', undefined, 'Failed to check the sign-in')
+}
+
+export async function signIn(password) {
+  return requestEmpty(
+    '/api/auth/login',
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ password }),
+    },
+    'Failed to sign in',
+  )
+}
+
+export async function signOut() {
+  return requestEmpty('/api/auth/logout', { method: 'POST' }, 'Failed to sign out')
+}
+
+// Resolves to { label, coordinates }, or null when nothing matches
+export async function geocodeAddress(address, countryCode = 'US') {
+  const params = new URLSearchParams({ q: address })
+  if (countryCode) params.set('country', countryCode)
+  const res = await fetch(`/api/geocode?${params.toString()}`)
+  if (res.status === 404) return null
+  const data = await res.json().catch(() => ({}))
+  if (!res.ok) throw responseError(res, data, 'Failed to geocode address')
+  return data
+}
+
+export async function suggestAddresses(query, { restrictToUS = true, signal } = {}) {
+  const params = new URLSearchParams({ q: query, limit: '5' })
+  if (restrictToUS) params.set('country', 'US')
+  const data = await requestJson(`/api/suggest?${params.toString()}`, { signal }, 'Failed to load suggestions')
+  return data.suggestions || []
+}
+
+// points: ordered [lng, lat] pairs — origin, any intermediate stops, then destination
+// Pass alternatives: true to also get `alternatives`, other candidate routes in the same shape.
+// language localizes the step instructions.
+export async function fetchRoute(
+  points,
+  { profile = 'driving', exclude = [], alternatives = false, language } = {},
+  { signal } = {},
+) {
+  return requestJson(
+    '/api/route',
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ coordinates: points, profile, exclude, alternatives, language }),
+      signal,
+    },
+    'Failed to fetch route',
+  )
+}
+
+// Driving times for a depart-at or arrive-by time (local "YYYY-MM-DDThh:mm"). Resolves to
+// { mode, profile, departAt, arriveAt, distance, duration }.
+export async function fetchTripTiming(points, { exclude = [], departAt, arriveBy, walkSeconds = 0 }, { signal } = {}) {
+  return requestJson(
+    '/api/route/timing',
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ coordinates: points, exclude, departAt, arriveBy, walkSeconds }),
+      signal,
+    },
+    'Failed to work out the trip timing',
+  )
+}
+
+// Points of interest near the turns of the prose legs. Resolves to
+// [{ maneuver, instruction, name, category, coordinates, distance }].
+export async function fetchLandmarks(legs, { language } = {}, { signal } = {}) {
+  const data = await requestJson(
+    '/api/landmarks',
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ legs, language }),
+      signal,
+    },
+    'Failed to look up landmarks',
+  )
+  return data.landmarks
+}
+
+// Resolves to { prose, segments, provider, model, fallback? }; segments are the prose's sentences
+// with the maneuvers each covers
+export async function generateProse(payload, { signal } = {}) {
+  return requestJson(
+    '/api/generate-prose',
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal,
+    },
+    'Failed to generate narrative',
+  )
+}
+
+// Rewrites the part of a narrative covering maneuvers start..end. payload is a generateProse payload
+// plus { start, end, text, before, after }. Resolves to { text, segments, provider, model, verification }.
+export async function rewriteProseSpan(payload, { signal } = {}) {
+  return requestJson(
+    '/api/generate-prose/span',
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal,
+    },
+    'Failed to rewrite that part of the narrative',
+  )
+}
+
+// Streams /api/generate-prose/stream, calling onToken with each chunk of text. Resolves to the
+// same payload as generateProse. Errors (including a mid-stream failure) carry the text received
+// so far as `partial`.
+export async function streamProse(payload, { signal, onToken }) {
+  let partial = ''
+  const fail = (message) => Object.assign(new Error(message), { partial })
+
+  const res = await fetch('/api/generate-prose/stream', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    signal,
+  })
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}))
+    throw Object.assign(responseError(res, data, 'Failed to generate narrative'), { partial })
+  }
+
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader()
+  let buffer = ''
+  try {
+    for (;;) {
+      const { value, done } = await reader.read()
+      if (done) break
+      buffer += value
+      const events = buffer.split('\n\n')
+      buffer = events.pop()
+      for (const raw of events) {
+        const event = raw.match(/^event: (.*)$/m)?.[1]
+        const data = JSON.parse(raw.match(/^data: (.*)$/m)?.[1] || '{}')
+        if (event === 'token') {
+          partial += data.text
+          onToken(data.text)
+        } else if (event === 'done') {
+          return data
+        } else if (event === 'error') {
+          partial = data.partial || partial
+          throw fail(data.error || 'Failed to generate narrative')
+        }
+      }
+    }
+  } catch (err) {
+    if (err.partial !== undefined) throw err
+    throw Object.assign(err, { partial })
+  }
+  throw fail('The narrative stream ended unexpectedly')
+}
+
+// Saved origin presets: { id, name, label, coordinates }
+export async function listOrigins() {
+  const data = await requestJson('/api/origins', undefined, 'Failed to load saved origins')
+  return data.origins || []
+}
+
+export async function createOrigin(origin) {
+  return requestJson(
+    '/api/origins',
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(origin),
+    },
+    'Failed to save origin',
+  )
+}
+
+export async function updateOrigin(id, patch) {
+  return requestJson(
+    `/api/origins/${encodeURIComponent(id)}`,
+    {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(patch),
+    },
+    'Failed to update origin',
+  )
+}
+
+export async function deleteOrigin(id) {
+  return requestEmpty(`/api/origins/${encodeURIComponent(id)}`, { method: 'DELETE' }, 'Failed to delete origin')
+}
+
+// Narrative history. listNarratives resolves to { total, narratives } of summaries, newest first.
+export async function listNarratives({ query = '', signal } = {}) {
+  const params = new URLSearchParams()
+  if (query.trim()) params.set('q', query.trim())
+  return requestJson(`/api/narratives?${params.toString()}`, { signal }, 'Failed to load narrative history')
+}
+
+export async function getNarrative(id) {
+  return requestJson(`/api/narratives/${encodeURIComponent(id)}`, undefined, 'Failed to load narrative')
+}
+
+export async function saveNarrative(entry) {
+  return requestJson(
+    '/api/narratives',
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(entry),
+    },
+    'Failed to save narrative',
+  )
+}
+
+export async function deleteNarrative(id) {
+  return requestEmpty(`/api/narratives/${encodeURIComponent(id)}`, { method: 'DELETE' }, 'Failed to delete narrative')
+}
+
+// Builds a document on the server; language is the narrative's, map (optional) is route overview
+// data from lib/routeMap. Resolves to { blob, filename }.
+export async function exportNarrative(format, { prose, title, language, links, map }) {
+  const res = await fetch(`/api/export/${format}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ prose, title, language, links, map }),
+  })
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}))
+    throw responseError(res, data, 'Failed to build the document')
+  }
+  const filename = res.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || `directions.${format}`
+  return { blob: await res.blob(), filename }
+}
+
+// Frozen copy of a narrative behind a short link. expiresInDays is optional; resolves to
+// { id, path, expiresAt, deleteToken } with path as the /r/:id page. deleteToken, sent as
+// X-Share-Token, is what lets DELETE /api/shares/:id remove the link again.
+export async function createShareLink({ prose, title, links, map, language, expiresInDays }) {
+  return requestJson(
+    '/api/shares',
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ prose, title, links, map, language, expiresInDays }),
+    },
+    'Failed to create the link',
+  )
+}
+
+// Prompt templates. listTemplates resolves to { templates, variables }; the list leaves out version history.
+export async function listTemplates() {
+  return requestJson('/api/templates', undefined, 'Failed to load prompt templates')
+}
+
+export async function getTemplate(id) {
+  return requestJson(`/api/templates/${encodeURIComponent(id)}`, undefined, 'Failed to load the template')
+}
+
+export async function createTemplate(template) {
+  return requestJson(
+    '/api/templates',
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(template),
+    },
+    'Failed to save the template',
+  )
+}
+
+// Saves the changes as a new version of the template
+export async function updateTemplate(id, patch) {
+  return requestJson(
+    `/api/templates/${encodeURIComponent(id)}`,
+    {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(patch),
+    },
+    'Failed to update the template',
+  )
+}
+
+export async function deleteTemplate(id) {
+  return requestEmpty(`/api/templates/${encodeURIComponent(id)}`, { method: 'DELETE' }, 'Failed to delete the template')
+}
+
+// Renders { system, user } against the saved maneuver fixture; with generate, also writes the narrative.
+// Resolves to { fixture, prompt, result }.
+export async function previewTemplate({ system, user }, { generate = false, signal } = {}) {
+  return requestJson(
+    '/api/templates/preview',
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ system, user, generate }),
+      signal,
+    },
+    'Failed to preview the template',
+  )
+}
+
+// The routes above as services for the narrative pipeline (see lib/pipeline)
+export const apiServices = {
+  geocode: (query, { country } = {}) => geocodeAddress(query, country),
+  route: fetchRoute,
+  generateProse,
+  tripTiming: fetchTripTiming,
+  findLandmarks: fetchLandmarks,
+}
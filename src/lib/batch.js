@@ -0,0 +1,180 @@
+import { apiServices } from './api'
+import { parseCsv, toCsv } from './csv'
+import { parseCoordsFromInput } from './directions'
+import { createPipeline, prosePayload, mapLinks } from './pipeline'
+import { getLanguage } from './languages'
+
+export const BATCH_CONCURRENCY = 3
+// After a 429: wait as long as Retry-After says (or this many seconds), at most this many times a row
+const RATE_LIMIT_WAIT_SECONDS = 10
+const RATE_LIMIT_RETRIES = 5
+
+const pipeline = createPipeline(apiServices)
+
+const HEADER_ALIASES = {
+  name: ['name', 'venue', 'title'],
+  address: ['address', 'destination', 'location'],
+  selfParking: ['self-parking', 'self parking', 'selfparking', 'self_parking', 'parking'],
+}
+
+function findColumn(header, aliases) {
+  return header.findIndex((cell) => aliases.includes(cell.trim().toLowerCase()))
+}
+
+// Reads name, address and optional self-parking columns. Without a recognizable header row,
+// columns are taken in that order.
+export function readBatchRows(text) {
+  const table = parseCsv(text)
+  if (table.length === 0) return []
+
+  const header = table[0]
+  let columns = {
+    name: findColumn(header, HEADER_ALIASES.name),
+    address: findColumn(header, HEADER_ALIASES.address),
+    selfParking: findColumn(header, HEADER_ALIASES.selfParking),
+  }
+  let body = table.slice(1)
+  if (columns.address === -1) {
+    columns = { name: 0, address: 1, selfParking: 2 }
+    body = table
+  }
+
+  const cell = (row, index) => (index >= 0 ? (row[index] || '').trim() : '')
+  return body
+    .map((row, i) => ({
+      id: i + 1,
+      name: cell(row, columns.name),
+      address: cell(row, columns.address),
+      selfParking: cell(row, columns.selfParking),
+    }))
+    .filter((row) => row.address)
+}
+
+// Runs the same pipeline as the single-destination form for one CSV row
+export async function narrateBatchRow(row, origin, { restrictToUS = true, travelMode = 'driving', language = 'en', template, units, stepDistances } = {}) {
+  // A bare coordinate pair is labelled with the row's name rather than the numbers
+  const place = await pipeline.resolvePlace(row.address, { country: restrictToUS ? 'US' : '' })
+  const destination = parseCoordsFromInput(row.address) ? { ...place, label: row.name || row.address } : place
+
+  let routingDestination = destination
+  if (row.selfParking) {
+    routingDestination = await pipeline.resolveParking(row.selfParking)
+    if (!routingDestination) throw new Error(`Self-parking location not found: ${row.selfParking}`)
+  }
+
+  const inputs = { origin, destination, stops: [], travelMode, avoid: [], tone: template, units, stepDistances }
+  const { maneuvers, legs } = await pipeline.loadRoute(inputs, routingDestination, { language })
+  const { prose } = await apiServices.generateProse(prosePayload(inputs, { maneuvers, legs, language }))
+  const links = mapLinks(inputs, routingDestination, language)
+  return {
+    destinationLabel: routingDestination.label,
+    prose,
+    googleMapsUrl: links.google,
+    appleMapsUrl: links.apple,
+  }
+}
+
+// Calls worker for each item with at most `limit` in flight at once
+export async function runWithConcurrency(items, limit, worker) {
+  const queue = [...items]
+  const next = async () => {
+    while (queue.length > 0) {
+      await worker(queue.shift())
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, queue.length) }, next))
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+// One per batch run. run(task) retries a task the server rate-limited once Retry-After has passed,
+// and until then holds back every other row as well, so the queue slows to what the server's
+// limits allow instead of failing rows.
+export function createRateLimitPacer() {
+  let resumeAt = 0
+  return {
+    async run(task) {
+      for (let retries = 0; ; retries++) {
+        const wait = resumeAt - Date.now()
+        if (wait > 0) await sleep(wait)
+        try {
+          return await task()
+        } catch (err) {
+          if (err.status !== 429 || retries >= RATE_LIMIT_RETRIES) throw err
+          resumeAt = Math.max(resumeAt, Date.now() + (err.retryAfter || RATE_LIMIT_WAIT_SECONDS) * 1000)
+        }
+      }
+    },
+  }
+}
+
+// Spreadsheets run a cell that starts with =, +, - or @ as a formula, so an uploaded name or
+// address could; a leading ' makes them show it as text instead
+function spreadsheetText(value) {
+  return typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : value
+}
+
+export function batchToCsv(rows) {
+  return toCsv([
+    ['name', 'address', 'self_parking', 'narrative', 'google_maps_url', 'apple_maps_url', 'error'],
+    ...rows.map((row) =>
+      [
+        row.name,
+        row.address,
+        row.selfParking,
+        row.result?.prose,
+        row.result?.googleMapsUrl,
+        row.result?.appleMapsUrl,
+        row.error,
+      ].map(spreadsheetText),
+    ),
+  ])
+}
+
+export function batchToMarkdown(rows, origin, { language } = {}) {
+  const labels = getLanguage(language)
+  const sections = rows.map((row) => {
+    const lines = [`## ${row.name || row.address}`, '', row.address]
+    if (row.selfParking) lines.push('', `Self-parking: ${row.result?.destinationLabel || row.selfParking}`)
+    if (row.result) {
+      lines.push('', row.result.prose, '', `[${labels.googleLink}](${row.result.googleMapsUrl}) · [${labels.appleLink}](${row.result.appleMapsUrl})`)
+    } else {
+      lines.push('', `_Not generated: ${row.error || 'pending'}_`)
+    }
+    return lines.join('\n')
+  })
+  return [`# Directions from ${origin?.label || 'origin'}`, ...sections].join('\n\n') + '\n'
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+export function batchToHtml(rows, origin, { language } = {}) {
+  const labels = getLanguage(language)
+  const title = `Directions from ${escapeHtml(origin?.label || 'origin')}`
+  const sections = rows.map((row) => {
+    const parts = [`<h2>${escapeHtml(row.name || row.address)}</h2>`, `<p class="address">${escapeHtml(row.address)}</p>`]
+    if (row.result) {
+      parts.push(
+        `<p>${escapeHtml(row.result.prose)}</p>`,
+        `<p>[<a href="${escapeHtml(row.result.googleMapsUrl)}">${escapeHtml(labels.googleLink)}</a>]&nbsp;&nbsp;[<a href="${escapeHtml(row.result.appleMapsUrl)}">${escapeHtml(labels.appleLink)}</a>]</p>`,
+      )
+    } else {
+      parts.push(`<p><em>Not generated: ${escapeHtml(row.error || 'pending')}</em></p>`)
+    }
+    return `<section>${parts.join('')}</section>`
+  })
+  return [
+    '<!doctype html>',
+    `<html lang="${labels.id}"><head><meta charset="UTF-8"><title>${title}</title>`,
+    '<style>body{font-family:Arial;font-size:10pt;max-width:48rem;margin:2rem auto}h2{font-size:12pt;margin-bottom:0}.address{color:#64748b;margin-top:0}a{color:#dc2626}</style>',
+    `</head><body><h1>${title}</h1>${sections.join('')}</body></html>`,
+  ].join('\n')
+}
@@ -0,0 +1,35 @@
+// Word-level diff for comparing an edited narrative with freshly generated output. Returns
+// [{ type: 'same' | 'added' | 'removed', text }] with whitespace kept, so joining every part
+// that isn't 'removed' gives `after` back.
+export function diffWords(before, after) {
+  const a = before.split(/(\s+)/).filter(Boolean)
+  const b = after.split(/(\s+)/).filter(Boolean)
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1))
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+    }
+  }
+
+  const parts = []
+  const push = (type, text) => {
+    const last = parts[parts.length - 1]
+    if (last?.type === type) last.text += text
+    else parts.push({ type, text })
+  }
+  let i = 0
+  let j = 0
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      push('same', a[i])
+      i++
+      j++
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      push('removed', a[i++])
+    } else {
+      push('added', b[j++])
+    }
+  }
+  return parts
+}
@@ -0,0 +1,50 @@
+// Route data helpers shared by the browser and the server (see lib/pipeline)
+
+export function parseCoordsFromInput(input) {
+  const s = input.trim()
+  if (!s) return null
+
+  const googleMatch = s.match(/@(-?\d+\.?\d*),(-?\d+\.?\d*)/) ||
+    s.match(/\/dir\/\/\s*(-?\d+\.?\d*)\s*,\s*(-?\d+\.?\d*)/) ||
+    s.match(/[?&](?:q|query)=(-?\d+\.?\d*)\s*,\s*(-?\d+\.?\d*)/)
+  if (googleMatch) {
+    const a = parseFloat(googleMatch[1])
+    const b = parseFloat(googleMatch[2])
+    const lat = Math.abs(a) <= 90 ? a : b
+    const lng = Math.abs(b) <= 180 ? b : a
+    if (Math.abs(lat) <= 90 && Math.abs(lng) <= 180) return [lng, lat]
+  }
+
+  const twoNumbers = s.match(/^(-?\d+\.?\d*)\s*[,]\s*(-?\d+\.?\d*)\s*$/)
+  if (twoNumbers) {
+    const a = parseFloat(twoNumbers[1])
+    const b = parseFloat(twoNumbers[2])
+    const lat = Math.abs(a) <= 90 ? a : b
+    const lng = Math.abs(b) <= 180 ? b : a
+    if (Math.abs(lat) <= 90 && Math.abs(lng) <= 180) return [lng, lat]
+  }
+
+  return null
+}
+
+// One array of instructions per leg (a leg runs between two consecutive points)
+export function extractLegManeuvers(route) {
+  if (!route?.legs) return []
+  return route.legs.map((leg) => leg.steps.map((step) => step.instruction).filter(Boolean))
+}
+
+export function extractManeuvers(route) {
+  return extractLegManeuvers(route).flat()
+}
+
+// Legs in the shape /api/generate-prose expects. points are the { label } places the route
+// was requested through, in order.
+export function buildProseLegs(route, points, travelMode = route?.profile) {
+  return (route?.legs || []).map((leg, i) => ({
+    from: points[i]?.label,
+    to: points[i + 1]?.label,
+    maneuvers: leg.steps.map((step) => step.instruction).filter(Boolean),
+    steps: leg.steps,
+    travelMode,
+  }))
+}
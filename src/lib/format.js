@@ -0,0 +1,73 @@
+import { getLanguage } from './languages.js'
+
+const METERS_PER_MILE = 1609.344
+
+export function formatDistance(meters, units = 'imperial') {
+  if (units === 'metric') {
+    return meters >= 1000 ? `${(meters / 1000).toFixed(1)} km` : `${Math.round(meters)} m`
+  }
+  const miles = meters / METERS_PER_MILE
+  return miles >= 0.1 ? `${miles.toFixed(1)} mi` : `${Math.round(meters * 3.28084)} ft`
+}
+
+export function formatDuration(seconds) {
+  const minutes = Math.max(1, Math.round(seconds / 60))
+  if (minutes < 60) return `${minutes} min`
+  const hours = Math.floor(minutes / 60)
+  const rest = minutes % 60
+  return rest ? `${hours} hr ${rest} min` : `${hours} hr`
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? '' : 's'}`
+}
+
+// English spells units out ("14.2 miles, 1 hour 5 minutes"); other languages use the symbols
+function summaryParts(distance, duration, units, spelled) {
+  const minutes = Math.max(1, Math.round(duration / 60))
+  const hours = Math.floor(minutes / 60)
+  const rest = minutes % 60
+  if (!spelled) {
+    const time = hours ? `${hours} h${rest ? ` ${rest} min` : ''}` : `${minutes} min`
+    return { distance: formatDistance(distance, units), duration: time }
+  }
+  const value = units === 'metric' ? distance / 1000 : distance / METERS_PER_MILE
+  const word = units === 'metric' ? 'kilometer' : 'mile'
+  const time = hours ? `${plural(hours, 'hour')}${rest ? ` ${plural(rest, 'minute')}` : ''}` : plural(minutes, 'minute')
+  return { distance: `${value.toFixed(1)} ${word}${value.toFixed(1) === '1.0' ? '' : 's'}`, duration: time }
+}
+
+// "About 14.2 miles, roughly 22 minutes." in the narrative's language
+export function formatTripSummary({ distance, duration }, { units = 'imperial', language = 'en' } = {}) {
+  const parts = summaryParts(distance, duration, units, language === 'en')
+  return getLanguage(language).summary.replace('{distance}', parts.distance).replace('{duration}', parts.duration)
+}
+
+// Timing times are local wall-clock "YYYY-MM-DDThh:mm" strings at the origin, as Mapbox takes them.
+// They are read and written as UTC so no time zone conversion happens along the way.
+export function formatClockTime(localTime, language = 'en') {
+  return new Date(`${localTime}Z`).toLocaleTimeString(language, { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' })
+}
+
+// "Leave by 5:38 PM to arrive by 6:00 PM." for timing { mode: 'arrive' | 'depart', departAt, arriveAt }
+export function formatTripTiming(timing, language = 'en') {
+  const labels = getLanguage(language)
+  const template = timing.mode === 'arrive' ? labels.leaveBy : labels.arriveAround
+  return template
+    .replace('{depart}', formatClockTime(timing.departAt, language))
+    .replace('{arrive}', formatClockTime(timing.arriveAt, language))
+}
+
+// The summary line with the departure or arrival time when there is one (timing as above)
+export function formatSummaryLine(trip, { units, language = 'en', timing } = {}) {
+  const summary = formatTripSummary(trip, { units, language })
+  return timing && !timing.error ? `${summary} ${formatTripTiming(timing, language)}` : summary
+}
+
+// One text for copying and downloads: the summary line and the narrative, then the return trip under
+// its own heading when there is one. Blank lines separate the paragraphs.
+export function composeNarrative({ summary, prose, returnSummary, returnProse }, language = 'en') {
+  if (!returnProse) return [summary, prose].filter(Boolean).join('\n\n')
+  const labels = getLanguage(language)
+  return [labels.outboundHeading, summary, prose, labels.returnHeading, returnSummary, returnProse].filter(Boolean).join('\n\n')
+}
@@ -0,0 +1,85 @@
+// Narrative languages. id is also the Mapbox Directions `language` and Google Maps `hl` value;
+// name is what the prose prompt asks for. title, summary, leaveBy and arriveAround are templates
+// for document titles and the trip summary line; the headings separate a return trip from the
+// way there. The server imports this file too.
+export const LANGUAGES = [
+  {
+    id: 'en',
+    label: 'English',
+    name: 'English',
+    googleLink: 'Open in Google Maps',
+    appleLink: 'Open in Apple Maps',
+    title: 'Directions to {place}',
+    summary: 'About {distance}, roughly {duration}.',
+    leaveBy: 'Leave by {depart} to arrive by {arrive}.',
+    arriveAround: 'Leaving at {depart}, expect to arrive around {arrive}.',
+    outboundHeading: 'Getting there',
+    returnHeading: 'Getting back',
+  },
+  {
+    id: 'es',
+    label: 'Español',
+    name: 'Spanish',
+    googleLink: 'Abrir en Google Maps',
+    appleLink: 'Abrir en Apple Maps',
+    title: 'Cómo llegar a {place}',
+    summary: 'Unos {distance}, aproximadamente {duration}.',
+    leaveBy: 'Salga a las {depart} para llegar a las {arrive}.',
+    arriveAround: 'Saliendo a las {depart}, llegará hacia las {arrive}.',
+    outboundHeading: 'Ida',
+    returnHeading: 'Regreso',
+  },
+  {
+    id: 'pt',
+    label: 'Português',
+    name: 'Portuguese',
+    googleLink: 'Abrir no Google Maps',
+    appleLink: 'Abrir no Apple Maps',
+    title: 'Como chegar a {place}',
+    summary: 'Cerca de {distance}, aproximadamente {duration}.',
+    leaveBy: 'Saia às {depart} para chegar às {arrive}.',
+    arriveAround: 'Saindo às {depart}, a chegada é prevista por volta das {arrive}.',
+    outboundHeading: 'Ida',
+    returnHeading: 'Volta',
+  },
+  {
+    id: 'fr',
+    label: 'Français',
+    name: 'French',
+    googleLink: 'Ouvrir dans Google Maps',
+    appleLink: 'Ouvrir dans Plans',
+    title: 'Itinéraire vers {place}',
+    summary: 'Environ {distance}, soit environ {duration}.',
+    leaveBy: 'Partez à {depart} pour arriver à {arrive}.',
+    arriveAround: 'En partant à {depart}, arrivée prévue vers {arrive}.',
+    outboundHeading: 'Aller',
+    returnHeading: 'Retour',
+  },
+  {
+    id: 'ja',
+    label: '日本語',
+    name: 'Japanese',
+    googleLink: 'Google マップで開く',
+    appleLink: 'Apple マップで開く',
+    title: '{place}への道順',
+    summary: '約{distance}、所要時間は約{duration}。',
+    leaveBy: '{arrive}に到着するには{depart}に出発してください。',
+    arriveAround: '{depart}に出発すると、{arrive}ごろに到着する見込みです。',
+    outboundHeading: '行き',
+    returnHeading: '帰り',
+  },
+]
+
+export const DEFAULT_LANGUAGE = 'en'
+
+export function getLanguage(id) {
+  return LANGUAGES.find((l) => l.id === id) || LANGUAGES[0]
+}
+
+export function isSupportedLanguage(id) {
+  return LANGUAGES.some((l) => l.id === id)
+}
+
+export function documentTitle(language, place) {
+  return getLanguage(language).title.replace('{place}', place)
+}
@@ -0,0 +1,43 @@
+import { getTravelMode } from './travelModes.js'
+
+// Google's api=1 URLs can't express avoidances, but the older saddr/daddr form takes dirflg
+// letters: h avoids highways, t avoids tolls. There's no ferry flag.
+function buildLegacyGoogleMapsUrl(destination, waypoints, avoid, language) {
+  const coords = destination?.coordinates
+  const target = coords ? `${coords[1]},${coords[0]}` : destination?.label
+  if (!target) return ''
+  const stops = waypoints.filter((w) => w?.coordinates).map((w) => `${w.coordinates[1]},${w.coordinates[0]}`)
+  const daddr = [...stops, target].map(encodeURIComponent).join('+to:')
+  const flags = `${avoid.includes('motorway') ? 'h' : ''}${avoid.includes('toll') ? 't' : ''}`
+  return `https://www.google.com/maps?daddr=${daddr}&dirflg=${flags}${language ? `&hl=${language}` : ''}`
+}
+
+// avoid uses the Mapbox exclude names: toll, motorway, ferry. language sets Google's interface
+// language (hl).
+export function buildGoogleMapsUrl(destination, waypoints = [], { travelMode, avoid = [], language } = {}) {
+  const drivingAvoid = (!travelMode || travelMode.startsWith('driving')) && (avoid.includes('toll') || avoid.includes('motorway'))
+  if (drivingAvoid) return buildLegacyGoogleMapsUrl(destination, waypoints, avoid, language)
+  const coords = destination?.coordinates
+  const params = new URLSearchParams({ api: '1' })
+  if (coords) params.set('destination', `${coords[1]},${coords[0]}`)
+  else if (destination?.label) params.set('destination', destination.label)
+  else return ''
+  const stops = waypoints.filter((w) => w?.coordinates).map((w) => `${w.coordinates[1]},${w.coordinates[0]}`)
+  if (stops.length > 0) params.set('waypoints', stops.join('|'))
+  if (travelMode) params.set('travelmode', getTravelMode(travelMode).google)
+  if (language) params.set('hl', language)
+  return `https://www.google.com/maps/dir/?${params.toString()}`
+}
+
+// Use https so the link is clickable on mobile (maps:// is often blocked in browsers).
+// Apple Maps URLs take no avoidance or language options.
+export function buildAppleMapsUrl(destination, waypoints = [], { travelMode } = {}) {
+  const coords = destination?.coordinates
+  const target = coords ? `${coords[1]},${coords[0]}` : destination?.label
+  if (!target) return ''
+  // Apple Maps chains multiple destinations with "to:" inside daddr
+  const stops = waypoints.filter((w) => w?.coordinates).map((w) => `${w.coordinates[1]},${w.coordinates[0]}`)
+  const daddr = [...stops, target].map(encodeURIComponent).join('+to:')
+  const dirflg = travelMode && getTravelMode(travelMode).apple
+  return `https://maps.apple.com/?daddr=${daddr}${dirflg ? `&dirflg=${dirflg}` : ''}`
+}
@@ -0,0 +1,37 @@
+// The default preset is a per-browser choice, so it lives in localStorage rather than on the server
+const DEFAULT_ORIGIN_KEY = 'narrative-directions:default-origin'
+
+export function getDefaultOriginId() {
+  try {
+    return localStorage.getItem(DEFAULT_ORIGIN_KEY)
+  } catch {
+    return null
+  }
+}
+
+export function setDefaultOriginId(id) {
+  try {
+    if (id) localStorage.setItem(DEFAULT_ORIGIN_KEY, id)
+    else localStorage.removeItem(DEFAULT_ORIGIN_KEY)
+  } catch {
+    // Storage can be unavailable (private mode); the default just won't persist
+  }
+}
+
+// The user's default preset, falling back to the first one
+export function pickDefaultOrigin(presets, defaultId = getDefaultOriginId()) {
+  return presets.find((p) => p.id === defaultId) || presets[0] || null
+}
+
+// The preset the current origin was picked from, if any
+export function findOriginPreset(presets, origin) {
+  if (!origin?.coordinates) return null
+  return (
+    presets.find(
+      (p) =>
+        p.label === origin.label &&
+        p.coordinates?.[0] === origin.coordinates[0] &&
+        p.coordinates?.[1] === origin.coordinates[1],
+    ) || null
+  )
+}
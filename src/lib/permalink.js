@@ -0,0 +1,83 @@
+import { TRAVEL_MODES } from './travelModes'
+import { DEFAULT_LANGUAGE, isSupportedLanguage } from './languages'
+
+// Form inputs in the query string, so a link restores the form. Places travel as "lng,lat,label"
+// and options only when they differ from the defaults. Generated narratives aren't part of it;
+// those are shared as short links (/r/:id).
+const AVOID_OPTIONS = ['toll', 'motorway', 'ferry']
+const LOCAL_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/
+
+function placeParam(place) {
+  if (!place?.coordinates) return null
+  const [lng, lat] = place.coordinates
+  return `${+lng.toFixed(6)},${+lat.toFixed(6)},${place.label}`
+}
+
+function readPlace(value) {
+  const match = value?.match(/^(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?),([\s\S]+)$/)
+  if (!match) return null
+  const coordinates = [Number(match[1]), Number(match[2])]
+  if (Math.abs(coordinates[0]) > 180 || Math.abs(coordinates[1]) > 90) return null
+  return { label: match[3], coordinates }
+}
+
+function readList(value, allowed) {
+  return (value || '').split(',').filter((item) => allowed(item))
+}
+
+// inputs as built by App's currentInputs; resolves to the query string without the leading "?"
+export function inputsToSearch(inputs) {
+  const params = new URLSearchParams()
+  const set = (key, value) => {
+    if (value) params.set(key, value)
+  }
+  set('from', placeParam(inputs.origin))
+  set('to', placeParam(inputs.destination))
+  for (const stop of inputs.stops) {
+    const value = placeParam(stop)
+    if (value) params.append('via', value)
+  }
+  set('park', inputs.selfParkingOverride.trim())
+  set('intl', inputs.includeInternational && '1')
+  set('mode', inputs.travelMode !== 'driving' && inputs.travelMode)
+  set('avoid', inputs.avoid.join(','))
+  set('walk', inputs.walkFromParking && '1')
+  set('lang', inputs.language !== DEFAULT_LANGUAGE && inputs.language)
+  set('also', inputs.extraLanguages.join(','))
+  set('tone', inputs.tone !== 'default' && inputs.tone)
+  set('units', inputs.units !== 'imperial' && inputs.units)
+  set('dist', inputs.stepDistances && '1')
+  if (inputs.schedule.mode !== 'none') set(inputs.schedule.mode, inputs.schedule.time)
+  set('return', inputs.includeReturn && '1')
+  set('landmarks', inputs.includeLandmarks && '1')
+  set('plain', inputs.plainMode && '1')
+  return params.toString()
+}
+
+// The inputs a query string carries, or null when it has none. Values that don't make sense are
+// dropped, so a mangled link still restores what it can.
+export function searchToInputs(search) {
+  const params = new URLSearchParams(search)
+  if (!params.has('from') && !params.has('to')) return null
+  const language = isSupportedLanguage(params.get('lang')) ? params.get('lang') : DEFAULT_LANGUAGE
+  const scheduleMode = ['depart', 'arrive'].find((mode) => LOCAL_TIME.test(params.get(mode) || ''))
+  return {
+    origin: readPlace(params.get('from')),
+    destination: readPlace(params.get('to')),
+    stops: params.getAll('via').map(readPlace).filter(Boolean),
+    selfParkingOverride: params.get('park') || '',
+    includeInternational: params.get('intl') === '1',
+    travelMode: TRAVEL_MODES.some((m) => m.id === params.get('mode')) ? params.get('mode') : 'driving',
+    avoid: readList(params.get('avoid'), (id) => AVOID_OPTIONS.includes(id)),
+    walkFromParking: params.get('walk') === '1',
+    language,
+    extraLanguages: readList(params.get('also'), (id) => isSupportedLanguage(id) && id !== language),
+    tone: params.get('tone') || 'default',
+    units: params.get('units') === 'metric' ? 'metric' : 'imperial',
+    stepDistances: params.get('dist') === '1',
+    schedule: scheduleMode ? { mode: scheduleMode, time: params.get(scheduleMode) } : { mode: 'none', time: '' },
+    includeReturn: params.get('return') === '1',
+    includeLandmarks: params.get('landmarks') === '1',
+    plainMode: params.get('plain') === '1',
+  }
+}
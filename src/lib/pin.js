@@ -0,0 +1,4 @@
+// The red map pin used beside map links, in exports and on the route overview
+export const PIN_COLOR = '#dc2626'
+export const PIN_PATH = 'M12 0C5.373 0 0 5.373 0 12c0 9 12 24 12 24s12-15 12-24C24 5.373 18.627 0 12 0zm0 17a5 5 0 1 1 0-10 5 5 0 0 1 0 10z'
+export const PIN_VIEWBOX = { width: 24, height: 36 }
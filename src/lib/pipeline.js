@@ -0,0 +1,306 @@
+// The narrative pipeline without the UI: places, self-parking, route, maneuvers, landmarks, prose,
+// summary and map links. Services are passed in, so the same steps run in the browser (through
+// /api, see apiServices in lib/api) and on the server and CLI (calling Mapbox and the LLM
+// directly, see server/pipeline.js). The server imports this file too.
+//
+// services:
+//   geocode(query, { country }) → { label, coordinates } or null
+//   route(coordinates, { profile, exclude, alternatives, language }) → a route as /api/route returns it
+//   generateProse(payload, { signal }) → as /api/generate-prose
+//   tripTiming(coordinates, { exclude, departAt, arriveBy, walkSeconds }, { signal }) → as /api/route/timing
+//   findLandmarks(legs, { language }, { signal }) → as /api/landmarks
+//
+// inputs are the form's fields (App's currentInputs): { origin, destination, stops, selfParkingOverride,
+// travelMode, avoid, walkFromParking, includeReturn, includeLandmarks, plainMode, language, tone,
+// units, stepDistances, schedule }, with places as { label, coordinates }.
+import { parseCoordsFromInput, extractManeuvers, buildProseLegs } from './directions.js'
+import { buildGoogleMapsUrl, buildAppleMapsUrl } from './mapLinks.js'
+import { formatSummaryLine, composeNarrative } from './format.js'
+import { isDrivingMode } from './travelModes.js'
+import { DEFAULT_LANGUAGE } from './languages.js'
+
+// Errors in what the caller asked for, as opposed to a failing service; the server answers 400
+function inputError(message) {
+  return Object.assign(new Error(message), { status: 400 })
+}
+
+function coordinatesLabel([lng, lat]) {
+  return `${lat.toFixed(5)}, ${lng.toFixed(5)}`
+}
+
+export function routePoints(inputs, routingDestination) {
+  return [inputs.origin, ...inputs.stops, routingDestination]
+}
+
+// Whether the route drives to a parking spot and walks on to the venue
+function walksFromParking(inputs, routingDestination) {
+  return inputs.walkFromParking && isDrivingMode(inputs.travelMode) && routingDestination !== inputs.destination
+}
+
+export function createPipeline(services) {
+  // An address, "lat,lng" or map URL, [lng, lat], or a place that already has coordinates
+  async function resolvePlace(value, { country = 'US' } = {}) {
+    if (value?.coordinates) return { label: value.label || coordinatesLabel(value.coordinates), coordinates: value.coordinates }
+    if (Array.isArray(value)) return { label: coordinatesLabel(value), coordinates: value }
+    const text = typeof value === 'string' ? value.trim() : ''
+    if (!text) return null
+    const coords = parseCoordsFromInput(text)
+    if (coords) return { label: text, coordinates: coords }
+    const place = await services.geocode(text, { country })
+    if (!place) throw inputError(`Address not found: ${text}`)
+    return place
+  }
+
+  // The self-parking field: coordinates, a map link or an address. Resolves to null when nothing matches.
+  async function resolveParking(input) {
+    if (!input?.trim()) return null
+    const coords = parseCoordsFromInput(input)
+    if (coords) return { label: `Self-parking (${coordinatesLabel(coords)})`, coordinates: coords }
+    const result = await services.geocode(input.trim(), { country: 'US' })
+    return result ? { ...result, label: result.label || 'Self-parking' } : null
+  }
+
+  // Where the route ends: the self-parking spot when one is given and found, otherwise the destination
+  async function resolveRoutingDestination(inputs) {
+    return (await resolveParking(inputs.selfParkingOverride)) || inputs.destination
+  }
+
+  // Route, prose legs and maneuvers with instructions in one language. Pass `directions` to use a
+  // route that was already fetched (a compared alternative) instead of the recommended one.
+  async function loadRoute(inputs, routingDestination, { language, directions: chosen, signal } = {}) {
+    const points = routePoints(inputs, routingDestination)
+    const directions =
+      chosen ||
+      (await services.route(
+        points.map((p) => p.coordinates),
+        { profile: inputs.travelMode, exclude: inputs.avoid, language },
+        { signal },
+      ))
+    const maneuvers = extractManeuvers(directions)
+    if (maneuvers.length === 0) {
+      throw new Error('No route found between these locations.')
+    }
+
+    const legs = buildProseLegs(directions, points)
+    const mapLines = [{ geometry: directions.geometry, mode: inputs.travelMode }]
+    const trip = { distance: directions.distance, duration: directions.duration, walkDuration: 0 }
+    // Drive to the parking spot, then add the walk from there to the venue as its own leg
+    const { destination: venue } = inputs
+    if (walksFromParking(inputs, routingDestination)) {
+      const walk = await services.route(
+        [routingDestination.coordinates, venue.coordinates],
+        { profile: 'walking', language },
+        { signal },
+      )
+      legs.push(...buildProseLegs(walk, [routingDestination, venue]))
+      maneuvers.push(...extractManeuvers(walk))
+      mapLines.push({ geometry: walk.geometry, mode: 'walking' })
+      trip.distance += walk.distance
+      trip.duration += walk.duration
+      trip.walkDuration = walk.duration
+    }
+    return { directions, maneuvers, legs, mapLines, trip }
+  }
+
+  // The way back is routed on its own, since one-way streets make it a different route. It starts
+  // where the car is: the parking spot, after walking back to it if the walk there was included.
+  // Stops are visits on the way there, so it heads straight back to the starting point.
+  async function loadReturnRoute(inputs, routingDestination, { language, signal } = {}) {
+    const { origin, destination: venue } = inputs
+    const legs = []
+    const maneuvers = []
+    const trip = { distance: 0, duration: 0 }
+    const add = (route, points) => {
+      legs.push(...buildProseLegs(route, points))
+      maneuvers.push(...extractManeuvers(route))
+      trip.distance += route.distance
+      trip.duration += route.duration
+    }
+    if (walksFromParking(inputs, routingDestination)) {
+      const walk = await services.route(
+        [venue.coordinates, routingDestination.coordinates],
+        { profile: 'walking', language },
+        { signal },
+      )
+      add(walk, [venue, routingDestination])
+    }
+    const directions = await services.route(
+      [routingDestination.coordinates, origin.coordinates],
+      { profile: inputs.travelMode, exclude: inputs.avoid, language },
+      { signal },
+    )
+    add(directions, [routingDestination, origin])
+    if (maneuvers.length === 0) {
+      throw new Error('No route found for the way back.')
+    }
+    return { maneuvers, legs, trip }
+  }
+
+  // Landmark hints for the prose legs when they are turned on. The rule-based writer can't use them.
+  async function findLandmarks(inputs, legs, { language, signal } = {}) {
+    if (!inputs.includeLandmarks || inputs.plainMode) return []
+    return services.findLandmarks(legs, { language }, { signal })
+  }
+
+  // Driving times for the form's depart-at / arrive-by time, or null when there is none
+  async function tripTiming(inputs, routingDestination, trip, { signal } = {}) {
+    const { mode, time } = inputs.schedule || {}
+    if (!isDrivingMode(inputs.travelMode) || !mode || mode === 'none' || !time) return null
+    return services.tripTiming(
+      routePoints(inputs, routingDestination).map((p) => p.coordinates),
+      {
+        exclude: inputs.avoid,
+        [mode === 'arrive' ? 'arriveBy' : 'departAt']: time.slice(0, 16),
+        walkSeconds: Math.round(trip.walkDuration || 0),
+      },
+      { signal },
+    )
+  }
+
+  // Route and a non-streamed narrative for the way back, in one language. Landmarks are a bonus
+  // here: if they can't be found the way back is written without them. refresh asks for a newly
+  // written narrative rather than a cached one.
+  async function writeReturnTrip(inputs, routingDestination, { language, refresh, signal } = {}) {
+    const { maneuvers, legs, trip } = await loadReturnRoute(inputs, routingDestination, { language, signal })
+    const landmarks = await findLandmarks(inputs, legs, { language, signal }).catch((err) => {
+      if (err.name === 'AbortError') throw err
+      return []
+    })
+    const result = await services.generateProse(prosePayload(inputs, { maneuvers, legs, language, landmarks, refresh }), {
+      signal,
+    })
+    return {
+      prose: result.prose,
+      maneuvers,
+      legs,
+      landmarks,
+      distance: trip.distance,
+      duration: trip.duration,
+      verification: result.verification || null,
+      fallback: !!result.fallback,
+    }
+  }
+
+  // Everything the form's inputs produce in their main language, in one go: the way the server and
+  // CLI use the pipeline. Unlike the form, a self-parking spot that can't be found is an error.
+  // Landmark and timing lookups that fail only add a warning.
+  async function narrate(inputs, { signal } = {}) {
+    const language = inputs.language || DEFAULT_LANGUAGE
+    const warnings = []
+    let routingDestination = inputs.destination
+    if (inputs.selfParkingOverride?.trim()) {
+      routingDestination = await resolveParking(inputs.selfParkingOverride)
+      if (!routingDestination) throw inputError(`Self-parking location not found: ${inputs.selfParkingOverride.trim()}`)
+    }
+
+    const { directions, maneuvers, legs, trip } = await loadRoute(inputs, routingDestination, { language, signal })
+    // The narrative, timing and way back run side by side. When one of them fails the others are
+    // stopped, so they don't go on calling Mapbox and spending LLM tokens on a result nobody gets.
+    const failed = new AbortController()
+    const branchSignal = signal ? AbortSignal.any([signal, failed.signal]) : failed.signal
+    const stopOthers = (done) =>
+      done?.catch((err) => {
+        failed.abort()
+        throw err
+      })
+    const timingDone = tripTiming(inputs, routingDestination, trip, { signal: branchSignal }).catch((err) => {
+      if (err.name === 'AbortError') throw err
+      warnings.push(`Timing: ${err.message}`)
+      return null
+    })
+    const returnDone = inputs.includeReturn
+      ? writeReturnTrip(inputs, routingDestination, { language, signal: branchSignal })
+      : null
+    const proseDone = (async () => {
+      let landmarks = []
+      try {
+        landmarks = await findLandmarks(inputs, legs, { language, signal: branchSignal })
+      } catch (err) {
+        if (err.name === 'AbortError') throw err
+        warnings.push(`Landmarks: ${err.message}`)
+      }
+      const result = await services.generateProse(prosePayload(inputs, { maneuvers, legs, language, landmarks }), {
+        signal: branchSignal,
+      })
+      return { result, landmarks }
+    })()
+    const [{ result, landmarks }, timing, wayBack] = await Promise.all([proseDone, timingDone, returnDone].map(stopOthers))
+
+    const summary = formatSummaryLine(trip, { units: inputs.units, language, timing })
+    const returnTrip = wayBack && {
+      summary: formatSummaryLine(wayBack, { units: inputs.units, language }),
+      prose: wayBack.prose,
+      maneuvers: wayBack.maneuvers,
+      landmarks: wayBack.landmarks,
+      distance: wayBack.distance,
+      duration: wayBack.duration,
+      verification: wayBack.verification,
+    }
+    return {
+      origin: inputs.origin,
+      destination: inputs.destination,
+      stops: inputs.stops,
+      parking: routingDestination !== inputs.destination ? routingDestination : null,
+      travelMode: inputs.travelMode,
+      language,
+      summary,
+      prose: result.prose,
+      narrative: composeNarrative(
+        { summary, prose: result.prose, returnSummary: returnTrip?.summary, returnProse: returnTrip?.prose },
+        language,
+      ),
+      maneuvers,
+      landmarks,
+      distance: trip.distance,
+      duration: trip.duration,
+      mainRoads: directions.mainRoads || [],
+      timing,
+      returnTrip,
+      links: mapLinks(inputs, routingDestination, language),
+      provider: result.provider,
+      model: result.model,
+      verification: result.verification || null,
+      fallback: !!result.fallback,
+      ...(result.fallback ? { fallbackReason: result.fallbackReason } : {}),
+      cached: !!result.cached,
+      warnings,
+    }
+  }
+
+  return {
+    resolvePlace,
+    resolveParking,
+    resolveRoutingDestination,
+    loadRoute,
+    loadReturnRoute,
+    findLandmarks,
+    tripTiming,
+    writeReturnTrip,
+    narrate,
+  }
+}
+
+// The /api/generate-prose body for a route in one language. refresh skips the server's narrative cache.
+export function prosePayload(inputs, { maneuvers, legs, language, landmarks = [], refresh = false }) {
+  return {
+    maneuvers,
+    legs,
+    travelMode: inputs.travelMode,
+    language,
+    template: inputs.tone,
+    units: inputs.units,
+    stepDistances: !!inputs.stepDistances,
+    landmarks,
+    mode: inputs.plainMode ? 'plain' : undefined,
+    ...(refresh ? { refresh: true } : {}),
+  }
+}
+
+// Google and Apple Maps links to the routing destination through the stops: { google, apple }
+export function mapLinks(inputs, routingDestination, language) {
+  const waypoints = inputs.stops || []
+  return {
+    google: buildGoogleMapsUrl(routingDestination, waypoints, { travelMode: inputs.travelMode, avoid: inputs.avoid, language }),
+    apple: buildAppleMapsUrl(routingDestination, waypoints, { travelMode: inputs.travelMode }),
+  }
+}
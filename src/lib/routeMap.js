@@ -0,0 +1,132 @@
+// Route overview drawn from the Directions geometry as plain SVG, so it needs no tile service.
+// The server imports this too (for exports), so it only imports other dependency-free modules.
+import { PIN_COLOR, PIN_PATH, PIN_VIEWBOX } from './pin.js'
+
+export const ROUTE_MAP_SIZE = { width: 600, height: 360 }
+
+const LINE_COLORS = { driving: '#2563eb', walking: '#0f766e', cycling: '#7c3aed' }
+const PIN_COLORS = { end: PIN_COLOR, parking: '#1d4ed8' }
+const PIN_HEIGHT = 28
+
+// Google's encoded polyline format; returns [lng, lat] pairs
+export function decodePolyline(encoded, precision = 5) {
+  const factor = 10 ** precision
+  const points = []
+  let index = 0
+  let lat = 0
+  let lng = 0
+  const next = () => {
+    let result = 0
+    let shift = 0
+    let byte
+    do {
+      byte = encoded.charCodeAt(index++) - 63
+      result |= (byte & 0x1f) << shift
+      shift += 5
+    } while (byte >= 0x20)
+    return result & 1 ? ~(result >> 1) : result >> 1
+  }
+  while (index < encoded.length) {
+    lat += next()
+    lng += next()
+    points.push([lng / factor, lat / factor])
+  }
+  return points
+}
+
+function travelKind(mode) {
+  return mode === 'walking' || mode === 'cycling' ? mode : 'driving'
+}
+
+// Map data for a generated route: its lines (with the walk from parking as its own line) and pins.
+// pins: start and end, any stops, and the self-parking spot when it differs from the venue.
+export function buildRouteMap({ lines, origin, destination, stops = [], parking = null }) {
+  return {
+    lines: lines
+      .filter((line) => line.geometry)
+      .map((line) => ({ geometry: line.geometry, mode: travelKind(line.mode) })),
+    pins: [
+      origin && { kind: 'start', coordinates: origin.coordinates },
+      ...stops.map((stop) => ({ kind: 'stop', coordinates: stop.coordinates })),
+      parking && { kind: 'parking', coordinates: parking.coordinates },
+      destination && { kind: 'end', coordinates: destination.coordinates },
+    ].filter((pin) => pin?.coordinates),
+  }
+}
+
+// Web Mercator, in degrees-ish units; only the relative positions matter
+function project([lng, lat]) {
+  const clamped = Math.max(-85, Math.min(85, lat))
+  return [lng, (-Math.log(Math.tan(Math.PI / 4 + (clamped * Math.PI) / 360)) * 180) / Math.PI]
+}
+
+// Pixel positions for everything on the map, fitted into width x height. Shared by the SVG here
+// and the server's PDF and PNG renderers so every copy of the map matches.
+export function layoutRouteMap(map, { width = ROUTE_MAP_SIZE.width, height = ROUTE_MAP_SIZE.height, padding = 32 } = {}) {
+  const lines = map.lines.map((line) => ({ ...line, points: decodePolyline(line.geometry).map(project) }))
+  const pins = map.pins.map((pin) => ({ ...pin, point: project(pin.coordinates) }))
+  const all = [...lines.flatMap((l) => l.points), ...pins.map((p) => p.point)]
+  if (all.length === 0) return { width, height, lines: [], pins: [] }
+
+  const xs = all.map((p) => p[0])
+  const ys = all.map((p) => p[1])
+  const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)]
+  // Pins stick up above their point, so leave room for them at the top
+  const innerWidth = width - padding * 2
+  const innerHeight = height - padding * 2 - PIN_HEIGHT
+  const scale = Math.min(innerWidth / (maxX - minX || 1e-6), innerHeight / (maxY - minY || 1e-6))
+  const offsetX = padding + (innerWidth - (maxX - minX) * scale) / 2
+  const offsetY = padding + PIN_HEIGHT + (innerHeight - (maxY - minY) * scale) / 2
+  const toPixel = ([x, y]) => [
+    Math.round((offsetX + (x - minX) * scale) * 10) / 10,
+    Math.round((offsetY + (y - minY) * scale) * 10) / 10,
+  ]
+
+  return {
+    width,
+    height,
+    lines: lines.map((line) => ({
+      points: line.points.map(toPixel),
+      color: LINE_COLORS[line.mode] || LINE_COLORS.driving,
+      dashed: line.mode === 'walking',
+    })),
+    pins: pins.map((pin) => {
+      const [x, y] = toPixel(pin.point)
+      return { kind: pin.kind, x, y, color: PIN_COLORS[pin.kind] || '#16a34a' }
+    }),
+  }
+}
+
+// start/stop are dots on the route; end/parking are map pins with their tip on the point
+export function pinMarkerSvg(pin) {
+  if (pin.kind === 'start' || pin.kind === 'stop') {
+    const r = pin.kind === 'start' ? 7 : 5
+    const fill = pin.kind === 'start' ? pin.color : '#ffffff'
+    return `<circle cx="${pin.x}" cy="${pin.y}" r="${r}" fill="${fill}" stroke="${pin.kind === 'start' ? '#ffffff' : '#334155'}" stroke-width="2.5"/>`
+  }
+  const scale = PIN_HEIGHT / PIN_VIEWBOX.height
+  const x = (pin.x - (PIN_VIEWBOX.width * scale) / 2).toFixed(1)
+  const y = (pin.y - PIN_HEIGHT).toFixed(1)
+  return `<path transform="translate(${x} ${y}) scale(${scale.toFixed(4)})" d="${PIN_PATH}" fill="${pin.color}" fill-rule="evenodd" stroke="#ffffff" stroke-width="1.5"/>`
+}
+
+export function routeMapSvg(map, size) {
+  const layout = layoutRouteMap(map, size)
+  const lines = layout.lines.map(
+    (line) =>
+      `<polyline points="${line.points.map((p) => p.join(',')).join(' ')}" fill="none" stroke="${line.color}" stroke-width="4" stroke-linecap="round" stroke-linejoin="round"${line.dashed ? ' stroke-dasharray="2 8"' : ''}/>`,
+  )
+  // End and parking pins go last so they sit on top of the route
+  const pins = [...layout.pins].sort((a, b) => (a.kind === 'end' || a.kind === 'parking') - (b.kind === 'end' || b.kind === 'parking'))
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${layout.width} ${layout.height}" width="${layout.width}" height="${layout.height}">`,
+    `<rect width="${layout.width}" height="${layout.height}" fill="#f8fafc"/>`,
+    ...lines,
+    ...pins.map(pinMarkerSvg),
+    '</svg>',
+  ].join('')
+}
+
+export function routeMapDataUri(map, size) {
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(routeMapSvg(map, size))}`
+}
@@ -0,0 +1,66 @@
+// Recently picked and pinned favorite places for the address fields. Like the default origin
+// preset, these are a per-browser convenience, so they live in localStorage.
+const PLACES_KEY = 'narrative-directions:places'
+const MAX_RECENT = 6
+const MAX_FAVORITES = 20
+
+function isPlace(value) {
+  return (
+    typeof value?.label === 'string' &&
+    Array.isArray(value.coordinates) &&
+    value.coordinates.length === 2 &&
+    value.coordinates.every(Number.isFinite)
+  )
+}
+
+function toPlace({ label, coordinates }) {
+  return { label, coordinates }
+}
+
+export function isSamePlace(a, b) {
+  return a.label === b.label && a.coordinates[0] === b.coordinates[0] && a.coordinates[1] === b.coordinates[1]
+}
+
+// { favorites, recent }: lists of { label, coordinates }, most recent first
+export function getSavedPlaces() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PLACES_KEY)) || {}
+    return {
+      favorites: Array.isArray(saved.favorites) ? saved.favorites.filter(isPlace) : [],
+      recent: Array.isArray(saved.recent) ? saved.recent.filter(isPlace) : [],
+    }
+  } catch {
+    return { favorites: [], recent: [] }
+  }
+}
+
+function savePlaces(places) {
+  try {
+    localStorage.setItem(PLACES_KEY, JSON.stringify(places))
+  } catch {
+    // Storage can be unavailable (private mode); the lists just won't persist
+  }
+  return places
+}
+
+// Returns the updated { favorites, recent }
+export function addRecentPlace(place) {
+  const saved = getSavedPlaces()
+  return savePlaces({
+    ...saved,
+    recent: [toPlace(place), ...saved.recent.filter((p) => !isSamePlace(p, place))].slice(0, MAX_RECENT),
+  })
+}
+
+export function isFavoritePlace(saved, place) {
+  return !!place?.coordinates && saved.favorites.some((p) => isSamePlace(p, place))
+}
+
+// Pins the place, or unpins it when it already is a favorite. Returns the updated { favorites, recent }.
+export function toggleFavoritePlace(place) {
+  const saved = getSavedPlaces()
+  const favorites = isFavoritePlace(saved, place)
+    ? saved.favorites.filter((p) => !isSamePlace(p, place))
+    : [toPlace(place), ...saved.favorites].slice(0, MAX_FAVORITES)
+  return savePlaces({ ...saved, favorites })
+}
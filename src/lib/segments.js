@@ -0,0 +1,77 @@
+// Narrative sentences as the editor works with them: { id, text, paragraph, maneuvers, locked, edited },
+// where maneuvers are indexes into the flat maneuver list (see server/prose/segments.js).
+
+let nextSegmentId = 1
+
+export function withSegmentIds(segments) {
+  return segments.map((s) => ({ locked: false, edited: false, ...s, id: nextSegmentId++ }))
+}
+
+// Sentences in the same paragraph are joined with a space (none for Japanese) or a line break
+// after a lineBreak sentence, paragraphs with a blank line
+export function segmentsToProse(segments, language) {
+  let prose = ''
+  let previous = null
+  for (const segment of segments) {
+    const text = segment.text.trim()
+    if (!text) continue
+    if (previous) {
+      if (segment.paragraph !== previous.paragraph) prose += '\n\n'
+      else if (previous.lineBreak) prose += '\n'
+      else if (language !== 'ja') prose += ' '
+    }
+    prose += text
+    previous = segment
+  }
+  return prose
+}
+
+// The maneuvers covered by segments from..to, as { start, end }, or null when none are mapped
+export function spanManeuvers(segments, from, to) {
+  const covered = segments.slice(from, to + 1).flatMap((s) => s.maneuvers)
+  return covered.length > 0 ? { start: Math.min(...covered), end: Math.max(...covered) } : null
+}
+
+// Swaps segments from..to for a rewritten passage, kept in the paragraph the span started in
+export function replaceSegments(segments, from, to, replacement) {
+  const paragraph = segments[from].paragraph
+  return [
+    ...segments.slice(0, from),
+    ...withSegmentIds(replacement).map((s) => ({ ...s, paragraph })),
+    ...segments.slice(to + 1),
+  ]
+}
+
+function overlaps(a, b) {
+  return a.maneuvers.some((m) => b.maneuvers.includes(m))
+}
+
+function within(inner, outer) {
+  return inner.maneuvers.length > 0 && inner.maneuvers.every((m) => outer.maneuvers.includes(m))
+}
+
+// Puts locked sentences into a fresh draft: each takes the place of the first fresh sentence it
+// overlaps, and fresh sentences covering only its maneuvers are dropped. Ones that also cover
+// other maneuvers stay, since repeating a step is better than losing one. A locked sentence that
+// covers no maneuvers stays after the locked one before it.
+export function mergeLockedSegments(fresh, locked) {
+  let merged = [...fresh]
+  let lastPlaced = -1
+  for (const segment of locked) {
+    let at = lastPlaced + 1
+    if (segment.maneuvers.length > 0) {
+      const first = merged.findIndex((s) => !s.locked && overlaps(s, segment))
+      // With nothing overlapping (the fresh draft skipped those maneuvers) it goes in route order
+      at =
+        first !== -1
+          ? first + (within(merged[first], segment) ? 0 : 1)
+          : merged.findLastIndex((s) => s.maneuvers.some((m) => m < segment.maneuvers[0])) + 1
+    }
+    const replaced = merged[at] && within(merged[at], segment) ? merged[at] : null
+    const paragraph = (replaced || merged[at - 1] || merged[at])?.paragraph ?? segment.paragraph
+    merged.splice(at, 0, { ...segment, paragraph })
+    merged = merged.filter((s) => s.locked || !within(s, segment))
+    lastPlaced = merged.findIndex((s) => s.id === segment.id)
+  }
+  return merged
+}
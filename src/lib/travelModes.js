@@ -0,0 +1,16 @@
+// id doubles as the Mapbox routing profile. google/apple are the travel-mode values their
+// map URLs take; Apple Maps URLs have no cycling flag.
+export const TRAVEL_MODES = [
+  { id: 'driving', label: 'Driving', google: 'driving', apple: 'd' },
+  { id: 'driving-traffic', label: 'Driving (traffic)', google: 'driving', apple: 'd' },
+  { id: 'walking', label: 'Walking', google: 'walking', apple: 'w' },
+  { id: 'cycling', label: 'Cycling', google: 'bicycling', apple: null },
+]
+
+export function getTravelMode(id) {
+  return TRAVEL_MODES.find((m) => m.id === id) || TRAVEL_MODES[0]
+}
+
+export function isDrivingMode(id) {
+  return id === 'driving' || id === 'driving-traffic'
+}
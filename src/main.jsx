@@ -2,9 +2,14 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { TemplateAdmin } from './components/TemplateAdmin.jsx'
+import { AuthGate } from './components/AuthGate.jsx'
+
+// The template editor is the only other page, so a path check stands in for a router
+const isTemplateAdmin = window.location.pathname.startsWith('/admin/templates')
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <AuthGate>{isTemplateAdmin ? <TemplateAdmin /> : <App />}</AuthGate>
   </StrictMode>,
 )
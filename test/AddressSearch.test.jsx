@@ -0,0 +1,201 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest'
+import { render, screen, fireEvent, cleanup, waitFor } from '@testing-library/react'
+import { AddressSearch } from '../src/components/AddressSearch'
+import { startApp } from './support/app.js'
+import { startFakeMapbox } from './support/mapbox.js'
+
+// Suggestions come from the real /api/suggest, which reaches the Mapbox stand-in
+let mapbox
+let app
+
+beforeAll(async () => {
+  mapbox = await startFakeMapbox()
+  app = await startApp(mapbox.env())
+  // The component asks for /api/...; send that to the test server
+  const serverFetch = globalThis.fetch
+  vi.stubGlobal('fetch', (input, init) => serverFetch(new URL(input, app.url), init))
+})
+
+afterAll(async () => {
+  vi.unstubAllGlobals()
+  await app?.close()
+  await mapbox?.close()
+})
+
+afterEach(() => {
+  cleanup()
+  localStorage.clear()
+})
+
+function suggestCalls() {
+  return mapbox.calls.filter((call) => call.query.autocomplete === 'true')
+}
+
+function renderSearch(props = {}) {
+  const onChange = vi.fn()
+  render(<AddressSearch value="" onChange={onChange} placeholder="Enter an address..." label="Destination" {...props} />)
+  return { input: screen.getByRole('combobox', { name: 'Destination' }), onChange }
+}
+
+async function typeAndWait(input, text) {
+  fireEvent.change(input, { target: { value: text } })
+  await screen.findByRole('listbox', {}, { timeout: 3000 })
+  await waitFor(() => expect(screen.getAllByRole('option').length).toBeGreaterThan(1))
+}
+
+function keyDown(input, key) {
+  fireEvent.keyDown(input, { key })
+}
+
+const MAGNOLIA = {
+  label: '445 South Magnolia Avenue, Orlando, Florida 32801, United States',
+  coordinates: [-81.376469, 28.538243],
+}
+
+describe('AddressSearch', () => {
+  it('suggests places as you type and picks one', async () => {
+    const { input, onChange } = renderSearch()
+    fireEvent.change(input, { target: { value: 'Dr. Phillips' } })
+
+    const magnolia = await screen.findByText('445 South Magnolia Avenue', {}, { timeout: 3000 })
+    // The duplicate Dr. Phillips result is shown once
+    expect(screen.getAllByText('Dr. Phillips')).toHaveLength(1)
+    expect(screen.getAllByRole('option')).toHaveLength(3)
+    expect(suggestCalls().at(-1).query).toMatchObject({ q: 'Dr. Phillips', country: 'US', limit: '5' })
+
+    fireEvent.mouseDown(magnolia)
+    expect(onChange).toHaveBeenCalledWith(MAGNOLIA)
+    expect(input.value).toBe(MAGNOLIA.label)
+    expect(screen.queryByText('Dr. Phillips')).toBeNull()
+  })
+
+  it('is a combobox that can be driven from the keyboard', async () => {
+    const { input, onChange } = renderSearch()
+    expect(input.getAttribute('aria-expanded')).toBe('false')
+    await typeAndWait(input, 'Dr. Phillips')
+    expect(input.getAttribute('aria-expanded')).toBe('true')
+    expect(input.getAttribute('aria-controls')).toBe(screen.getByRole('listbox').id)
+    expect(screen.getByRole('status').textContent).toContain('3 suggestions available.')
+
+    keyDown(input, 'ArrowDown')
+    keyDown(input, 'ArrowDown')
+    const [, second, third] = screen.getAllByRole('option')
+    expect(input.getAttribute('aria-activedescendant')).toBe(second.id)
+    expect(second.getAttribute('aria-selected')).toBe('true')
+
+    keyDown(input, 'ArrowDown')
+    keyDown(input, 'ArrowDown')
+    expect(input.getAttribute('aria-activedescendant')).toBe(screen.getAllByRole('option')[0].id)
+    keyDown(input, 'ArrowUp')
+    expect(input.getAttribute('aria-activedescendant')).toBe(third.id)
+
+    keyDown(input, 'Escape')
+    expect(input.getAttribute('aria-expanded')).toBe('false')
+    expect(input.hasAttribute('aria-activedescendant')).toBe(false)
+    expect(onChange).not.toHaveBeenCalled()
+
+    keyDown(input, 'ArrowUp')
+    keyDown(input, 'Enter')
+    expect(onChange).toHaveBeenCalledWith(MAGNOLIA)
+    expect(input.getAttribute('aria-expanded')).toBe('false')
+  })
+
+  it('offers typed coordinates as they are, without a lookup', async () => {
+    const before = suggestCalls().length
+    const { input, onChange } = renderSearch()
+    fireEvent.change(input, { target: { value: '28.538036, -81.374271' } })
+    const [option] = screen.getAllByRole('option')
+    expect(option.textContent).toContain('Use these coordinates')
+    expect(screen.getByRole('status').textContent).toContain('You can use the coordinates you typed.')
+
+    keyDown(input, 'ArrowDown')
+    keyDown(input, 'Enter')
+    expect(onChange).toHaveBeenCalledWith({ label: '28.53804, -81.37427', coordinates: [-81.374271, 28.538036] })
+    await new Promise((resolve) => setTimeout(resolve, 400))
+    expect(suggestCalls()).toHaveLength(before)
+  })
+
+  it('offers recent and favorite places before anything is typed', async () => {
+    const first = renderSearch()
+    await typeAndWait(first.input, 'Dr. Phillips')
+    fireEvent.mouseDown(screen.getByText('445 South Magnolia Avenue'))
+    cleanup()
+
+    const { input, onChange } = renderSearch()
+    fireEvent.focus(input)
+    const recent = screen.getByRole('group', { name: 'Recent' })
+    expect(recent.textContent).toContain(MAGNOLIA.label)
+    expect(screen.getByRole('status').textContent).toContain('1 saved place available.')
+    keyDown(input, 'ArrowDown')
+    keyDown(input, 'Enter')
+    expect(onChange).toHaveBeenCalledWith(MAGNOLIA)
+    cleanup()
+
+    // Pinning the field's place moves it from Recent to Favorites
+    renderSearch({ value: MAGNOLIA.label, place: MAGNOLIA, confirmed: true })
+    fireEvent.click(screen.getByRole('button', { name: 'Pin to favorites' }))
+    expect(screen.getByRole('button', { name: 'Remove from favorites' }).getAttribute('aria-pressed')).toBe('true')
+    cleanup()
+
+    const blank = renderSearch()
+    fireEvent.focus(blank.input)
+    expect(screen.getByRole('group', { name: 'Favorites' }).textContent).toContain(MAGNOLIA.label)
+    expect(screen.queryByRole('group', { name: 'Recent' })).toBeNull()
+  })
+
+  it('waits for three characters before looking anything up', async () => {
+    const before = suggestCalls().length
+    const { input } = renderSearch()
+    fireEvent.change(input, { target: { value: 'Dr' } })
+    await new Promise((resolve) => setTimeout(resolve, 500))
+    expect(suggestCalls()).toHaveLength(before)
+    expect(screen.queryByRole('listbox')).toBeNull()
+  })
+
+  it('shows nothing when the lookup fails', async () => {
+    const remove = mapbox.use((call) =>
+      call.query.autocomplete === 'true' ? { status: 401, body: { message: 'Not Authorized - Invalid Token' } } : null,
+    )
+    try {
+      const { input, onChange } = renderSearch()
+      fireEvent.change(input, { target: { value: 'Dr. Phillips' } })
+      await waitFor(() => expect(suggestCalls().at(-1).query.q).toBe('Dr. Phillips'))
+      await new Promise((resolve) => setTimeout(resolve, 100))
+      expect(screen.queryByRole('listbox')).toBeNull()
+      expect(onChange).not.toHaveBeenCalled()
+    } finally {
+      remove()
+    }
+  })
+
+  it('drops a lookup that is still running when the text changes', async () => {
+    let release
+    const held = new Promise((resolve) => (release = resolve))
+    const remove = mapbox.use(async (call) => {
+      if (call.query.autocomplete !== 'true') return null
+      await held
+      return null
+    })
+    try {
+      const before = suggestCalls().length
+      const { input } = renderSearch()
+      fireEvent.change(input, { target: { value: 'Dr. Phillips' } })
+      await waitFor(() => expect(suggestCalls()).toHaveLength(before + 1))
+      fireEvent.change(input, { target: { value: 'Dr' } })
+      release()
+      await new Promise((resolve) => setTimeout(resolve, 200))
+      expect(screen.queryByRole('listbox')).toBeNull()
+      expect(screen.queryByText('445 South Magnolia Avenue')).toBeNull()
+    } finally {
+      release()
+      remove()
+    }
+  })
+
+  it('clears the place when the text is deleted', () => {
+    const { input, onChange } = renderSearch({ value: '55 West Church Street', confirmed: true })
+    fireEvent.change(input, { target: { value: '' } })
+    expect(onChange).toHaveBeenCalledWith(null)
+  })
+})
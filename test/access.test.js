@@ -0,0 +1,149 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import { startApp } from './support/app.js'
+import { startFakeMapbox } from './support/mapbox.js'
+
+let mapbox
+let app
+
+beforeAll(async () => {
+  mapbox = await startFakeMapbox()
+  app = await startApp({ ...mapbox.env(), RATE_LIMIT_LOOKUPS_PER_IP: '2', OPENAI_API_KEY: '' })
+})
+
+afterAll(async () => {
+  await app?.close()
+  await mapbox?.close()
+})
+
+describe('rate limits', () => {
+  it('limits Mapbox lookups per client', async () => {
+    const suggest = () => fetch(`${app.url}/api/suggest?q=Dr.%20Phillips&limit=5&country=US`)
+    expect((await suggest()).status).toBe(200)
+    expect((await suggest()).status).toBe(200)
+    const limited = await suggest()
+    expect(limited.status).toBe(429)
+    expect(Number(limited.headers.get('retry-after'))).toBeGreaterThan(0)
+
+    // Geocoding and routing share the budget
+    const geocode = await fetch(`${app.url}/api/geocode?q=55%20W%20Church%20St`)
+    expect(geocode.status).toBe(429)
+  })
+  it('counts only failed sign-ins against the login limit', async () => {
+    process.env.APP_PASSWORD = 'open sesame'
+    try {
+      const login = (password) =>
+        fetch(`${app.url}/api/auth/login`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ password }),
+        })
+      for (let i = 0; i < 12; i++) expect((await login('open sesame')).status).toBe(204)
+      for (let i = 0; i < 10; i++) expect((await login('wrong')).status).toBe(401)
+      expect((await login('wrong')).status).toBe(429)
+      expect((await login('open sesame')).status).toBe(429)
+    } finally {
+      process.env.APP_PASSWORD = ''
+    }
+  })
+  it('limits template previews only when they generate', async () => {
+    process.env.RATE_LIMIT_PER_IP = '1'
+    try {
+      const preview = (generate) =>
+        fetch(`${app.url}/api/templates/preview`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ system: 'Write directions.', user: '{{maneuvers}}', generate }),
+        })
+      expect((await preview(false)).status).toBe(200)
+      expect((await preview(false)).status).toBe(200)
+      expect((await preview(true)).status).toBe(200)
+      expect((await preview(true)).status).toBe(429)
+      expect((await preview(false)).status).toBe(200)
+    } finally {
+      process.env.RATE_LIMIT_PER_IP = '0'
+    }
+  })
+})
+
+describe('DELETE /api/cache', () => {
+  const clear = (headers = {}) => fetch(`${app.url}/api/cache`, { method: 'DELETE', headers })
+
+  it('is off on a server without sign-in', async () => {
+    expect((await clear()).status).toBe(403)
+    expect((await fetch(`${app.url}/api/cache`)).status).toBe(200)
+  })
+
+  it('needs an API key or a session when auth is configured', async () => {
+    process.env.API_KEYS = 'ops:secret-key'
+    try {
+      expect((await clear()).status).toBe(401)
+      expect((await clear({ Authorization: 'Bearer secret-key' })).status).toBe(204)
+    } finally {
+      process.env.API_KEYS = ''
+    }
+  })
+})
+
+describe('prompt template changes', () => {
+  const TEMPLATE = { name: 'Terse', system: 'Write directions.', user: '{{maneuvers}}' }
+  const send = (method, path, headers = {}) =>
+    fetch(`${app.url}/api/templates${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: method === 'DELETE' ? undefined : JSON.stringify(TEMPLATE),
+    })
+
+  it('are off on a server without sign-in', async () => {
+    expect((await send('POST', '')).status).toBe(403)
+    expect((await fetch(`${app.url}/api/templates`)).status).toBe(200)
+  })
+
+  it.each([
+    ['a password', { APP_PASSWORD: 'open sesame' }],
+    ['API keys', { API_KEYS: 'ops:secret-key' }],
+  ])('need a session or key when %s is configured', async (_, env) => {
+    Object.assign(process.env, env)
+    try {
+      expect((await send('POST', '')).status).toBe(401)
+      expect((await send('PUT', '/terse')).status).toBe(401)
+      expect((await send('DELETE', '/terse')).status).toBe(401)
+    } finally {
+      Object.assign(process.env, { APP_PASSWORD: '', API_KEYS: '' })
+    }
+  })
+
+  it('can be made with an API key', async () => {
+    process.env.API_KEYS = 'ops:secret-key'
+    const key = { Authorization: 'Bearer secret-key' }
+    try {
+      const created = await send('POST', '', key)
+      expect(created.status).toBe(201)
+      const { id } = await created.json()
+      expect((await send('PUT', `/${id}`, key)).status).toBe(200)
+      expect((await send('DELETE', `/${id}`, key)).status).toBe(204)
+    } finally {
+      process.env.API_KEYS = ''
+    }
+  })
+})
+
+describe('DELETE /api/shares/:id', () => {
+  it('takes an API key in place of the delete token', async () => {
+    const created = await fetch(`${app.url}/api/shares`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ prose: 'Head east on West Church Street.' }),
+    })
+    const { id } = await created.json()
+    process.env.API_KEYS = 'ops:secret-key'
+    try {
+      const remove = await fetch(`${app.url}/api/shares/${id}`, {
+        method: 'DELETE',
+        headers: { Authorization: 'Bearer secret-key' },
+      })
+      expect(remove.status).toBe(204)
+    } finally {
+      process.env.API_KEYS = ''
+    }
+  })
+})
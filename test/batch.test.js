@@ -0,0 +1,82 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest'
+import { narrateBatchRow, runWithConcurrency, createRateLimitPacer, batchToCsv } from '../src/lib/batch'
+import { parseCsv } from '../src/lib/csv'
+import { startApp } from './support/app.js'
+import { startFakeMapbox } from './support/mapbox.js'
+
+const CHURCH_ST = { label: '55 West Church Street, Orlando, Florida 32801, United States', coordinates: [-81.379897, 28.541152] }
+
+let mapbox
+let app
+// Answers the next generate-prose request with this response instead of the server's
+let intercept = null
+const proseCalls = []
+
+beforeAll(async () => {
+  mapbox = await startFakeMapbox()
+  app = await startApp({ ...mapbox.env(), LLM_PROVIDERS: 'stub' })
+  // batch.js asks for /api/...; send that to the test server
+  const serverFetch = globalThis.fetch
+  vi.stubGlobal('fetch', async (input, init) => {
+    if (String(input).startsWith('/api/generate-prose')) {
+      proseCalls.push(Date.now())
+      const response = intercept?.()
+      if (response) return response
+    }
+    return serverFetch(new URL(input, app.url), init)
+  })
+})
+
+afterAll(async () => {
+  vi.unstubAllGlobals()
+  await app?.close()
+  await mapbox?.close()
+})
+
+describe('batch runs', () => {
+  it('waits out a 429 in the middle of a batch and retries the row', async () => {
+    // Every row goes to the Dr. Phillips Center, which the recorded route covers
+    const rows = Array.from({ length: 5 }, (_, i) => ({ id: i + 1, name: `Row ${i + 1}`, address: '28.538243, -81.376469', selfParking: '' }))
+    let served = 0
+    intercept = () => {
+      served++
+      if (served !== 2) return null
+      return new Response(JSON.stringify({ error: 'Too many requests. Try again in 1 second.' }), {
+        status: 429,
+        headers: { 'Content-Type': 'application/json', 'Retry-After': '1' },
+      })
+    }
+
+    const pacer = createRateLimitPacer()
+    const results = {}
+    const errors = {}
+    await runWithConcurrency(rows, 3, async (row) => {
+      try {
+        results[row.id] = await pacer.run(() => narrateBatchRow(row, CHURCH_ST))
+      } catch (err) {
+        errors[row.id] = err
+      }
+    })
+
+    expect(errors).toEqual({})
+    expect(Object.keys(results)).toHaveLength(5)
+    expect(results[1].prose).toMatch(/West Church Street/)
+    // Five rows plus the one retried, which waited for Retry-After
+    expect(proseCalls).toHaveLength(6)
+    expect(proseCalls.some((at) => at >= proseCalls[1] + 1000)).toBe(true)
+  })
+})
+
+describe('batchToCsv', () => {
+  it('keeps spreadsheets from running cells as formulas', () => {
+    const csv = batchToCsv([
+      { name: '=SUM(A1:A9)', address: '+1 Main St', selfParking: '@SUM(A1)', error: '-2+3' },
+      { name: 'Dr. Phillips Center', address: '445 S Magnolia Ave', result: { prose: 'Head east.' } },
+    ])
+    const [, formulas, plain] = parseCsv(csv)
+    expect(formulas.slice(0, 3)).toEqual(["'=SUM(A1:A9)", "'+1 Main St", "'@SUM(A1)"])
+    expect(formulas[6]).toBe("'-2+3")
+    expect(plain.slice(0, 4)).toEqual(['Dr. Phillips Center', '445 S Magnolia Ave', '', 'Head east.'])
+  })
+})
@@ -0,0 +1,72 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import { parseCoordsFromInput, extractManeuvers, extractLegManeuvers } from '../src/lib/directions.js'
+import { route } from '../server/mapbox.js'
+import { startFakeMapbox } from './support/mapbox.js'
+
+const CHURCH_ST = [-81.379897, 28.541152]
+const DR_PHILLIPS = [-81.376469, 28.538243]
+
+describe('parseCoordsFromInput', () => {
+  it('reads "lat, lng" as [lng, lat]', () => {
+    expect(parseCoordsFromInput('28.541152, -81.379897')).toEqual(CHURCH_ST)
+    expect(parseCoordsFromInput('  28.5,-81.4 ')).toEqual([-81.4, 28.5])
+  })
+
+  it('reads Google Maps links', () => {
+    expect(parseCoordsFromInput('https://www.google.com/maps/@28.541152,-81.379897,17z')).toEqual(CHURCH_ST)
+    expect(parseCoordsFromInput('https://www.google.com/maps/dir//28.541152,-81.379897')).toEqual(CHURCH_ST)
+    expect(parseCoordsFromInput('https://maps.google.com/?q=28.541152,-81.379897')).toEqual(CHURCH_ST)
+    expect(parseCoordsFromInput('https://www.google.com/maps/search/?api=1&query=28.541152,-81.379897')).toEqual(CHURCH_ST)
+  })
+
+  it('returns null for addresses, blanks and out-of-range numbers', () => {
+    expect(parseCoordsFromInput('55 W Church St, Orlando, FL')).toBeNull()
+    expect(parseCoordsFromInput('   ')).toBeNull()
+    expect(parseCoordsFromInput('28.5')).toBeNull()
+    expect(parseCoordsFromInput('200, 300')).toBeNull()
+  })
+})
+
+describe('extractManeuvers', () => {
+  let mapbox
+
+  beforeAll(async () => {
+    mapbox = await startFakeMapbox()
+    Object.assign(process.env, mapbox.env(), { CACHE_ROUTE_TTL: '0' })
+  })
+
+  afterAll(() => mapbox.close())
+
+  it('lists the instructions of a Mapbox route in order', async () => {
+    const directions = await route([CHURCH_ST, DR_PHILLIPS], { language: 'en' })
+    expect(extractManeuvers(directions)).toEqual([
+      'Head east on West Church Street',
+      'Turn left onto South Orange Avenue',
+      'Turn right onto East South Street',
+      'Turn left onto South Magnolia Avenue',
+      'Turn right onto Anderson Street',
+      'Your destination, Dr. Phillips Center for the Performing Arts, is on the right',
+    ])
+    expect(extractLegManeuvers(directions)).toHaveLength(1)
+  })
+
+  it('keeps legs apart and skips steps without an instruction', () => {
+    const directions = {
+      legs: [
+        { steps: [{ instruction: 'Head north on Main Street' }, { instruction: '' }, { instruction: 'You have arrived at your first stop' }] },
+        { steps: [{ instruction: 'Head south on Main Street' }, { instruction: 'You have arrived' }] },
+      ],
+    }
+    expect(extractLegManeuvers(directions)).toEqual([
+      ['Head north on Main Street', 'You have arrived at your first stop'],
+      ['Head south on Main Street', 'You have arrived'],
+    ])
+    expect(extractManeuvers(directions)).toHaveLength(4)
+  })
+
+  it('is empty without a route', async () => {
+    expect(await route([CHURCH_ST, [-80.1, 25.9]], { language: 'en' })).toBeNull()
+    expect(extractManeuvers(null)).toEqual([])
+    expect(extractManeuvers({})).toEqual([])
+  })
+})
@@ -0,0 +1,56 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import { startApp } from './support/app.js'
+
+let app
+
+beforeAll(async () => {
+  app = await startApp()
+})
+
+afterAll(() => app?.close())
+
+function exportAs(format, body) {
+  return fetch(`${app.url}/api/export/${format}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  })
+}
+
+const JAPANESE = {
+  title: 'ドクター・フィリップス・センターへの道順',
+  language: 'ja',
+  prose: 'ウェスト・チャーチ・ストリートを東へ進みます。右側が目的地です。',
+  links: [{ label: 'Google マップで開く', url: 'https://www.google.com/maps/dir/?api=1' }],
+}
+
+// The font names a PDF's text is set in
+async function pdfFonts(res) {
+  const pdf = Buffer.from(await res.arrayBuffer()).toString('latin1')
+  return [...new Set(pdf.match(/\/BaseFont \/[^\s/]+/g))]
+}
+
+describe('POST /api/export', () => {
+  it('embeds a Unicode font for Japanese PDFs', async () => {
+    const res = await exportAs('pdf', JAPANESE)
+    expect(res.status).toBe(200)
+    const [font] = await pdfFonts(res)
+    expect(font).toMatch(/NotoSansJP/)
+  })
+
+  it('keeps the standard font for text it covers', async () => {
+    const res = await exportAs('pdf', { title: 'Directions', prose: 'Head east — then turn “left” at the café.' })
+    expect(await pdfFonts(res)).toEqual(['/BaseFont /Helvetica'])
+  })
+
+  it('marks HTML with the narrative language', async () => {
+    const html = await (await exportAs('html', JAPANESE)).text()
+    expect(html).toContain('<html lang="ja">')
+    expect(html).toContain(JAPANESE.prose)
+  })
+
+  it('rejects an unsupported language', async () => {
+    const res = await exportAs('html', { ...JAPANESE, language: 'xx' })
+    expect(res.status).toBe(400)
+  })
+})
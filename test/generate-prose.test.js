@@ -0,0 +1,179 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest'
+import { readFile } from 'fs/promises'
+import { startApp } from './support/app.js'
+import { startFakeOpenAI, isChatCompletion, chatReply, chatError } from './support/openai.js'
+
+const fixture = JSON.parse(await readFile(new URL('../server/prose/fixtures/orlando-downtown.json', import.meta.url), 'utf8'))
+const ROUTE = { maneuvers: fixture.maneuvers, legs: fixture.legs, travelMode: 'driving', language: 'en' }
+const NARRATIVE =
+  'Head east on West Church Street, then turn left onto South Orange Avenue. Turn right onto East South Street, ' +
+  'then turn left onto South Magnolia Avenue. Turn right onto Anderson Street, and your destination, ' +
+  'Dr. Phillips Center for the Performing Arts, is on the right.'
+
+let openai
+let app
+
+beforeAll(async () => {
+  openai = await startFakeOpenAI()
+  app = await startApp({ ...openai.env(), MAX_BODY_SIZE: '20kb', OPENAI_RETRY_DELAY_MS: '1' })
+})
+
+afterAll(async () => {
+  await app?.close()
+  await openai?.close()
+})
+
+let removeHandler = null
+afterEach(() => {
+  removeHandler?.()
+  removeHandler = null
+  process.env.OPENAI_MAX_RETRIES = '0'
+})
+
+// Answers chat completions with respond(call) for the rest of the test
+function replyWith(respond) {
+  removeHandler = openai.use((call) => (isChatCompletion(call) ? respond(call) : null))
+}
+
+function completions() {
+  return openai.calls.filter(isChatCompletion).length
+}
+
+function post(body, { path = '/api/generate-prose', raw = false } = {}) {
+  return fetch(`${app.url}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: raw ? body : JSON.stringify(body),
+  })
+}
+
+describe('POST /api/generate-prose', () => {
+  it('returns the narrative with its verification', async () => {
+    replyWith((call) => chatReply(call, NARRATIVE))
+    const res = await post(ROUTE)
+    expect(res.status).toBe(200)
+    const data = await res.json()
+    expect(data).toMatchObject({ prose: NARRATIVE, provider: 'openai', verification: { passed: true } })
+    expect(data.fallback).toBeUndefined()
+    expect(data.segments.length).toBeGreaterThan(0)
+  })
+
+  it.each([
+    ['no maneuvers', {}, 'Maneuvers are required'],
+    ['an empty route', { maneuvers: [] }, 'Maneuvers are required'],
+    ['maneuvers that are not text', { maneuvers: [1, 2] }, /maneuvers/i],
+    ['an unsupported language', { ...ROUTE, language: 'xx' }, /language/i],
+    ['unknown units', { ...ROUTE, units: 'furlongs' }, /units/i],
+    ['malformed landmarks', { ...ROUTE, landmarks: [{ maneuver: -1, name: 'Courthouse' }] }, /landmarks/i],
+  ])('rejects %s with a 400 and no LLM call', async (_, body, message) => {
+    const before = completions()
+    const res = await post(body)
+    expect(res.status).toBe(400)
+    expect((await res.json()).error).toMatch(message)
+    expect(completions()).toBe(before)
+  })
+
+  it('rejects a body that is not JSON', async () => {
+    const res = await post('{"maneuvers": [', { raw: true })
+    expect(res.status).toBe(400)
+    expect((await res.json()).error).toBe('The request body is not valid JSON')
+  })
+
+  it('rejects routes that are too large with a 413', async () => {
+    const tooMany = await post({ maneuvers: Array.from({ length: 501 }, (_, i) => `Turn left onto Street ${i}`) })
+    expect(tooMany.status).toBe(413)
+
+    const tooBig = await post({ maneuvers: ['x'.repeat(30 * 1024)] })
+    expect(tooBig.status).toBe(413)
+    expect((await tooBig.json()).error).toMatch(/too large/)
+  })
+
+  it('falls back to the rule-based writer when the LLM fails', async () => {
+    replyWith(() => chatError(500, 'The server had an error while processing your request'))
+    const res = await post(ROUTE)
+    expect(res.status).toBe(200)
+    const data = await res.json()
+    expect(data).toMatchObject({ provider: 'plain', fallback: true, verification: { passed: true } })
+    expect(data.fallbackReason).toMatch(/500/)
+    expect(data.prose).toMatch(/West Church Street/)
+  })
+
+  it('retries server errors but not rejected credentials', async () => {
+    process.env.OPENAI_MAX_RETRIES = '2'
+
+    replyWith(() => chatError(503, 'Service unavailable'))
+    let before = completions()
+    await post(ROUTE)
+    expect(completions() - before).toBe(3)
+    removeHandler()
+
+    replyWith(() => chatError(401, 'Incorrect API key provided'))
+    before = completions()
+    const data = await (await post(ROUTE)).json()
+    expect(completions() - before).toBe(1)
+    expect(data.fallbackReason).toMatch(/Incorrect API key/)
+  })
+
+  it('falls back without calling the LLM when no key is configured', async () => {
+    const key = process.env.OPENAI_API_KEY
+    process.env.OPENAI_API_KEY = ''
+    try {
+      const before = completions()
+      const data = await (await post(ROUTE)).json()
+      expect(data).toMatchObject({ fallback: true, fallbackReason: 'OPENAI_API_KEY is not configured' })
+      expect(completions()).toBe(before)
+    } finally {
+      process.env.OPENAI_API_KEY = key
+    }
+  })
+})
+
+describe('POST /api/generate-prose/stream', () => {
+  // Server-sent events as [{ event, data }]
+  async function readEvents(res) {
+    const text = await res.text()
+    return text
+      .split('\n\n')
+      .filter(Boolean)
+      .map((raw) => ({ event: raw.match(/^event: (.*)$/m)?.[1], data: JSON.parse(raw.match(/^data: (.*)$/m)?.[1]) }))
+  }
+
+  it('streams tokens and then the finished narrative', async () => {
+    replyWith((call) => chatReply(call, NARRATIVE))
+    const events = await readEvents(await post(ROUTE, { path: '/api/generate-prose/stream' }))
+    const tokens = events.filter((e) => e.event === 'token').map((e) => e.data.text)
+    expect(tokens.length).toBeGreaterThan(1)
+    expect(tokens.join('')).toBe(NARRATIVE)
+    expect(events.at(-1)).toMatchObject({ event: 'done', data: { prose: NARRATIVE, provider: 'openai' } })
+  })
+
+  it('streams the rule-based narrative when the LLM fails before any text', async () => {
+    replyWith(() => chatError(500, 'The server had an error while processing your request'))
+    const events = await readEvents(await post(ROUTE, { path: '/api/generate-prose/stream' }))
+    const done = events.find((e) => e.event === 'done')
+    expect(done.data).toMatchObject({ provider: 'plain', fallback: true })
+    expect(events.filter((e) => e.event === 'token').map((e) => e.data.text).join('')).toBe(done.data.prose)
+  })
+
+  it('records the tokens of a stream that broke off', async () => {
+    const usage = async () => (await (await fetch(`${app.url}/api/usage`)).json()).client.used
+    const before = await usage()
+    replyWith((call) => {
+      const { body } = chatReply(call, NARRATIVE)
+      const [first, second] = body.split('\n\n')
+      const error = JSON.stringify({ error: { message: 'The server had an error while processing your request' } })
+      return { contentType: 'text/event-stream', body: `${first}\n\n${second}\n\ndata: ${error}\n\n` }
+    })
+    const events = await readEvents(await post(ROUTE, { path: '/api/generate-prose/stream' }))
+    expect(events.filter((e) => e.event === 'token').length).toBe(2)
+    expect(events.at(-1).event).toBe('error')
+    // Recorded in the background once the stream has ended
+    await vi.waitFor(async () => expect(await usage()).toBeGreaterThan(before))
+  })
+
+  it('answers validation errors before streaming', async () => {
+    const res = await post({ maneuvers: [] }, { path: '/api/generate-prose/stream' })
+    expect(res.status).toBe(400)
+    expect(res.headers.get('content-type')).toMatch(/json/)
+  })
+})
@@ -0,0 +1,85 @@
+import { describe, it, expect, vi } from 'vitest'
+import { generateText, streamText } from '../server/llm/index.js'
+
+const PROMPT = { system: 'Write directions.', user: 'Head east on West Church Street' }
+
+// A chain entry whose provider answers with each of replies in turn; an Error reply is thrown
+function provider(name, replies, { maxRetries = 0 } = {}) {
+  const queue = [...replies]
+  const next = () => {
+    const reply = queue.shift()
+    if (reply instanceof Error) throw reply
+    return reply
+  }
+  return {
+    name,
+    model: `${name}-model`,
+    maxRetries,
+    retryDelayMs: 1,
+    create: () => ({
+      complete: async () => next(),
+      stream: async (prompt, { onToken }) => {
+        const reply = next()
+        onToken(reply.text)
+        return reply
+      },
+    }),
+  }
+}
+
+function failure(message, usage) {
+  return Object.assign(new Error(message), { status: 503, usage })
+}
+
+describe('LLM token usage', () => {
+  it('adds up the usage of retried attempts', async () => {
+    const onUsage = vi.fn()
+    const replies = [failure('Cut off', { inputTokens: 40, outputTokens: 5 }), { text: 'Head east.', usage: { inputTokens: 40, outputTokens: 3 } }]
+    const chain = [provider('first', replies, { maxRetries: 1 })]
+    const result = await generateText(PROMPT, { chain, onUsage })
+    expect(result.usage).toEqual({ inputTokens: 80, outputTokens: 8 })
+    expect(onUsage).toHaveBeenCalledTimes(1)
+    expect(onUsage).toHaveBeenCalledWith({ inputTokens: 80, outputTokens: 8 })
+  })
+
+  it('counts providers that failed before the chain fell back', async () => {
+    const onUsage = vi.fn()
+    const chain = [
+      provider('first', [failure('Cut off', { inputTokens: 40, outputTokens: 5 })]),
+      provider('second', [{ text: 'Head east.', usage: { inputTokens: 30, outputTokens: 3 } }]),
+    ]
+    const result = await generateText(PROMPT, { chain, onUsage })
+    expect(result.provider).toBe('second')
+    expect(onUsage).toHaveBeenCalledWith({ inputTokens: 70, outputTokens: 8 })
+  })
+
+  it('reports the usage of a chain that failed', async () => {
+    const onUsage = vi.fn()
+    const chain = [provider('first', [failure('Cut off', { inputTokens: 40, outputTokens: 5 })])]
+    await expect(streamText(PROMPT, { chain, onUsage, onToken: () => {} })).rejects.toThrow('Cut off')
+    expect(onUsage).toHaveBeenCalledWith({ inputTokens: 40, outputTokens: 5 })
+  })
+
+  it('reports nothing when no attempt used any tokens', async () => {
+    const onUsage = vi.fn()
+    const chain = [provider('first', [failure('Service unavailable')])]
+    await expect(generateText(PROMPT, { chain, onUsage })).rejects.toThrow(/Service unavailable/)
+    expect(onUsage).not.toHaveBeenCalled()
+  })
+})
+
+describe('LLM retries', () => {
+  const REPLY = { text: 'Head east.', usage: { inputTokens: 40, outputTokens: 3 } }
+
+  it('retries a dropped connection', async () => {
+    const cause = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })
+    const dropped = new TypeError('fetch failed', { cause })
+    const chain = [provider('first', [dropped, REPLY], { maxRetries: 1 })]
+    expect((await generateText(PROMPT, { chain })).text).toBe('Head east.')
+  })
+
+  it('does not retry errors that would only happen again', async () => {
+    const chain = [provider('first', [new TypeError('choices is not iterable'), REPLY], { maxRetries: 1 })]
+    await expect(generateText(PROMPT, { chain })).rejects.toThrow('choices is not iterable')
+  })
+})
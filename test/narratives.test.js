@@ -0,0 +1,49 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import { startApp } from './support/app.js'
+
+const INPUTS = {
+  origin: { label: '55 W Church St, Orlando, FL', coordinates: [-81.379897, 28.541152] },
+  destination: { label: 'Dr. Phillips Center', coordinates: [-81.376469, 28.538243] },
+  travelMode: 'driving',
+}
+
+let app
+
+beforeAll(async () => {
+  app = await startApp()
+})
+
+afterAll(() => app?.close())
+
+function save(body) {
+  return fetch(`${app.url}/api/narratives`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  })
+}
+
+describe('narrative history', () => {
+  it('stores the route figures without its geometry', async () => {
+    const res = await save({
+      inputs: INPUTS,
+      prose: 'Head east on West Church Street.',
+      route: { profile: 'driving', distance: 950, duration: 240, mainRoads: ['South Orange Avenue'], geometry: 'abc' },
+      map: { lines: [{ geometry: 'abc', mode: 'driving' }], pins: [] },
+    })
+    expect(res.status).toBe(201)
+    const { id } = await res.json()
+    const entry = await (await fetch(`${app.url}/api/narratives/${id}`)).json()
+    expect(entry.route).toEqual({ profile: 'driving', distance: 950, duration: 240, mainRoads: ['South Orange Avenue'] })
+    expect(entry.map).toBeUndefined()
+  })
+
+  it('rejects oversized entries with a 413', async () => {
+    const maneuvers = Array.from({ length: 500 }, (_, i) => `Turn left onto Street ${i} `.repeat(30))
+    const res = await save({ inputs: INPUTS, prose: 'Head east.', maneuvers })
+    expect(res.status).toBe(413)
+    expect((await res.json()).error).toMatch(/at most 200 KB/)
+    const { total } = await (await fetch(`${app.url}/api/narratives`)).json()
+    expect(total).toBe(1)
+  })
+})
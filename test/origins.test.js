@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest'
+import { readFile } from 'fs/promises'
+import { startApp } from './support/app.js'
+import { startFakeMapbox } from './support/mapbox.js'
+
+const CHURCH_ST = JSON.parse(
+  await readFile(new URL('./fixtures/mapbox/geocode-55-w-church-st-orlando-ca3fbec82425.json', import.meta.url), 'utf8'),
+)
+
+let mapbox
+let app
+
+beforeAll(async () => {
+  mapbox = await startFakeMapbox()
+  app = await startApp(mapbox.env())
+})
+
+afterAll(async () => {
+  await app?.close()
+  await mapbox?.close()
+})
+
+afterEach(() => vi.useRealTimers())
+
+function geocodeCalls() {
+  return mapbox.calls.filter((call) => call.path.includes('/search/geocode/'))
+}
+
+function saveOrigin(method, path, body) {
+  return fetch(`${app.url}/api/origins${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  })
+}
+
+async function listOrigins() {
+  const res = await fetch(`${app.url}/api/origins`)
+  expect(res.status).toBe(200)
+  return (await res.json()).origins
+}
+
+describe('GET /api/origins', () => {
+  it('retries a preset that could not be geocoded with backoff instead of on every load', async () => {
+    // The seed preset's address has no recorded lookup, so the stand-in fails it
+    const [seed] = await listOrigins()
+    expect(seed).toMatchObject({ coordinates: null, unresolved: true, resolveAttempts: 1 })
+    const calls = geocodeCalls().length
+    expect(calls).toBeGreaterThan(0)
+
+    await listOrigins()
+    await listOrigins()
+    expect(geocodeCalls()).toHaveLength(calls)
+
+    vi.useFakeTimers({ toFake: ['Date'] })
+    vi.setSystemTime(Date.now() + 61000)
+    const [retried] = await listOrigins()
+    expect(retried.resolveAttempts).toBe(2)
+    expect(geocodeCalls()).toHaveLength(calls + 1)
+
+    // The next wait is twice as long
+    vi.setSystemTime(Date.now() + 61000)
+    await listOrigins()
+    expect(geocodeCalls()).toHaveLength(calls + 1)
+  })
+
+  it('clears the retry state once the address resolves', async () => {
+    const remove = mapbox.use((call) => (call.path.includes('/search/geocode/') ? CHURCH_ST.response : null))
+    try {
+      vi.useFakeTimers({ toFake: ['Date'] })
+      vi.setSystemTime(Date.now() + 3600000)
+      const [seed] = await listOrigins()
+      expect(seed.coordinates).toHaveLength(2)
+      expect(seed.unresolved).toBeUndefined()
+      expect(seed.resolveAttempts).toBeUndefined()
+    } finally {
+      remove()
+    }
+  })
+})
+
+describe('POST and PUT /api/origins', () => {
+  it('save a preset as unresolved when the lookup fails', async () => {
+    const remove = mapbox.use((call) =>
+      call.path.includes('/search/geocode/') ? { status: 503, body: { message: 'Service unavailable' } } : null,
+    )
+    try {
+      const created = await saveOrigin('POST', '', { name: 'Venue', label: '445 S Magnolia Ave, Orlando' })
+      expect(created.status).toBe(201)
+      const origin = await created.json()
+      expect(origin).toMatchObject({ coordinates: null, unresolved: true, resolveAttempts: 1 })
+
+      const changed = await saveOrigin('PUT', `/${origin.id}`, { label: '400 S Orange Ave, Orlando' })
+      expect(changed.status).toBe(200)
+      expect(await changed.json()).toMatchObject({ label: '400 S Orange Ave, Orlando', unresolved: true, resolveAttempts: 1 })
+      expect((await listOrigins()).find((o) => o.id === origin.id).unresolved).toBe(true)
+    } finally {
+      remove()
+    }
+  })
+
+  it('saves other changes while a lookup is waiting on Mapbox', async () => {
+    let release
+    const released = new Promise((resolve) => (release = resolve))
+    let lookupStarted
+    const lookingUp = new Promise((resolve) => (lookupStarted = resolve))
+    const remove = mapbox.use(async (call) => {
+      if (!call.path.includes('/search/geocode/')) return null
+      lookupStarted()
+      await released
+      return { status: 503, body: { message: 'Service unavailable' } }
+    })
+    try {
+      vi.useFakeTimers({ toFake: ['Date'] })
+      vi.setSystemTime(Date.now() + 86400000 * 2)
+      const listing = listOrigins()
+      await lookingUp
+      const res = await saveOrigin('POST', '', {
+        name: 'Parking',
+        label: '425 S Rosalind Ave',
+        coordinates: [-81.374271, 28.538036],
+      })
+      expect(res.status).toBe(201)
+      release()
+      const origins = await listing
+      expect(origins.map((o) => o.name)).toContain('Parking')
+      expect(origins.find((o) => o.name === 'Venue')).toMatchObject({ unresolved: true, resolveAttempts: 2 })
+    } finally {
+      remove()
+    }
+  })
+})
@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import { createPipeline } from '../src/lib/pipeline.js'
+import { serverServices, readNarrativeRequest, narrate } from '../server/pipeline.js'
+import { startFakeMapbox } from './support/mapbox.js'
+
+const DR_PHILLIPS = { label: 'Dr. Phillips Center for the Performing Arts', coordinates: [-81.376469, 28.538243] }
+
+let mapbox
+let pipeline
+
+beforeAll(async () => {
+  mapbox = await startFakeMapbox()
+  Object.assign(process.env, mapbox.env(), { CACHE_GEOCODE_TTL: '0', CACHE_ROUTE_TTL: '0', LANDMARK_PROVIDER: 'stub' })
+  pipeline = createPipeline(serverServices())
+})
+
+afterAll(() => mapbox.close())
+
+// The self-parking field (formerly resolveSelfParkingInput in lib/directions)
+describe('resolveParking', () => {
+  it('takes coordinates and map links without a lookup', async () => {
+    const calls = mapbox.calls.length
+    expect(await pipeline.resolveParking('28.538036, -81.374271')).toEqual({
+      label: 'Self-parking (28.53804, -81.37427)',
+      coordinates: [-81.374271, 28.538036],
+    })
+    expect(await pipeline.resolveParking('https://www.google.com/maps/@28.538036,-81.374271,18z')).toMatchObject({
+      coordinates: [-81.374271, 28.538036],
+    })
+    expect(mapbox.calls).toHaveLength(calls)
+  })
+
+  it('looks addresses up', async () => {
+    expect(await pipeline.resolveParking('  425 S Rosalind Ave, Orlando ')).toEqual({
+      label: '425 South Rosalind Avenue, Orlando, Florida 32801, United States',
+      coordinates: [-81.374271, 28.538036],
+    })
+    expect(mapbox.calls.at(-1).query).toMatchObject({ q: '425 S Rosalind Ave, Orlando', country: 'US', access_token: 'test-token' })
+  })
+
+  it('resolves to null when nothing is given or nothing matches', async () => {
+    expect(await pipeline.resolveParking('')).toBeNull()
+    expect(await pipeline.resolveParking(undefined)).toBeNull()
+    expect(await pipeline.resolveParking('Nowhere Lane, Atlantis')).toBeNull()
+  })
+
+  it('routes to the destination when the parking spot is not found', async () => {
+    const inputs = { destination: DR_PHILLIPS, selfParkingOverride: 'Nowhere Lane, Atlantis' }
+    expect(await pipeline.resolveRoutingDestination(inputs)).toBe(DR_PHILLIPS)
+  })
+})
+
+describe('narrate', () => {
+  it('writes a plain narrative with a summary and map links', async () => {
+    const result = await narrate(
+      readNarrativeRequest({ origin: '55 W Church St, Orlando, FL', destination: DR_PHILLIPS, plain: true }),
+    )
+    expect(result.origin.label).toBe('55 West Church Street, Orlando, Florida 32801, United States')
+    expect(result.maneuvers).toHaveLength(6)
+    expect(result.provider).toBe('plain')
+    expect(result.verification.passed).toBe(true)
+    expect(result.summary).toMatch(/mi/)
+    expect(result.narrative).toContain(result.prose)
+    expect(result.links.google).toContain('google.com/maps')
+    expect(result.warnings).toEqual([])
+  })
+
+  it('fails on a self-parking spot it cannot find', async () => {
+    const request = readNarrativeRequest({
+      origin: '55 W Church St, Orlando, FL',
+      destination: DR_PHILLIPS,
+      selfParking: 'Nowhere Lane, Atlantis',
+      plain: true,
+    })
+    await expect(narrate(request)).rejects.toMatchObject({ status: 400, message: /Self-parking location not found/ })
+  })
+})
+
+describe('narrate with a failing branch', () => {
+  it('stops the way back when the narrative fails', async () => {
+    const services = serverServices()
+    const origin = await pipeline.resolvePlace('55 W Church St, Orlando, FL', { country: 'US' })
+    const proseSignals = []
+    let wayBackStarted
+    const wayBackWriting = new Promise((resolve) => (wayBackStarted = resolve))
+    const failing = createPipeline({
+      ...services,
+      // Both directions use the recorded route there, so the way back needs no fixture of its own
+      route: (points, options, opts) => services.route([origin.coordinates, DR_PHILLIPS.coordinates], options, opts),
+      async generateProse(payload, { signal }) {
+        proseSignals.push(signal)
+        if (proseSignals.length === 1) {
+          await wayBackWriting
+          throw new Error('LLM down')
+        }
+        wayBackStarted()
+        return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)))
+      },
+    })
+    const inputs = { origin, destination: DR_PHILLIPS, stops: [], travelMode: 'driving', includeReturn: true }
+    await expect(failing.narrate(inputs)).rejects.toThrow('LLM down')
+    expect(proseSignals).toHaveLength(2)
+    expect(proseSignals[1].aborted).toBe(true)
+  })
+
+  it('makes no more route or timing requests once cancelled', async () => {
+    const services = serverServices()
+    const points = [[-81.379897, 28.541152], DR_PHILLIPS.coordinates]
+    const calls = mapbox.calls.length
+    const signal = AbortSignal.abort()
+    await expect(services.route(points, {}, { signal })).rejects.toMatchObject({ name: 'AbortError' })
+    await expect(services.tripTiming(points, { departAt: '2026-05-01T18:00' }, { signal })).rejects.toMatchObject({
+      name: 'AbortError',
+    })
+    expect(mapbox.calls).toHaveLength(calls)
+  })
+})
@@ -0,0 +1,58 @@
+import { describe, it, expect, beforeAll } from 'vitest'
+import { generatePlainProse, joinInstructions } from '../server/prose/plain.js'
+import { route } from '../server/mapbox.js'
+import { startFakeMapbox } from './support/mapbox.js'
+
+const CHURCH_ST = [-81.379897, 28.541152]
+const DR_PHILLIPS = [-81.376469, 28.538243]
+
+// The committed Mapbox route from Church Street to the Dr. Phillips Center, as the pipeline gets it
+let legs
+
+beforeAll(async () => {
+  const mapbox = await startFakeMapbox()
+  Object.assign(process.env, mapbox.env(), { CACHE_ROUTE_TTL: '0' })
+  try {
+    const directions = await route([CHURCH_ST, DR_PHILLIPS], { language: 'en' })
+    legs = directions.legs.map(({ steps }) => ({ to: 'the Dr. Phillips Center', steps }))
+  } finally {
+    await mapbox.close()
+  }
+})
+
+describe('generatePlainProse', () => {
+  it('writes the route with step distances in miles and feet', () => {
+    expect(generatePlainProse(legs)).toMatchInlineSnapshot(`"Head east on West Church Street for 300 feet. Then, turn left onto South Orange Avenue and continue for 0.3 miles. Next, turn right onto East South Street and continue for 500 feet. After that, turn left onto South Magnolia Avenue and continue for 0.1 miles. From there, turn right onto Anderson Street and continue for 200 feet. Finally, arrive at the Dr. Phillips Center, which will be on the right."`)
+  })
+
+  it('writes metric distances', () => {
+    expect(generatePlainProse(legs, { units: 'metric' })).toMatchInlineSnapshot(`"Head east on West Church Street for 100 meters. Then, turn left onto South Orange Avenue and continue for 400 meters. Next, turn right onto East South Street and continue for 150 meters. After that, turn left onto South Magnolia Avenue and continue for 200 meters. From there, turn right onto Anderson Street and continue for 50 meters. Finally, arrive at the Dr. Phillips Center, which will be on the right."`)
+  })
+
+  it('leaves distances out when asked', () => {
+    expect(generatePlainProse(legs, { distances: false })).toMatchInlineSnapshot(`"Head east on West Church Street. Then, turn left onto South Orange Avenue. Next, turn right onto East South Street. After that, turn left onto South Magnolia Avenue. From there, turn right onto Anderson Street. Finally, arrive at the Dr. Phillips Center, which will be on the right."`)
+  })
+
+  it('labels each leg and parks before a walk', () => {
+    const walk = {
+      from: 'the garage',
+      to: 'the box office',
+      travelMode: 'walking',
+      steps: [
+        { type: 'depart', bearing: 90, road: 'Anderson Street', distance: 120 },
+        { type: 'arrive', modifier: 'left' },
+      ],
+    }
+    expect(generatePlainProse([{ ...legs[0], from: 'West Church Street' }, walk])).toMatchInlineSnapshot(`
+      "From West Church Street to the Dr. Phillips Center, head east on West Church Street for 300 feet. Then, turn left onto South Orange Avenue and continue for 0.3 miles. Next, turn right onto East South Street and continue for 500 feet. After that, turn left onto South Magnolia Avenue and continue for 0.1 miles. From there, turn right onto Anderson Street and continue for 200 feet. Finally, park at the Dr. Phillips Center, which will be on the right.
+
+      From the garage to the box office, walk east on Anderson Street for 400 feet. Finally, arrive at the box office, which will be on the left."
+    `)
+  })
+
+  it('words plain instructions when there are no steps', () => {
+    const maneuvers = legs[0].steps.map((step) => step.instruction)
+    expect(generatePlainProse([{ maneuvers }])).toMatchInlineSnapshot(`"Head east on West Church Street. Then, turn left onto South Orange Avenue. Next, turn right onto East South Street. After that, turn left onto South Magnolia Avenue. From there, turn right onto Anderson Street. Finally, your destination, Dr. Phillips Center for the Performing Arts, is on the right."`)
+    expect(joinInstructions([{ maneuvers }], { language: 'en' })).toMatchInlineSnapshot(`"Head east on West Church Street. Turn left onto South Orange Avenue. Turn right onto East South Street. Turn left onto South Magnolia Avenue. Turn right onto Anderson Street. Your destination, Dr. Phillips Center for the Performing Arts, is on the right."`)
+  })
+})
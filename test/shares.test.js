@@ -0,0 +1,59 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import { readdir } from 'fs/promises'
+import { join } from 'path'
+import { startApp } from './support/app.js'
+
+let app
+
+beforeAll(async () => {
+  app = await startApp()
+})
+
+afterAll(() => app?.close())
+
+function share(body) {
+  return fetch(`${app.url}/api/shares`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  })
+}
+
+function storedShares() {
+  return readdir(join(process.env.DATA_DIR, 'shares')).catch(() => [])
+}
+
+describe('share links', () => {
+  it('keeps each narrative in a file of its own until the link is deleted', async () => {
+    const res = await share({ title: 'To the theater', prose: 'Head east on West Church Street.\n\nFinally, arrive.' })
+    expect(res.status).toBe(201)
+    const { id, path, deleteToken } = await res.json()
+    expect(await storedShares()).toContain(`${id}.json`)
+
+    const page = await fetch(`${app.url}${path}`)
+    expect(page.status).toBe(200)
+    expect(await page.text()).toContain('Head east on West Church Street.')
+
+    const remove = (headers) => fetch(`${app.url}/api/shares/${id}`, { method: 'DELETE', headers })
+    expect((await remove()).status).toBe(403)
+    expect((await remove({ 'X-Share-Token': 'not-the-token' })).status).toBe(403)
+    expect(await storedShares()).toContain(`${id}.json`)
+    expect((await remove({ 'X-Share-Token': deleteToken })).status).toBe(204)
+    expect(await storedShares()).not.toContain(`${id}.json`)
+    expect((await fetch(`${app.url}${path}`)).status).toBe(404)
+  })
+
+  it('rejects oversized narratives and maps with a 413', async () => {
+    const before = await storedShares()
+    const longProse = await share({ prose: 'Turn left. '.repeat(5000) })
+    expect(longProse.status).toBe(413)
+    expect((await longProse.json()).error).toMatch(/at most 50000 characters/)
+
+    const bigMap = await share({
+      prose: 'Head east.',
+      map: { lines: [{ geometry: 'a'.repeat(160000) }, { geometry: 'b'.repeat(160000) }], pins: [] },
+    })
+    expect(bigMap.status).toBe(413)
+    expect(await storedShares()).toEqual(before)
+  })
+})
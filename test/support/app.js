@@ -0,0 +1,45 @@
+// Runs the real server (server.js) on a free port with the given environment, so requests go
+// through every route and middleware. Settings a local .env.local might set are pinned here, and
+// caches and rate limits are off so each request reaches the stand-ins.
+import { mkdtemp, rm } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+
+const DEFAULTS = {
+  APP_PASSWORD: '',
+  API_KEYS: '',
+  RATE_LIMIT_PER_IP: '0',
+  RATE_LIMIT_PER_KEY: '0',
+  RATE_LIMIT_LOOKUPS_PER_IP: '0',
+  RATE_LIMIT_LOOKUPS_PER_KEY: '0',
+  TOKEN_QUOTA_MONTHLY: '',
+  TOKEN_QUOTA_PER_KEY_MONTHLY: '',
+  CACHE_GEOCODE_TTL: '0',
+  CACHE_SUGGEST_TTL: '0',
+  CACHE_ROUTE_TTL: '0',
+  CACHE_TRAFFIC_TTL: '0',
+  CACHE_PROSE_TTL: '0',
+  CACHE_DISK: 'false',
+  LANDMARK_PROVIDER: 'stub',
+  PROSE_VERIFY_MAX_RETRIES: '0',
+}
+
+// Resolves to { url, close() }. The environment stays set for the rest of the test file, which
+// runs in a process of its own.
+export async function startApp(env = {}) {
+  const dataDir = await mkdtemp(join(tmpdir(), 'mapping-prose-test-'))
+  Object.assign(process.env, DEFAULTS, { DATA_DIR: dataDir }, env)
+  const { createServer } = await import('../../server.js')
+  const app = await createServer({ vite: false })
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening))
+  })
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    async close() {
+      await new Promise((resolve) => server.close(resolve))
+      // Token usage is recorded in the background and can still be writing
+      await rm(dataDir, { recursive: true, force: true, maxRetries: 5 })
+    },
+  }
+}
@@ -0,0 +1,23 @@
+// Stand-in for the Mapbox geocoding and directions APIs (see replay.js). Point the server at it
+// with env(): MAPBOX_BASE_URL, plus a dummy token unless recording with a real one.
+import { startReplayServer } from './replay.js'
+
+export async function startFakeMapbox() {
+  const fake = await startReplayServer({
+    name: 'mapbox',
+    upstream: 'https://api.mapbox.com',
+    // The token never reaches a fixture, so any token replays the same responses
+    requestKey: ({ method, path, query }) => {
+      const params = Object.keys(query).filter((k) => k !== 'access_token').sort()
+      return { method, path, query: Object.fromEntries(params.map((k) => [k, query[k]])) }
+    },
+    fixtureName: ({ path, query }) => (query.q ? `geocode ${query.q}` : `directions ${path.split('/')[4] || ''}`),
+  })
+  return {
+    ...fake,
+    env: () => ({
+      MAPBOX_BASE_URL: fake.url,
+      ...(fake.recording ? {} : { MAPBOX_ACCESS_TOKEN: 'test-token' }),
+    }),
+  }
+}
@@ -0,0 +1,64 @@
+// Stand-in for the OpenAI chat completions API (see replay.js). Fixtures are keyed on the model
+// and messages, so they need recording again when a prompt template changes. Tests that only care
+// about how the server handles a reply can answer with use() and the helpers below instead.
+import { startReplayServer } from './replay.js'
+
+export async function startFakeOpenAI() {
+  const fake = await startReplayServer({
+    name: 'openai',
+    upstream: 'https://api.openai.com',
+    requestKey: ({ method, path, body }) => ({
+      method,
+      path,
+      model: body.model,
+      stream: !!body.stream,
+      messages: body.messages,
+    }),
+    fixtureName: ({ model, stream }) => `chat ${model}${stream ? ' stream' : ''}`,
+  })
+  return {
+    ...fake,
+    env: () => ({
+      LLM_PROVIDERS: 'openai',
+      OPENAI_BASE_URL: `${fake.url}/v1`,
+      OPENAI_MAX_RETRIES: '0',
+      ...(fake.recording ? {} : { OPENAI_API_KEY: 'test-key' }),
+    }),
+  }
+}
+
+export function isChatCompletion(call) {
+  return call.method === 'POST' && call.path === '/v1/chat/completions'
+}
+
+// A reply with the given text, streamed as server-sent events when the request asked for it
+export function chatReply(call, text) {
+  const usage = { prompt_tokens: 100, completion_tokens: text.split(/\s+/).length }
+  if (!call.body.stream) {
+    return {
+      body: {
+        id: 'chatcmpl-test',
+        object: 'chat.completion',
+        model: call.body.model,
+        choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }],
+        usage,
+      },
+    }
+  }
+  const chunk = (fields) => `data: ${JSON.stringify({ id: 'chatcmpl-test', object: 'chat.completion.chunk', model: call.body.model, ...fields })}\n\n`
+  const words = text.split(/(?<= )/)
+  return {
+    contentType: 'text/event-stream',
+    body: [
+      ...words.map((word) => chunk({ choices: [{ index: 0, delta: { content: word }, finish_reason: null }] })),
+      chunk({ choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] }),
+      chunk({ choices: [], usage }),
+      'data: [DONE]\n\n',
+    ].join(''),
+  }
+}
+
+// An API error in OpenAI's shape
+export function chatError(status, message) {
+  return { status, body: { error: { message, type: 'invalid_request_error', code: null } } }
+}
@@ -0,0 +1,126 @@
+// A local HTTP server that stands in for an external API. In replay mode (the default) it answers
+// from JSON fixtures under test/fixtures/<name>; a request without a fixture gets a 501 naming the
+// request, so a missing fixture fails loudly instead of reaching the network. With
+// RECORD_FIXTURES=1 (or a comma-separated list of names, e.g. "mapbox") it forwards requests to
+// the real API and saves each response as a new fixture.
+//
+// A fixture file is { request, response: { status, contentType, body } }. request is what
+// requestKey() took from the call (secrets left out); body is JSON, or text for streamed replies.
+import { createServer } from 'http'
+import { createHash } from 'crypto'
+import { readdir, readFile, writeFile, mkdir } from 'fs/promises'
+import { dirname, join } from 'path'
+import { fileURLToPath } from 'url'
+
+const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'fixtures')
+
+export function isRecording(name, env = process.env) {
+  const value = env.RECORD_FIXTURES || ''
+  return value === '1' || value === 'true' || value.split(',').map((n) => n.trim()).includes(name)
+}
+
+function keyOf(request) {
+  return createHash('sha256').update(JSON.stringify(request)).digest('hex').slice(0, 12)
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = ''
+    req.setEncoding('utf8')
+    req.on('data', (chunk) => (body += chunk))
+    req.on('end', () => resolve(body))
+    req.on('error', reject)
+  })
+}
+
+async function loadFixtures(dir) {
+  const fixtures = new Map()
+  const files = await readdir(dir).catch(() => [])
+  for (const file of files.filter((f) => f.endsWith('.json'))) {
+    const fixture = JSON.parse(await readFile(join(dir, file), 'utf8'))
+    fixtures.set(keyOf(fixture.request), fixture)
+  }
+  return fixtures
+}
+
+function send(res, { status = 200, contentType = 'application/json', body }) {
+  res.writeHead(status, { 'Content-Type': contentType })
+  res.end(typeof body === 'string' ? body : JSON.stringify(body))
+}
+
+// name: the fixtures directory. upstream: the real API's origin, for recording.
+// requestKey({ method, path, query, headers, body }) → the parts of a call that pick its fixture.
+// fixtureName(request) → a readable file name prefix for recorded fixtures.
+// Resolves to { url, calls, use(handler), close() }: calls lists every request received, and
+// handlers added with use() answer before fixtures when they return a response.
+export async function startReplayServer({ name, upstream, requestKey, fixtureName = () => name }) {
+  const dir = join(FIXTURES_DIR, name)
+  const recording = isRecording(name)
+  const fixtures = await loadFixtures(dir)
+  const handlers = []
+  const calls = []
+
+  async function record(req, raw, request) {
+    const headers = { ...req.headers, host: new URL(upstream).host }
+    delete headers['content-length']
+    const upstreamRes = await fetch(`${upstream}${req.url}`, {
+      method: req.method,
+      headers,
+      body: raw || undefined,
+    })
+    const contentType = upstreamRes.headers.get('content-type') || 'application/json'
+    const text = await upstreamRes.text()
+    const response = {
+      status: upstreamRes.status,
+      contentType,
+      body: contentType.includes('json') ? JSON.parse(text) : text,
+    }
+    await mkdir(dir, { recursive: true })
+    const slug = fixtureName(request).replace(/[^a-z0-9]+/gi, '-').toLowerCase().slice(0, 60)
+    await writeFile(join(dir, `${slug}-${keyOf(request)}.json`), `${JSON.stringify({ request, response }, null, 2)}\n`)
+    fixtures.set(keyOf(request), { request, response })
+    return response
+  }
+
+  const server = createServer(async (req, res) => {
+    try {
+      const raw = await readBody(req)
+      const url = new URL(req.url, 'http://localhost')
+      const call = {
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body: raw && req.headers['content-type']?.includes('json') ? JSON.parse(raw) : raw,
+      }
+      calls.push(call)
+
+      for (const handler of handlers) {
+        const response = await handler(call)
+        if (response) return send(res, response)
+      }
+      const request = requestKey(call)
+      const fixture = fixtures.get(keyOf(request))
+      if (fixture) return send(res, fixture.response)
+      if (recording) return send(res, await record(req, raw, request))
+      send(res, {
+        status: 501,
+        body: { error: { message: `No ${name} fixture for ${JSON.stringify(request)}; record one with RECORD_FIXTURES=${name}` } },
+      })
+    } catch (err) {
+      send(res, { status: 500, body: { error: { message: `Fake ${name} failed: ${err.message}` } } })
+    }
+  })
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    recording,
+    calls,
+    use(handler) {
+      handlers.push(handler)
+      return () => handlers.splice(handlers.indexOf(handler), 1)
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  }
+}
@@ -5,4 +5,8 @@ import tailwindcss from '@tailwindcss/vite'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react(), tailwindcss()],
+  // Tests run offline against local stand-ins for Mapbox and OpenAI (see test/support)
+  test: {
+    include: ['test/**/*.test.{js,jsx}'],
+  },
 })